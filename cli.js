@@ -1,21 +1,37 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
+const fs = require('fs');
 const readline = require('readline');
+const { parseArgs } = require('util');
 require('dotenv').config();
 
-// CLI Interface for Finance Dashboard
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
+const budget = require('./lib/budget');
+const { isMonth } = budget;
+const { CATEGORY_IDS } = require('./lib/categories');
+const { isCurrency } = require('./lib/currencies');
+const ledger = require('./lib/ledger');
+const money = require('./lib/money');
+const accounts = require('./lib/accounts');
+const economic = require('./lib/economic');
+const { daysAgo } = require('./lib/timeseries');
+const rules = require('./lib/validation');
+const { configPath, createBackend } = require('./lib/cli-backend');
+const profile = require('./lib/profile');
+const tui = require('./lib/tui');
+
+// CLI Interface for Finance Dashboard. With a command (`finance-dashboard
+// quote AAPL`) it prints the result and exits; without one it runs the
+// interactive menu, which owns the readline interface. Every feature goes
+// through `backend` (lib/cli-backend.js): a dashboard server's API in client
+// mode, this machine's providers and data files in direct mode. Watchlists,
+// default currencies, favorite pairs and saved budgets come from the local
+// profile (lib/profile.js).
+let rl = null;
+let backend = null;
 
 const ALPHA_VANTAGE_API_KEY = process.env.ALPHA_VANTAGE_API_KEY || 'demo';
 const EXCHANGE_API_KEY = process.env.EXCHANGE_API_KEY || '';
 
-console.log('\n🏦 Personal Finance Dashboard CLI');
-console.log('==================================\n');
-
 // Helper functions
 function formatCurrency(amount, currency = 'USD') {
     return new Intl.NumberFormat('en-US', {
@@ -29,185 +45,800 @@ function formatPercentage(value) {
     return `${num >= 0 ? '+' : ''}${num.toFixed(2)}%`;
 }
 
-async function makeRequest(url) {
-    try {
-        const response = await axios.get(url, { timeout: 10000 });
-        return response.data;
-    } catch (error) {
-        throw new Error(error.response?.data?.message || error.message);
+function ask(question) {
+    return new Promise(resolve => rl.question(question, resolve));
+}
+
+// A currency code typed at a prompt, or `fallback` for Enter; null if invalid
+async function askCurrency(question, fallback = profile.loadProfile().currencies.budget) {
+    const code = (await ask(`${question} [${fallback}]: `)).trim().toUpperCase() || fallback;
+    if (!isCurrency(code)) {
+        console.log(`❌ '${code}' is not an ISO 4217 currency code\n`);
+        return null;
     }
+    return code;
 }
 
-// CLI Functions
-async function getCurrencyConversion() {
-    return new Promise((resolve) => {
-        rl.question('Enter amount: ', (amount) => {
-            rl.question('From currency (e.g., USD): ', (from) => {
-                rl.question('To currency (e.g., EUR): ', async (to) => {
-                    try {
-                        console.log('\n⏳ Converting...\n');
-                        
-                        let url;
-                        if (EXCHANGE_API_KEY) {
-                            url = `https://v6.exchangerate-api.com/v6/${EXCHANGE_API_KEY}/pair/${from}/${to}`;
-                        } else {
-                            url = `https://api.exchangerate-api.com/v4/latest/${from}`;
-                        }
-                        
-                        const data = await makeRequest(url);
-                        
-                        let rate;
-                        if (EXCHANGE_API_KEY) {
-                            rate = data.conversion_rate;
-                        } else {
-                            rate = data.rates[to];
-                        }
-                        
-                        const result = (parseFloat(amount) * rate).toFixed(2);
-                        
-                        console.log('💱 Currency Conversion Result:');
-                        console.log(`${formatCurrency(amount, from)} = ${formatCurrency(result, to)}`);
-                        console.log(`Exchange Rate: 1 ${from} = ${rate.toFixed(4)} ${to}\n`);
-                        
-                    } catch (error) {
-                        console.log(`❌ Error: ${error.message}\n`);
-                    }
-                    resolve();
-                });
-            });
+// "2500" or "2500 EUR" as { amount, currency }, or null if it is not an amount
+function parseAmount(text, currency) {
+    const [amount, code] = String(text).trim().split(/\s+/);
+    const parsedCurrency = (code || currency).toUpperCase();
+    if (!money.isNumeric(amount) || !isCurrency(parsedCurrency)) return null;
+    return { amount, currency: parsedCurrency };
+}
+
+function printConversion({ amount, from, to, rate, result }) {
+    console.log('💱 Currency Conversion Result:');
+    console.log(`${formatCurrency(amount, from)} = ${formatCurrency(result, to)}`);
+    console.log(`Exchange Rate: 1 ${from} = ${rate.toFixed(4)} ${to}\n`);
+}
+
+function printQuote(quote) {
+    const change = quote.change || 0;
+    const changeIcon = change >= 0 ? '📈' : '📉';
+    
+    console.log(`📊 Stock Quote for ${quote.symbol}:`);
+    console.log(`Price: ${formatCurrency(quote.price)}`);
+    console.log(`Change: ${changeIcon} ${change.toFixed(2)} (${formatPercentage(quote.changePercent || 0)})`);
+    console.log(`Volume: ${(quote.volume || 0).toLocaleString()}`);
+    console.log(`Last Updated: ${quote.updatedAt}\n`);
+}
+
+function printCoins(coins) {
+    console.log('₿ Cryptocurrency Prices:');
+    console.log('========================');
+    
+    coins.forEach(coin => {
+        const name = coin.id.charAt(0).toUpperCase() + coin.id.slice(1);
+        const change = coin.change24h || 0;
+        const changeIcon = change >= 0 ? '📈' : '📉';
+        
+        console.log(`${name}: ${formatCurrency(coin.price)} ${changeIcon} ${formatPercentage(change)}`);
+    });
+    console.log();
+}
+
+function formatIndicator(value, unit) {
+    if (value === null) return '-';
+    return unit === 'percent' ? `${value.toFixed(2)}%` : value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+// Rates move by percentage points, everything else in its own unit
+function formatIndicatorChange(change, unit) {
+    const sign = change > 0 ? '+' : '';
+    return unit === 'percent' ? `${sign}${change.toFixed(2)} pts` : `${sign}${formatIndicator(change, unit)}`;
+}
+
+function printIndicators(catalog) {
+    console.log('🏛️  Economic Indicators:');
+    console.log('========================');
+    const width = Math.max(...catalog.map(series => series.id.length)) + 2;
+    [...new Set(catalog.map(series => series.category))].forEach(category => {
+        console.log(`\n${category}`);
+        catalog.filter(series => series.category === category).forEach(series => {
+            const aliases = series.aliases.length > 0 ? `; also ${series.aliases.join(', ')}` : '';
+            console.log(`  ${series.id.padEnd(width)}${series.name} (${series.unit}, ${series.frequency}${aliases})`);
         });
     });
+    console.log();
+}
+
+function printSeries(series) {
+    console.log(`📊 ${series.name} (${series.unit}, ${series.interval}):`);
+    console.log('==========================================');
+    if (series.points.length === 0) {
+        console.log('No data points in this range\n');
+        return;
+    }
+    const trend = tui.sparkline(series.points.map(point => point.value), 60);
+    if (trend) {
+        console.log(`${trend}\n`);
+    }
+    series.points.forEach((point, index) => {
+        const previous = index > 0 ? series.points[index - 1].value : null;
+        const change = point.value !== null && previous !== null ? `  ${formatIndicatorChange(point.value - previous, series.unit)}` : '';
+        console.log(`${point.date.padEnd(12)}${formatIndicator(point.value, series.unit).padStart(16)}${change}`);
+    });
+    console.log();
+}
+
+// Two series side by side by date; each row carries the other series' latest
+// value forward, so a monthly series lines up with a quarterly one
+function printSeriesComparison([first, second]) {
+    console.log(`📊 ${first.name} vs ${second.name}:`);
+    console.log('==========================================');
+    [first, second].forEach(series => {
+        console.log(`${series.indicator.padEnd(20)}${tui.sparkline(series.points.map(point => point.value), 40).padEnd(42)}${series.unit}, ${series.interval}`);
+    });
+    console.log();
+    console.log(`${'Date'.padEnd(12)}${first.indicator.padStart(20)}${second.indicator.padStart(20)}`);
+    economic.alignSeries(first.points, second.points).forEach(({ date, values }) => {
+        console.log(`${date.padEnd(12)}${formatIndicator(values[0], first.unit).padStart(20)}${formatIndicator(values[1], second.unit).padStart(20)}`);
+    });
+    console.log();
 }
 
+// CLI Functions
+
+// An amount, then a favorite pair from the profile by number or two currency codes
+async function getCurrencyConversion() {
+    const { pairs, currencies } = profile.loadProfile();
+    const amount = (await ask('Enter amount: ')).trim();
+    if (pairs.length > 0) {
+        console.log(`Favorite pairs: ${pairs.map((pair, index) => `${index + 1}. ${pair}`).join('  ')}`);
+    }
+    const answer = (await ask(`From currency [${currencies.base}]${pairs.length > 0 ? ' or a favorite\'s number' : ''}: `)).trim();
+    const favorite = /^\d+$/.test(answer) ? pairs[parseInt(answer) - 1] : null;
+    const [from, to] = favorite
+        ? favorite.split('/')
+        : [(answer || currencies.base).toUpperCase(), (await ask('To currency (e.g., EUR): ')).trim().toUpperCase()];
+    
+    try {
+        console.log('\n⏳ Converting...\n');
+        
+        const { rate, result } = await backend.convert(amount, from, to);
+        printConversion({ amount, from, to, rate, result });
+        
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}\n`);
+    }
+}
+
+// One symbol, a watchlist by name, or the default watchlist for Enter
 async function getStockQuote() {
-    return new Promise((resolve) => {
-        rl.question('Enter stock symbol (e.g., AAPL): ', async (symbol) => {
-            try {
-                console.log('\n⏳ Fetching stock data...\n');
-                
-                const url = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${ALPHA_VANTAGE_API_KEY}`;
-                const data = await makeRequest(url);
-                
-                const quote = data['Global Quote'];
-                if (quote && Object.keys(quote).length > 0) {
-                    const change = parseFloat(quote['09. change']);
-                    const changeIcon = change >= 0 ? '📈' : '📉';
-                    
-                    console.log(`📊 Stock Quote for ${quote['01. symbol']}:`);
-                    console.log(`Price: ${formatCurrency(quote['05. price'])}`);
-                    console.log(`Change: ${changeIcon} ${change.toFixed(2)} (${quote['10. change percent']})`);
-                    console.log(`Volume: ${parseInt(quote['06. volume']).toLocaleString()}`);
-                    console.log(`Last Updated: ${quote['07. latest trading day']}\n`);
-                } else {
-                    console.log(`❌ Stock symbol '${symbol}' not found\n`);
-                }
-                
-            } catch (error) {
-                console.log(`❌ Error: ${error.message}\n`);
+    const settings = profile.loadProfile();
+    const answer = (await ask(`Enter stock symbol (e.g., AAPL) or a watchlist name [${settings.defaultWatchlist}]: `)).trim();
+    const symbols = profile.watchlist(settings, answer || undefined) || [answer.toUpperCase()];
+    
+    console.log('\n⏳ Fetching stock data...\n');
+    for (const symbol of symbols) {
+        try {
+            const quote = await backend.quote(symbol);
+            if (quote) {
+                printQuote(quote);
+            } else {
+                console.log(`❌ Stock symbol '${symbol}' not found\n`);
             }
-            resolve();
-        });
-    });
+        } catch (error) {
+            console.log(`❌ ${symbol}: ${error.message}\n`);
+        }
+    }
 }
 
+// The coins listed in the profile
 async function getCryptoPrices() {
     try {
         console.log('\n⏳ Fetching cryptocurrency data...\n');
         
-        const url = 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin,ethereum,cardano,polkadot,chainlink&vs_currencies=usd&include_24hr_change=true';
-        const data = await makeRequest(url);
-        
-        console.log('₿ Cryptocurrency Prices:');
-        console.log('========================');
+        printCoins(await backend.cryptoPrices(profile.loadProfile().crypto));
         
-        Object.entries(data).forEach(([id, coinData]) => {
-            const name = id.charAt(0).toUpperCase() + id.slice(1);
-            const change = coinData.usd_24h_change || 0;
-            const changeIcon = change >= 0 ? '📈' : '📉';
-            
-            console.log(`${name}: ${formatCurrency(coinData.usd)} ${changeIcon} ${formatPercentage(change)}`);
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}\n`);
+    }
+}
+
+// An indicator from the catalog by number or id, optionally a second one to
+// compare it with, over the last few years
+async function economicIndicators() {
+    let catalog;
+    try {
+        catalog = await backend.economicCatalog();
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}\n`);
+        return;
+    }
+    catalog.forEach((series, index) => {
+        console.log(`${String(index + 1).padStart(2)}. ${series.name} (${series.id})`);
+    });
+    const pick = answer => {
+        const byNumber = /^\d+$/.test(answer) ? catalog[parseInt(answer) - 1] : null;
+        return byNumber ? byNumber.id : economic.findSeries(answer)?.id;
+    };
+    
+    const first = pick((await ask('\nIndicator number or id [CPI]: ')).trim() || 'CPI');
+    if (!first) {
+        console.log('❌ Unknown indicator\n');
+        return;
+    }
+    const other = (await ask('Compare with (number or id, Enter for none): ')).trim();
+    const second = other ? pick(other) : null;
+    if (other && !second) {
+        console.log('❌ Unknown indicator\n');
+        return;
+    }
+    const years = Math.min(Math.max(parseInt((await ask('Years of history [5]: ')).trim()) || 5, 1), 100);
+    
+    try {
+        console.log('\n⏳ Fetching economic data...\n');
+        const query = { from: daysAgo(365 * years) };
+        const series = [];
+        for (const id of [first, second].filter(Boolean)) {
+            const found = await backend.economicSeries(id, query);
+            if (!found) {
+                console.log(`❌ No data for ${id}\n`);
+                return;
+            }
+            series.push(found);
+        }
+        if (series.length > 1 && first !== second) {
+            printSeriesComparison(series);
+        } else {
+            printSeries(series[0]);
+        }
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}\n`);
+    }
+}
+
+const GOAL_ICONS = { met: '🎉', progress: '👍', behind: '📈' };
+
+function printAdvice(remaining, goals) {
+    console.log('\n💡 Financial Advice:');
+    if (remaining < 0) {
+        console.log('⚠️  Warning: Your expenses exceed your income!');
+    }
+    goals.forEach(goal => {
+        console.log(`${GOAL_ICONS[goal.status]} ${goal.message}`);
+    });
+    console.log();
+}
+
+// `summary` is a budget calculation's data, with entries in other currencies
+// converted into the reporting currency at the latest rates
+function printBudget(summary) {
+    const { currency, expenses, remaining, savingsRate, categories, goals, exact, conversions } = summary;
+    
+    console.log(`\n💰 Budget Analysis (${currency}):`);
+    console.log('==================');
+    console.log(`Monthly Income: ${formatCurrency(exact.income, currency)}`);
+    console.log(`Total Expenses: ${formatCurrency(exact.totalExpenses, currency)}`);
+    console.log(`Remaining: ${formatCurrency(exact.remaining, currency)} ${remaining >= 0 ? '✅' : '❌'}`);
+    console.log(`Savings Rate: ${savingsRate.toFixed(1)}%`);
+    
+    if (expenses.length > 0) {
+        console.log('\n📋 Expense Breakdown:');
+        categories.forEach(category => {
+            console.log(`  ${category.label}: ${formatCurrency(category.exact.amount, currency)}`);
+            expenses.filter(exp => exp.category === category.category).forEach(exp => {
+                const original = exp.original ? ` (${formatCurrency(exp.original.amount, exp.original.currency)})` : '';
+                console.log(`    ${exp.name}: ${formatCurrency(exp.amount, currency)}${original}`);
+            });
         });
+    }
+    
+    if (conversions.length > 0) {
+        console.log('\n💱 Rates used:');
+        conversions.forEach(c => console.log(`  1 ${c.from} = ${c.rate} ${c.to}${c.method === 'cross' ? ` (via ${c.pivot})` : ''}`));
+    }
+    
+    printAdvice(remaining, goals);
+}
+
+async function budgetCalculator() {
+    const currency = await askCurrency('Report in currency');
+    if (!currency) return;
+    
+    const month = (await ask('Month to load from imported transactions (YYYY-MM, or Enter to type figures): ')).trim();
+    try {
+        if (!month) {
+            await enterBudget(currency);
+        } else if (!isMonth(month)) {
+            console.log(`❌ Invalid month '${month}'. Use YYYY-MM\n`);
+        } else {
+            const summary = await backend.monthBudget(month, currency);
+            if (summary.transactionCount === 0) {
+                console.log(`❌ No transactions found for ${month}. Import a bank statement first.\n`);
+            } else {
+                console.log(`\n📂 ${summary.transactionCount} transactions found for ${month}`);
+                printBudget(summary);
+            }
+        }
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}\n`);
+    }
+}
+
+// Amounts are in `currency` unless followed by another code, e.g. "120 EUR"
+async function enterBudget(currency) {
+    const income = parseAmount(await ask(`Enter monthly income in ${currency} (or e.g. "2500 EUR"): `), currency)
+        || { amount: '0', currency };
+    const expenses = [];
+    
+    console.log('\nEnter your monthly expenses (type "done" when finished):');
+    for (;;) {
+        const name = await ask('Enter expense name (or "done" to finish): ');
+        if (name.toLowerCase() === 'done') break;
+        
+        const entry = parseAmount(await ask(`Enter amount for ${name} in ${currency} (or e.g. "120 EUR"): `), currency);
+        if (entry && money.compare(entry.amount, 0) > 0) {
+            expenses.push({ name, ...entry });
+        }
+    }
+    
+    const entries = { income: [income], expenses, currency };
+    try {
+        printBudget(await backend.calculateBudget(entries));
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}\n`);
+        return;
+    }
+    await saveBudget(entries);
+}
+
+// Keep typed figures in the profile to look at again or compare with later months
+async function saveBudget(entries) {
+    const month = (await ask('Save this budget to your profile? Month (YYYY-MM), or Enter to skip: ')).trim();
+    if (!month) {
+        console.log();
+        return;
+    }
+    if (profile.loadProfile().budgets[month] && (await ask(`Replace the budget saved for ${month}? (y/N): `)).trim().toLowerCase() !== 'y') {
+        console.log();
+        return;
+    }
+    const { error } = profile.saveBudget(month, entries);
+    console.log(error ? `❌ Error: ${error}\n` : `✅ Budget saved for ${month}. Open Saved Budgets to compare it with other months.\n`);
+}
+
+// Two budget summaries in the same currency side by side, category by category
+function printComparison(labels, [first, second]) {
+    const format = value => formatCurrency(value, first.currency);
+    const change = (a, b) => `${b - a > 0 ? '+' : ''}${format(b - a)}`;
+    const row = (name, a, b, difference) => {
+        console.log(`${name.padEnd(22)}${String(a).padStart(16)}${String(b).padStart(16)}${String(difference).padStart(14)}`);
+    };
+    const amount = (summary, category) => (summary.categories.find(c => c.category === category) || { amount: 0 }).amount;
+    const categories = new Map([...first.categories, ...second.categories].map(c => [c.category, c.label]));
+    
+    console.log(`\n📊 ${labels[0]} vs ${labels[1]} in ${first.currency}`);
+    console.log('==========================================');
+    row('', labels[0], labels[1], 'Change');
+    row('Income', format(first.income), format(second.income), change(first.income, second.income));
+    categories.forEach((label, category) => {
+        const [a, b] = [amount(first, category), amount(second, category)];
+        row(`  ${label}`, format(a), format(b), change(a, b));
+    });
+    row('Total Expenses', format(first.totalExpenses), format(second.totalExpenses), change(first.totalExpenses, second.totalExpenses));
+    row('Remaining', format(first.remaining), format(second.remaining), change(first.remaining, second.remaining));
+    const points = second.savingsRate - first.savingsRate;
+    row('Savings Rate', `${first.savingsRate.toFixed(1)}%`, `${second.savingsRate.toFixed(1)}%`, `${points > 0 ? '+' : ''}${points.toFixed(1)} pts`);
+    console.log();
+}
+
+// Budgets saved from the calculator, recalculated at today's rates
+async function savedBudgets() {
+    const { budgets } = profile.loadProfile();
+    const months = Object.keys(budgets).sort().reverse();
+    if (months.length === 0) {
+        console.log('📁 No saved budgets yet. Save one from the Budget Calculator.\n');
+        return;
+    }
+    
+    console.log('📁 Saved Budgets:');
+    console.log('=================');
+    months.forEach((month, index) => {
+        const saved = budgets[month];
+        console.log(`${index + 1}. ${month} (${saved.currency}): ${saved.expenses.length} expense(s), saved ${saved.savedAt.slice(0, 10)}`);
+    });
+    
+    const action = (await ask('\n(v)iew, (c)ompare, (d)elete or Enter to go back: ')).trim().toLowerCase();
+    if (!['v', 'c', 'd'].includes(action)) {
+        console.log();
+        return;
+    }
+    const month = months[parseInt(await ask('Budget number: ')) - 1];
+    if (!month) {
+        console.log('❌ No saved budget with that number\n');
+        return;
+    }
+    
+    try {
+        if (action === 'v') {
+            printBudget(await backend.calculateBudget(budgets[month]));
+        } else if (action === 'c') {
+            const other = (await ask('Compare with another budget\'s number, or a month (YYYY-MM) of imported transactions: ')).trim();
+            const { currency } = budgets[month];
+            let label;
+            let second;
+            if (isMonth(other)) {
+                second = await backend.monthBudget(other, currency);
+                if (second.transactionCount === 0) {
+                    console.log(`❌ No transactions found for ${other}. Import a bank statement first.\n`);
+                    return;
+                }
+                label = `${other} actual`;
+            } else {
+                const otherMonth = months[parseInt(other) - 1];
+                if (!otherMonth) {
+                    console.log('❌ No saved budget with that number\n');
+                    return;
+                }
+                second = await backend.calculateBudget({ ...budgets[otherMonth], currency });
+                label = `${otherMonth} saved`;
+            }
+            printComparison([`${month} saved`, label], [await backend.calculateBudget(budgets[month]), second]);
+        } else {
+            const { error } = profile.unsetSetting(`budget.${month}`);
+            console.log(error ? `❌ Error: ${error}\n` : `✅ Removed the budget saved for ${month}\n`);
+        }
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}\n`);
+    }
+}
+
+function printVarianceReport(report) {
+    const pad = (value, width) => String(value).padStart(width);
+    const format = value => formatCurrency(value, report.currency);
+    
+    console.log(`\n📊 Budget vs Actual: ${report.month} in ${report.currency}${report.rollover ? ' (with rollover)' : ''}`);
+    console.log('==========================================');
+    console.log(`${'Category'.padEnd(24)}${pad('Budget', 12)}${pad('Rollover', 12)}${pad('Actual', 12)}${pad('Left', 12)}`);
+    report.categories.forEach(c => {
+        const name = `${c.label}${c.budgeted ? '' : ' *'}`;
+        const flag = c.status === 'over' ? ' ❌' : '';
+        console.log(`${name.padEnd(24)}${pad(format(c.target), 12)}${pad(format(c.rollover), 12)}${pad(format(c.actual), 12)}${pad(format(c.variance), 12)}${flag}`);
+    });
+    const t = report.totals;
+    console.log(`${'Total'.padEnd(24)}${pad(format(t.target), 12)}${pad(format(t.rollover), 12)}${pad(format(t.actual), 12)}${pad(format(t.variance), 12)}`);
+    if (report.categories.some(c => !c.budgeted)) {
+        console.log('* unbudgeted category');
+    }
+    
+    const expected = report.income.expected != null ? ` (expected ${format(report.income.expected)})` : '';
+    console.log(`\nIncome: ${format(report.income.actual)}${expected}`);
+    console.log(`Savings Rate: ${report.savingsRate.toFixed(1)}%`);
+    printAdvice(report.income.actual - t.actual, report.goals);
+}
+
+// Parse "groceries=400, dining=150" into { groceries: 400, dining: 150 }
+function parseTargets(text) {
+    const targets = {};
+    text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [category, amount] = part.split('=').map(value => value.trim());
+        targets[category] = amount;
+    });
+    return targets;
+}
+
+async function budgetPlans() {
+    const current = new Date().toISOString().slice(0, 7);
+    const month = (await ask(`Month (YYYY-MM) [${current}]: `)).trim() || current;
+    if (!isMonth(month)) {
+        console.log(`❌ Invalid month '${month}'. Use YYYY-MM\n`);
+        return;
+    }
+    
+    let existing;
+    try {
+        existing = await backend.getPlan(month);
+        if (existing) {
+            printVarianceReport(await backend.planReport(month));
+        }
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}\n`);
+        return;
+    }
+    
+    const prompt = existing ? 'Replace the targets for this month? (y/N): ' : `No budget saved for ${month}. Set targets now? (y/N): `;
+    if ((await ask(prompt)).trim().toLowerCase() !== 'y') {
         console.log();
+        return;
+    }
+    
+    console.log(`Categories: ${CATEGORY_IDS.filter(id => id !== 'income').join(', ')}`);
+    const currency = await askCurrency('Currency of the targets', existing?.currency);
+    if (!currency) return;
+    const targets = parseTargets(await ask('Targets as category=amount, comma separated: '));
+    const income = await ask(`Expected income in ${currency} (optional): `);
+    const rollover = (await ask('Roll over unspent amounts from last month? (y/N): ')).trim().toLowerCase() === 'y';
+    
+    try {
+        await backend.savePlan(month, { targets, income: income.trim(), rollover, currency });
+        console.log(`✅ Budget saved for ${month}`);
+        printVarianceReport(await backend.planReport(month));
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}\n`);
+    }
+}
+
+async function budgetTrends() {
+    const answer = (await ask('Number of months [6]: ')).trim();
+    const count = Math.min(Math.max(parseInt(answer) || 6, 1), budget.MAX_TREND_MONTHS);
+    const currency = await askCurrency('Report in currency');
+    if (!currency) return;
+    const to = new Date().toISOString().slice(0, 7);
+    let trends;
+    try {
+        trends = await backend.trends(budget.addMonths(to, 1 - count), to, currency);
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}\n`);
+        return;
+    }
+    const format = value => formatCurrency(value, currency);
+    
+    console.log(`\n📈 Trends: ${trends.from} to ${trends.to} in ${currency}`);
+    console.log('==========================================');
+    console.log(`${'Month'.padEnd(10)}${'Income'.padStart(14)}${'Spent'.padStart(14)}${'Budget'.padStart(14)}${'Saved'.padStart(10)}`);
+    trends.months.forEach(m => {
+        const budgeted = m.budgeted != null ? format(m.budgeted) : '-';
+        console.log(`${m.month.padEnd(10)}${format(m.income).padStart(14)}${format(m.expenses).padStart(14)}${budgeted.padStart(14)}${`${m.savingsRate.toFixed(1)}%`.padStart(10)}`);
+    });
+    
+    if (trends.averages.length > 0) {
+        console.log('\nAverage monthly spending:');
+        trends.averages.forEach(c => {
+            console.log(`  ${c.label}: ${format(c.average)}`);
+        });
+    }
+    console.log();
+}
+
+async function savingsGoals() {
+    let goals;
+    try {
+        goals = await backend.listGoals();
+    } catch (error) {
+        console.log(`❌ Error: ${error.message}\n`);
+        return;
+    }
+    console.log('🎯 Savings Goals:');
+    console.log('=================');
+    goals.forEach((goal, index) => {
+        // Amount goals are in whichever currency a budget is reported in
+        const format = value => (goal.type === 'rate' ? `${value}%` : `${value} / month`);
+        const minimum = goal.minimum != null ? ` (minimum ${format(goal.minimum)})` : '';
+        console.log(`${index + 1}. ${goal.name}: ${format(goal.target)}${minimum}${goal.builtIn ? ' [default]' : ''}`);
+    });
+    
+    const action = (await ask('\n(a)dd, (r)emove or Enter to go back: ')).trim().toLowerCase();
+    if (action === 'a') {
+        const name = await ask('Goal name: ');
+        const type = (await ask('Type - rate (savings %) or amount (per month) [rate]: ')).trim() || 'rate';
+        const target = await ask('Target: ');
+        const minimum = await ask('Minimum (optional): ');
         
+        try {
+            const goal = await backend.createGoal({ name, type, target, minimum: minimum.trim() });
+            console.log(`✅ Added goal '${goal.name}'\n`);
+        } catch (error) {
+            console.log(`❌ Error: ${error.message}\n`);
+        }
+    } else if (action === 'r') {
+        const index = parseInt(await ask('Goal number to remove: ')) - 1;
+        const goal = goals[index];
+        if (!goal || goal.builtIn) {
+            console.log('❌ No saved goal with that number\n');
+            return;
+        }
+        try {
+            await backend.deleteGoal(goal.id);
+            console.log(`✅ Removed goal '${goal.name}'\n`);
+        } catch (error) {
+            console.log(`❌ Error: ${error.message}\n`);
+        }
+    } else {
+        console.log();
+    }
+}
+
+function printNetWorth(worth) {
+    const { currency, exact } = worth;
+    
+    console.log(`\n🏦 Net Worth: ${formatCurrency(exact.total, currency)}`);
+    console.log('==================');
+    console.log(`Cash:   ${formatCurrency(exact.cash, currency)}`);
+    console.log(`Stocks: ${formatCurrency(exact.stocks, currency)}`);
+    console.log(`Crypto: ${formatCurrency(exact.crypto, currency)}`);
+    
+    if (worth.accounts.length > 0) {
+        console.log('\nAccounts:');
+        worth.accounts.forEach((account, index) => {
+            const value = account.error ? `❌ ${account.error}` : formatCurrency(account.exact.value, currency);
+            console.log(`  ${index + 1}. ${account.name} (${account.type}): ${formatCurrency(account.exact.balance, account.currency)} = ${value}`);
+        });
+    }
+    if (worth.portfolios.length > 0) {
+        console.log('\nPortfolios:');
+        worth.portfolios.forEach(portfolio => {
+            const unpriced = portfolio.unpricedHoldings > 0 ? ` (${portfolio.unpricedHoldings} holding(s) not priced)` : '';
+            console.log(`  ${portfolio.name}: ${formatCurrency(portfolio.marketValue, currency)}${unpriced}`);
+        });
+    }
+    if (worth.stale) {
+        console.log('\n⏱️  Some prices or rates are delayed');
+    }
+}
+
+async function netWorthMenu() {
+    const currency = await askCurrency('Currency', profile.loadProfile().currencies.base);
+    if (!currency) return;
+    
+    let worth;
+    try {
+        worth = await backend.netWorth(currency);
     } catch (error) {
         console.log(`❌ Error: ${error.message}\n`);
+        return;
+    }
+    printNetWorth(worth);
+    
+    const action = (await ask('\n(a)dd account, (r)emove account or Enter to go back: ')).trim().toLowerCase();
+    if (action === 'a') {
+        const name = await ask('Account name: ');
+        const type = (await ask(`Type (${accounts.ACCOUNT_TYPES.join(', ')}) [checking]: `)).trim() || 'checking';
+        const accountCurrency = await askCurrency('Currency', currency);
+        if (!accountCurrency) return;
+        const balance = (await ask('Balance (negative if owed): ')).trim();
+        
+        try {
+            const account = await backend.createAccount({ name, type, currency: accountCurrency, balance });
+            console.log(`✅ Added account '${account.name}'\n`);
+        } catch (error) {
+            console.log(`❌ Error: ${error.message}\n`);
+        }
+    } else if (action === 'r') {
+        const account = worth.accounts[parseInt(await ask('Account number to remove: ')) - 1];
+        if (!account) {
+            console.log('❌ No account with that number\n');
+            return;
+        }
+        try {
+            await backend.deleteAccount(account.id);
+            console.log(`✅ Removed account '${account.name}'\n`);
+        } catch (error) {
+            console.log(`❌ Error: ${error.message}\n`);
+        }
+    } else {
+        console.log();
     }
 }
 
-async function budgetCalculator() {
+async function importStatement() {
     return new Promise((resolve) => {
-        rl.question('Enter monthly income: $', (income) => {
-            const monthlyIncome = parseFloat(income) || 0;
-            const expenses = [];
-            
-            function addExpense() {
-                rl.question('Enter expense name (or "done" to finish): ', (name) => {
-                    if (name.toLowerCase() === 'done') {
-                        calculateBudget();
-                        return;
-                    }
+        rl.question('Path to CSV, OFX or QFX file: ', (file) => {
+            const presets = Object.keys(ledger.PRESETS).join(', ');
+            rl.question(`CSV preset (${presets}) [generic]: `, async (preset) => {
+                try {
+                    const content = fs.readFileSync(file.trim(), 'utf8');
+                    const result = await backend.importStatement(content, { preset: preset.trim() || 'generic' });
                     
-                    rl.question(`Enter amount for ${name}: $`, (amount) => {
-                        const expenseAmount = parseFloat(amount) || 0;
-                        if (expenseAmount > 0) {
-                            expenses.push({ name, amount: expenseAmount });
-                        }
-                        addExpense();
-                    });
-                });
-            }
-            
-            function calculateBudget() {
-                const totalExpenses = expenses.reduce((sum, exp) => sum + exp.amount, 0);
-                const remaining = monthlyIncome - totalExpenses;
-                const savingsRate = monthlyIncome > 0 ? (remaining / monthlyIncome) * 100 : 0;
-                
-                console.log('\n💰 Budget Analysis:');
-                console.log('==================');
-                console.log(`Monthly Income: ${formatCurrency(monthlyIncome)}`);
-                console.log(`Total Expenses: ${formatCurrency(totalExpenses)}`);
-                console.log(`Remaining: ${formatCurrency(remaining)} ${remaining >= 0 ? '✅' : '❌'}`);
-                console.log(`Savings Rate: ${savingsRate.toFixed(1)}%`);
-                
-                if (expenses.length > 0) {
-                    console.log('\n📋 Expense Breakdown:');
-                    expenses.forEach(exp => {
-                        console.log(`  ${exp.name}: ${formatCurrency(exp.amount)}`);
+                    console.log(`\n📥 Imported ${result.importedCount} transaction(s), skipped ${result.duplicates} duplicate(s)`);
+                    result.errors.forEach(({ line, error }) => {
+                        console.log(`  ⚠️  Line ${line}: ${error}`);
                     });
+                    console.log();
+                } catch (error) {
+                    console.log(`❌ Error: ${error.message}\n`);
                 }
-                
-                console.log('\n💡 Financial Advice:');
-                if (remaining < 0) {
-                    console.log('⚠️  Warning: Your expenses exceed your income!');
-                } else if (savingsRate >= 20) {
-                    console.log('🎉 Great job! You\'re saving 20% or more of your income.');
-                } else if (savingsRate >= 10) {
-                    console.log('👍 Good start! Try to increase your savings rate to 20%.');
-                } else {
-                    console.log('📈 Room for improvement! Aim to save at least 10% of your income.');
-                }
-                console.log();
-                
                 resolve();
-            }
-            
-            console.log('\nEnter your monthly expenses (type "done" when finished):');
-            addExpense();
+            });
         });
     });
 }
 
+// The profile as { setting, value } rows, named as `profile set` takes them
+function profileRows(settings) {
+    return [
+        { setting: 'base-currency', value: settings.currencies.base },
+        { setting: 'budget-currency', value: settings.currencies.budget },
+        { setting: 'crypto', value: settings.crypto.join(',') },
+        { setting: 'pairs', value: settings.pairs.join(',') },
+        { setting: 'default-watchlist', value: settings.defaultWatchlist },
+        ...Object.entries(settings.watchlists).map(([name, symbols]) => ({ setting: `watchlist.${name}`, value: symbols.join(',') })),
+        ...Object.keys(settings.budgets).sort().map(month => {
+            const saved = settings.budgets[month];
+            return { setting: `budget.${month}`, value: `${saved.currency}, ${saved.expenses.length} expense(s), saved ${saved.savedAt.slice(0, 10)}` };
+        })
+    ];
+}
+
+function printProfile(settings) {
+    console.log(`👤 Profile (${profile.profilePath()}):`);
+    console.log('==========');
+    profileRows(settings).forEach(({ setting, value }) => console.log(`${setting.padEnd(24)}${value || '-'}`));
+}
+
+// Break text at spaces into lines of at most HELP_WIDTH columns, the first
+// starting with `indent` and the rest with `continued`
+const HELP_WIDTH = 80;
+
+function wrapText(text, indent, continued = indent) {
+    const lines = [];
+    let line = indent;
+    for (const word of text.split(' ')) {
+        const start = lines.length === 0 ? indent : continued;
+        if (line !== start && line.length + 1 + word.length > HELP_WIDTH) {
+            lines.push(line);
+            line = continued + word;
+        } else {
+            line += line === start ? word : ` ${word}`;
+        }
+    }
+    lines.push(line);
+    return lines;
+}
+
+function settingsHelp() {
+    return Object.entries(profile.SETTINGS)
+        .flatMap(([name, setting]) => wrapText(setting.describe, `  ${name.padEnd(20)}`, ' '.repeat(22)))
+        .join('\n');
+}
+
+function exportProfile(file) {
+    fs.writeFileSync(file, `${JSON.stringify(profile.loadProfile(), null, 2)}\n`);
+}
+
+// { profile } or { error } for an exported profile in `file` (- for stdin)
+function importProfile(file, options) {
+    let input;
+    try {
+        input = JSON.parse(fs.readFileSync(file === '-' ? 0 : file, 'utf8'));
+    } catch (error) {
+        return { error: `Cannot read ${file === '-' ? 'stdin' : file}: ${error.message}` };
+    }
+    return profile.importProfile(input, options);
+}
+
+async function profileMenu() {
+    printProfile(profile.loadProfile());
+    
+    const action = (await ask('\n(s)et, (u)nset, (e)xport, (i)mport or Enter to go back: ')).trim().toLowerCase();
+    let result;
+    if (action === 's') {
+        console.log(`Settings:\n${settingsHelp()}`);
+        const setting = (await ask('Setting (e.g. watchlist.tech): ')).trim();
+        result = profile.setSetting(setting, (await ask('Value: ')).trim());
+    } else if (action === 'u') {
+        result = profile.unsetSetting((await ask('Setting to reset, watchlist.<name> or budget.<month> to remove: ')).trim());
+    } else if (action === 'e') {
+        const file = (await ask('Export to file: ')).trim();
+        try {
+            exportProfile(file);
+            console.log(`✅ Profile exported to ${file}\n`);
+        } catch (error) {
+            console.log(`❌ Error: ${error.message}\n`);
+        }
+        return;
+    } else if (action === 'i') {
+        const file = (await ask('Import from file: ')).trim();
+        const merge = (await ask('Merge with your profile instead of replacing it? (y/N): ')).trim().toLowerCase() === 'y';
+        result = importProfile(file, { merge });
+    } else {
+        console.log();
+        return;
+    }
+    console.log(result.error ? `❌ Error: ${result.error}\n` : '✅ Profile saved\n');
+}
+
 function showMenu() {
     console.log('Select an option:');
     console.log('1. Currency Conversion');
     console.log('2. Stock Quote');
     console.log('3. Cryptocurrency Prices');
     console.log('4. Budget Calculator');
-    console.log('5. Exit');
+    console.log('5. Import Bank Statement');
+    console.log('6. Monthly Budgets');
+    console.log('7. Budget Trends');
+    console.log('8. Savings Goals');
+    console.log('9. Net Worth');
+    console.log('10. Economic Indicators');
+    console.log('11. Saved Budgets');
+    console.log('12. Profile');
+    console.log('13. Exit');
     console.log();
 }
 
 async function handleMenuChoice(choice) {
+    try {
+        return await runMenuChoice(choice);
+    } catch (error) {
+        // e.g. a profile file edited by hand into something invalid
+        console.log(`❌ Error: ${error.message}\n`);
+        return true;
+    }
+}
+
+async function runMenuChoice(choice) {
     switch (choice) {
         case '1':
             await getCurrencyConversion();
@@ -222,6 +853,30 @@ async function handleMenuChoice(choice) {
             await budgetCalculator();
             break;
         case '5':
+            await importStatement();
+            break;
+        case '6':
+            await budgetPlans();
+            break;
+        case '7':
+            await budgetTrends();
+            break;
+        case '8':
+            await savingsGoals();
+            break;
+        case '9':
+            await netWorthMenu();
+            break;
+        case '10':
+            await economicIndicators();
+            break;
+        case '11':
+            await savedBudgets();
+            break;
+        case '12':
+            await profileMenu();
+            break;
+        case '13':
             console.log('👋 Thank you for using Personal Finance Dashboard CLI!\n');
             rl.close();
             return false;
@@ -232,13 +887,36 @@ async function handleMenuChoice(choice) {
 }
 
 async function main() {
+    rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+    
+    console.log('\n🏦 Personal Finance Dashboard CLI');
+    console.log('==================================\n');
+    
+    if (backend.mode === 'server') {
+        console.log(`🌐 Client mode: using the dashboard server at ${backend.server}`);
+    } else {
+        // Vendor keys only matter when this machine calls the vendors
+        if (ALPHA_VANTAGE_API_KEY === 'demo') {
+            console.log('⚠️  Using demo API key for Alpha Vantage. Get a free key at: https://www.alphavantage.co/support/#api-key');
+        }
+        
+        if (!EXCHANGE_API_KEY) {
+            console.log('⚠️  No ExchangeRate API key found. Using fallback API (limited features).');
+        }
+    }
+    
+    console.log();
+    
     let running = true;
     
     while (running) {
         showMenu();
         
         const choice = await new Promise((resolve) => {
-            rl.question('Enter your choice (1-5): ', resolve);
+            rl.question('Enter your choice (1-13): ', resolve);
         });
         
         console.log();
@@ -246,16 +924,468 @@ async function main() {
     }
 }
 
-// Check for API keys
-if (ALPHA_VANTAGE_API_KEY === 'demo') {
-    console.log('⚠️  Using demo API key for Alpha Vantage. Get a free key at: https://www.alphavantage.co/support/#api-key');
+// Commands for scripts: results go to stdout as text, --json or --csv, and
+// problems to stderr. Exit codes: 0 success, 1 a lookup or request failed
+// (for any of the items asked for), 2 invalid usage.
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2 };
+
+class UsageError extends Error {}
+
+// Check a command-line value with a rule from lib/validation.js
+function check(validator, raw, field) {
+    const result = validator(raw, field);
+    if (result.code) throw new UsageError(result.message);
+    return result.value;
+}
+
+// { from, to, limit } for an economic series from --from/--to, --years back
+// from today and --limit. A comparison covers the last five years unless told
+// otherwise, so series of different frequencies overlap.
+const DEFAULT_COMPARE_YEARS = 5;
+
+function economicQuery(values, comparing) {
+    if (values.years && values.from) throw new UsageError('Use either --years or --from');
+    const years = check(rules.integer({ min: 1, max: 100, optional: true }), values.years, 'years');
+    const to = check(rules.date({ optional: true }), values.to, 'to');
+    const limit = check(rules.integer({ min: 1, max: economic.MAX_POINTS, optional: true }), values.limit, 'limit');
+    let from = check(rules.date({ optional: true }), values.from, 'from');
+    if (years || (comparing && !from && !to && !limit)) {
+        from = daysAgo(365 * (years || DEFAULT_COMPARE_YEARS));
+    }
+    if (from && to && from > to) throw new UsageError(`--from (${from}) must not be after --to (${to})`);
+    return { from, to, limit };
+}
+
+// The symbols of a watchlist in the profile, the default one without a name
+function watchlistSymbols(settings, name) {
+    const symbols = profile.watchlist(settings, name);
+    if (!symbols) throw new UsageError(`No watchlist named '${name}'. Watchlists: ${Object.keys(settings.watchlists).join(', ')}`);
+    return symbols;
+}
+
+const csvCell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCSV(rows, columns) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\n');
+}
+
+// Each command resolves with { data, rows, columns, print, errors }: `data`
+// is printed for --json, `rows` and `columns` for --csv and `print()` writes
+// the text output. `errors` are messages about items that failed. An
+// `interactive` command takes over the terminal instead and resolves with {}.
+const COMMANDS = {
+    convert: {
+        usage: 'convert <amount> <from> <to>',
+        summary: 'Convert an amount between currencies at the latest rate',
+        example: 'convert 100 USD EUR',
+        async run({ positionals }) {
+            if (positionals.length !== 3) throw new UsageError('convert needs an amount and two currency codes');
+            const amount = check(rules.decimal({ min: 0 }), positionals[0], 'amount');
+            const from = check(rules.currency(), positionals[1], 'from');
+            const to = check(rules.currency(), positionals[2], 'to');
+            
+            const { rate, result } = await backend.convert(amount, from, to);
+            const conversion = { amount, from, to, rate, result };
+            return {
+                data: conversion,
+                rows: [conversion],
+                columns: ['amount', 'from', 'to', 'rate', 'result'],
+                print: () => printConversion(conversion)
+            };
+        }
+    },
+    
+    quote: {
+        usage: 'quote [<symbol>...] [--watchlist <name>]',
+        summary: 'Latest stock quotes for the symbols given, or a watchlist from your profile (default: the default one)',
+        example: 'quote AAPL MSFT',
+        options: { watchlist: { type: 'string', short: 'w' } },
+        async run({ positionals, values }) {
+            const named = positionals.length === 0 || values.watchlist ? watchlistSymbols(profile.loadProfile(), values.watchlist) : [];
+            const symbols = [...new Set([...positionals.map(raw => check(rules.stockSymbol(), raw, 'symbol')), ...named])];
+            
+            const quotes = [];
+            const errors = [];
+            for (const symbol of symbols) {
+                try {
+                    const quote = await backend.quote(symbol);
+                    if (quote) {
+                        quotes.push(quote);
+                    } else {
+                        errors.push(`Stock symbol '${symbol}' not found`);
+                    }
+                } catch (error) {
+                    errors.push(`${symbol}: ${error.message}`);
+                }
+            }
+            return {
+                data: quotes,
+                rows: quotes,
+                columns: ['symbol', 'price', 'change', 'changePercent', 'volume', 'updatedAt'],
+                print: () => quotes.forEach(printQuote),
+                errors
+            };
+        }
+    },
+    
+    crypto: {
+        usage: 'crypto [--ids <id,id,...>]',
+        summary: 'Cryptocurrency prices in USD (default: the coins in your profile)',
+        example: 'crypto --ids bitcoin,solana',
+        options: { ids: { type: 'string' } },
+        async run({ values }) {
+            const ids = check(rules.list(rules.coinId(), { default: () => profile.loadProfile().crypto }), values.ids, 'ids');
+            const coins = await backend.cryptoPrices(ids);
+            const found = new Set(coins.map(coin => coin.id));
+            return {
+                data: coins,
+                rows: coins,
+                columns: ['id', 'price', 'change24h', 'marketCap'],
+                print: () => {
+                    if (coins.length > 0) printCoins(coins);
+                },
+                errors: ids.filter(id => !found.has(id)).map(id => `Cryptocurrency '${id}' not found`)
+            };
+        }
+    },
+    
+    budget: {
+        usage: 'budget --file <budget.json> [--currency <code>] [--save <month>]',
+        summary: 'Budget summary for the figures in a JSON file (- for stdin)',
+        example: 'budget --file budget.json --currency EUR',
+        details: 'The file holds { "income": 4200, "expenses": [{ "name": "Rent", "amount": 1500, "currency": "EUR" }], "currency": "USD" }, ' +
+            'the same body as POST /api/v2/budget/calculate. `income` may also be a list of { name, amount, currency }. ' +
+            '--save keeps the figures in your profile under a month (YYYY-MM) to compare with other months later.',
+        options: { file: { type: 'string', short: 'f' }, currency: { type: 'string' }, save: { type: 'string' } },
+        async run({ values }) {
+            if (!values.file) throw new UsageError('budget needs --file');
+            const target = check(rules.currency({ optional: true }), values.currency, 'currency');
+            const month = check(rules.month({ optional: true }), values.save, 'save');
+            
+            let input;
+            try {
+                input = JSON.parse(fs.readFileSync(values.file === '-' ? 0 : values.file, 'utf8'));
+            } catch (error) {
+                throw new Error(`Cannot read ${values.file === '-' ? 'stdin' : values.file}: ${error.message}`);
+            }
+            const entries = { ...input, ...(target ? { currency: target } : {}) };
+            const summary = await backend.calculateBudget(entries);
+            if (month) {
+                const { error } = profile.saveBudget(month, entries);
+                if (error) throw new Error(error);
+            }
+            return {
+                data: summary,
+                rows: summary.categories.map(c => ({ category: c.category, label: c.label, amount: c.exact.amount, count: c.count, currency: summary.currency })),
+                columns: ['category', 'label', 'amount', 'count', 'currency'],
+                print: () => printBudget(summary)
+            };
+        }
+    },
+    
+    economic: {
+        usage: 'economic [<indicator> [<indicator>]] [--years <n> | --from <date>] [--to <date>] [--limit <n>]',
+        summary: 'Economic indicators: the list without an indicator, one series, or two side by side',
+        example: 'economic CPI UNEMPLOYMENT --years 10',
+        details: 'Without a range a single series shows its 10 most recent values and a comparison the last 5 years. ' +
+            '--years reaches back from today, --from and --to take YYYY-MM-DD dates and --limit keeps the most recent values. ' +
+            'A comparison lists every date of either series with the other one\'s latest value on or before it.',
+        options: { years: { type: 'string' }, from: { type: 'string' }, to: { type: 'string' }, limit: { type: 'string' } },
+        async run({ positionals, values }) {
+            if (positionals.length === 0) {
+                const catalog = await backend.economicCatalog();
+                return {
+                    data: catalog,
+                    rows: catalog.map(series => ({ ...series, aliases: series.aliases.join(' ') })),
+                    columns: ['id', 'name', 'category', 'unit', 'frequency', 'aliases'],
+                    print: () => printIndicators(catalog)
+                };
+            }
+            if (positionals.length > 2) throw new UsageError('economic compares at most two indicators');
+            const indicators = positionals.map(raw => economic.findSeries(check(rules.oneOf(economic.INDICATORS), raw, 'indicator')).id);
+            if (indicators[0] === indicators[1]) throw new UsageError('Compare two different indicators');
+            const query = economicQuery(values, indicators.length > 1);
+            
+            const series = [];
+            for (const indicator of indicators) {
+                const found = await backend.economicSeries(indicator, query);
+                if (!found) throw new Error(`No data for economic indicator '${indicator}'`);
+                series.push(found);
+            }
+            if (series.length === 1) {
+                return {
+                    data: series[0],
+                    rows: series[0].points,
+                    columns: ['date', 'value'],
+                    print: () => printSeries(series[0])
+                };
+            }
+            return {
+                data: series,
+                rows: economic.alignSeries(series[0].points, series[1].points)
+                    .map(({ date, values: [first, second] }) => ({ date, [indicators[0]]: first, [indicators[1]]: second })),
+                columns: ['date', ...indicators],
+                print: () => printSeriesComparison(series)
+            };
+        }
+    },
+    
+    watch: {
+        usage: 'watch [--watchlist <name> | --symbols <list>] [--ids <list>] [--pairs <list>] [--currency <code>] [--interval <seconds>]',
+        summary: 'Full-screen dashboard of the watchlist, crypto, FX pairs and budget that refreshes itself',
+        example: 'watch --symbols AAPL,TSLA --pairs EUR/USD,USD/JPY --interval 30',
+        details: 'Without options it shows your profile\'s default watchlist, coins, favorite pairs and budget currency. ' +
+            `--interval defaults to ${tui.DEFAULTS.interval}. --days sets the sparkline history (default ${tui.DEFAULTS.days}), --ascii draws with plain ASCII ` +
+            'and NO_COLOR turns colors off.\n\n' +
+            'Keys: left/right or Tab move between panes, up/down pick a row (its details show at the bottom), ' +
+            '1-4 jump to a pane, r refreshes now and q quits.',
+        interactive: true,
+        options: {
+            watchlist: { type: 'string', short: 'w' },
+            symbols: { type: 'string' },
+            ids: { type: 'string' },
+            pairs: { type: 'string' },
+            currency: { type: 'string' },
+            interval: { type: 'string' },
+            days: { type: 'string' },
+            ascii: { type: 'boolean' }
+        },
+        async run({ values }) {
+            if (values.watchlist && values.symbols) throw new UsageError('Use either --watchlist or --symbols');
+            const settings = profile.loadProfile();
+            const options = {
+                symbols: check(rules.list(rules.stockSymbol(), { max: 20, default: () => watchlistSymbols(settings, values.watchlist) }), values.symbols, 'symbols'),
+                ids: check(rules.list(rules.coinId(), { max: 20, default: settings.crypto }), values.ids, 'ids'),
+                pairs: check(rules.list(profile.currencyPair, { max: 20, default: settings.pairs }), values.pairs, 'pairs'),
+                currency: check(rules.currency({ default: settings.currencies.budget }), values.currency, 'currency'),
+                interval: check(rules.integer({ min: 5, max: 3600, default: tui.DEFAULTS.interval }), values.interval, 'interval'),
+                days: check(rules.integer({ min: 2, max: 365, default: tui.DEFAULTS.days }), values.days, 'days'),
+                ascii: Boolean(values.ascii),
+                color: !process.env.NO_COLOR
+            };
+            if (!process.stdin.isTTY || !process.stdout.isTTY) throw new Error('watch needs an interactive terminal');
+            
+            await tui.watch(backend, options);
+            return {};
+        }
+    },
+    
+    profile: {
+        usage: 'profile [show | set <setting> <value> | unset <setting> | export [<file>] | import <file> [--merge]]',
+        summary: 'Show or change your saved watchlists, currencies, favorite pairs, coins and budgets',
+        example: 'profile set watchlist.tech AAPL,MSFT,NVDA',
+        details: `Settings:\n${settingsHelp()}\n\n` +
+            `The profile is kept in ${profile.profilePath()} (FINANCE_PROFILE for another file). unset resets a setting ` +
+            'to its default or removes a watchlist or saved budget. export writes the profile as JSON, to stdout without a file; ' +
+            'import replaces it with an exported one (- for stdin), or with --merge adds its watchlists and budgets to yours.',
+        options: { merge: { type: 'boolean' } },
+        async run({ positionals, values }) {
+            const [action = 'show', ...args] = positionals;
+            let settings;
+            let message;
+            
+            if (action === 'show' && args.length === 0) {
+                settings = profile.loadProfile();
+            } else if (action === 'set' || action === 'unset') {
+                if (args.length !== (action === 'set' ? 2 : 1)) {
+                    throw new UsageError(action === 'set' ? 'profile set needs a setting and a value' : 'profile unset needs a setting');
+                }
+                const result = action === 'set' ? profile.setSetting(args[0], args[1]) : profile.unsetSetting(args[0]);
+                if (result.error) throw new UsageError(result.error);
+                settings = result.profile;
+                message = `✅ ${action === 'set' ? 'Saved' : 'Reset'} ${args[0]}`;
+            } else if (action === 'export' && args.length <= 1) {
+                settings = profile.loadProfile();
+                if (args[0]) {
+                    exportProfile(args[0]);
+                    message = `✅ Profile exported to ${args[0]}`;
+                } else {
+                    message = JSON.stringify(settings, null, 2);
+                }
+            } else if (action === 'import' && args.length === 1) {
+                const result = importProfile(args[0], { merge: values.merge });
+                if (result.error) throw new Error(result.error);
+                settings = result.profile;
+                message = `✅ Profile ${values.merge ? 'merged' : 'imported'} from ${args[0] === '-' ? 'stdin' : args[0]}`;
+            } else {
+                throw new UsageError(`Unknown profile action '${positionals.join(' ')}'`);
+            }
+            
+            return {
+                data: settings,
+                rows: profileRows(settings),
+                columns: ['setting', 'value'],
+                print: () => {
+                    if (message) {
+                        console.log(message);
+                    } else {
+                        printProfile(settings);
+                    }
+                }
+            };
+        }
+    }
+};
+
+const GLOBAL_OPTIONS = {
+    json: { type: 'boolean' },
+    csv: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+    version: { type: 'boolean', short: 'v' }
+};
+
+// Details are paragraphs separated by blank lines; one with line breaks of
+// its own (a table) is printed as it is
+function helpParagraph(paragraph) {
+    return paragraph.includes('\n') ? paragraph.split('\n') : wrapText(paragraph, '');
+}
+
+function usage(command) {
+    if (command) {
+        const { usage, summary, example, details, interactive } = COMMANDS[command];
+        return [
+            ...wrapText(`Usage: finance-dashboard ${usage}${interactive ? '' : ' [--json | --csv]'}`, '', '    '),
+            '',
+            ...wrapText(summary, ''),
+            ...(details ? details.split('\n\n').flatMap(paragraph => ['', ...helpParagraph(paragraph)]) : []),
+            '',
+            ...wrapText(`Example: finance-dashboard ${example}`, '', '    ')
+        ].join('\n');
+    }
+    return [
+        'Usage: finance-dashboard [command] [options]',
+        '',
+        'Without a command, starts the interactive menu.',
+        '',
+        'Commands:',
+        ...Object.values(COMMANDS).flatMap(c => [...wrapText(c.usage, '  ', '    '), ...wrapText(c.summary, '      ')]),
+        '',
+        'Options:',
+        '  --json            Print JSON',
+        '  --csv             Print CSV with a header row',
+        '  --server <url>    Use the dashboard server at <url> (client mode)',
+        '  --api-key <key>   API key for the server',
+        '  --direct          Call the data providers from this machine, ignoring any',
+        '                    configured server',
+        '  -h, --help        Show help, or a command\'s help after its name',
+        '  -v, --version     Show the version',
+        '',
+        'The server may also come from FINANCE_API_URL and FINANCE_API_KEY, or from',
+        ...wrapText(`${configPath()} as { "server": "https://...", "apiKey": "..." }. Without one the CLI runs in direct mode.`, ''),
+        '',
+        'Exit codes: 0 success, 1 a lookup or request failed, 2 invalid usage.'
+    ].join('\n');
+}
+
+// Run `finance-dashboard <command> ...` and resolve with the exit code
+async function runCommand(args) {
+    const name = args[0];
+    if (name === 'help' || name === '--help' || name === '-h') {
+        const topic = COMMANDS[args[1]] ? args[1] : null;
+        console.log(usage(topic));
+        return EXIT.OK;
+    }
+    if (name === '--version' || name === '-v') {
+        console.log(require('./package.json').version);
+        return EXIT.OK;
+    }
+    const command = COMMANDS[name];
+    if (!command) {
+        console.error(`❌ Unknown command '${name}'. Run finance-dashboard --help for the list.`);
+        return EXIT.USAGE;
+    }
+    
+    try {
+        let parsed;
+        try {
+            parsed = parseArgs({ args: args.slice(1), options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+        if (parsed.values.help) {
+            console.log(usage(name));
+            return EXIT.OK;
+        }
+        if (parsed.values.json && parsed.values.csv) throw new UsageError('Use either --json or --csv');
+        if (command.interactive && (parsed.values.json || parsed.values.csv)) throw new UsageError(`${name} has no --json or --csv output`);
+        
+        const result = await command.run(parsed);
+        if (command.interactive) {
+            return EXIT.OK;
+        } else if (parsed.values.json) {
+            console.log(JSON.stringify(result.data, null, 2));
+        } else if (parsed.values.csv) {
+            console.log(toCSV(result.rows, result.columns));
+        } else {
+            result.print();
+        }
+        (result.errors || []).forEach(error => console.error(`❌ ${error}`));
+        return result.errors && result.errors.length > 0 ? EXIT.FAILED : EXIT.OK;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`❌ ${error.message}\nUsage: finance-dashboard ${command.usage}`);
+            return EXIT.USAGE;
+        }
+        console.error(`❌ Error: ${error.message}`);
+        return EXIT.FAILED;
+    }
 }
 
-if (!EXCHANGE_API_KEY) {
-    console.log('⚠️  No ExchangeRate API key found. Using fallback API (limited features).');
+// Take --server, --api-key and --direct out of `args`, wherever they are:
+// { connection, args } with the options for createBackend and the rest
+const CONNECTION_FLAGS = { '--server': 'server', '--api-key': 'apiKey' };
+
+function connectionOptions(args) {
+    const connection = {};
+    const rest = [];
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inline] = args[i].split(/=(.*)/s);
+        if (args[i] === '--') {
+            rest.push(...args.slice(i));
+            break;
+        } else if (args[i] === '--direct') {
+            connection.direct = true;
+        } else if (CONNECTION_FLAGS[flag]) {
+            const value = inline !== undefined ? inline : args[++i];
+            if (!value) throw new UsageError(`${flag} needs a value`);
+            connection[CONNECTION_FLAGS[flag]] = value;
+        } else {
+            rest.push(args[i]);
+        }
+    }
+    if (connection.server && !/^https?:\/\/[^/]/.test(connection.server)) {
+        throw new UsageError(`--server must be an http:// or https:// URL, not '${connection.server}'`);
+    }
+    return { connection, args: rest };
 }
 
-console.log();
+// Start the CLI: a command if one was given, the menu otherwise. Resolves
+// with the exit code.
+async function start(argv) {
+    let parsed;
+    try {
+        parsed = connectionOptions(argv);
+        backend = createBackend(parsed.connection);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return error instanceof UsageError ? EXIT.USAGE : EXIT.FAILED;
+    }
+    
+    if (parsed.args.length > 0) {
+        return runCommand(parsed.args);
+    }
+    await main();
+    return EXIT.OK;
+}
 
-// Start the CLI
-main().catch(console.error);
\ No newline at end of file
+start(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(error);
+    process.exitCode = EXIT.FAILED;
+});
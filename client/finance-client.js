@@ -0,0 +1,133 @@
+// JavaScript client for the Finance Dashboard API (see /api/docs for the
+// OpenAPI description). Works in Node.js 18+ through require() and in the
+// browser as window.FinanceClient:
+//
+//   const { createClient } = require('finance-dashboard-client');
+//   const api = createClient({ baseUrl: 'http://localhost:8080', apiKey: process.env.FINANCE_API_KEY });
+//   const { data } = await api.convert('EUR', 'JPY', 120);
+//
+// Methods resolve with the whole response body ({ success, data, meta, ... })
+// and reject with an ApiClientError carrying the API's error code. They call
+// /api/v2 unless created with `version: 'v1'` for the original, deprecated
+// response shapes.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FinanceClient = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    class ApiClientError extends Error {
+        constructor(message, { status = 0, code = 'NETWORK_ERROR', details, body, headers } = {}) {
+            super(message);
+            this.name = 'ApiClientError';
+            this.status = status;
+            this.code = code;
+            this.details = details;
+            this.body = body;
+            this.headers = headers;
+        }
+    }
+
+    // Query string from an object; undefined and null values are left out and
+    // arrays become comma-separated lists
+    function queryString(query) {
+        const pairs = Object.entries(query || {})
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(Array.isArray(value) ? value.join(',') : value)}`);
+        return pairs.length > 0 ? `?${pairs.join('&')}` : '';
+    }
+
+    const segment = value => encodeURIComponent(Array.isArray(value) ? value.join(',') : String(value));
+
+    // Options: baseUrl ('' for the page's own origin), apiKey, fetch (for
+    // runtimes without a global one), headers, timeout (milliseconds),
+    // version (API version the helper methods call)
+    function createClient({ baseUrl = '', apiKey, fetch: fetchImpl, headers = {}, timeout = 0, version = 'v2' } = {}) {
+        const send = fetchImpl || (typeof fetch === 'function' ? fetch.bind(typeof window !== 'undefined' ? window : globalThis) : null);
+        if (!send) {
+            throw new Error('No fetch implementation available; pass one as options.fetch');
+        }
+        const base = String(baseUrl).replace(/\/+$/, '');
+        const api = `/api/${version}`;
+
+        // `body` is sent as JSON, or as text/plain when it is a string
+        async function request(method, path, { query, body } = {}) {
+            const options = { method, headers: { Accept: 'application/json', ...headers } };
+            if (apiKey) options.headers.Authorization = `Bearer ${apiKey}`;
+            if (typeof body === 'string') {
+                options.headers['Content-Type'] = 'text/plain';
+                options.body = body;
+            } else if (body !== undefined) {
+                options.headers['Content-Type'] = 'application/json';
+                options.body = JSON.stringify(body);
+            }
+
+            const controller = timeout && typeof AbortController === 'function' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+            if (controller) options.signal = controller.signal;
+
+            let response;
+            try {
+                response = await send(`${base}${path}${queryString(query)}`, options);
+            } catch (error) {
+                const timedOut = controller && controller.signal.aborted;
+                throw new ApiClientError(timedOut ? `Request timed out after ${timeout}ms` : `Cannot reach the API: ${error.message}`,
+                    { code: timedOut ? 'TIMEOUT' : 'NETWORK_ERROR' });
+            } finally {
+                if (timer) clearTimeout(timer);
+            }
+
+            let data;
+            try {
+                data = await response.json();
+            } catch (error) {
+                throw new ApiClientError(`Unexpected response from the API (HTTP ${response.status})`,
+                    { status: response.status, code: 'INVALID_RESPONSE' });
+            }
+
+            if (!response.ok || data.success === false) {
+                throw new ApiClientError(data.error || `API request failed (HTTP ${response.status})`, {
+                    status: response.status,
+                    code: data.code || 'INTERNAL_ERROR',
+                    details: data.details,
+                    body: data,
+                    headers: response.headers
+                });
+            }
+            return data;
+        }
+
+        return {
+            request,
+            get: (path, options) => request('GET', path, options),
+            post: (path, body, options) => request('POST', path, { ...options, body }),
+            put: (path, body, options) => request('PUT', path, { ...options, body }),
+            patch: (path, body, options) => request('PATCH', path, { ...options, body }),
+            delete: (path, options) => request('DELETE', path, options),
+
+            health: () => request('GET', '/health'),
+            exchangeRates: (base = 'USD') => request('GET', `${api}/exchange-rates/${segment(base)}`),
+            // options: { date, pivot }
+            convert: (from, to, amount, options = {}) =>
+                request('GET', `${api}/convert/${segment(from)}/${segment(to)}/${segment(amount)}`, { query: options }),
+            // conversions: [{ from, to?, amount, date? }]; options: { to, date, pivot }
+            convertMany: (conversions, options = {}) => request('POST', `${api}/convert`, { body: { ...options, conversions } }),
+            stock: symbol => request('GET', `${api}/stock/${segment(symbol)}`),
+            stocks: symbols => request('GET', `${api}/stocks`, { query: { symbols } }),
+            // range: { interval, from, to }
+            stockHistory: (symbol, range = {}) => request('GET', `${api}/stock/${segment(symbol)}/history`, { query: range }),
+            crypto: ids => request('GET', ids && ids.length > 0 ? `${api}/crypto/${segment(ids)}` : `${api}/crypto`),
+            cryptoHistory: (id, range = {}) => request('GET', `${api}/crypto/${segment(id)}/history`, { query: range }),
+            fxHistory: (from, to, range = {}) => request('GET', `${api}/fx/${segment(from)}/${segment(to)}/history`, { query: range }),
+            economicCatalog: () => request('GET', `${api}/economic`),
+            // options: { from, to, limit } (v2)
+            economic: (indicator, options = {}) => request('GET', `${api}/economic/${segment(indicator)}`, { query: options }),
+            spec: () => request('GET', '/api/docs/openapi.json')
+        };
+    }
+
+    return { createClient, ApiClientError };
+}));
@@ -0,0 +1,82 @@
+const { collection, ownedBy } = require('./store');
+const { isCurrency } = require('./currencies');
+const money = require('./money');
+const rules = require('./validation');
+
+// Cash accounts: bank accounts, savings, cash in hand and credit cards, each
+// with a balance kept by hand in its own currency. Money owed (a credit card
+// bill) is a negative balance. Net worth adds them to portfolio holdings.
+// Balances are stored as exact strings in the currency's minor units.
+// Accounts belong to their owner (see store.ownedBy).
+const accounts = collection('accounts');
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'cash', 'credit'];
+
+// Validate account fields over an existing record for updates.
+// Returns { account } with normalized values or { error, code? }.
+function validateAccount(input, existing = {}) {
+    const name = input.name !== undefined ? String(input.name).trim() : existing.name;
+    if (!name) {
+        return { error: 'Account name is required' };
+    }
+
+    const type = input.type !== undefined ? input.type : existing.type || 'checking';
+    if (!ACCOUNT_TYPES.includes(type)) {
+        return { error: `Account type must be one of: ${ACCOUNT_TYPES.join(', ')}` };
+    }
+
+    const currency = String(input.currency || existing.currency || 'USD').trim().toUpperCase();
+    if (!isCurrency(currency)) {
+        return { error: `Invalid currency code '${input.currency}'`, code: 'INVALID_CURRENCY' };
+    }
+
+    const balance = rules.decimal()(input.balance !== undefined ? input.balance : existing.balance, 'balance');
+    if (balance.code) {
+        return { error: 'balance must be a number (negative for money owed)', code: 'INVALID_AMOUNT' };
+    }
+
+    return { account: { name, type, currency, balance: money.moneyString(balance.value, currency) } };
+}
+
+// An account as the API returns it: the balance as a number for arithmetic
+// and as the exact string under `exact`
+function publicAccount(record) {
+    if (!record) return null;
+    const balance = money.moneyString(record.balance, record.currency);
+    return { ...record, balance: money.toNumber(balance), exact: { balance } };
+}
+
+function listAccounts(owner = null) {
+    return accounts.all(ownedBy(owner)).sort((a, b) => a.name.localeCompare(b.name)).map(publicAccount);
+}
+
+function findAccount(id, owner) {
+    const account = accounts.get(id);
+    return account && ownedBy(owner)(account) ? account : null;
+}
+
+function getAccount(id, owner = null) {
+    return publicAccount(findAccount(id, owner));
+}
+
+function createAccount(account, owner = null) {
+    return publicAccount(accounts.insert({ ...account, userId: owner || null }));
+}
+
+function updateAccount(id, changes, owner = null) {
+    return findAccount(id, owner) ? publicAccount(accounts.update(id, changes)) : null;
+}
+
+function deleteAccount(id, owner = null) {
+    return findAccount(id, owner) ? accounts.remove(id) : false;
+}
+
+module.exports = {
+    ACCOUNT_TYPES,
+    validateAccount,
+    listAccounts,
+    getAccount,
+    createAccount,
+    updateAccount,
+    deleteAccount
+};
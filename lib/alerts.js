@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const { collection, ownedBy } = require('./store');
+const { makeAPIRequest } = require('./market-data');
+const { daysAgo, toDateString } = require('./timeseries');
+const { notify, webhookUrlProblem } = require('./notifications');
+
+// Price and FX alert rules. A rule watches one asset and compares a metric
+// with a threshold:
+//   price  - latest price (USD for stocks and crypto, the rate for FX pairs)
+//   change - 24h change in percent, signed
+//   move   - size of the 24h change in percent, either direction
+// Rules are edge-triggered: a rule fires when its condition becomes true and
+// re-arms once it is false again, so a price sitting above a threshold does
+// not notify on every check. The cooldown is the minimum time between two
+// notifications of the same rule. Rules, and the notifications they send,
+// belong to their owner (see store.ownedBy).
+const rules = collection('alertRules');
+
+const ASSET_TYPES = ['stock', 'crypto', 'fx'];
+const METRICS = ['price', 'change', 'move'];
+const METRIC_LABELS = { price: 'price', change: '24h change', move: '24h move' };
+const OPERATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold
+};
+
+const DEFAULT_COOLDOWN_MINUTES = parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 60;
+
+// Common tickers accepted in place of CoinGecko ids
+const CRYPTO_TICKERS = {
+    BTC: 'bitcoin',
+    ETH: 'ethereum',
+    ADA: 'cardano',
+    DOT: 'polkadot',
+    LINK: 'chainlink',
+    SOL: 'solana',
+    XRP: 'ripple',
+    DOGE: 'dogecoin',
+    LTC: 'litecoin',
+    BNB: 'binancecoin'
+};
+
+// Turn "AAPL price > 200", "EUR/USD moves > 1% in 24h" or
+// "BTC 24h change < -5%" into rule fields. Returns { fields } or { error }.
+function parseExpression(text) {
+    const match = String(text).trim().match(
+        /^(\S+)\s+(price|moves?|(?:24h\s+)?change)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)\s*%?(?:\s+in\s+24h)?$/i
+    );
+    if (!match) {
+        return { error: `Could not read alert '${text}'. Try "AAPL price > 200", "EUR/USD moves > 1% in 24h" or "BTC 24h change < -5%"` };
+    }
+
+    const [, asset, metricWord, operator, threshold] = match;
+    const metric = /^move/i.test(metricWord) ? 'move' : /change/i.test(metricWord) ? 'change' : 'price';
+    const upper = asset.toUpperCase();
+
+    let assetType = 'stock';
+    if (asset.includes('/')) {
+        assetType = 'fx';
+    } else if (CRYPTO_TICKERS[upper] || asset === asset.toLowerCase()) {
+        assetType = 'crypto';
+    }
+
+    return { fields: { assetType, symbol: asset, metric, operator, threshold: parseFloat(threshold) } };
+}
+
+// Names become the subject of alert emails; line breaks there would add headers
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+function normalizeSymbol(assetType, symbol) {
+    const value = String(symbol || '').trim();
+    if (assetType === 'crypto') {
+        return CRYPTO_TICKERS[value.toUpperCase()] || value.toLowerCase();
+    }
+    return value.toUpperCase();
+}
+
+// Validate rule fields, or an `expression` that supplies them. Returns
+// { rule } or { error }.
+function validateRule(input) {
+    let fields = input;
+    if (input.expression) {
+        const parsed = parseExpression(input.expression);
+        if (parsed.error) return parsed;
+        fields = { ...input, ...parsed.fields };
+    }
+
+    if (!ASSET_TYPES.includes(fields.assetType)) {
+        return { error: `Invalid assetType '${fields.assetType}'. Use one of: ${ASSET_TYPES.join(', ')}` };
+    }
+    const symbol = normalizeSymbol(fields.assetType, fields.symbol);
+    if (!symbol) {
+        return { error: 'symbol is required' };
+    }
+    if (CONTROL_CHARACTERS.test(symbol)) {
+        return { error: 'symbol may not contain control characters' };
+    }
+    if (fields.assetType === 'fx' && !/^[A-Z]{3}\/[A-Z]{3}$/.test(symbol)) {
+        return { error: `Invalid currency pair '${fields.symbol}'. Use FROM/TO, e.g. EUR/USD` };
+    }
+    if (!METRICS.includes(fields.metric)) {
+        return { error: `Invalid metric '${fields.metric}'. Use one of: ${METRICS.join(', ')}` };
+    }
+    if (!OPERATORS[fields.operator]) {
+        return { error: `Invalid operator '${fields.operator}'. Use one of: ${Object.keys(OPERATORS).join(' ')}` };
+    }
+
+    const threshold = parseFloat(fields.threshold);
+    if (isNaN(threshold)) {
+        return { error: 'threshold must be a number' };
+    }
+
+    const cooldownMinutes = fields.cooldownMinutes != null && fields.cooldownMinutes !== ''
+        ? parseFloat(fields.cooldownMinutes)
+        : DEFAULT_COOLDOWN_MINUTES;
+    if (isNaN(cooldownMinutes) || cooldownMinutes < 0) {
+        return { error: 'cooldownMinutes must be zero or a positive number' };
+    }
+
+    const name = String(fields.name || '').trim();
+    if (CONTROL_CHARACTERS.test(name)) {
+        return { error: 'name may not contain control characters such as line breaks' };
+    }
+
+    const webhookUrl = fields.webhookUrl ? String(fields.webhookUrl).trim() : null;
+    const webhookProblem = webhookUrl ? webhookUrlProblem(webhookUrl) : null;
+    if (webhookProblem) {
+        return { error: webhookProblem };
+    }
+
+    return {
+        rule: {
+            name: name || describe({ assetType: fields.assetType, symbol, metric: fields.metric, operator: fields.operator, threshold }),
+            assetType: fields.assetType,
+            symbol,
+            metric: fields.metric,
+            operator: fields.operator,
+            threshold,
+            cooldownMinutes,
+            webhookUrl,
+            enabled: fields.enabled !== false
+        }
+    };
+}
+
+function describe(rule) {
+    const unit = rule.metric === 'price' ? '' : '%';
+    return `${rule.symbol} ${METRIC_LABELS[rule.metric]} ${rule.operator} ${rule.threshold}${unit}`;
+}
+
+function listRules(owner = null) {
+    return rules.all(ownedBy(owner)).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function getRule(id, owner = null) {
+    const rule = rules.get(id);
+    return rule && ownedBy(owner)(rule) ? rule : null;
+}
+
+function createRule(rule, owner = null) {
+    return rules.insert({
+        ...rule,
+        userId: owner || null,
+        active: false,
+        lastTriggeredAt: null,
+        lastValue: null,
+        lastCheckedAt: null,
+        lastError: null
+    });
+}
+
+// Changing a rule re-arms it
+function updateRule(id, rule, owner = null) {
+    return getRule(id, owner) ? rules.update(id, { ...rule, active: false }) : null;
+}
+
+function deleteRule(id, owner = null) {
+    return getRule(id, owner) ? rules.remove(id) : false;
+}
+
+// Latest price and 24h change for an asset, through the same cache entries
+// as the quote routes. Last-known-good values served during a vendor outage
+// are refused, so an old price cannot trigger a rule.
+function current(result) {
+    if (!result.success) throw new Error(result.error);
+    if (result.stale) throw new Error(`Data delayed (as of ${result.asOf}): ${result.staleReason}`);
+    return result;
+}
+
+async function observe(assetType, symbol) {
+    if (assetType === 'stock') {
+        const result = current(await makeAPIRequest('stocks', 'quote', [symbol], `stock_${symbol}`));
+        if (!result.data) throw new Error(`Stock symbol '${symbol}' not found`);
+        return { price: parseFloat(result.data.price), change: parseFloat(result.data.changePercent) };
+    }
+
+    if (assetType === 'crypto') {
+        const result = current(await makeAPIRequest('crypto', 'prices', [symbol], `crypto_${symbol}`));
+        const coin = result.data?.[symbol];
+        if (!coin) throw new Error(`Cryptocurrency '${symbol}' not found`);
+        return { price: coin.usd, change: coin.usd_24h_change };
+    }
+
+    // FX: latest rate against the previous daily fix
+    const [from, to] = symbol.split('/');
+    const latest = current(await makeAPIRequest('fx', 'latest', [from], `exchange_${from}`));
+    const price = latest.data?.rates[to];
+    if (!price) throw new Error(`Exchange rate for ${symbol} not available`);
+
+    const start = daysAgo(7);
+    const end = toDateString(new Date());
+    const history = await makeAPIRequest('fx', 'history', [from, to, 'daily', start, end], `fx_history_${from}_${to}_daily_${start}_${end}`);
+    const previous = history.success && history.data
+        ? history.data.filter(point => point.date < latest.data.date).pop()
+        : null;
+    const change = previous ? ((price - previous.close) / previous.close) * 100 : null;
+    return { price, change };
+}
+
+function metricValue(rule, observation) {
+    if (rule.metric === 'price') return observation.price;
+    if (observation.change == null || isNaN(observation.change)) return null;
+    return rule.metric === 'move' ? Math.abs(observation.change) : observation.change;
+}
+
+function formatValue(rule, value) {
+    return rule.metric === 'price' ? String(Math.round(value * 10000) / 10000) : `${value.toFixed(2)}%`;
+}
+
+// Evaluate every enabled rule once and notify for the ones that fired: the
+// owner's rules for a check asked for by a user, everyone's (`owner`
+// undefined) for the scheduler. Assets shared by several rules are fetched once.
+const checking = new Map();
+
+function checkAlerts(owner) {
+    // Overlapping runs for the same rules (scheduler and a manual check) share one evaluation
+    const key = owner === undefined ? '*' : owner || '';
+    if (!checking.has(key)) {
+        checking.set(key, runCheck(owner).finally(() => checking.delete(key)));
+    }
+    return checking.get(key);
+}
+
+async function runCheck(owner) {
+    const enabled = rules.all(rule => rule.enabled && (owner === undefined || ownedBy(owner)(rule)));
+    const observations = {};
+    const triggered = [];
+    const errors = [];
+
+    for (const rule of enabled) {
+        const key = `${rule.assetType}:${rule.symbol}`;
+        const now = new Date();
+        let value;
+
+        try {
+            observations[key] = observations[key] || observe(rule.assetType, rule.symbol);
+            value = metricValue(rule, await observations[key]);
+            if (value == null) throw new Error(`No 24h change available for ${rule.symbol}`);
+        } catch (error) {
+            rules.update(rule.id, { lastCheckedAt: now.toISOString(), lastError: error.message });
+            errors.push({ ruleId: rule.id, error: error.message });
+            continue;
+        }
+
+        const matched = OPERATORS[rule.operator](value, rule.threshold);
+        const cooling = rule.lastTriggeredAt &&
+            now - Date.parse(rule.lastTriggeredAt) < rule.cooldownMinutes * 60 * 1000;
+        const state = { lastCheckedAt: now.toISOString(), lastValue: value, lastError: null };
+
+        if (!matched || rule.active || cooling) {
+            rules.update(rule.id, { ...state, active: matched && rule.active });
+            continue;
+        }
+
+        rules.update(rule.id, { ...state, active: true, lastTriggeredAt: now.toISOString() });
+        triggered.push(await notify({
+            title: `Alert: ${rule.name}`,
+            message: `${describe(rule)} triggered: ${METRIC_LABELS[rule.metric]} is now ${formatValue(rule, value)}`,
+            source: 'alert',
+            data: { ruleId: rule.id, assetType: rule.assetType, symbol: rule.symbol, metric: rule.metric, value, threshold: rule.threshold },
+            webhookUrl: rule.webhookUrl,
+            owner: rule.userId || null
+        }));
+    }
+
+    return { checked: enabled.length, triggered, errors };
+}
+
+// Instances sharing DATA_DIR (Web01 and Web02) would each run the scheduler
+// and deliver every alert twice. They hold a lease in the store instead:
+// only the holder runs scheduled checks, renewing the lease on each run, and
+// another instance takes over once it lapses.
+const leases = collection('leases');
+const SCHEDULER_LEASE = 'alert-scheduler';
+const INSTANCE_ID = crypto.randomUUID();
+
+function holdSchedulerLease(seconds) {
+    const now = Date.now();
+    leases.insertUnless(lease => lease.name === SCHEDULER_LEASE, { name: SCHEDULER_LEASE, holder: null, expiresAt: null });
+    const lease = leases.all(entry => entry.name === SCHEDULER_LEASE)[0];
+    const held = leases.update(lease.id, current => {
+        const free = current.holder === INSTANCE_ID || !current.expiresAt || Date.parse(current.expiresAt) <= now;
+        return free ? { holder: INSTANCE_ID, expiresAt: new Date(now + seconds * 2000).toISOString() } : {};
+    });
+    return held.holder === INSTANCE_ID;
+}
+
+// Check alerts every ALERT_CHECK_INTERVAL seconds (default 60, 0 disables)
+// on the instance holding the scheduler lease
+function startAlertScheduler() {
+    const seconds = process.env.ALERT_CHECK_INTERVAL !== undefined ? parseInt(process.env.ALERT_CHECK_INTERVAL) : 60;
+    if (!(seconds > 0)) return null;
+
+    const timer = setInterval(() => {
+        try {
+            if (!holdSchedulerLease(seconds)) return;
+        } catch (error) {
+            console.error('Alert scheduler lease failed:', error.message);
+            return;
+        }
+        checkAlerts().catch(error => console.error('Alert check failed:', error.message));
+    }, seconds * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    ASSET_TYPES,
+    METRICS,
+    parseExpression,
+    validateRule,
+    describe,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    checkAlerts,
+    startAlertScheduler
+};
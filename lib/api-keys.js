@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { collection } = require('./store');
+
+// Issued API keys for the CLI and third-party consumers. Only a SHA-256
+// hash of each key is stored; the key itself is shown once, when created.
+// A key may carry its own per-minute rate limit and daily quota, otherwise
+// API_RATE_LIMIT (default 60) applies and there is no quota.
+const keys = collection('apiKeys');
+const usage = collection('apiUsage');
+
+const ROLES = ['client', 'admin'];
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT) || 60;
+
+function hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+    return `fdk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function optionalCount(value, name) {
+    if (value === undefined || value === null || value === '') return { value: null };
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        return { error: `${name} must be a positive whole number` };
+    }
+    return { value: number };
+}
+
+// Validate key fields. `partial` allows leaving any of them out (updates).
+// Returns { fields } or { error }.
+function validateKey(input, partial = false) {
+    const fields = {};
+
+    if (!partial || input.name !== undefined) {
+        const name = String(input.name || '').trim();
+        if (!name) return { error: 'name is required' };
+        fields.name = name;
+    }
+    if (!partial || input.role !== undefined) {
+        const role = input.role || 'client';
+        if (!ROLES.includes(role)) {
+            return { error: `Invalid role '${role}'. Use one of: ${ROLES.join(', ')}` };
+        }
+        fields.role = role;
+    }
+    for (const name of ['rateLimit', 'dailyQuota']) {
+        if (!partial || input[name] !== undefined) {
+            const parsed = optionalCount(input[name], name);
+            if (parsed.error) return parsed;
+            fields[name] = parsed.value;
+        }
+    }
+
+    return { fields };
+}
+
+// Key records without the hash
+function publicKey(record) {
+    const { hash: _hash, ...rest } = record;
+    return rest;
+}
+
+function listKeys() {
+    return keys.all().sort((a, b) => a.createdAt.localeCompare(b.createdAt)).map(publicKey);
+}
+
+function getKey(id) {
+    const record = keys.get(id);
+    return record ? publicKey(record) : null;
+}
+
+// Returns { key, record }; `key` is the secret and is not stored
+function createKey(fields) {
+    const key = generateKey();
+    const record = keys.insert({ ...fields, prefix: key.slice(0, 12), hash: hash(key), revokedAt: null, lastUsedAt: null });
+    return { key, record: publicKey(record) };
+}
+
+function updateKey(id, fields) {
+    const record = keys.update(id, fields);
+    return record ? publicKey(record) : null;
+}
+
+// Revoked keys stop working but stay listed, so their usage remains readable
+function revokeKey(id) {
+    const record = keys.get(id);
+    if (!record) return null;
+    return publicKey(record.revokedAt ? record : keys.update(id, { revokedAt: new Date().toISOString() }));
+}
+
+// The active key record for a presented key, or null
+function findKey(key) {
+    if (!key) return null;
+    const digest = hash(key);
+    return keys.all(record => record.hash === digest && !record.revokedAt)[0] || null;
+}
+
+function rateLimitFor(record) {
+    return record.rateLimit || DEFAULT_RATE_LIMIT;
+}
+
+// Usage is counted per client and UTC day. Counts are kept in memory and
+// written to the store every USAGE_FLUSH_SECONDS (default 30), so busy
+// clients do not rewrite the file on every request.
+const pending = new Map();
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function recordUsage(clientId, { limited = false } = {}) {
+    const id = `${clientId}|${today()}`;
+    const entry = pending.get(id) || { requests: 0, limited: 0, lastUsedAt: null };
+    // Rejected requests are counted apart, so they do not use up the quota
+    if (limited) {
+        entry.limited++;
+    } else {
+        entry.requests++;
+    }
+    entry.lastUsedAt = new Date().toISOString();
+    pending.set(id, entry);
+}
+
+// Counts are added to the stored row under the store's lock, so instances
+// sharing DATA_DIR do not overwrite each other's usage
+function flushUsage() {
+    pending.forEach((entry, id) => {
+        const [clientId, day] = id.split('|');
+        const matches = row => row.clientId === clientId && row.day === day;
+        if (!usage.insertUnless(matches, { clientId, day, ...entry })) {
+            const existing = usage.all(matches)[0];
+            usage.update(existing.id, row => ({
+                requests: row.requests + entry.requests,
+                limited: row.limited + entry.limited,
+                lastUsedAt: entry.lastUsedAt
+            }));
+        }
+        if (keys.get(clientId)) keys.update(clientId, { lastUsedAt: entry.lastUsedAt });
+    });
+    pending.clear();
+}
+
+const flushTimer = setInterval(flushUsage, (parseInt(process.env.USAGE_FLUSH_SECONDS) || 30) * 1000);
+flushTimer.unref();
+
+// Requests a client has made today, including ones not yet flushed
+function requestsToday(clientId) {
+    const day = today();
+    const stored = usage.all(row => row.clientId === clientId && row.day === day)[0];
+    const unsaved = pending.get(`${clientId}|${day}`);
+    return (stored ? stored.requests : 0) + (unsaved ? unsaved.requests : 0);
+}
+
+// Usage per key over the last `days` days, newest day first. Dashboard
+// sessions are reported together as the 'session' client.
+function usageReport(days = 7) {
+    flushUsage();
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const rows = usage.all(row => row.day >= since);
+
+    const clients = keys.all().map(record => ({
+        clientId: record.id,
+        name: record.name,
+        prefix: record.prefix,
+        role: record.role,
+        revoked: Boolean(record.revokedAt),
+        rateLimit: rateLimitFor(record),
+        dailyQuota: record.dailyQuota
+    }));
+    clients.push({ clientId: 'session', name: 'Dashboard sessions' });
+
+    return clients.map(client => {
+        const daily = rows.filter(row => row.clientId === client.clientId)
+            .sort((a, b) => b.day.localeCompare(a.day))
+            .map(({ day, requests, limited }) => ({ day, requests, limited }));
+        const last = rows.filter(row => row.clientId === client.clientId)
+            .map(row => row.lastUsedAt).sort().pop();
+        return {
+            ...client,
+            requests: daily.reduce((sum, row) => sum + row.requests, 0),
+            limited: daily.reduce((sum, row) => sum + row.limited, 0),
+            lastUsedAt: last || null,
+            daily
+        };
+    });
+}
+
+module.exports = {
+    ROLES,
+    validateKey,
+    listKeys,
+    getKey,
+    createKey,
+    updateKey,
+    revokeKey,
+    findKey,
+    rateLimitFor,
+    recordUsage,
+    requestsToday,
+    usageReport
+};
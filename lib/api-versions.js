@@ -0,0 +1,185 @@
+const { freshness } = require('./market-data');
+
+// API versions. /api/v2 answers market data in normalized resource shapes;
+// /api/v1 keeps the original shapes unchanged for existing consumers, and the
+// unversioned /api/* paths are aliases of v1. Both carry Deprecation, Sunset
+// and successor Link headers. The market routes fetch the same data for every
+// version and hand it to that version's presenter below for the response body.
+// Other resources (portfolios, budgets, alerts, ...) are the same in v1 and v2.
+const CURRENT_VERSION = 'v2';
+
+// When v1 was deprecated and when it will be turned off
+const V1_DEPRECATED_AT = process.env.API_V1_DEPRECATED_AT || '2026-10-19';
+const V1_SUNSET_AT = process.env.API_V1_SUNSET_AT || '2027-04-30';
+
+function now() {
+    return new Date().toISOString();
+}
+
+// v2 values are numbers, or null when the vendor did not supply them
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(String(value).replace('%', ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+// v2 quote: { symbol, price, change, changePercent, volume, updatedAt }
+function quote(raw) {
+    return {
+        symbol: raw.symbol,
+        price: toNumber(raw.price),
+        change: toNumber(raw.change),
+        changePercent: toNumber(raw.changePercent),
+        volume: toNumber(raw.volume),
+        updatedAt: raw.lastUpdate || null
+    };
+}
+
+// v2 coin: { id, currency, price, change24h, marketCap, updatedAt }
+function coin(id, raw) {
+    return {
+        id,
+        currency: 'USD',
+        price: toNumber(raw.usd),
+        change24h: toNumber(raw.usd_24h_change),
+        marketCap: toNumber(raw.usd_market_cap),
+        updatedAt: raw.last_updated_at ? new Date(raw.last_updated_at * 1000).toISOString() : null
+    };
+}
+
+// v2 responses put freshness under `meta` instead of beside `data`
+function meta(result, extra = {}) {
+    return { ...(result ? freshness(result) : {}), ...extra, timestamp: now() };
+}
+
+// The original response shapes
+const v1 = {
+    rates: result => ({ success: true, data: result.data, ...freshness(result), timestamp: now() }),
+
+    quote: result => ({ success: true, data: result.data, ...freshness(result), timestamp: now() }),
+
+    quotes: (found, errors) => {
+        const data = found.map(({ symbol, result }) => ({ symbol, quote: result.data, ...freshness(result) }));
+        return { success: true, data, errors, stale: data.some(item => item.stale), timestamp: now() };
+    },
+
+    stockHistory: ({ symbol, interval, from, to }, points, result) =>
+        ({ success: true, data: { symbol, interval, from, to, points }, ...freshness(result), timestamp: now() }),
+
+    cryptoHistory: ({ id, interval, from, to }, points, result) =>
+        ({ success: true, data: { id, interval, from, to, points }, ...freshness(result), timestamp: now() }),
+
+    fxHistory: ({ from, to, interval, start, end }, points, result) =>
+        ({ success: true, data: { from, to, interval, start, end, points }, ...freshness(result), timestamp: now() }),
+
+    // The raw vendor object keyed by coin id; unknown ids are left out
+    crypto: result => ({ success: true, data: result.data, ...freshness(result), timestamp: now() }),
+
+    // The raw data points, newest first (v1 takes no range, so the ten newest)
+    economic: (result, { points }) => ({ success: true, data: points, ...freshness(result), timestamp: now() }),
+
+    conversion: data => ({ success: true, data, stale: data.stale, timestamp: now() }),
+
+    conversions: ({ data, errors, total, stale }) => ({ success: true, data, errors, total, stale, timestamp: now() }),
+
+    streamEvent: (event, data) => data
+};
+
+// Normalized shapes: numbers as numbers, lists as arrays of resources,
+// ranges as start/end, freshness under `meta`
+const v2 = {
+    rates: result => ({ success: true, data: result.data, meta: meta(result) }),
+
+    quote: result => ({ success: true, data: quote(result.data), meta: meta(result) }),
+
+    quotes: (found, errors) => ({
+        success: true,
+        data: found.map(({ result }) => ({ ...quote(result.data), stale: Boolean(result.stale), asOf: result.asOf })),
+        errors,
+        meta: meta(null, { stale: found.some(({ result }) => result.stale) })
+    }),
+
+    stockHistory: ({ symbol, interval, from, to }, points, result) =>
+        ({ success: true, data: { symbol, interval, start: from, end: to, points }, meta: meta(result) }),
+
+    cryptoHistory: ({ id, interval, from, to }, points, result) =>
+        ({ success: true, data: { id, currency: 'USD', interval, start: from, end: to, points }, meta: meta(result) }),
+
+    fxHistory: ({ from, to, interval, start, end }, points, result) =>
+        ({ success: true, data: { base: from, quote: to, interval, start, end, points }, meta: meta(result) }),
+
+    // Coins in the order asked for; ids the vendor does not know go to `errors`
+    crypto: (result, ids) => ({
+        success: true,
+        data: ids.filter(id => result.data[id]).map(id => coin(id, result.data[id])),
+        errors: ids.filter(id => !result.data[id])
+            .map(id => ({ id, code: 'UNKNOWN_SYMBOL', error: `Cryptocurrency '${id}' not found` })),
+        meta: meta(result)
+    }),
+
+    // The catalog's description of the series with the points picked by the
+    // route (newest first from the provider), oldest first like every other series
+    economic: (result, { series, points }) => ({
+        success: true,
+        data: {
+            indicator: series.id,
+            name: series.name,
+            category: series.category,
+            interval: series.frequency,
+            unit: series.unit,
+            points: points.slice().reverse()
+                .map(point => ({ date: point.date, value: toNumber(point.value) }))
+        },
+        meta: meta(result)
+    }),
+
+    conversion: data => ({ success: true, data, meta: meta(null, { stale: data.stale }) }),
+
+    conversions: ({ data, errors, total, stale }) => ({ success: true, data, errors, total, meta: meta(null, { stale }) }),
+
+    // Live stock and crypto events carry the same resources as the routes
+    streamEvent: (event, data) => {
+        if (event === 'stock') return { ...quote(data), stale: data.stale, asOf: data.asOf };
+        if (event === 'crypto') return { ...coin(data.id, data), stale: data.stale, asOf: data.asOf };
+        return data;
+    }
+};
+
+const PRESENTERS = { v1, v2 };
+
+function httpDate(date) {
+    return new Date(`${date}T00:00:00Z`).toUTCString();
+}
+
+// First middleware of each version's router: sets req.apiVersion and
+// marks responses from v1 (and the unversioned aliases) as deprecated, with a
+// link to the same path under the current version
+function apiVersion(version) {
+    return (req, res, next) => {
+        // The unversioned mount also sees /api/v2/... requests v2 did not answer;
+        // leave them to the not-found handler
+        if (/^\/v\d+(\/|$)/.test(req.path)) return next('router');
+
+        req.apiVersion = version;
+        if (version !== CURRENT_VERSION) {
+            res.set({
+                'Deprecation': `@${Math.floor(Date.parse(`${V1_DEPRECATED_AT}T00:00:00Z`) / 1000)}`,
+                'Sunset': httpDate(V1_SUNSET_AT),
+                'Link': `</api/${CURRENT_VERSION}${req.url}>; rel="successor-version", </api/docs>; rel="deprecation"`
+            });
+        }
+        next();
+    };
+}
+
+function presenter(version) {
+    return PRESENTERS[version] || PRESENTERS[CURRENT_VERSION];
+}
+
+module.exports = {
+    CURRENT_VERSION,
+    V1_DEPRECATED_AT,
+    V1_SUNSET_AT,
+    apiVersion,
+    presenter
+};
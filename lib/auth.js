@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const apiKeys = require('./api-keys');
+const users = require('./users');
+const rateLimit = require('./rate-limit');
+const { sendError } = require('./errors');
+
+// Access control for /api/*. Callers authenticate with an issued API key
+// (Authorization: Bearer <key>, an X-API-Key header, or ?api_key= where
+// headers cannot be set, e.g. EventSource) or with the signed session cookie
+// the dashboard receives when its page is loaded. Signing in ties that
+// session to a user (req.user). ADMIN_API_KEY is accepted as a built-in
+// admin key. API_AUTH=off turns the checks off.
+const SESSION_COOKIE = 'fd_session';
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const IP_RATE_LIMIT = parseInt(process.env.IP_RATE_LIMIT) || 120;
+
+// Every instance behind the load balancer must share SESSION_SECRET, or a
+// cookie signed by one is rejected by the others
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+function authEnabled() {
+    return (process.env.API_AUTH || 'on').toLowerCase() !== 'off';
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function createSessionToken(uid = null) {
+    const payload = Buffer.from(JSON.stringify({ sid: crypto.randomUUID(), iat: Date.now(), uid })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+// The session in a token as { sid, iat, uid }, or null if forged or expired
+function verifySessionToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return Date.now() - session.iat < SESSION_TTL_MS ? session : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function readCookie(req, name) {
+    const pair = String(req.headers.cookie || '').split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${name}=`));
+    return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+function setSessionCookie(req, res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: SESSION_TTL_MS,
+        path: '/'
+    });
+}
+
+// Start a signed-in session for a user, replacing the current one
+function signIn(req, res, user) {
+    setSessionCookie(req, res, createSessionToken(user.id));
+}
+
+// Back to an anonymous session
+function signOut(req, res) {
+    setSessionCookie(req, res, createSessionToken());
+}
+
+// Pages that get a session when loaded: the dashboard and the API explorer
+const SESSION_PAGES = ['/', '/index.html', '/api/docs'];
+
+// Give the dashboard a session when its page is loaded
+function issueSession(req, res, next) {
+    if (authEnabled() && req.method === 'GET' && SESSION_PAGES.includes(req.path)) {
+        if (!verifySessionToken(readCookie(req, SESSION_COOKIE))) {
+            setSessionCookie(req, res, createSessionToken());
+        }
+    }
+    next();
+}
+
+function presentedKey(req) {
+    const header = req.get('authorization');
+    if (header && /^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, '').trim();
+    return req.get('x-api-key') || req.query.api_key || null;
+}
+
+// Identify the caller as req.client = { type: 'key' | 'session' | 'ip', id, key? }
+function authenticate(req, res, next) {
+    const session = verifySessionToken(readCookie(req, SESSION_COOKIE));
+    req.user = session && session.uid ? users.getUser(session.uid) : null;
+
+    if (!authEnabled()) {
+        req.client = { type: 'ip', id: req.ip };
+        return next();
+    }
+
+    const key = presentedKey(req);
+    if (key) {
+        if (process.env.ADMIN_API_KEY && safeEqual(key, process.env.ADMIN_API_KEY)) {
+            req.client = { type: 'key', id: 'admin', admin: true };
+            return next();
+        }
+        const record = apiKeys.findKey(key);
+        if (!record) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return sendError(res, 'INVALID_API_KEY', 'Invalid or revoked API key');
+        }
+        req.client = { type: 'key', id: record.id, key: record, admin: record.role === 'admin' };
+        return next();
+    }
+
+    if (session) {
+        // Renew the cookie halfway through its life so an open dashboard stays signed in
+        if (Date.now() - session.iat > SESSION_TTL_MS / 2) {
+            setSessionCookie(req, res, createSessionToken(req.user ? req.user.id : null));
+        }
+        req.client = { type: 'session', id: session.sid };
+        return next();
+    }
+
+    res.set('WWW-Authenticate', 'Bearer');
+    sendError(res, 'UNAUTHENTICATED', 'Authentication required. Send an API key as "Authorization: Bearer <key>" or use the dashboard');
+}
+
+// Per-key limits for API keys (plus their daily quota), per-IP limits for
+// everyone else. Sets RateLimit headers and answers 429 when over.
+function limitRequests(req, res, next) {
+    const { client } = req;
+    const usageId = client.type === 'key' ? client.id : client.type;
+
+    if (client.key && client.key.dailyQuota && apiKeys.requestsToday(client.id) >= client.key.dailyQuota) {
+        apiKeys.recordUsage(usageId, { limited: true });
+        const midnight = new Date();
+        midnight.setUTCHours(24, 0, 0, 0);
+        res.set('Retry-After', String(Math.ceil((midnight - Date.now()) / 1000)));
+        return sendError(res, 'QUOTA_EXCEEDED', `Daily quota of ${client.key.dailyQuota} requests exceeded`);
+    }
+
+    const result = client.type === 'key'
+        ? rateLimit.hit(`key:${client.id}`, client.key ? apiKeys.rateLimitFor(client.key) : Infinity)
+        : rateLimit.hit(`ip:${req.ip}`, IP_RATE_LIMIT);
+
+    if (Number.isFinite(result.limit)) {
+        rateLimit.setHeaders(res, result);
+    }
+    if (!result.allowed) {
+        apiKeys.recordUsage(usageId, { limited: true });
+        res.set('Retry-After', String(result.reset));
+        return sendError(res, 'RATE_LIMITED', `Rate limit of ${result.limit} requests per minute exceeded`);
+    }
+
+    if (client.type !== 'ip') apiKeys.recordUsage(usageId);
+    next();
+}
+
+function requireUser(req, res, next) {
+    if (req.user) return next();
+    sendError(res, 'UNAUTHENTICATED', 'Sign in to use this endpoint');
+}
+
+function requireAdmin(req, res, next) {
+    if (!authEnabled() || req.client?.admin) return next();
+    sendError(res, 'FORBIDDEN', 'Admin API key required');
+}
+
+// CORS_ORIGINS: comma-separated origins allowed to call the API from a
+// browser, or * for any. Unset means same-origin only.
+function corsOptions() {
+    const origins = String(process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    return {
+        origin: origins.includes('*') ? true : origins,
+        exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'Deprecation', 'Sunset', 'Link']
+    };
+}
+
+// The signed-in user's id, which owns the data a request reads and saves;
+// null (the shared, anonymous data) otherwise
+function ownerOf(req) {
+    return req.user ? req.user.id : null;
+}
+
+module.exports = {
+    authEnabled,
+    issueSession,
+    authenticate,
+    limitRequests,
+    signIn,
+    signOut,
+    requireUser,
+    requireAdmin,
+    ownerOf,
+    corsOptions
+};
@@ -0,0 +1,568 @@
+const { collection, ownedBy } = require('./store');
+const { listTransactions } = require('./ledger');
+const { CATEGORY_IDS, label, listRules, categorizeExpenses, categoryTotals } = require('./categories');
+const money = require('./money');
+const rules = require('./validation');
+const { isCurrency } = require('./currencies');
+const { findRate } = require('./conversion');
+
+// Saved budgets hold one month's per-category spending targets; goals are
+// the savings targets each month is measured against. Both, like the ledger
+// the actuals come from, belong to their owner (see store.ownedBy).
+const plans = collection('budgets');
+const goals = collection('savingsGoals');
+
+// Used until the owner saves goals of their own
+const DEFAULT_GOALS = [
+    { id: 'default', name: 'Savings rate', type: 'rate', target: 20, minimum: 10, builtIn: true }
+];
+
+// How far back a chain of rollover months is followed
+const MAX_ROLLOVER_MONTHS = 120;
+const MAX_TREND_MONTHS = 36;
+
+function isMonth(value) {
+    return /^\d{4}-(0[1-9]|1[0-2])$/.test(value || '');
+}
+
+// Budget amounts are added up with lib/money in a reporting currency.
+// Entries and transactions in other currencies are converted into it at the
+// latest rates; this is the reporting currency when none is chosen.
+const BUDGET_CURRENCY = 'USD';
+
+function round(value, currency = BUDGET_CURRENCY) {
+    return money.moneyNumber(value, currency);
+}
+
+function total(values, currency = BUDGET_CURRENCY) {
+    return round(money.sum(values), currency);
+}
+
+// A function converting (amount, fromCurrency) into `currency` as a decimal.
+// Each source currency's rate is looked up once; used() lists the rates that
+// were applied. Throws the ApiError from lib/conversion when a rate is missing.
+function converter(currency) {
+    const rates = new Map();
+
+    async function convert(amount, from = currency) {
+        if (from === currency) return money.decimal(amount);
+        if (!rates.has(from)) rates.set(from, findRate(from, currency));
+        return money.multiply(amount, (await rates.get(from)).rate);
+    }
+
+    convert.used = async () => Promise.all([...rates].map(async ([from, pending]) => {
+        const found = await pending;
+        return { from, to: currency, rate: money.toNumber(found.rate), method: found.method, pivot: found.pivot, rates: found.rates };
+    }));
+    return convert;
+}
+
+function addMonths(month, count) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthIndex - 1 + count, 1));
+    return date.toISOString().slice(0, 7);
+}
+
+function monthRange(from, to) {
+    const months = [];
+    for (let month = from; month <= to && months.length < MAX_TREND_MONTHS; month = addMonths(month, 1)) {
+        months.push(month);
+    }
+    return months;
+}
+
+// Validate a savings goal. 'rate' goals are a savings rate in percent,
+// 'amount' goals a sum to put aside each month. `minimum` is an optional
+// lower bar that counts as progress. Both are kept as exact decimal strings.
+// Returns { goal } or { error }.
+const GOAL_FIELDS = {
+    target: rules.decimal(),
+    minimum: rules.decimal({ optional: true })
+};
+
+function validateGoal(input) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+        return { error: 'Goal name is required' };
+    }
+    if (!['rate', 'amount'].includes(input.type)) {
+        return { error: `Invalid goal type '${input.type}'. Use rate or amount` };
+    }
+
+    const { values, details } = rules.check(GOAL_FIELDS, input);
+    if (details.length > 0) {
+        return { error: details[0].message };
+    }
+    const { target, minimum = null } = values;
+    if (money.compare(target, 0) <= 0) {
+        return { error: 'target must be a positive number' };
+    }
+    if (input.type === 'rate' && money.compare(target, 100) > 0) {
+        return { error: 'A savings rate target cannot exceed 100%' };
+    }
+    if (minimum !== null && (money.compare(minimum, 0) < 0 || money.compare(minimum, target) > 0)) {
+        return { error: 'minimum must be a number between 0 and target' };
+    }
+
+    return { goal: { name, type: input.type, target, minimum } };
+}
+
+// Exact decimal string for a stored amount, or null
+function exactAmount(value) {
+    return value === null || value === undefined ? null : money.toString(money.decimal(value));
+}
+
+function numberOrNull(value) {
+    return value === null ? null : money.toNumber(value);
+}
+
+// A goal as the API returns it: amounts as numbers and, under `exact`, as strings
+function publicGoal(record) {
+    if (!record) return null;
+    const target = exactAmount(record.target);
+    const minimum = exactAmount(record.minimum);
+    return { ...record, target: money.toNumber(target), minimum: numberOrNull(minimum), exact: { target, minimum } };
+}
+
+function listGoals(owner = null) {
+    const saved = goals.all(ownedBy(owner));
+    return (saved.length > 0 ? saved : DEFAULT_GOALS).map(publicGoal);
+}
+
+function findGoal(id, owner) {
+    const goal = goals.get(id);
+    return goal && ownedBy(owner)(goal) ? goal : null;
+}
+
+function getGoal(id, owner = null) {
+    return publicGoal(findGoal(id, owner));
+}
+
+function createGoal(goal, owner = null) {
+    return publicGoal(goals.insert({ ...goal, userId: owner || null }));
+}
+
+function updateGoal(id, goal, owner = null) {
+    return findGoal(id, owner) ? publicGoal(goals.update(id, goal)) : null;
+}
+
+function deleteGoal(id, owner = null) {
+    return findGoal(id, owner) ? goals.remove(id) : false;
+}
+
+// Progress towards each of the owner's savings goals for a month's income
+// and savings. Amount goals are measured in the budget's reporting currency.
+function evaluateGoals(income, saved, currency = BUDGET_CURRENCY, owner = null) {
+    const savingsRate = income > 0 ? money.percent(saved, income, 4) : 0;
+
+    return listGoals(owner).map(goal => {
+        const actual = goal.type === 'rate' ? savingsRate : saved;
+        const status = money.compare(actual, goal.exact.target) >= 0 ? 'met'
+            : goal.minimum !== null && money.compare(actual, goal.exact.minimum) >= 0 ? 'progress'
+            : 'behind';
+        const format = value => (goal.type === 'rate' ? `${value.toFixed(1)}%` : `${money.moneyString(value, currency)} ${currency}`);
+        const messages = {
+            met: `${goal.name}: ${format(actual)} reached the ${format(goal.target)} goal`,
+            progress: `${goal.name}: ${format(actual)} is past the ${format(goal.minimum || 0)} minimum, keep going to ${format(goal.target)}`,
+            behind: `${goal.name}: ${format(actual)} is short of the ${format(goal.target)} goal`
+        };
+
+        return {
+            id: goal.id,
+            name: goal.name,
+            type: goal.type,
+            target: goal.target,
+            minimum: goal.minimum,
+            exact: goal.exact,
+            actual: money.toNumber(money.round(actual, 2)),
+            progressPercent: Math.max(0, Math.min(100, money.percent(actual, goal.target))),
+            status,
+            message: messages[status]
+        };
+    });
+}
+
+// Income, remaining money, savings rate and per-category totals for one
+// month's entries. Expenses without a category go through the owner's rules.
+// Amounts may be numbers or decimal strings. Each is rounded to `currency`'s
+// minor units first, so the totals add up exactly; `exact` holds them as strings.
+function summarizeBudget(income, expenses, currency = BUDGET_CURRENCY, owner = null) {
+    const categorized = categorizeExpenses(expenses, listRules(owner))
+        .map(exp => ({ ...exp, amount: money.moneyString(exp.amount, currency) }));
+    const totalExpenses = money.sum(categorized.map(exp => exp.amount));
+    const remaining = money.subtract(money.roundMoney(income, currency), totalExpenses);
+    const savingsRate = money.compare(income, 0) > 0 ? money.percent(remaining, income, 4) : 0;
+
+    return {
+        currency,
+        income: round(income, currency),
+        expenses: categorized.map(exp => ({ ...exp, amount: money.toNumber(exp.amount) })),
+        totalExpenses: round(totalExpenses, currency),
+        remaining: round(remaining, currency),
+        savingsRate,
+        categories: categoryTotals(categorized, currency),
+        goals: evaluateGoals(money.toNumber(income), money.toNumber(remaining), currency, owner),
+        exact: {
+            income: money.moneyString(income, currency),
+            totalExpenses: money.moneyString(totalExpenses, currency),
+            remaining: money.moneyString(remaining, currency)
+        }
+    };
+}
+
+// Budget for entries in any currencies, reported in `currency`. `income` is
+// an amount in `currency` or a list of { name?, amount, currency? }; expenses
+// are { name, amount, currency?, category? }. Converted entries keep their
+// `original` amount and currency; `conversions` lists the rates applied.
+async function summarizeEntries(income, expenses, currency = BUDGET_CURRENCY, owner = null) {
+    const convert = converter(currency);
+    const inCurrency = async entry => {
+        const from = entry.currency || currency;
+        const amount = money.moneyString(await convert(entry.amount, from), currency);
+        return from === currency
+            ? { ...entry, amount, currency }
+            : { ...entry, amount, currency, original: { amount: money.toString(entry.amount), currency: from } };
+    };
+
+    const incomeSources = [];
+    for (const entry of Array.isArray(income) ? income : [{ amount: income }]) {
+        incomeSources.push(await inCurrency(entry));
+    }
+    const converted = [];
+    for (const entry of expenses) {
+        converted.push(await inCurrency(entry));
+    }
+
+    return {
+        ...summarizeBudget(money.sum(incomeSources.map(entry => entry.amount)), converted, currency, owner),
+        incomeSources: incomeSources.map(entry => ({ ...entry, amount: money.toNumber(entry.amount) })),
+        conversions: await convert.used()
+    };
+}
+
+// Budget entries for a month (YYYY-MM) built from the owner's transactions:
+// income is money in grouped by payer, expenses are money out grouped by
+// payee and category, each in the currency the transactions were in
+function entriesFromLedger(month, owner = null) {
+    const transactions = listTransactions({ month }, owner);
+    const grouped = new Map();
+
+    transactions.forEach(t => {
+        const currency = t.currency || BUDGET_CURRENCY;
+        const key = `${t.amount > 0 ? 'in' : 'out'}|${t.payee}|${t.category}|${currency}`;
+        const entry = grouped.get(key) || { income: t.amount > 0, name: t.payee, category: t.category, currency, amount: [] };
+        entry.amount.push(money.abs(t.exact.amount));
+        grouped.set(key, entry);
+    });
+
+    const entries = [...grouped.values()]
+        .map(entry => ({ ...entry, amount: total(entry.amount, entry.currency) }))
+        .sort((a, b) => b.amount - a.amount);
+
+    return {
+        income: entries.filter(entry => entry.income).map(({ name, amount, currency }) => ({ name, amount, currency })),
+        expenses: entries.filter(entry => !entry.income).map(({ name, category, amount, currency }) => ({ name, category, amount, currency })),
+        transactionCount: transactions.length
+    };
+}
+
+// Income and spending per category for a month, straight from the owner's
+// ledger, in `currency`. `convert` is a converter() to share rate lookups.
+async function monthActuals(month, owner, currency = BUDGET_CURRENCY, convert = converter(currency)) {
+    const transactions = listTransactions({ month }, owner);
+    const spending = {};
+    const income = [];
+
+    for (const t of transactions) {
+        const amount = await convert(t.exact.amount, t.currency || BUDGET_CURRENCY);
+        if (t.amount > 0) {
+            income.push(amount);
+        } else {
+            (spending[t.category] = spending[t.category] || []).push(money.negate(amount));
+        }
+    }
+
+    Object.keys(spending).forEach(category => {
+        spending[category] = total(spending[category], currency);
+    });
+    return { income: total(income, currency), spending, transactionCount: transactions.length };
+}
+
+// Validate a month's budget: { income?, targets: { category: amount }, rollover,
+// currency? }. Targets and income are in `currency`, kept as exact decimal
+// strings. Returns { plan } or { error }.
+const PLAN_AMOUNT = rules.decimal({ min: 0 });
+
+function validatePlan(input) {
+    const targets = {};
+    const entries = Object.entries(input.targets || {});
+
+    for (const [category, value] of entries) {
+        if (!CATEGORY_IDS.includes(category) || category === 'income') {
+            return { error: `Unknown expense category '${category}'` };
+        }
+        const amount = PLAN_AMOUNT(value, category);
+        if (amount.code) {
+            return { error: `Target for ${category} must be zero or a positive number` };
+        }
+        targets[category] = amount.value;
+    }
+    if (entries.length === 0) {
+        return { error: 'A budget needs at least one category target' };
+    }
+
+    const income = rules.decimal({ min: 0, optional: true })(input.income, 'income');
+    if (income.code) {
+        return { error: 'income must be zero or a positive number' };
+    }
+
+    const currency = String(input.currency || BUDGET_CURRENCY).trim().toUpperCase();
+    if (!isCurrency(currency)) {
+        return { error: `'${input.currency}' is not an ISO 4217 currency code`, code: 'INVALID_CURRENCY' };
+    }
+
+    return { plan: { income: income.value === undefined ? null : income.value, targets, rollover: Boolean(input.rollover), currency } };
+}
+
+// Plain decimal amounts, zero or more
+const amountRule = rules.decimal({ min: 0 });
+
+function isAmount(value) {
+    return !amountRule(value, 'amount').code;
+}
+
+// The currency an entry is in, or undefined when it is not a valid code
+function entryCurrency(value, fallback) {
+    const code = value != null && value !== '' ? String(value).trim().toUpperCase() : fallback;
+    return isCurrency(code) ? code : undefined;
+}
+
+// Validate hand-typed budget figures: { income, expenses: [{ name, amount,
+// currency?, category? }], currency? }. `income` is an amount or a list of
+// { name?, amount, currency? }; `currency` defaults to `fallbackCurrency`.
+// Returns { income, expenses, currency } ready for summarizeEntries, or
+// { error, code }.
+function validateBudget(input, fallbackCurrency = BUDGET_CURRENCY) {
+    const currency = entryCurrency(input.currency, fallbackCurrency);
+    const expenses = Array.isArray(input.expenses) ? input.expenses : [];
+    const income = Array.isArray(input.income)
+        ? input.income
+        : [{ amount: input.income != null && input.income !== '' ? input.income : '0' }];
+
+    if (!currency) {
+        return { error: `'${input.currency}' is not an ISO 4217 currency code`, code: 'INVALID_CURRENCY' };
+    }
+    if (income.some(entry => !entry || !isAmount(entry.amount))) {
+        return { error: 'income must be zero or a positive number', code: 'INVALID_AMOUNT' };
+    }
+    const invalid = expenses.find(exp => !exp || !String(exp.name || '').trim() ||
+        !isAmount(exp.amount) || money.compare(exp.amount, 0) <= 0);
+    if (invalid) {
+        return { error: 'Every expense needs a name and a positive amount', code: 'VALIDATION_ERROR' };
+    }
+    const badCurrency = [...income, ...expenses].find(entry => !entryCurrency(entry.currency, currency));
+    if (badCurrency) {
+        return { error: `'${badCurrency.currency}' is not an ISO 4217 currency code`, code: 'INVALID_CURRENCY' };
+    }
+
+    return {
+        currency,
+        income: income.map(entry => ({
+            ...(entry.name ? { name: String(entry.name).trim() } : {}),
+            amount: money.toString(money.decimal(entry.amount)),
+            currency: entryCurrency(entry.currency, currency)
+        })),
+        expenses: expenses.map(exp => ({
+            name: String(exp.name).trim(),
+            amount: money.toString(money.decimal(exp.amount)),
+            currency: entryCurrency(exp.currency, currency),
+            ...(exp.category ? { category: exp.category } : {})
+        }))
+    };
+}
+
+// A saved budget as the API returns it: amounts as numbers and, under
+// `exact`, as strings
+function publicPlan(record) {
+    if (!record) return null;
+    const income = exactAmount(record.income);
+    const targets = Object.fromEntries(Object.entries(record.targets).map(([category, amount]) => [category, exactAmount(amount)]));
+    return {
+        ...record,
+        income: numberOrNull(income),
+        targets: Object.fromEntries(Object.entries(targets).map(([category, amount]) => [category, money.toNumber(amount)])),
+        exact: { income, targets }
+    };
+}
+
+function findPlan(month, owner) {
+    return plans.all(plan => plan.month === month && ownedBy(owner)(plan))[0] || null;
+}
+
+function listPlans(owner = null) {
+    return plans.all(ownedBy(owner)).sort((a, b) => b.month.localeCompare(a.month)).map(publicPlan);
+}
+
+function getPlan(month, owner = null) {
+    return publicPlan(findPlan(month, owner));
+}
+
+// Create or replace the budget for a month
+function savePlan(month, plan, owner = null) {
+    const existing = findPlan(month, owner);
+    return publicPlan(existing ? plans.update(existing.id, plan) : plans.insert({ month, userId: owner || null, ...plan }));
+}
+
+function deletePlan(month, owner = null) {
+    const existing = findPlan(month, owner);
+    return existing ? plans.remove(existing.id) : false;
+}
+
+// Unspent amounts carried into `month`, in `currency`. A budget with
+// rollover on picks up what was left of the previous month's targets
+// (including anything that month carried in itself); overspending is not carried.
+async function carriedInto(month, owner, currency, convert) {
+    const chain = [];
+    let plan = findPlan(month, owner);
+    let current = month;
+
+    while (plan && plan.rollover && chain.length < MAX_ROLLOVER_MONTHS) {
+        current = addMonths(current, -1);
+        plan = findPlan(current, owner);
+        if (plan) chain.unshift(plan);
+    }
+
+    let carried = {};
+    for (const earlier of chain) {
+        const { spending } = await monthActuals(earlier.month, owner, currency, convert);
+        const left = {};
+        for (const [category, target] of Object.entries(earlier.targets)) {
+            const available = money.add(await convert(target, earlier.currency || BUDGET_CURRENCY), carried[category] || 0);
+            const remaining = money.subtract(available, spending[category] || 0);
+            left[category] = money.compare(remaining, 0) > 0 ? round(remaining, currency) : 0;
+        }
+        carried = left;
+    }
+    return carried;
+}
+
+// Budget vs actual for a month with a saved budget, in the budget's currency.
+// Categories with spending but no target are reported as unbudgeted.
+async function varianceReport(month, owner = null) {
+    const plan = findPlan(month, owner);
+    if (!plan) return null;
+
+    const currency = plan.currency || BUDGET_CURRENCY;
+    const convert = converter(currency);
+    const actuals = await monthActuals(month, owner, currency, convert);
+    const carried = plan.rollover ? await carriedInto(month, owner, currency, convert) : {};
+    const categoryIds = [...new Set([...Object.keys(plan.targets), ...Object.keys(actuals.spending)])];
+
+    const categories = categoryIds.map(category => {
+        const target = round(plan.targets[category] || 0, currency);
+        const rollover = carried[category] || 0;
+        const available = round(money.add(target, rollover), currency);
+        const actual = actuals.spending[category] || 0;
+        return {
+            category,
+            label: label(category),
+            budgeted: category in plan.targets,
+            target,
+            rollover,
+            available,
+            actual,
+            variance: round(money.subtract(available, actual), currency),
+            percentUsed: available > 0 ? money.percent(actual, available) : null,
+            status: actual > available ? 'over' : 'under'
+        };
+    }).sort((a, b) => b.available - a.available || b.actual - a.actual);
+
+    const sum = field => total(categories.map(c => c[field]), currency);
+    const totalExpenses = sum('actual');
+    const saved = round(money.subtract(actuals.income, totalExpenses), currency);
+
+    return {
+        month,
+        currency,
+        rollover: plan.rollover,
+        transactionCount: actuals.transactionCount,
+        income: {
+            expected: plan.income !== null ? round(plan.income, currency) : null,
+            actual: actuals.income,
+            variance: plan.income !== null ? round(money.subtract(actuals.income, plan.income), currency) : null
+        },
+        categories,
+        totals: {
+            target: sum('target'),
+            rollover: sum('rollover'),
+            available: sum('available'),
+            actual: totalExpenses,
+            variance: sum('variance')
+        },
+        savingsRate: actuals.income > 0 ? money.percent(saved, actuals.income) : 0,
+        goals: evaluateGoals(actuals.income, saved, currency, owner),
+        conversions: await convert.used()
+    };
+}
+
+// Month-by-month income, spending and savings between two months (inclusive)
+// in `currency`, with budget totals for months that have a saved budget
+async function trends(from, to, owner = null, currency = BUDGET_CURRENCY) {
+    const convert = converter(currency);
+    const months = [];
+    for (const month of monthRange(from, to)) {
+        const actuals = await monthActuals(month, owner, currency, convert);
+        const expenses = total(Object.values(actuals.spending), currency);
+        const plan = findPlan(month, owner);
+        const targets = [];
+        for (const target of plan ? Object.values(plan.targets) : []) {
+            targets.push(await convert(target, plan.currency || BUDGET_CURRENCY));
+        }
+
+        months.push({
+            month,
+            income: actuals.income,
+            expenses,
+            net: round(money.subtract(actuals.income, expenses), currency),
+            savingsRate: actuals.income > 0 ? money.percent(money.subtract(actuals.income, expenses), actuals.income) : 0,
+            budgeted: plan ? total(targets, currency) : null,
+            spending: actuals.spending
+        });
+    }
+
+    // Average spending per category across the range
+    const totals = {};
+    months.forEach(m => Object.entries(m.spending).forEach(([category, amount]) => {
+        totals[category] = money.add(totals[category] || 0, amount);
+    }));
+    const averages = Object.entries(totals)
+        .map(([category, sum]) => ({ category, label: label(category), average: round(money.divide(sum, months.length), currency) }))
+        .sort((a, b) => b.average - a.average);
+
+    return { from, to: months[months.length - 1]?.month || to, currency, months, averages, conversions: await convert.used() };
+}
+
+module.exports = {
+    BUDGET_CURRENCY,
+    MAX_TREND_MONTHS,
+    isMonth,
+    addMonths,
+    summarizeBudget,
+    summarizeEntries,
+    entriesFromLedger,
+    validateBudget,
+    validateGoal,
+    listGoals,
+    getGoal,
+    createGoal,
+    updateGoal,
+    deleteGoal,
+    evaluateGoals,
+    validatePlan,
+    listPlans,
+    getPlan,
+    savePlan,
+    deletePlan,
+    varianceReport,
+    trends
+};
@@ -0,0 +1,92 @@
+const { createMemoryStore } = require('./memory');
+const { createRedisStore, createRedisClient } = require('./redis');
+
+// Market data cache with per-data-type freshness. An entry is fresh for the
+// type's TTL; after that it stays servable for the stale window while a
+// refresh runs in the background (stale-while-revalidate). Both are seconds
+// and can be set with CACHE_TTL_<TYPE> and CACHE_STALE_<TYPE>, e.g.
+// CACHE_TTL_STOCKS=30. Past the stale window an entry is kept as the
+// last-known-good value for CACHE_KEEP_LAST_GOOD seconds (default 7 days),
+// served only when a refresh fails. Vendor "not found" answers are cached
+// for CACHE_TTL_NOT_FOUND seconds (default 1 hour) whatever their type.
+const DEFAULT_TTL = { fx: 600, stocks: 60, crypto: 60, economic: 6 * 60 * 60, not_found: 60 * 60 };
+const DEFAULT_STALE = { fx: 60 * 60, stocks: 5 * 60, crypto: 5 * 60, economic: 24 * 60 * 60 };
+const DEFAULT_KEEP_LAST_GOOD = 7 * 24 * 60 * 60;
+
+function seconds(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return isNaN(value) || value < 0 ? fallback : value;
+}
+
+function ttlFor(type) {
+    return seconds(`CACHE_TTL_${type.toUpperCase()}`, DEFAULT_TTL[type] || 300);
+}
+
+function staleFor(type) {
+    return seconds(`CACHE_STALE_${type.toUpperCase()}`, DEFAULT_STALE[type] || 0);
+}
+
+function keepFor() {
+    return seconds('CACHE_KEEP_LAST_GOOD', DEFAULT_KEEP_LAST_GOOD);
+}
+
+// CACHE_BACKEND=memory (default) or redis, with REDIS_URL
+function createStore() {
+    const backend = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+    if (backend === 'redis') {
+        return createRedisStore(createRedisClient(process.env.REDIS_URL || 'redis://localhost:6379'));
+    }
+    if (backend !== 'memory') {
+        throw new Error(`Unknown CACHE_BACKEND '${backend}'. Use memory or redis`);
+    }
+    return createMemoryStore();
+}
+
+let store = null;
+
+function getStore() {
+    if (!store) store = createStore();
+    return store;
+}
+
+// Swap the backing store, e.g. createRedisStore(existingClient)
+function setStore(next) {
+    store = next;
+}
+
+// Cached value for a key as { value, fresh, servable, storedAt }, or null on
+// a miss. `servable` is false once the entry is past its stale window and
+// only kept as the last-known-good value.
+async function read(type, key) {
+    const entry = await getStore().get(key);
+    if (!entry) return null;
+    const now = Date.now();
+    return {
+        value: entry.value,
+        fresh: now < entry.freshUntil,
+        servable: now < entry.freshUntil + staleFor(type) * 1000,
+        storedAt: entry.storedAt
+    };
+}
+
+async function write(type, key, value, ttl = ttlFor(type)) {
+    const now = Date.now();
+    const entry = { value, storedAt: new Date(now).toISOString(), freshUntil: now + ttl * 1000 };
+    await getStore().set(key, entry, ttl + Math.max(staleFor(type), keepFor()));
+}
+
+function backendName() {
+    return getStore().name;
+}
+
+module.exports = {
+    read,
+    write,
+    ttlFor,
+    staleFor,
+    keepFor,
+    backendName,
+    setStore,
+    createMemoryStore,
+    createRedisStore
+};
@@ -0,0 +1,24 @@
+const NodeCache = require('node-cache');
+
+// In-process store, the default. Each server instance keeps its own copy.
+function createMemoryStore() {
+    const cache = new NodeCache({ useClones: false });
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            return cache.get(key);
+        },
+
+        async set(key, value, ttlSeconds) {
+            cache.set(key, value, ttlSeconds);
+        },
+
+        async del(key) {
+            cache.del(key);
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
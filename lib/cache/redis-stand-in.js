@@ -0,0 +1,36 @@
+// Minimal in-memory stand-in for a node-redis v4 client: string get/set with
+// EX/PX expiry and del. Used with REDIS_URL=memory:// for local runs and
+// checks of the Redis backend without a Redis server.
+class MemoryRedisClient {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async connect() {}
+
+    async quit() {
+        this.entries.clear();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, options = {}) {
+        const ttlMs = options.PX || (options.EX ? options.EX * 1000 : null);
+        this.entries.set(key, { value: String(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+        return 'OK';
+    }
+
+    async del(key) {
+        return this.entries.delete(key) ? 1 : 0;
+    }
+}
+
+module.exports = { MemoryRedisClient };
@@ -0,0 +1,73 @@
+const { MemoryRedisClient } = require('./redis-stand-in');
+
+// Store backed by a Redis-compatible server, shared by every instance that
+// points at it. Works with any client offering the node-redis v4 calls
+// get(key), set(key, value, { EX }) and del(key). Redis errors are logged and
+// treated as cache misses so an outage degrades to direct vendor calls; a
+// command that gets no answer within REDIS_TIMEOUT_MS counts as an error too.
+function createRedisStore(client, prefix = process.env.CACHE_PREFIX || 'finance-dashboard:') {
+    const timeoutMs = parseInt(process.env.REDIS_TIMEOUT_MS) || 500;
+
+    function command(call) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`no answer within ${timeoutMs} ms`)), timeoutMs);
+        });
+        return Promise.race([call(), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    return {
+        name: 'redis',
+
+        async get(key) {
+            try {
+                const raw = await command(() => client.get(prefix + key));
+                return raw ? JSON.parse(raw) : undefined;
+            } catch (error) {
+                console.error(`Redis get failed for ${key}:`, error.message);
+                return undefined;
+            }
+        },
+
+        async set(key, value, ttlSeconds) {
+            try {
+                await command(() => client.set(prefix + key, JSON.stringify(value), { EX: Math.max(1, Math.ceil(ttlSeconds)) }));
+            } catch (error) {
+                console.error(`Redis set failed for ${key}:`, error.message);
+            }
+        },
+
+        async del(key) {
+            try {
+                await command(() => client.del(prefix + key));
+            } catch (error) {
+                console.error(`Redis del failed for ${key}:`, error.message);
+            }
+        }
+    };
+}
+
+// Client for REDIS_URL. "memory://" gives the in-process stand-in, which
+// exercises the Redis code path without a server. Real servers go through
+// the `redis` package.
+function createRedisClient(url) {
+    if (url.startsWith('memory://')) {
+        return new MemoryRedisClient();
+    }
+
+    let redis;
+    try {
+        redis = require('redis');
+    } catch (error) {
+        throw new Error('CACHE_BACKEND=redis needs the redis package: npm install redis');
+    }
+
+    // Without the offline queue, commands fail at once while the server is
+    // unreachable instead of waiting for it to come back
+    const client = redis.createClient({ url, disableOfflineQueue: true });
+    client.on('error', error => console.error('Redis error:', error.message));
+    client.connect().catch(error => console.error('Redis connection failed:', error.message));
+    return client;
+}
+
+module.exports = { createRedisStore, createRedisClient };
@@ -0,0 +1,256 @@
+const { collection, ownedBy } = require('./store');
+const money = require('./money');
+const { decimal } = require('./validation');
+
+const rules = collection('categoryRules');
+
+const TAXONOMY = [
+    { id: 'housing', label: 'Housing' },
+    { id: 'utilities', label: 'Utilities' },
+    { id: 'groceries', label: 'Groceries' },
+    { id: 'dining', label: 'Dining Out' },
+    { id: 'transport', label: 'Transport' },
+    { id: 'health', label: 'Health' },
+    { id: 'insurance', label: 'Insurance' },
+    { id: 'shopping', label: 'Shopping' },
+    { id: 'entertainment', label: 'Entertainment' },
+    { id: 'subscriptions', label: 'Subscriptions' },
+    { id: 'travel', label: 'Travel' },
+    { id: 'education', label: 'Education' },
+    { id: 'debt', label: 'Debt Payments' },
+    { id: 'savings', label: 'Savings & Investments' },
+    { id: 'income', label: 'Income' },
+    { id: 'transfers', label: 'Transfers' },
+    { id: 'other', label: 'Other' }
+];
+
+const CATEGORY_IDS = TAXONOMY.map(category => category.id);
+
+// Built-in keyword rules, applied after every user-defined rule. Keywords
+// match whole words, optionally plural ("rent" matches "RENT" but not "CURRENT").
+const DEFAULT_KEYWORDS = {
+    housing: ['rent', 'mortgage', 'landlord', 'hoa', 'property tax'],
+    utilities: ['electric', 'water', 'gas bill', 'internet', 'comcast', 'verizon', 'at&t', 'phone', 'utility'],
+    groceries: ['grocery', 'supermarket', 'whole foods', 'trader joe', 'safeway', 'kroger', 'tesco', 'aldi', 'lidl', 'costco'],
+    dining: ['restaurant', 'cafe', 'coffee', 'starbucks', 'mcdonald', 'pizza', 'doordash', 'uber eats', 'grubhub', 'deliveroo'],
+    transport: ['uber', 'lyft', 'taxi', 'fuel', 'shell', 'chevron', 'bp', 'parking', 'metro', 'transit', 'train', 'bus'],
+    health: ['pharmacy', 'cvs', 'walgreens', 'doctor', 'dental', 'hospital', 'clinic', 'gym'],
+    insurance: ['insurance', 'geico', 'allstate', 'state farm'],
+    shopping: ['amazon', 'walmart', 'target', 'ikea', 'ebay', 'clothing'],
+    entertainment: ['cinema', 'movie', 'theater', 'concert', 'ticketmaster', 'steam', 'playstation'],
+    subscriptions: ['netflix', 'spotify', 'hulu', 'disney', 'youtube', 'apple.com', 'icloud', 'subscription'],
+    travel: ['airline', 'airbnb', 'hotel', 'booking.com', 'expedia', 'delta', 'united', 'ryanair'],
+    education: ['tuition', 'school', 'university', 'course', 'udemy', 'coursera', 'books'],
+    debt: ['loan', 'credit card payment', 'student loan'],
+    savings: ['savings', 'brokerage', 'vanguard', 'fidelity', 'investment'],
+    income: ['payroll', 'salary', 'paycheck', 'direct deposit', 'dividend', 'interest paid', 'refund'],
+    transfers: ['transfer', 'zelle', 'venmo', 'paypal']
+};
+
+function keywordPattern(word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z])${escaped}s?(?![a-z])`);
+}
+
+const KEYWORD_PATTERNS = Object.entries(DEFAULT_KEYWORDS).map(([category, words]) => ({
+    category,
+    patterns: words.map(keywordPattern)
+}));
+
+const MAX_PATTERN_LENGTH = 100;
+// Characters that only mean something in a regular expression. A payeePattern
+// holding one is almost certainly a regex sent by mistake, so it is refused
+// rather than silently matched as a glob.
+const REGEX_SYNTAX = /[\^$\\|()[\]{}+]/;
+
+// Whether `payee` matches a payeePattern glob as a whole, ignoring case: `*`
+// is any run of characters, `?` any one character. Patterns come from users,
+// so they are not compiled into regular expressions (which can backtrack for
+// ages); this walks the payee once, going back only to the last `*`.
+function globMatches(pattern, payee) {
+    const glob = pattern.toLowerCase();
+    const text = payee.toLowerCase();
+    let g = 0;
+    let t = 0;
+    let star = -1;
+    let resume = 0;
+    while (t < text.length) {
+        if (g < glob.length && (glob[g] === '?' || glob[g] === text[t])) {
+            g++;
+            t++;
+        } else if (g < glob.length && glob[g] === '*') {
+            star = g++;
+            resume = t;
+        } else if (star !== -1) {
+            g = star + 1;
+            t = ++resume;
+        } else {
+            return false;
+        }
+    }
+    while (glob[g] === '*') g++;
+    return g === glob.length;
+}
+
+function label(categoryId) {
+    const category = TAXONOMY.find(c => c.id === categoryId);
+    return category ? category.label : categoryId;
+}
+
+// minAmount and maxAmount are compared with an entry's absolute amount
+const AMOUNT_LIMIT = decimal({ min: 0, optional: true });
+
+// Validate a user rule. A rule needs a category and at least one condition:
+// payeeContains (case-insensitive substring), payeePattern (a glob such as
+// "UBER *TRIP*", not a regular expression), minAmount/maxAmount (absolute amount) or type (income/expense).
+// Lower priority numbers are checked first. Returns { rule } or { error }.
+function validateRule(input) {
+    if (!CATEGORY_IDS.includes(input.category)) {
+        return { error: `Unknown category '${input.category}'. Use one of: ${CATEGORY_IDS.join(', ')}` };
+    }
+
+    const rule = {
+        name: String(input.name || '').trim(),
+        category: input.category,
+        priority: input.priority !== undefined ? parseInt(input.priority) : 100,
+        payeeContains: input.payeeContains ? String(input.payeeContains) : null,
+        payeePattern: input.payeePattern ? String(input.payeePattern) : null,
+        minAmount: null,
+        maxAmount: null,
+        type: input.type || null,
+        enabled: input.enabled !== false
+    };
+
+    if (isNaN(rule.priority)) {
+        return { error: 'priority must be an integer' };
+    }
+    if (rule.payeePattern && rule.payeePattern.length > MAX_PATTERN_LENGTH) {
+        return { error: `payeePattern must be at most ${MAX_PATTERN_LENGTH} characters` };
+    }
+    if (rule.payeePattern && REGEX_SYNTAX.test(rule.payeePattern)) {
+        return { error: 'payeePattern is a glob (* is any run of characters, ? any one), not a regular expression; use payeeContains to match text with ^ $ \\ | ( ) [ ] { } or +' };
+    }
+    for (const field of ['minAmount', 'maxAmount']) {
+        const amount = AMOUNT_LIMIT(input[field], field);
+        if (amount.code) {
+            return { error: `${field} must be zero or a positive number, got '${input[field]}'` };
+        }
+        if (amount.value !== undefined) rule[field] = money.toNumber(amount.value);
+    }
+    if (rule.type && !['income', 'expense'].includes(rule.type)) {
+        return { error: `Invalid type '${rule.type}'. Use income or expense` };
+    }
+    if (!rule.payeeContains && !rule.payeePattern && rule.minAmount === null && rule.maxAmount === null && !rule.type) {
+        return { error: 'A rule needs at least one condition: payeeContains, payeePattern, minAmount, maxAmount or type' };
+    }
+
+    return { rule };
+}
+
+function sortRules(list) {
+    return [...list].sort((a, b) => a.priority - b.priority || (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+// Rules belong to a user and only categorize that user's ledger
+function listRules(owner = null) {
+    return sortRules(rules.all(ownedBy(owner)));
+}
+
+function getRule(id, owner = null) {
+    const rule = rules.get(id);
+    return rule && ownedBy(owner)(rule) ? rule : null;
+}
+
+function createRule(rule, owner = null) {
+    return rules.insert({ ...rule, userId: owner || null });
+}
+
+function updateRule(id, rule, owner = null) {
+    return getRule(id, owner) ? rules.update(id, rule) : null;
+}
+
+function deleteRule(id, owner = null) {
+    return getRule(id, owner) ? rules.remove(id) : false;
+}
+
+// Entries are { payee, amount, income }: amount is absolute and income
+// tells money in from money out.
+function ruleMatches(rule, entry) {
+    const payee = String(entry.payee || '');
+    const amount = money.abs(entry.amount);
+
+    if (!rule.enabled) return false;
+    if (rule.type === 'income' && !entry.income) return false;
+    if (rule.type === 'expense' && entry.income) return false;
+    if (rule.payeeContains && !payee.toLowerCase().includes(rule.payeeContains.toLowerCase())) return false;
+    if (rule.payeePattern && !globMatches(rule.payeePattern, payee)) return false;
+    if (rule.minAmount !== null && money.compare(amount, rule.minAmount) < 0) return false;
+    if (rule.maxAmount !== null && money.compare(amount, rule.maxAmount) > 0) return false;
+    return true;
+}
+
+// Category for an entry: the first matching user rule, then the built-in
+// keywords, then 'income' or 'other'. Pass `ruleSet` to evaluate a proposed
+// set of rules instead of the saved ones.
+function categorize(entry, ruleSet = listRules()) {
+    const match = sortRules(ruleSet).find(rule => ruleMatches(rule, entry));
+    if (match) {
+        return { category: match.category, ruleId: match.id || null };
+    }
+
+    const payee = String(entry.payee || '').toLowerCase();
+    const keyword = KEYWORD_PATTERNS.find(({ category, patterns }) =>
+        (category === 'income') === Boolean(entry.income) && patterns.some(pattern => pattern.test(payee))
+    );
+    if (keyword) {
+        return { category: keyword.category, ruleId: null };
+    }
+
+    return { category: entry.income ? 'income' : 'other', ruleId: null };
+}
+
+// Categorize hand-typed budget expenses ({ name, amount }), keeping any
+// category the user picked
+function categorizeExpenses(expenses, ruleSet = listRules()) {
+    return expenses.map(expense => ({
+        ...expense,
+        category: CATEGORY_IDS.includes(expense.category)
+            ? expense.category
+            : categorize({ payee: expense.name, amount: expense.amount, income: false }, ruleSet).category
+    }));
+}
+
+// Totals per category for entries that already carry a category, largest
+// first. `exact` holds each amount as a string in `currency`'s minor units.
+function categoryTotals(entries, currency = 'USD') {
+    const totals = new Map();
+    entries.forEach(entry => {
+        const total = totals.get(entry.category) || { category: entry.category, label: label(entry.category), amount: money.decimal(0), count: 0 };
+        total.amount = money.add(total.amount, money.abs(entry.amount));
+        total.count++;
+        totals.set(entry.category, total);
+    });
+
+    return [...totals.values()]
+        .map(total => ({
+            ...total,
+            amount: money.moneyNumber(total.amount, currency),
+            exact: { amount: money.moneyString(total.amount, currency) }
+        }))
+        .sort((a, b) => b.amount - a.amount);
+}
+
+module.exports = {
+    TAXONOMY,
+    CATEGORY_IDS,
+    label,
+    validateRule,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    categorize,
+    categorizeExpenses,
+    categoryTotals
+};
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const budget = require('./budget');
+const ledger = require('./ledger');
+const accounts = require('./accounts');
+const conversion = require('./conversion');
+const economic = require('./economic');
+const { netWorth } = require('./networth');
+const { makeAPIRequest } = require('./market-data');
+const { parseHistoryQuery, filterRange } = require('./timeseries');
+const { presenter } = require('./api-versions');
+const { createClient, ApiClientError } = require('../client/finance-client');
+
+// Where the CLI gets its data. The direct backend runs the same provider
+// chain and data files as the server, in-process; the server backend sends
+// every call to a running dashboard's /api/v2 endpoints instead, so the CLI
+// shares its cache, vendor quota, budgets and accounts with the web UI.
+// Both have the same methods, answer in the API's v2 shapes and throw an
+// Error with a readable message when something fails.
+
+const DEFAULT_CRYPTO_IDS = ['bitcoin', 'ethereum', 'cardano', 'polkadot', 'chainlink'];
+
+const v2 = presenter('v2');
+
+// FINANCE_CONFIG, else config.json in $XDG_CONFIG_HOME/finance-dashboard
+// (~/.config/finance-dashboard)
+function configDir() {
+    return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'finance-dashboard');
+}
+
+function configPath() {
+    return process.env.FINANCE_CONFIG || path.join(configDir(), 'config.json');
+}
+
+// { server, apiKey } from the config file; {} when there is none
+function readConfig(file = configPath()) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+// A provider-chain result's data, or an Error for a failed one
+function unwrap(result) {
+    if (!result.success) throw new Error(result.error);
+    return result.data;
+}
+
+// A history route's v2 data for the { interval, from, to } query, or null
+// when the provider has no points
+async function history(type, args, cacheKey, query, present) {
+    const range = parseHistoryQuery(query);
+    if (range.error) throw new Error(range.error);
+    const { interval, from, to } = range;
+    const result = await makeAPIRequest(type, 'history', [...args, interval, from, to], `${cacheKey}_${interval}_${from}_${to}`);
+    return unwrap(result) ? present(range, filterRange(result.data, from, to), result).data : null;
+}
+
+function directBackend() {
+    return {
+        mode: 'direct',
+
+        async convert(amount, from, to) {
+            const data = await conversion.convert({ from, to, amount });
+            return { rate: data.rate, result: data.exact.result };
+        },
+
+        async quote(symbol) {
+            const result = await makeAPIRequest('stocks', 'quote', [symbol], `stock_${symbol}`);
+            return unwrap(result) ? v2.quote(result).data : null;
+        },
+
+        async cryptoPrices(ids = DEFAULT_CRYPTO_IDS) {
+            const key = ids.join(',');
+            const result = await makeAPIRequest('crypto', 'prices', [key], `crypto_${key}`);
+            return unwrap(result) ? v2.crypto(result, ids).data : [];
+        },
+
+        async stockHistory(symbol, query = {}) {
+            return history('stocks', [symbol], `stock_history_${symbol}`, query,
+                (range, points, result) => v2.stockHistory({ symbol, ...range }, points, result));
+        },
+
+        async cryptoHistory(id, query = {}) {
+            return history('crypto', [id], `crypto_history_${id}`, query,
+                (range, points, result) => v2.cryptoHistory({ id, ...range }, points, result));
+        },
+
+        async fxHistory(from, to, query = {}) {
+            return history('fx', [from, to], `fx_history_${from}_${to}`, query,
+                (range, points, result) => v2.fxHistory({ from, to, interval: range.interval, start: range.from, end: range.to }, points, result));
+        },
+
+        async economicCatalog() {
+            return economic.catalog();
+        },
+
+        // query: { from, to, limit }, as for /api/v2/economic/:indicator
+        async economicSeries(indicator, query = {}) {
+            const series = economic.findSeries(indicator);
+            if (!series) return null;
+            const result = await makeAPIRequest('economic', 'series', [series.id], `economic_${series.id}`);
+            return unwrap(result) ? v2.economic(result, { series, points: economic.selectPoints(result.data.data, query) }).data : null;
+        },
+
+        async calculateBudget(input) {
+            const { income, expenses, currency, error } = budget.validateBudget(input);
+            if (error) throw new Error(error);
+            return budget.summarizeEntries(income, expenses, currency);
+        },
+
+        async monthBudget(month, currency) {
+            const { income, expenses, transactionCount } = budget.entriesFromLedger(month);
+            return { month, transactionCount, ...(await budget.summarizeEntries(income, expenses, currency)) };
+        },
+
+        async importStatement(content, options) {
+            const result = ledger.importTransactions(content, options);
+            if (result.error) throw new Error(result.error);
+            return { ...result, importedCount: result.imported.length };
+        },
+
+        async getPlan(month) {
+            return budget.getPlan(month);
+        },
+
+        async savePlan(month, input) {
+            const { plan, error } = budget.validatePlan(input);
+            if (error) throw new Error(error);
+            return budget.savePlan(month, plan);
+        },
+
+        async planReport(month) {
+            return budget.varianceReport(month);
+        },
+
+        async trends(from, to, currency) {
+            return budget.trends(from, to, null, currency);
+        },
+
+        async listGoals() {
+            return budget.listGoals();
+        },
+
+        async createGoal(input) {
+            const { goal, error } = budget.validateGoal(input);
+            if (error) throw new Error(error);
+            return budget.createGoal(goal);
+        },
+
+        async deleteGoal(id) {
+            if (!budget.deleteGoal(id)) throw new Error(`Savings goal '${id}' not found`);
+        },
+
+        async netWorth(currency) {
+            return netWorth(currency);
+        },
+
+        async createAccount(input) {
+            const { account, error } = accounts.validateAccount(input);
+            if (error) throw new Error(error);
+            return accounts.createAccount(account);
+        },
+
+        async deleteAccount(id) {
+            if (!accounts.deleteAccount(id)) throw new Error(`Account '${id}' not found`);
+        }
+    };
+}
+
+function serverBackend({ server, apiKey }) {
+    const api = createClient({ baseUrl: server, apiKey, timeout: 10000 });
+    const data = async request => (await request).data;
+
+    // Resolve with null instead of rejecting when the API answers `code`
+    const unless = async (code, request) => {
+        try {
+            return await data(request);
+        } catch (error) {
+            if (error instanceof ApiClientError && error.code === code) return null;
+            throw error;
+        }
+    };
+
+    return {
+        mode: 'server',
+        server,
+
+        async convert(amount, from, to) {
+            const result = await data(api.convert(from, to, amount));
+            return { rate: result.rate, result: result.exact.result };
+        },
+
+        quote: symbol => unless('UNKNOWN_SYMBOL', api.stock(symbol)),
+
+        cryptoPrices: async (ids = DEFAULT_CRYPTO_IDS) => (await unless('UNKNOWN_SYMBOL', api.crypto(ids))) || [],
+
+        stockHistory: (symbol, query) => unless('UNKNOWN_SYMBOL', api.stockHistory(symbol, query)),
+
+        cryptoHistory: (id, query) => unless('UNKNOWN_SYMBOL', api.cryptoHistory(id, query)),
+
+        fxHistory: (from, to, query) => unless('RATE_UNAVAILABLE', api.fxHistory(from, to, query)),
+
+        economicCatalog: () => data(api.economicCatalog()),
+
+        economicSeries: (indicator, query) => unless('UNKNOWN_INDICATOR', api.economic(indicator, query)),
+
+        calculateBudget: input => data(api.post('/api/v2/budget/calculate', input)),
+
+        monthBudget: (month, currency) => data(api.get('/api/v2/budget/summary', { query: { month, currency } })),
+
+        // The file goes up as the raw body, its options in the query string
+        importStatement: (content, options) => data(api.post('/api/v2/transactions/import', content, { query: options })),
+
+        getPlan: month => unless('NOT_FOUND', api.get(`/api/v2/budget/plans/${encodeURIComponent(month)}`)),
+
+        savePlan: (month, input) => data(api.put(`/api/v2/budget/plans/${encodeURIComponent(month)}`, input)),
+
+        planReport: month => unless('NOT_FOUND', api.get(`/api/v2/budget/plans/${encodeURIComponent(month)}/report`)),
+
+        trends: (from, to, currency) => data(api.get('/api/v2/budget/trends', { query: { from, to, currency } })),
+
+        listGoals: () => data(api.get('/api/v2/budget/goals')),
+
+        createGoal: input => data(api.post('/api/v2/budget/goals', input)),
+
+        deleteGoal: id => data(api.delete(`/api/v2/budget/goals/${encodeURIComponent(id)}`)),
+
+        netWorth: currency => data(api.get('/api/v2/networth', { query: { currency } })),
+
+        createAccount: input => data(api.post('/api/v2/accounts', input)),
+
+        deleteAccount: id => data(api.delete(`/api/v2/accounts/${encodeURIComponent(id)}`))
+    };
+}
+
+// The server from `options` (--server, --api-key), else FINANCE_API_URL and
+// FINANCE_API_KEY, else the config file; direct mode when none names one or
+// with `direct` set
+function createBackend(options = {}) {
+    if (options.direct) return directBackend();
+    if (options.server) return serverBackend(options);
+    if (process.env.FINANCE_API_URL) {
+        return serverBackend({ server: process.env.FINANCE_API_URL, apiKey: options.apiKey || process.env.FINANCE_API_KEY });
+    }
+    const config = readConfig();
+    if (config.server) {
+        return serverBackend({ server: config.server, apiKey: options.apiKey || config.apiKey });
+    }
+    return directBackend();
+}
+
+module.exports = {
+    DEFAULT_CRYPTO_IDS,
+    configDir,
+    configPath,
+    readConfig,
+    directBackend,
+    serverBackend,
+    createBackend
+};
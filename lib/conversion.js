@@ -0,0 +1,216 @@
+const cache = require('./cache');
+const money = require('./money');
+const { makeAPIRequest } = require('./market-data');
+const { ApiError } = require('./errors');
+const { check, validationError, currency, decimal, date: dateRule } = require('./validation');
+const { toDateString } = require('./timeseries');
+
+// Currency conversion at the latest rates or at a past date. A pair is
+// converted from the "from" currency's rate table when it quotes the target,
+// otherwise crossed through a pivot currency's table (FX_PIVOT_CURRENCY,
+// default USD): from -> pivot -> to. Rate tables already in the cache are
+// used before anything is fetched, so converting many pairs needs few vendor
+// calls. Every result lists the table rates it was worked out from.
+const PIVOT_CURRENCY = (process.env.FX_PIVOT_CURRENCY || 'USD').toUpperCase();
+
+// Digits kept for a crossed rate
+const CROSS_RATE_PLACES = 12;
+
+const MAX_BULK_CONVERSIONS = 100;
+
+const BULK_DEFAULTS = {
+    to: currency({ optional: true }),
+    date: dateRule({ optional: true }),
+    pivot: currency({ default: PIVOT_CURRENCY })
+};
+
+const BULK_ENTRY = {
+    from: currency(),
+    to: currency(),
+    amount: decimal({ min: 0, code: 'INVALID_AMOUNT' }),
+    date: dateRule({ optional: true })
+};
+
+function tableKey(base, date) {
+    return date ? `exchange_${base}_${date}` : `exchange_${base}`;
+}
+
+// A date of today or later means the latest rates
+function historicalDate(date) {
+    return date && date < toDateString(new Date()) ? date : null;
+}
+
+// The rate table for `base` if the cache can serve it without a vendor call
+async function cachedTable(base, date) {
+    const entry = await cache.read('fx', tableKey(base, date));
+    return entry && entry.servable && entry.value.data ? await table(base, date) : null;
+}
+
+// The rate table for `base`, latest or on `date`, as a makeAPIRequest result
+function table(base, date) {
+    return date
+        ? makeAPIRequest('fx', 'historical', [base, date], tableKey(base, date))
+        : makeAPIRequest('fx', 'latest', [base], tableKey(base, date));
+}
+
+function quote(result, currency) {
+    const rates = result && result.success && result.data ? result.data.rates : null;
+    if (!rates) return null;
+    if (rates[currency] != null) return rates[currency];
+    return result.data.base === currency ? 1 : null;
+}
+
+// One table rate used for a conversion: 1 base = rate quote
+function leg(result, currency) {
+    return {
+        base: result.data.base,
+        quote: currency,
+        rate: quote(result, currency),
+        date: result.data.date,
+        provider: result.provider,
+        stale: Boolean(result.stale)
+    };
+}
+
+function direct(result, to) {
+    return { method: 'direct', pivot: null, rate: money.decimal(quote(result, to)), rates: [leg(result, to)] };
+}
+
+// from -> pivot -> to from the pivot's table: rate = pivot/to ÷ pivot/from
+function cross(result, pivot, from, to) {
+    const rate = money.normalize(money.divide(quote(result, to), quote(result, from), CROSS_RATE_PLACES));
+    return { method: 'cross', pivot, rate, rates: [leg(result, from), leg(result, to)] };
+}
+
+// How to get from `from` to `to`: { method, pivot, rate (decimal), rates }.
+// Throws an ApiError when no table quotes the pair.
+async function findRate(from, to, { date = null, pivot = PIVOT_CURRENCY } = {}) {
+    const day = historicalDate(date);
+    if (from === to) {
+        return { method: 'identity', pivot: null, rate: money.decimal(1), rates: [] };
+    }
+
+    const canCross = pivot !== from;
+    const cachedFrom = await cachedTable(from, day);
+    if (quote(cachedFrom, to) != null) return direct(cachedFrom, to);
+    if (canCross) {
+        const cachedPivot = await cachedTable(pivot, day);
+        if (quote(cachedPivot, from) && quote(cachedPivot, to) != null) return cross(cachedPivot, pivot, from, to);
+    }
+
+    const fromTable = cachedFrom || await table(from, day);
+    if (quote(fromTable, to) != null) return direct(fromTable, to);
+
+    let failure = fromTable.success ? null : fromTable;
+    if (canCross) {
+        const pivotTable = await table(pivot, day);
+        if (quote(pivotTable, from) && quote(pivotTable, to) != null) return cross(pivotTable, pivot, from, to);
+        failure = failure || (pivotTable.success ? null : pivotTable);
+    }
+
+    // A vendor failure only explains the gap when no table answered at all
+    if (failure && !fromTable.success) {
+        throw new ApiError(failure.code || 'UPSTREAM_ERROR', failure.error);
+    }
+    const when = day ? ` on ${day}` : '';
+    throw new ApiError('RATE_UNAVAILABLE', `Conversion rate from ${from} to ${to} not available${when}`);
+}
+
+// Convert `amount` (number or decimal string): the result is rounded to the
+// minor units of `to`. Numbers for arithmetic, exact strings under `exact`.
+async function convert({ from, to, amount, date = null, pivot = PIVOT_CURRENCY }) {
+    if (date && date > toDateString(new Date())) {
+        throw new ApiError('INVALID_DATE', `date ${date} is in the future`);
+    }
+    const found = await findRate(from, to, { date, pivot });
+    const result = money.roundMoney(money.multiply(amount, found.rate), to);
+
+    return {
+        from,
+        to,
+        amount: money.toNumber(amount),
+        rate: money.toNumber(found.rate),
+        result: money.toNumber(result),
+        date: date || null,
+        method: found.method,
+        pivot: found.pivot,
+        rates: found.rates,
+        stale: found.rates.some(rate => rate.stale),
+        exact: {
+            amount: money.toString(amount),
+            rate: money.toString(found.rate),
+            result: money.toString(result)
+        }
+    };
+}
+
+// Check a bulk request: { conversions: [{ from, to?, amount, date? }], to?, date?, pivot? }.
+// Top-level to and date apply to entries that leave them out. Returns
+// { items, pivot }; throws an ApiError listing every bad field.
+function validateBulk(input) {
+    const list = input.conversions;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new ApiError('VALIDATION_ERROR', 'conversions must be a non-empty array');
+    }
+    if (list.length > MAX_BULK_CONVERSIONS) {
+        throw new ApiError('VALIDATION_ERROR', `At most ${MAX_BULK_CONVERSIONS} conversions per request`);
+    }
+
+    const defaults = check(BULK_DEFAULTS, input);
+    const details = [...defaults.details];
+    const items = list.map((entry, index) => {
+        const checked = check(BULK_ENTRY, {
+            to: defaults.values.to,
+            date: defaults.values.date,
+            ...(entry && typeof entry === 'object' ? entry : {})
+        });
+        checked.details.forEach(detail => details.push({ ...detail, field: `conversions[${index}].${detail.field}` }));
+        return checked.values;
+    });
+    if (details.length > 0) {
+        throw validationError(details);
+    }
+
+    return { items, pivot: defaults.values.pivot };
+}
+
+// Convert every entry; one failing entry is reported in `errors` without
+// failing the rest. When all results share a currency they are totalled.
+async function convertMany(items, pivot = PIVOT_CURRENCY) {
+    const data = [];
+    const errors = [];
+
+    for (const [index, item] of items.entries()) {
+        try {
+            data.push({ index, ...await convert({ ...item, pivot }) });
+        } catch (error) {
+            if (!(error instanceof ApiError)) throw error;
+            errors.push({ index, from: item.from, to: item.to, code: error.code, error: error.message });
+        }
+    }
+
+    const currencies = [...new Set(items.map(item => item.to))];
+    const total = currencies.length === 1 && errors.length === 0
+        ? money.sum(data.map(conversion => conversion.exact.result))
+        : null;
+
+    return {
+        data,
+        errors,
+        total: total && {
+            currency: currencies[0],
+            amount: money.toNumber(total),
+            exact: { amount: money.toString(total) }
+        },
+        stale: data.some(conversion => conversion.stale)
+    };
+}
+
+module.exports = {
+    PIVOT_CURRENCY,
+    MAX_BULK_CONVERSIONS,
+    findRate,
+    convert,
+    validateBulk,
+    convertMany
+};
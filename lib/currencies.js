@@ -0,0 +1,52 @@
+// ISO 4217 currency codes and their minor units (digits after the decimal
+// point). Funds and precious metals are included; the testing (XTS) and
+// "no currency" (XXX) codes are not.
+const CODES = `
+AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BOV
+BRL BSD BTN BWP BYN BZD CAD CDF CHE CHF CHW CLF CLP CNY COP COU CRC CUC CUP CVE
+CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF GTQ GYD HKD
+HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD
+KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MXV
+MYR MZN NAD NGN NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB
+RWF SAR SBD SCR SDG SEK SGD SHP SLE SLL SOS SRD SSP STN SVC SYP SZL THB TJS TMT
+TND TOP TRY TTD TWD TZS UAH UGX USD USN UYI UYU UYW UZS VED VES VND VUV WST XAF
+XAG XAU XBA XBB XBC XBD XCD XCG XDR XOF XPD XPF XPT XSU XUA YER ZAR ZMW ZWG ZWL
+`.trim().split(/\s+/);
+
+// Everything not listed here has two minor units. Metals and bond-market
+// units have none defined (null).
+const MINOR_UNIT_EXCEPTIONS = {
+    0: ['BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'UYI', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'],
+    3: ['BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND'],
+    4: ['CLF', 'UYW'],
+    null: ['XAG', 'XAU', 'XBA', 'XBB', 'XBC', 'XBD', 'XDR', 'XPD', 'XPT', 'XSU', 'XUA']
+};
+
+const MINOR_UNITS = Object.fromEntries(CODES.map(code => [code, 2]));
+Object.entries(MINOR_UNIT_EXCEPTIONS).forEach(([digits, codes]) => {
+    codes.forEach(code => {
+        MINOR_UNITS[code] = digits === 'null' ? null : parseInt(digits);
+    });
+});
+
+// Cryptocurrencies by ticker, with the smallest unit their chains transfer
+const CRYPTO_DECIMALS = {
+    BTC: 8, BCH: 8, LTC: 8, DOGE: 8, ETH: 18, LINK: 18, SOL: 9,
+    DOT: 10, ADA: 6, XRP: 6, USDT: 6, USDC: 6
+};
+
+const CURRENCY_CODES = new Set(CODES);
+
+function isCurrency(code) {
+    return CURRENCY_CODES.has(String(code || '').toUpperCase());
+}
+
+// Digits after the decimal point for a currency or cryptocurrency ticker,
+// 2 when neither ISO 4217 nor CRYPTO_DECIMALS defines any
+function minorUnits(code) {
+    const upper = String(code || '').toUpperCase();
+    const digits = upper in CRYPTO_DECIMALS ? CRYPTO_DECIMALS[upper] : MINOR_UNITS[upper];
+    return digits == null ? 2 : digits;
+}
+
+module.exports = { CURRENCY_CODES, CRYPTO_DECIMALS, isCurrency, minorUnits };
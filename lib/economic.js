@@ -0,0 +1,197 @@
+// Economic series the API serves, by id. Each names the Alpha Vantage
+// function (with the parameters that pick its frequency or maturity) and the
+// FRED series with the same data, so both providers answer in the unit and
+// frequency listed here.
+const SERIES = {
+    REAL_GDP: {
+        name: 'Real GDP',
+        category: 'Growth',
+        unit: 'billions of chained 2012 dollars',
+        frequency: 'quarterly',
+        alphavantage: { function: 'REAL_GDP', interval: 'quarterly' },
+        fred: 'GDPC1'
+    },
+    REAL_GDP_PER_CAPITA: {
+        name: 'Real GDP per capita',
+        category: 'Growth',
+        unit: 'chained 2012 dollars',
+        frequency: 'quarterly',
+        alphavantage: { function: 'REAL_GDP_PER_CAPITA' },
+        fred: 'A939RX0Q048SBEA'
+    },
+    CPI: {
+        name: 'Consumer Price Index',
+        category: 'Prices',
+        unit: 'index 1982-1984=100',
+        frequency: 'monthly',
+        alphavantage: { function: 'CPI', interval: 'monthly' },
+        fred: 'CPIAUCSL'
+    },
+    INFLATION: {
+        name: 'Inflation',
+        category: 'Prices',
+        unit: 'percent',
+        frequency: 'annual',
+        alphavantage: { function: 'INFLATION' },
+        fred: 'FPCPITOTLZGUSA'
+    },
+    UNEMPLOYMENT: {
+        name: 'Unemployment rate',
+        category: 'Labor',
+        unit: 'percent',
+        frequency: 'monthly',
+        alphavantage: { function: 'UNEMPLOYMENT' },
+        fred: 'UNRATE'
+    },
+    NONFARM_PAYROLL: {
+        name: 'Nonfarm payroll',
+        category: 'Labor',
+        unit: 'thousands of people',
+        frequency: 'monthly',
+        alphavantage: { function: 'NONFARM_PAYROLL' },
+        fred: 'PAYEMS'
+    },
+    RETAIL_SALES: {
+        name: 'Retail sales',
+        category: 'Spending',
+        unit: 'millions of dollars',
+        frequency: 'monthly',
+        alphavantage: { function: 'RETAIL_SALES' },
+        fred: 'RSXFS'
+    },
+    DURABLES: {
+        name: 'Durable goods orders',
+        category: 'Spending',
+        unit: 'millions of dollars',
+        frequency: 'monthly',
+        alphavantage: { function: 'DURABLES' },
+        fred: 'DGORDER'
+    },
+    FEDERAL_FUNDS_RATE: {
+        name: 'Federal funds rate',
+        category: 'Rates',
+        unit: 'percent',
+        frequency: 'monthly',
+        alphavantage: { function: 'FEDERAL_FUNDS_RATE', interval: 'monthly' },
+        fred: 'FEDFUNDS'
+    },
+    TREASURY_YIELD_3M: {
+        name: '3-month Treasury yield',
+        category: 'Rates',
+        unit: 'percent',
+        frequency: 'monthly',
+        alphavantage: { function: 'TREASURY_YIELD', interval: 'monthly', maturity: '3month' },
+        fred: 'GS3M'
+    },
+    TREASURY_YIELD_2Y: {
+        name: '2-year Treasury yield',
+        category: 'Rates',
+        unit: 'percent',
+        frequency: 'monthly',
+        alphavantage: { function: 'TREASURY_YIELD', interval: 'monthly', maturity: '2year' },
+        fred: 'GS2'
+    },
+    TREASURY_YIELD_5Y: {
+        name: '5-year Treasury yield',
+        category: 'Rates',
+        unit: 'percent',
+        frequency: 'monthly',
+        alphavantage: { function: 'TREASURY_YIELD', interval: 'monthly', maturity: '5year' },
+        fred: 'GS5'
+    },
+    TREASURY_YIELD_10Y: {
+        name: '10-year Treasury yield',
+        category: 'Rates',
+        unit: 'percent',
+        frequency: 'monthly',
+        alphavantage: { function: 'TREASURY_YIELD', interval: 'monthly', maturity: '10year' },
+        fred: 'GS10'
+    },
+    TREASURY_YIELD_30Y: {
+        name: '30-year Treasury yield',
+        category: 'Rates',
+        unit: 'percent',
+        frequency: 'monthly',
+        alphavantage: { function: 'TREASURY_YIELD', interval: 'monthly', maturity: '30year' },
+        fred: 'GS30'
+    }
+};
+
+// The original indicator names keep working as aliases
+const ALIASES = {
+    GDP: 'REAL_GDP',
+    INTEREST_RATE: 'FEDERAL_FUNDS_RATE',
+    TREASURY_YIELD: 'TREASURY_YIELD_10Y'
+};
+
+// Every name the /economic/:indicator routes accept
+const INDICATORS = [...Object.keys(SERIES), ...Object.keys(ALIASES)];
+
+// Points a series request returns when it names no range or limit, and at most
+const DEFAULT_POINTS = 10;
+const MAX_POINTS = 1000;
+
+// The catalog entry for an id or alias, with its id; null if unknown
+function findSeries(indicator) {
+    const key = String(indicator).toUpperCase();
+    const id = ALIASES[key] || key;
+    return SERIES[id] ? { id, ...SERIES[id] } : null;
+}
+
+// The Alpha Vantage query for a series. v1 still sends only the function, so
+// its answers keep Alpha Vantage's default interval (annual for REAL_GDP);
+// v2 asks for the catalog's frequency and maturity.
+function alphaVantageQuery(id, version = 'v2') {
+    return version === 'v1' ? { function: SERIES[id].alphavantage.function } : SERIES[id].alphavantage;
+}
+
+// The public catalog: what each series is, without the provider mappings
+function catalog() {
+    return Object.entries(SERIES).map(([id, series]) => ({
+        id,
+        name: series.name,
+        category: series.category,
+        unit: series.unit,
+        frequency: series.frequency,
+        aliases: Object.keys(ALIASES).filter(alias => ALIASES[alias] === id)
+    }));
+}
+
+// The points of a provider series (newest first) between `from` and `to`,
+// then the `limit` newest of them. Without a range or limit only the
+// DEFAULT_POINTS newest are kept.
+function selectPoints(points, { from, to, limit } = {}) {
+    const inRange = points.filter(point => (!from || point.date >= from) && (!to || point.date <= to));
+    if (limit) return inRange.slice(0, limit);
+    return from || to ? inRange.slice(0, MAX_POINTS) : inRange.slice(0, DEFAULT_POINTS);
+}
+
+// Line two series ({ date, value } oldest first) up by date for a side-by-side
+// table: every date of either series, each with the latest value of the
+// other on or before it, so monthly and quarterly series can be compared
+function alignSeries(first, second) {
+    const dates = [...new Set([...first, ...second].map(point => point.date))].sort();
+    const latest = points => {
+        let index = -1;
+        return date => {
+            while (index + 1 < points.length && points[index + 1].date <= date) index++;
+            return index >= 0 ? points[index].value : null;
+        };
+    };
+    const firstAt = latest(first);
+    const secondAt = latest(second);
+    return dates.map(date => ({ date, values: [firstAt(date), secondAt(date)] }));
+}
+
+module.exports = {
+    SERIES,
+    ALIASES,
+    INDICATORS,
+    DEFAULT_POINTS,
+    MAX_POINTS,
+    findSeries,
+    alphaVantageQuery,
+    catalog,
+    selectPoints,
+    alignSeries
+};
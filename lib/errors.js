@@ -0,0 +1,87 @@
+// The API's error contract. Every failed request answers
+//   { success: false, error: <message for people>, code: <CODE>, details?: [...] }
+// with the HTTP status that belongs to the code. `details` lists per-field
+// problems for validation errors: [{ field, code, message }].
+const ERROR_CODES = {
+    VALIDATION_ERROR: 400,
+    INVALID_CURRENCY: 400,
+    INVALID_SYMBOL: 400,
+    INVALID_AMOUNT: 400,
+    INVALID_DATE: 400,
+    INVALID_JSON: 400,
+    UNAUTHENTICATED: 401,
+    INVALID_API_KEY: 401,
+    INVALID_CREDENTIALS: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    UNKNOWN_SYMBOL: 404,
+    UNKNOWN_INDICATOR: 404,
+    RATE_UNAVAILABLE: 404,
+    CONFLICT: 409,
+    RATE_LIMITED: 429,
+    QUOTA_EXCEEDED: 429,
+    INTERNAL_ERROR: 500,
+    UPSTREAM_ERROR: 502,
+    UPSTREAM_RATE_LIMITED: 503,
+    UPSTREAM_UNAVAILABLE: 503,
+    UPSTREAM_TIMEOUT: 504
+};
+
+class ApiError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+        this.status = ERROR_CODES[this.code];
+        this.details = details;
+    }
+}
+
+function errorBody(code, message, details) {
+    const body = { success: false, error: message, code };
+    if (details && details.length > 0) body.details = details;
+    return body;
+}
+
+function sendError(res, code, message, details) {
+    const error = new ApiError(code, message, details);
+    res.status(error.status).json(errorBody(error.code, error.message, error.details));
+}
+
+// Code for a vendor failure, from the status the provider chain reported
+function upstreamCode(status) {
+    if (status === 504) return 'UPSTREAM_TIMEOUT';
+    if (status === 429) return 'UPSTREAM_RATE_LIMITED';
+    if (status === 503) return 'UPSTREAM_UNAVAILABLE';
+    return 'UPSTREAM_ERROR';
+}
+
+// Express error handler: ApiErrors keep their code, malformed JSON bodies are
+// INVALID_JSON and anything else is logged and reported as INTERNAL_ERROR
+// without its internals.
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err);
+
+    if (err instanceof ApiError) {
+        return res.status(err.status).json(errorBody(err.code, err.message, err.details));
+    }
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 'INVALID_JSON', 'Request body is not valid JSON');
+    }
+
+    console.error('Unhandled error:', err);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error');
+}
+
+function notFoundHandler(req, res) {
+    sendError(res, 'NOT_FOUND', `The requested endpoint ${req.path} does not exist`);
+}
+
+module.exports = {
+    ERROR_CODES,
+    ApiError,
+    sendError,
+    upstreamCode,
+    errorHandler,
+    notFoundHandler
+};
@@ -0,0 +1,193 @@
+// Bank CSV export parsing with column-mapping presets
+const rules = require('../validation');
+
+// Rows are held to the rules manual entries follow (lib/ledger.js)
+const DATE = rules.date();
+const CURRENCY = rules.currency({ optional: true });
+
+// Column mappings for common bank exports. A mapping names the columns for
+// date, payee and either a signed amount or separate debit/credit columns.
+// invertAmount flips banks that export spending as positive numbers.
+const PRESETS = {
+    generic: {
+        label: 'Generic (Date, Description, Amount)',
+        date: 'Date', payee: 'Description', amount: 'Amount', dateFormat: 'YYYY-MM-DD'
+    },
+    chase: {
+        label: 'Chase',
+        date: 'Posting Date', payee: 'Description', amount: 'Amount', dateFormat: 'MM/DD/YYYY'
+    },
+    'bank-of-america': {
+        label: 'Bank of America',
+        date: 'Date', payee: 'Description', amount: 'Amount', dateFormat: 'MM/DD/YYYY'
+    },
+    'capital-one': {
+        label: 'Capital One',
+        date: 'Transaction Date', payee: 'Description', debit: 'Debit', credit: 'Credit', dateFormat: 'YYYY-MM-DD'
+    },
+    amex: {
+        label: 'American Express',
+        date: 'Date', payee: 'Description', amount: 'Amount', dateFormat: 'MM/DD/YYYY', invertAmount: true
+    },
+    revolut: {
+        label: 'Revolut',
+        date: 'Started Date', payee: 'Description', amount: 'Amount', currency: 'Currency', dateFormat: 'YYYY-MM-DD'
+    },
+    'european-bank': {
+        label: 'European (DD.MM.YYYY, decimal comma)',
+        date: 'Date', payee: 'Description', amount: 'Amount', dateFormat: 'DD.MM.YYYY', decimalComma: true
+    }
+};
+
+// Split CSV text into rows of fields. Handles quoted fields, escaped quotes,
+// embedded newlines, CRLF line endings and comma or semicolon delimiters.
+function parseRows(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function parseDate(value, format) {
+    const text = value.trim();
+    let year;
+    let month;
+    let day;
+
+    if (format === 'MM/DD/YYYY' || format === 'DD/MM/YYYY' || format === 'DD.MM.YYYY') {
+        const parts = text.split(/[/.\-\s]/);
+        [month, day, year] = format === 'MM/DD/YYYY' ? parts : [parts[1], parts[0], parts[2]];
+        if (year && year.length === 2) year = `20${year}`;
+    } else {
+        [year, month, day] = text.slice(0, 10).split('-');
+    }
+
+    const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return DATE(date, 'date').code ? null : date;
+}
+
+// Parse "1,234.56", "(12.00)", "-$5", "1.234,56" (decimalComma) and the like
+function parseAmount(value, decimalComma = false) {
+    let text = String(value || '').trim();
+    if (!text) return null;
+
+    const negative = /^\(.*\)$/.test(text) || text.includes('-');
+    text = text.replace(/[^\d.,]/g, '');
+    text = decimalComma ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+
+    const amount = parseFloat(text);
+    if (isNaN(amount)) return null;
+    return negative ? -amount : amount;
+}
+
+// Turn CSV text into { transactions, errors }. Transactions carry a signed
+// amount: negative for money out, positive for money in.
+function parseCSV(text, mapping) {
+    const rows = parseRows(text);
+    if (rows.length < 2) {
+        return { transactions: [], errors: [{ line: 1, error: 'CSV file has no data rows' }] };
+    }
+
+    const header = rows[0].map(name => name.trim().toLowerCase());
+    const column = name => (name ? header.indexOf(name.toLowerCase()) : -1);
+    const columns = {
+        date: column(mapping.date),
+        payee: column(mapping.payee),
+        amount: column(mapping.amount),
+        debit: column(mapping.debit),
+        credit: column(mapping.credit),
+        memo: column(mapping.memo),
+        currency: column(mapping.currency)
+    };
+
+    const missing = ['date', 'payee'].filter(field => columns[field] === -1);
+    if (columns.amount === -1 && columns.debit === -1 && columns.credit === -1) {
+        missing.push('amount');
+    }
+    if (missing.length > 0) {
+        return {
+            transactions: [],
+            errors: [{ line: 1, error: `Missing columns for: ${missing.join(', ')} (found: ${rows[0].join(', ')})` }]
+        };
+    }
+
+    const transactions = [];
+    const errors = [];
+
+    rows.slice(1).forEach((row, index) => {
+        const line = index + 2;
+        const date = parseDate(row[columns.date] || '', mapping.dateFormat);
+        if (!date) {
+            errors.push({ line, error: `Invalid date '${row[columns.date]}'` });
+            return;
+        }
+
+        let amount;
+        if (columns.amount !== -1) {
+            amount = parseAmount(row[columns.amount], mapping.decimalComma);
+        } else {
+            const debit = parseAmount(row[columns.debit], mapping.decimalComma);
+            const credit = parseAmount(row[columns.credit], mapping.decimalComma);
+            amount = debit != null || credit != null ? (credit || 0) - Math.abs(debit || 0) : null;
+        }
+        if (amount == null) {
+            errors.push({ line, error: 'Missing or invalid amount' });
+            return;
+        }
+
+        const currency = columns.currency !== -1 ? CURRENCY(row[columns.currency], mapping.currency) : { value: undefined };
+        if (currency.code) {
+            errors.push({ line, error: currency.message });
+            return;
+        }
+
+        transactions.push({
+            date,
+            amount: mapping.invertAmount ? -amount : amount,
+            payee: (row[columns.payee] || '').trim(),
+            memo: columns.memo !== -1 ? (row[columns.memo] || '').trim() : '',
+            currency: currency.value || null
+        });
+    });
+
+    return { transactions, errors };
+}
+
+module.exports = { PRESETS, parseRows, parseCSV };
@@ -0,0 +1,71 @@
+// OFX/QFX statement parsing. Handles both OFX 1.x SGML, where leaf
+// elements have no closing tags, and OFX 2.x XML.
+const rules = require('../validation');
+
+// Transactions are held to the rules manual entries follow (lib/ledger.js)
+const DATE = rules.date();
+const CURRENCY = rules.currency({ optional: true });
+
+function decodeEntities(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Value of the first <TAG> in a block, with or without a closing tag
+function tagValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? decodeEntities(match[1].trim()) : null;
+}
+
+// OFX datetimes look like 20250731120000.000[-5:EST]; only the date is kept
+function parseOFXDate(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    const date = match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    return date && !DATE(date, 'DTPOSTED').code ? date : null;
+}
+
+// Turn OFX text into { transactions, errors, account, currency }
+function parseOFX(text) {
+    if (!/<OFX>/i.test(text)) {
+        return { transactions: [], errors: [{ line: 1, error: 'Not an OFX/QFX file' }] };
+    }
+
+    const account = tagValue(text, 'ACCTID');
+    const currency = tagValue(text, 'CURDEF');
+    const transactions = [];
+    const errors = [];
+
+    const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+    blocks.forEach((block, index) => {
+        const posted = tagValue(block, 'DTPOSTED');
+        const date = parseOFXDate(posted);
+        const amount = parseFloat(tagValue(block, 'TRNAMT'));
+        if (!date || isNaN(amount)) {
+            const problem = posted && !date ? `has an invalid posted date '${posted}'` : 'is missing a posted date or amount';
+            errors.push({ line: index + 1, error: `Transaction ${index + 1} ${problem}` });
+            return;
+        }
+        const code = CURRENCY(tagValue(block, 'CURRENCY') || currency, 'CURRENCY');
+        if (code.code) {
+            errors.push({ line: index + 1, error: `Transaction ${index + 1}: ${code.message}` });
+            return;
+        }
+
+        transactions.push({
+            date,
+            amount,
+            payee: tagValue(block, 'NAME') || tagValue(block, 'PAYEE') || tagValue(block, 'MEMO') || '',
+            memo: tagValue(block, 'MEMO') || '',
+            currency: code.value || null,
+            externalId: tagValue(block, 'FITID')
+        });
+    });
+
+    return { transactions, errors, account, currency };
+}
+
+module.exports = { parseOFX };
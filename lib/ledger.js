@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const { collection, ownedBy } = require('./store');
+const { PRESETS, parseCSV } = require('./importers/csv');
+const { parseOFX } = require('./importers/ofx');
+const { CATEGORY_IDS, listRules, categorize } = require('./categories');
+const rules = require('./validation');
+const money = require('./money');
+
+// Transactions carry a signed amount: negative for spending, positive for
+// income. Their category comes from the rules engine (categorySource 'rule')
+// unless the user set one by hand (categorySource 'manual'). Each user has
+// their own ledger, categorized by their own rules. Amounts are stored as
+// exact strings in the currency's minor units ("-12.50").
+const transactions = collection('transactions');
+
+const EDITABLE_FIELDS = ['date', 'amount', 'payee', 'memo', 'currency', 'account'];
+
+function ruleCategory(transaction, ruleSet) {
+    return categorize({
+        payee: transaction.payee,
+        amount: money.toNumber(money.abs(transaction.amount)),
+        income: money.compare(transaction.amount, 0) > 0
+    }, ruleSet).category;
+}
+
+function withCategory(transaction, ruleSet) {
+    return { ...transaction, category: ruleCategory(transaction, ruleSet), categorySource: 'rule' };
+}
+
+function normalizePayee(payee) {
+    return payee.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Identity used for duplicate detection. OFX transactions have a bank-issued
+// FITID; everything else falls back to account, date, amount and payee.
+function fingerprint(transaction) {
+    if (transaction.externalId) {
+        return `fitid:${transaction.account}:${transaction.externalId}`;
+    }
+    const key = [transaction.account, transaction.date, money.toString(money.round(transaction.amount, 2)), normalizePayee(transaction.payee)].join('|');
+    return `hash:${crypto.createHash('sha1').update(key).digest('hex')}`;
+}
+
+// Calendar dates only (no 2026-02-30) and plain decimal amounts (no "12abc")
+const TRANSACTION_FIELDS = {
+    date: rules.date(),
+    amount: rules.decimal({ code: 'INVALID_AMOUNT' }),
+    currency: rules.currency({ default: 'USD' })
+};
+
+// Validate manual or edited transaction fields. Returns { transaction } or { error }.
+function validateTransaction(input) {
+    const { values, details } = rules.check(TRANSACTION_FIELDS, input);
+    if (details.length > 0) {
+        return { error: details[0].message, code: details[0].code };
+    }
+    if (money.compare(values.amount, 0) === 0) {
+        return { error: 'amount must be a non-zero number (negative for spending)', code: 'INVALID_AMOUNT' };
+    }
+
+    const payee = String(input.payee || '').trim();
+    if (!payee) {
+        return { error: 'payee is required' };
+    }
+
+    if (input.category != null && !CATEGORY_IDS.includes(input.category)) {
+        return { error: `Unknown category '${input.category}'` };
+    }
+
+    return {
+        transaction: {
+            ...(input.category !== undefined ? { category: input.category } : {}),
+            date: values.date,
+            amount: money.moneyString(values.amount, values.currency),
+            payee,
+            memo: String(input.memo || '').trim(),
+            currency: values.currency,
+            account: String(input.account || 'default').trim()
+        }
+    };
+}
+
+// A transaction as the API returns it: the amount as a number for arithmetic
+// and as the exact string under `exact`
+function publicTransaction(record) {
+    if (!record) return null;
+    const amount = money.moneyString(record.amount, record.currency || 'USD');
+    return { ...record, amount: money.toNumber(amount), exact: { amount } };
+}
+
+function listTransactions(filters = {}, owner = null) {
+    const search = filters.q ? filters.q.toLowerCase() : null;
+    const min = filters.min !== undefined ? parseFloat(filters.min) : null;
+    const max = filters.max !== undefined ? parseFloat(filters.max) : null;
+
+    return transactions.all(t =>
+        ownedBy(owner)(t) &&
+        (!filters.from || t.date >= filters.from) &&
+        (!filters.to || t.date <= filters.to) &&
+        (!filters.month || t.date.startsWith(filters.month)) &&
+        (!filters.account || t.account === filters.account) &&
+        (!filters.category || t.category === filters.category) &&
+        (filters.type !== 'income' || money.compare(t.amount, 0) > 0) &&
+        (filters.type !== 'expense' || money.compare(t.amount, 0) < 0) &&
+        (min === null || money.compare(money.abs(t.amount), min) >= 0) &&
+        (max === null || money.compare(money.abs(t.amount), max) <= 0) &&
+        (!search || t.payee.toLowerCase().includes(search) || t.memo.toLowerCase().includes(search))
+    ).sort((a, b) => b.date.localeCompare(a.date)).map(publicTransaction);
+}
+
+// The stored record, amount still a string
+function findTransaction(id, owner) {
+    const transaction = transactions.get(id);
+    return transaction && ownedBy(owner)(transaction) ? transaction : null;
+}
+
+function getTransaction(id, owner = null) {
+    return publicTransaction(findTransaction(id, owner));
+}
+
+function addTransaction(transaction, source = 'manual', owner = null) {
+    const categorized = transaction.category
+        ? { ...transaction, categorySource: 'manual' }
+        : withCategory(transaction, listRules(owner));
+    return publicTransaction(transactions.insert({ ...categorized, source, fingerprint: fingerprint(transaction), userId: owner || null }));
+}
+
+// Setting a category pins it by hand; setting it to null hands it back to the rules
+function updateTransaction(id, changes, owner = null) {
+    const existing = findTransaction(id, owner);
+    if (!existing) return null;
+
+    let edited = { ...existing };
+    EDITABLE_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) edited[field] = changes[field];
+    });
+
+    if (changes.category) {
+        edited = { ...edited, category: changes.category, categorySource: 'manual' };
+    } else if (changes.category === null || edited.categorySource !== 'manual') {
+        edited = withCategory(edited, listRules(owner));
+    }
+
+    return publicTransaction(transactions.update(id, { ...edited, fingerprint: fingerprint(edited) }));
+}
+
+// Transactions of `owner` whose rule-assigned category would differ under `ruleSet`
+function previewCategoryRules(ruleSet, owner = null) {
+    return transactions.all(t => ownedBy(owner)(t) && t.categorySource !== 'manual')
+        .map(t => ({ transaction: t, category: ruleCategory(t, ruleSet) }))
+        .filter(({ transaction, category }) => transaction.category !== category)
+        .map(({ transaction, category }) => ({
+            id: transaction.id,
+            date: transaction.date,
+            payee: transaction.payee,
+            amount: money.toNumber(transaction.amount),
+            from: transaction.category,
+            to: category
+        }));
+}
+
+// Re-run the owner's saved rules over their rule-categorized transactions
+function applyCategoryRules(owner = null) {
+    const changes = previewCategoryRules(listRules(owner), owner);
+    changes.forEach(change => transactions.update(change.id, { category: change.to }));
+    return changes.length;
+}
+
+function deleteTransaction(id, owner = null) {
+    return findTransaction(id, owner) ? transactions.remove(id) : false;
+}
+
+// Import a CSV or OFX/QFX statement. Options:
+//   format: 'csv' or 'ofx' (detected from the content when omitted)
+//   preset / mapping: CSV column mapping, mapping fields override the preset
+//   account, currency: defaults for rows that do not carry their own
+//   dryRun: parse and report without saving
+// Rows already in the owner's ledger are skipped. Repeats within one file
+// are kept, so two identical coffees on the same day only count as
+// duplicates of two existing ones.
+function importTransactions(content, options = {}, owner = null) {
+    const format = options.format || (/<OFX>/i.test(content) ? 'ofx' : 'csv');
+    let parsed;
+
+    if (format === 'ofx' || format === 'qfx') {
+        parsed = parseOFX(content);
+    } else if (format === 'csv') {
+        const preset = PRESETS[options.preset || 'generic'];
+        if (!preset) {
+            return { error: `Unknown CSV preset '${options.preset}'. Use one of: ${Object.keys(PRESETS).join(', ')}` };
+        }
+        parsed = parseCSV(content, { ...preset, ...(options.mapping || {}) });
+    } else {
+        return { error: `Unsupported import format '${format}'. Use csv, ofx or qfx` };
+    }
+
+    const fallbackCurrency = TRANSACTION_FIELDS.currency(options.currency, 'currency');
+    if (fallbackCurrency.code) {
+        return { error: fallbackCurrency.message, code: fallbackCurrency.code };
+    }
+
+    const account = options.account || parsed.account || 'default';
+    const existing = {};
+    transactions.all(ownedBy(owner)).forEach(t => {
+        existing[t.fingerprint] = (existing[t.fingerprint] || 0) + 1;
+    });
+
+    const ruleSet = listRules(owner);
+    const importId = crypto.randomUUID();
+    const imported = [];
+    let duplicates = 0;
+
+    parsed.transactions.forEach(row => {
+        const currency = row.currency || fallbackCurrency.value;
+        const transaction = {
+            ...row,
+            amount: money.moneyString(row.amount, currency),
+            payee: row.payee || '(unknown payee)',
+            currency,
+            account
+        };
+        const key = fingerprint(transaction);
+        if (existing[key] > 0) {
+            existing[key]--;
+            duplicates++;
+            return;
+        }
+        imported.push(withCategory(transaction, ruleSet));
+    });
+
+    const saved = options.dryRun
+        ? imported
+        : imported.map(transaction => transactions.insert({
+            ...transaction,
+            source: format === 'csv' ? 'csv' : 'ofx',
+            importId,
+            fingerprint: fingerprint(transaction),
+            userId: owner || null
+        }));
+
+    return {
+        importId: options.dryRun ? null : importId,
+        format,
+        account,
+        imported: saved.map(publicTransaction),
+        duplicates,
+        errors: parsed.errors
+    };
+}
+
+module.exports = {
+    PRESETS,
+    validateTransaction,
+    listTransactions,
+    getTransaction,
+    addTransaction,
+    updateTransaction,
+    deleteTransaction,
+    importTransactions,
+    previewCategoryRules,
+    applyCategoryRules
+};
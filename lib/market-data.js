@@ -0,0 +1,99 @@
+const cache = require('./cache');
+const { fetchFromProviders } = require('./providers');
+const { ERROR_CODES, upstreamCode } = require('./errors');
+
+// Vendor requests currently on their way, by cache key. Identical requests
+// that arrive meanwhile share the pending answer instead of calling again.
+const inFlight = new Map();
+
+// Fetch normalized market data through the provider chain, with caching and error handling.
+// A fresh cache entry is returned as is; an expired one still inside its
+// stale window is returned straight away while a refresh runs in the background.
+// Past that window the vendor is asked first, and the last-known-good value
+// is only served, marked stale, when every provider fails.
+async function makeAPIRequest(type, method, args, cacheKey) {
+    const entry = await cache.read(type, cacheKey);
+    if (entry && entry.servable) {
+        if (!entry.fresh) {
+            refresh(type, method, args, cacheKey);
+        }
+        return fromCache(entry);
+    }
+
+    const result = await refresh(type, method, args, cacheKey);
+    if (!result.success && entry) {
+        return { ...fromCache(entry), stale: true, staleReason: result.error };
+    }
+    return result;
+}
+
+function fromCache(entry) {
+    const { data, provider, asOf } = entry.value;
+    return { success: true, data, provider, cached: true, stale: false, asOf: asOf || entry.storedAt, source: 'cache' };
+}
+
+function refresh(type, method, args, cacheKey) {
+    if (!inFlight.has(cacheKey)) {
+        const request = fetchAndCache(type, method, args, cacheKey)
+            .finally(() => inFlight.delete(cacheKey));
+        inFlight.set(cacheKey, request);
+    }
+    return inFlight.get(cacheKey);
+}
+
+async function fetchAndCache(type, method, args, cacheKey) {
+    try {
+        const { data, provider } = await fetchFromProviders(type, method, args);
+        const asOf = (data && vendorTimestamp(type, method, data)) || new Date().toISOString();
+
+        // "Not found" answers are cached too, for longer, so a bogus symbol
+        // does not cost a vendor call on every request or stream poll
+        if (data) {
+            await cache.write(type, cacheKey, { data, provider, asOf });
+        } else {
+            await cache.write(type, cacheKey, { data: null, provider, asOf }, cache.ttlFor('not_found'));
+        }
+
+        return { success: true, data, provider, cached: false, stale: false, asOf, source: 'live' };
+    } catch (error) {
+        console.error(`API Request failed for ${cacheKey}:`, error.message);
+        const code = upstreamCode(error.status);
+        return {
+            success: false,
+            error: error.message || 'API request failed',
+            code,
+            status: ERROR_CODES[code]
+        };
+    }
+}
+
+// When the vendor says the data is from, e.g. a quote's latest trading day
+// or the date of an exchange rate fix. Null when the payload carries none.
+function vendorTimestamp(type, method, data) {
+    if (Array.isArray(data)) {
+        return data.length > 0 ? data[data.length - 1].date : null;
+    }
+    if (type === 'stocks') return data.lastUpdate || null;
+    if (type === 'fx') return data.date || null;
+    if (type === 'economic') return data.data?.[0]?.date || null;
+    if (type === 'crypto') {
+        const times = Object.values(data).map(coin => coin.last_updated_at).filter(Boolean);
+        return times.length > 0 ? new Date(Math.max(...times) * 1000).toISOString() : null;
+    }
+    return null;
+}
+
+// Freshness fields for a route response
+function freshness(result) {
+    const fields = {
+        provider: result.provider,
+        cached: result.cached,
+        stale: result.stale,
+        asOf: result.asOf,
+        source: result.source
+    };
+    if (result.stale) fields.staleReason = result.staleReason;
+    return fields;
+}
+
+module.exports = { makeAPIRequest, freshness };
@@ -0,0 +1,231 @@
+const { minorUnits } = require('./currencies');
+
+// Exact decimal arithmetic for money. A decimal is { digits, scale }: the
+// BigInt `digits` times 10^-scale, so 0.1 + 0.2 is exactly 0.3 and sums of
+// many amounts do not drift. Every function takes decimals, numbers or
+// numeric strings ("12.30", "-0.5", "1e-8"); numbers are read through their
+// shortest string form, i.e. the value as it was typed.
+//
+// Amounts are rounded to a currency's ISO 4217 minor units (JPY 0, USD 2,
+// KWD 3) with roundMoney(), half away from zero unless another mode is asked
+// for. Decimals hold BigInts and cannot go into JSON as they are: send
+// toNumber() for arithmetic on the client and toString() as the exact value.
+
+// Digits kept after the decimal point by divide() unless told otherwise
+const DIVISION_SCALE = 20;
+
+const ROUNDING_MODES = ['half-up', 'half-even', 'down'];
+
+const PATTERN = /^([+-])?(\d+\.?\d*|\.\d+)(?:e([+-]?\d+))?$/i;
+
+// Exponents allowed in strings, so "1e30000000" cannot make a huge BigInt.
+// Numbers need no limit: a double's exponent stays within about ±324.
+const MAX_EXPONENT = 30;
+
+function make(digits, scale) {
+    return { digits, scale };
+}
+
+function isDecimal(value) {
+    return value !== null && typeof value === 'object' && typeof value.digits === 'bigint';
+}
+
+// Parse a value into a decimal; throws a RangeError for anything that is not a finite number
+function decimal(value) {
+    if (isDecimal(value)) return value;
+    if (typeof value === 'bigint') return make(value, 0);
+
+    const match = typeof value === 'string' || typeof value === 'number' ? PATTERN.exec(String(value).trim()) : null;
+    if (!match) {
+        throw new RangeError(`Invalid decimal '${value}'`);
+    }
+
+    const [, sign, body, exponent] = match;
+    if (exponent && typeof value === 'string' && Math.abs(parseInt(exponent)) > MAX_EXPONENT) {
+        throw new RangeError(`Invalid decimal '${value}': exponent beyond ±${MAX_EXPONENT}`);
+    }
+    const [whole, fraction = ''] = body.split('.');
+    let digits = BigInt(`${whole || '0'}${fraction}`);
+    let scale = fraction.length - (exponent ? parseInt(exponent) : 0);
+    if (scale < 0) {
+        digits *= 10n ** BigInt(-scale);
+        scale = 0;
+    }
+    return make(sign === '-' ? -digits : digits, scale);
+}
+
+// True when value parses as a finite decimal
+function isNumeric(value) {
+    try {
+        decimal(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The same value written with `scale` digits after the point (scale >= current)
+function rescale(value, scale) {
+    return make(value.digits * 10n ** BigInt(scale - value.scale), scale);
+}
+
+function align(a, b) {
+    const x = decimal(a);
+    const y = decimal(b);
+    const scale = Math.max(x.scale, y.scale);
+    return [rescale(x, scale), rescale(y, scale), scale];
+}
+
+function add(a, b) {
+    const [x, y, scale] = align(a, b);
+    return make(x.digits + y.digits, scale);
+}
+
+function subtract(a, b) {
+    const [x, y, scale] = align(a, b);
+    return make(x.digits - y.digits, scale);
+}
+
+function multiply(a, b) {
+    const x = decimal(a);
+    const y = decimal(b);
+    return make(x.digits * y.digits, x.scale + y.scale);
+}
+
+function sum(values) {
+    return values.reduce((total, value) => add(total, value), make(0n, 0));
+}
+
+function negate(value) {
+    const x = decimal(value);
+    return make(-x.digits, x.scale);
+}
+
+function abs(value) {
+    const x = decimal(value);
+    return x.digits < 0n ? make(-x.digits, x.scale) : x;
+}
+
+// -1, 0 or 1
+function compare(a, b) {
+    const [x, y] = align(a, b);
+    return x.digits === y.digits ? 0 : x.digits < y.digits ? -1 : 1;
+}
+
+function isZero(value) {
+    return decimal(value).digits === 0n;
+}
+
+// numerator / denominator as an integer, rounded by `mode`
+function roundedQuotient(numerator, denominator, mode) {
+    let quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder === 0n || mode === 'down') return quotient;
+
+    const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+    const size = denominator < 0n ? -denominator : denominator;
+    const awayFromZero = twice > size || (twice === size && (mode === 'half-up' || quotient % 2n !== 0n));
+    if (awayFromZero) {
+        quotient += (numerator < 0n) !== (denominator < 0n) ? -1n : 1n;
+    }
+    return quotient;
+}
+
+function checkMode(mode) {
+    if (!ROUNDING_MODES.includes(mode)) {
+        throw new RangeError(`Unknown rounding mode '${mode}'. Use one of: ${ROUNDING_MODES.join(', ')}`);
+    }
+}
+
+// a / b with `places` digits after the point
+function divide(a, b, places = DIVISION_SCALE, mode = 'half-up') {
+    checkMode(mode);
+    const x = decimal(a);
+    const y = decimal(b);
+    if (y.digits === 0n) throw new RangeError('Division by zero');
+
+    // x/y = (x.digits * 10^(y.scale - x.scale + places) / y.digits) * 10^-places
+    const exponent = y.scale - x.scale + places;
+    const numerator = exponent >= 0 ? x.digits * 10n ** BigInt(exponent) : x.digits;
+    const denominator = exponent >= 0 ? y.digits : y.digits * 10n ** BigInt(-exponent);
+    return make(roundedQuotient(numerator, denominator, mode), places);
+}
+
+// Round to exactly `places` digits after the point
+function round(value, places = 0, mode = 'half-up') {
+    checkMode(mode);
+    const x = decimal(value);
+    if (x.scale <= places) return rescale(x, places);
+    return make(roundedQuotient(x.digits, 10n ** BigInt(x.scale - places), mode), places);
+}
+
+// Plain notation, keeping the decimal's scale: "1.50", "-0.001", "1200"
+function toString(value) {
+    const { digits, scale } = decimal(value);
+    const negative = digits < 0n;
+    let text = (negative ? -digits : digits).toString().padStart(scale + 1, '0');
+    if (scale > 0) {
+        text = `${text.slice(0, -scale)}.${text.slice(-scale)}`;
+    }
+    return negative ? `-${text}` : text;
+}
+
+// The same value without trailing zeros after the point: 0.92350 -> 0.9235
+function normalize(value) {
+    let { digits, scale } = decimal(value);
+    while (scale > 0 && digits % 10n === 0n) {
+        digits /= 10n;
+        scale--;
+    }
+    return make(digits, scale);
+}
+
+function toNumber(value) {
+    return Number(toString(value));
+}
+
+// An amount rounded to the minor units of `currency`
+function roundMoney(value, currency, mode = 'half-up') {
+    return round(value, minorUnits(currency), mode);
+}
+
+// The exact string for an amount in `currency`, e.g. "1234.50" USD, "1235" JPY
+function moneyString(value, currency, mode = 'half-up') {
+    return toString(roundMoney(value, currency, mode));
+}
+
+// The number for an amount in `currency`, rounded to its minor units
+function moneyNumber(value, currency, mode = 'half-up') {
+    return toNumber(roundMoney(value, currency, mode));
+}
+
+// part / whole in percent, as a number with `places` decimals; 0 when whole is 0
+function percent(part, whole, places = 2) {
+    if (isZero(whole)) return 0;
+    return toNumber(divide(multiply(part, 100), whole, places));
+}
+
+module.exports = {
+    DIVISION_SCALE,
+    ROUNDING_MODES,
+    decimal,
+    isDecimal,
+    isNumeric,
+    add,
+    subtract,
+    multiply,
+    divide,
+    sum,
+    negate,
+    abs,
+    compare,
+    isZero,
+    round,
+    normalize,
+    toString,
+    toNumber,
+    roundMoney,
+    moneyString,
+    moneyNumber,
+    percent
+};
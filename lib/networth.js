@@ -0,0 +1,70 @@
+const money = require('./money');
+const { listAccounts } = require('./accounts');
+const { listPortfolios, valuePortfolio } = require('./portfolio');
+const { findRate } = require('./conversion');
+
+// Net worth in one currency: the owner's cash account balances plus their portfolios'
+// stock and crypto holdings at live prices, all converted at the latest rates.
+// Accounts and holdings that cannot be valued are listed with an `error` and
+// left out of the totals.
+async function valueAccount(account, currency) {
+    try {
+        const found = await findRate(account.currency, currency);
+        const value = money.roundMoney(money.multiply(account.balance, found.rate), currency);
+        return {
+            ...account,
+            value: money.toNumber(value),
+            rate: money.toNumber(found.rate),
+            stale: found.rates.some(rate => rate.stale),
+            exact: { ...account.exact, value: money.toString(value) }
+        };
+    } catch (error) {
+        return { ...account, error: error.message };
+    }
+}
+
+async function netWorth(currency, owner = null) {
+    const [accounts, portfolios] = await Promise.all([
+        Promise.all(listAccounts(owner).map(account => valueAccount(account, currency))),
+        Promise.all(listPortfolios(owner).map(portfolio => valuePortfolio({ ...portfolio, baseCurrency: currency })))
+    ]);
+
+    const holdings = portfolios.flatMap(portfolio => portfolio.holdings.map(holding => ({ ...holding, portfolioName: portfolio.name })));
+    const valuedAccounts = accounts.filter(account => !account.error);
+    const priced = holdings.filter(holding => !holding.error);
+
+    const cash = money.sum(valuedAccounts.map(account => account.exact.value));
+    const stocks = money.sum(priced.filter(holding => holding.type === 'stock').map(holding => holding.exact.marketValue));
+    const crypto = money.sum(priced.filter(holding => holding.type === 'crypto').map(holding => holding.exact.marketValue));
+    const total = money.sum([cash, stocks, crypto]);
+    const amounts = { total, cash, stocks, crypto };
+
+    return {
+        currency,
+        total: money.toNumber(total),
+        breakdown: {
+            cash: money.toNumber(cash),
+            stocks: money.toNumber(stocks),
+            crypto: money.toNumber(crypto)
+        },
+        accounts,
+        portfolios: portfolios.map(portfolio => ({
+            id: portfolio.id,
+            name: portfolio.name,
+            marketValue: portfolio.totals.marketValue,
+            holdings: portfolio.holdings.length,
+            unpricedHoldings: portfolio.totals.unpricedHoldings
+        })),
+        holdings,
+        unvalued: {
+            accounts: accounts.length - valuedAccounts.length,
+            holdings: holdings.length - priced.length
+        },
+        stale: valuedAccounts.some(account => account.stale) || priced.some(holding => holding.stale),
+        exact: Object.fromEntries(Object.entries(amounts).map(([key, value]) => [key, money.moneyString(value, currency)]))
+    };
+}
+
+module.exports = {
+    netWorth
+};
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { collection, ownedBy, DATA_DIR } = require('./store');
+
+// In-app notification feed plus outbound delivery. Every notification is
+// saved to the feed; it is also POSTed to a webhook (the rule's own URL or
+// ALERT_WEBHOOK_URL) and written to a local email sink when ALERT_EMAIL_TO
+// is set. The sink is a directory of .eml files that a mail relay or a
+// developer can pick up. Each user's feed holds the notifications of their
+// own alert rules (see store.ownedBy).
+const notifications = collection('notifications');
+
+const OUTBOX_DIR = process.env.ALERT_OUTBOX_DIR || path.join(DATA_DIR, 'outbox');
+const MAX_NOTIFICATIONS = 500;
+
+function listNotifications({ unread = false, limit = 50 } = {}, owner = null) {
+    return notifications.all(n => ownedBy(owner)(n) && (!unread || !n.read))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+}
+
+function unreadCount(owner = null) {
+    return notifications.all(n => ownedBy(owner)(n) && !n.read).length;
+}
+
+function getNotification(id, owner) {
+    const notification = notifications.get(id);
+    return notification && ownedBy(owner)(notification) ? notification : null;
+}
+
+function markRead(id, owner = null) {
+    return getNotification(id, owner) ? notifications.update(id, { read: true }) : null;
+}
+
+function markAllRead(owner = null) {
+    const unread = notifications.all(n => ownedBy(owner)(n) && !n.read);
+    unread.forEach(n => notifications.update(n.id, { read: true }));
+    return unread.length;
+}
+
+function deleteNotification(id, owner = null) {
+    return getNotification(id, owner) ? notifications.remove(id) : false;
+}
+
+// Alert rules carry user-supplied webhook URLs, so those are only POSTed to
+// public addresses: loopback, private, link-local (cloud metadata services),
+// shared and other reserved ranges are refused, both as written in the URL
+// and as the host name resolves at delivery time. ALERT_WEBHOOK_URL is set by
+// the operator and may point anywhere.
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const INTERNAL_HOST = /(^|\.)(localhost|local|internal|localdomain)\.?$/i;
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Why a webhook URL may not be used, or null when it may
+function webhookUrlProblem(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'webhookUrl must be an http or https URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'webhookUrl must be an http or https URL';
+    }
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (INTERNAL_HOST.test(host) || isPrivateAddress(host)) {
+        return `webhookUrl host '${parsed.hostname}' is a local or private address`;
+    }
+    return null;
+}
+
+// dns.lookup for webhook deliveries that fails when the name resolves to a
+// private address, so a public name cannot be pointed at an internal host
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+        }
+        callback(null, addresses);
+    });
+}
+
+async function deliverWebhook(url, payload, { trusted = false } = {}) {
+    try {
+        if (trusted) {
+            await axios.post(url, payload, { timeout: 5000 });
+        } else {
+            const problem = webhookUrlProblem(url);
+            if (problem) throw new Error(problem);
+            // Redirects are not followed: they could lead to an internal address
+            await axios.post(url, payload, { timeout: 5000, maxRedirects: 0, lookup: publicLookup });
+        }
+        return 'sent';
+    } catch (error) {
+        return `failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`;
+    }
+}
+
+// Header values on one line, so a title cannot add headers of its own
+function headerValue(value) {
+    return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+function deliverEmail(to, notification) {
+    try {
+        fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+        const file = path.join(OUTBOX_DIR, `${notification.createdAt.replace(/[:.]/g, '-')}-${notification.id}.eml`);
+        const email = [
+            `To: ${headerValue(to)}`,
+            `From: ${headerValue(process.env.ALERT_EMAIL_FROM || 'finance-dashboard@localhost')}`,
+            `Subject: ${headerValue(notification.title)}`,
+            `Date: ${new Date(notification.createdAt).toUTCString()}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            notification.message,
+            ''
+        ].join('\r\n');
+        fs.writeFileSync(file, email);
+        return 'sent';
+    } catch (error) {
+        return `failed: ${error.message}`;
+    }
+}
+
+// Save a notification to the feed and deliver it to the configured channels.
+// Returns the stored notification with a delivery status per channel.
+async function notify({ title, message, source, data, webhookUrl, owner = null }) {
+    const notification = notifications.insert({ title, message, source, data, read: false, userId: owner || null });
+    const deliveries = { feed: 'sent' };
+
+    const url = webhookUrl || process.env.ALERT_WEBHOOK_URL;
+    if (url) {
+        deliveries.webhook = await deliverWebhook(url, {
+            id: notification.id,
+            title,
+            message,
+            source,
+            data,
+            timestamp: notification.createdAt
+        }, { trusted: !webhookUrl });
+    }
+    if (process.env.ALERT_EMAIL_TO) {
+        deliveries.email = deliverEmail(process.env.ALERT_EMAIL_TO, notification);
+    }
+
+    // Keep each feed bounded
+    const all = notifications.all(ownedBy(owner)).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    if (all.length > MAX_NOTIFICATIONS) {
+        const expired = new Set(all.slice(MAX_NOTIFICATIONS).map(n => n.id));
+        notifications.removeWhere(n => expired.has(n.id));
+    }
+
+    return notifications.update(notification.id, { deliveries });
+}
+
+module.exports = {
+    OUTBOX_DIR,
+    listNotifications,
+    unreadCount,
+    markRead,
+    markAllRead,
+    deleteNotification,
+    webhookUrlProblem,
+    notify
+};
@@ -0,0 +1,954 @@
+const { ERROR_CODES } = require('./errors');
+const { INTERVALS } = require('./timeseries');
+const { INDICATORS, MAX_POINTS, DEFAULT_POINTS } = require('./economic');
+const { PIVOT_CURRENCY, MAX_BULK_CONVERSIONS } = require('./conversion');
+const { ACCOUNT_TYPES } = require('./accounts');
+const { HOLDING_TYPES } = require('./portfolio');
+const { ASSET_TYPES, METRICS } = require('./alerts');
+const { CATEGORY_IDS } = require('./categories');
+const { CURRENT_VERSION } = require('./api-versions');
+const { version } = require('../package.json');
+
+// OpenAPI 3 description of every /api route, served at /api/docs/openapi.json
+// and browsed at /api/docs. scripts/check-openapi.js compares it with the
+// routes the app registers, so a route added without a path here (or a path
+// left behind by a removed route) fails `npm run check:openapi`. Each version
+// is described under its prefix; the unversioned /api paths are v1 aliases.
+
+// Schema shorthands
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const number = (extra = {}) => ({ type: 'number', ...extra });
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+const array = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, required = [], extra = {}) => ({
+    type: 'object',
+    properties,
+    ...(required.length > 0 ? { required } : {}),
+    ...extra
+});
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, nullable: true });
+
+// Amounts are accepted as JSON numbers or exact decimal strings
+const amount = description => ({ oneOf: [number(), string({ pattern: '^-?(\\d+\\.?\\d*|\\.\\d+)$' })], description });
+
+const currencyCode = string({ pattern: '^[A-Z]{3}$', example: 'USD' });
+const dateString = string({ format: 'date', example: '2024-03-15' });
+const monthString = string({ pattern: '^\\d{4}-\\d{2}$', example: '2024-03' });
+
+// Parameters
+function param(location, name, schema, description, required = location === 'path') {
+    return { name, in: location, required, schema, ...(description ? { description } : {}) };
+}
+const pathParam = (name, schema, description) => param('path', name, schema, description);
+const queryParam = (name, schema, description, required = false) => param('query', name, schema, description, required);
+const idParam = (name = 'id', what = 'Record') => pathParam(name, string(), `${what} id`);
+
+const HISTORY_QUERY = [
+    queryParam('interval', string({ enum: INTERVALS }), 'Bar size; defaults from the range'),
+    queryParam('from', dateString, 'First day (YYYY-MM-DD)'),
+    queryParam('to', dateString, 'Last day (YYYY-MM-DD), default today')
+];
+
+// Responses
+function envelope(data, extra = {}) {
+    return object({ success: boolean({ enum: [true] }), ...(data ? { data } : {}), ...extra }, ['success']);
+}
+
+function json(schema, description = 'OK') {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+// Error responses for `codes`, grouped under the status each code answers with
+function errors(...codes) {
+    const byStatus = {};
+    codes.forEach(code => {
+        const status = ERROR_CODES[code];
+        (byStatus[status] = byStatus[status] || []).push(code);
+    });
+    return Object.fromEntries(Object.entries(byStatus).map(([status, list]) => [
+        status,
+        { description: list.join(', '), content: { 'application/json': { schema: ref('Error') } } }
+    ]));
+}
+
+const PAYEE_PATTERN = 'Glob matched against the whole payee, ignoring case: * is any run of characters, ? any one. '
+    + 'Not a regular expression: patterns containing ^ $ \\ | ( ) [ ] { } or + are refused.';
+
+const UPSTREAM = ['UPSTREAM_ERROR', 'UPSTREAM_RATE_LIMITED', 'UPSTREAM_UNAVAILABLE', 'UPSTREAM_TIMEOUT'];
+
+const FRESHNESS = {
+    provider: string({ description: 'Vendor that answered' }),
+    cached: boolean(),
+    stale: boolean({ description: 'Served from cache after every vendor failed' }),
+    staleReason: string(),
+    asOf: string({ format: 'date-time' }),
+    source: string(),
+    timestamp: string({ format: 'date-time' })
+};
+
+function operation(tag, operationId, summary, { params = [], body, responses, description } = {}) {
+    return {
+        tags: [tag],
+        operationId,
+        summary,
+        ...(description ? { description } : {}),
+        ...(params.length > 0 ? { parameters: params } : {}),
+        ...(body ? { requestBody: { required: true, content: { 'application/json': { schema: body } } } } : {}),
+        responses
+    };
+}
+
+// CRUD operations on a store-backed resource whose records are `schema`
+function crud(tag, name, { schema, input, what, extraErrors = [] }) {
+    const id = idParam('id', what);
+    return {
+        list: operation(tag, `list${name}s`, `List ${what.toLowerCase()}s`, { responses: { 200: json(envelope(array(schema))) } }),
+        create: operation(tag, `create${name}`, `Create a ${what.toLowerCase()}`, {
+            body: input,
+            responses: { 201: json(envelope(schema), 'Created'), ...errors('VALIDATION_ERROR', ...extraErrors) }
+        }),
+        get: operation(tag, `get${name}`, `Get a ${what.toLowerCase()}`, {
+            params: [id],
+            responses: { 200: json(envelope(schema)), ...errors('NOT_FOUND') }
+        }),
+        update: operation(tag, `update${name}`, `Update a ${what.toLowerCase()}`, {
+            params: [id],
+            body: input,
+            responses: { 200: json(envelope(schema)), ...errors('VALIDATION_ERROR', 'NOT_FOUND', ...extraErrors) }
+        }),
+        remove: operation(tag, `delete${name}`, `Delete a ${what.toLowerCase()}`, {
+            params: [id],
+            responses: { 200: json(envelope()), ...errors('NOT_FOUND') }
+        })
+    };
+}
+
+const schemas = {
+    Error: object({
+        success: boolean({ enum: [false] }),
+        error: string({ description: 'Message for people' }),
+        code: string({ enum: Object.keys(ERROR_CODES) }),
+        details: array(object({ field: string(), code: string(), message: string() }), { description: 'Per-field problems' })
+    }, ['success', 'error', 'code']),
+    Rates: object({ base: currencyCode, date: dateString, rates: object({}, [], { additionalProperties: number() }) }),
+    Quote: object({
+        symbol: string(),
+        price: string(),
+        change: string(),
+        changePercent: string({ example: '1.2500%' }),
+        volume: nullable(string()),
+        lastUpdate: string()
+    }),
+    CryptoPrices: object({}, [], {
+        additionalProperties: object({ usd: number(), usd_24h_change: number(), usd_market_cap: number(), last_updated_at: number() }),
+        example: { bitcoin: { usd: 64000, usd_24h_change: 1.8, usd_market_cap: 1260000000000 } }
+    }),
+    StockQuote: object({
+        symbol: string(),
+        price: number(),
+        change: nullable(number()),
+        changePercent: nullable(number({ example: 1.25 })),
+        volume: nullable(number()),
+        updatedAt: nullable(string())
+    }),
+    Coin: object({
+        id: string({ example: 'bitcoin' }),
+        currency: currencyCode,
+        price: number(),
+        change24h: nullable(number({ description: 'Percent change over 24 hours' })),
+        marketCap: nullable(number()),
+        updatedAt: nullable(string({ format: 'date-time' }))
+    }),
+    EconomicIndicator: object({
+        id: string({ example: 'CPI' }),
+        name: string(),
+        category: string(),
+        unit: string(),
+        frequency: string({ enum: ['monthly', 'quarterly', 'annual'] }),
+        aliases: array(string(), { description: 'Other names the series is served under' })
+    }),
+    EconomicSeries: object({
+        indicator: string({ description: 'Series id; an alias is answered with the id it stands for' }),
+        name: string(),
+        category: string(),
+        interval: string({ description: 'Frequency of the points' }),
+        unit: string(),
+        points: array(object({ date: dateString, value: nullable(number()) }))
+    }),
+    Meta: object(FRESHNESS),
+    PricePoint: object({ date: string(), open: number(), high: number(), low: number(), close: number(), volume: nullable(number()) }),
+    RateLeg: object({ base: currencyCode, quote: currencyCode, rate: number(), date: dateString, provider: string(), stale: boolean() }),
+    Conversion: object({
+        from: currencyCode,
+        to: currencyCode,
+        amount: number(),
+        rate: number(),
+        result: number(),
+        date: nullable(dateString),
+        method: string({ enum: ['identity', 'direct', 'cross'] }),
+        pivot: nullable(currencyCode),
+        rates: array(ref('RateLeg')),
+        stale: boolean(),
+        exact: object({ amount: string(), rate: string(), result: string() })
+    }),
+    ConversionInput: object({ from: currencyCode, to: currencyCode, amount: amount(), date: dateString }, ['from', 'amount']),
+    CashAccount: object({
+        id: string(),
+        name: string(),
+        type: string({ enum: ACCOUNT_TYPES }),
+        currency: currencyCode,
+        balance: number({ description: 'Negative for money owed' }),
+        exact: object({ balance: string() }),
+        createdAt: string({ format: 'date-time' }),
+        updatedAt: string({ format: 'date-time' })
+    }),
+    Portfolio: object({ id: string(), name: string(), baseCurrency: currencyCode, createdAt: string({ format: 'date-time' }) }),
+    Holding: object({
+        id: string(),
+        portfolioId: string(),
+        type: string({ enum: HOLDING_TYPES }),
+        symbol: string(),
+        quantity: number(),
+        purchasePrice: number(),
+        exact: object({ quantity: string(), purchasePrice: string() }),
+        currency: currencyCode,
+        purchaseDate: dateString
+    }),
+    Transaction: object({
+        id: string(),
+        date: dateString,
+        amount: number({ description: 'Negative for money spent' }),
+        exact: object({ amount: string() }),
+        currency: currencyCode,
+        payee: string(),
+        memo: string(),
+        account: string(),
+        category: string({ enum: CATEGORY_IDS })
+    }),
+    AlertRule: object({
+        id: string(),
+        name: string(),
+        assetType: string({ enum: ASSET_TYPES }),
+        symbol: string(),
+        metric: string({ enum: METRICS }),
+        operator: string(),
+        threshold: number(),
+        enabled: boolean(),
+        cooldownMinutes: integer(),
+        webhookUrl: nullable(string())
+    }),
+    Notification: object({ id: string(), title: string(), message: string(), source: string(), data: object({}), read: boolean(), createdAt: string({ format: 'date-time' }) }),
+    ApiKey: object({
+        id: string(),
+        name: string(),
+        role: string({ enum: ['client', 'admin'] }),
+        rateLimit: nullable(integer({ description: 'Requests per minute, null for the default' })),
+        dailyQuota: nullable(integer()),
+        prefix: string(),
+        revokedAt: nullable(string({ format: 'date-time' })),
+        lastUsedAt: nullable(string({ format: 'date-time' }))
+    }),
+    BudgetSummary: object({
+        currency: currencyCode,
+        totalIncome: number(),
+        totalExpenses: number(),
+        remaining: number(),
+        savingsRate: number(),
+        categories: array(object({})),
+        goals: array(object({})),
+        conversions: array(object({ from: currencyCode, to: currencyCode, rate: number(), method: string() }))
+    }),
+    Plan: object({
+        month: monthString,
+        income: nullable(number()),
+        targets: object({}, [], { additionalProperties: number() }),
+        rollover: boolean(),
+        currency: currencyCode,
+        exact: object({ income: nullable(string()), targets: object({}, [], { additionalProperties: string() }) })
+    }),
+    Goal: object({
+        id: string(),
+        name: string(),
+        type: string({ enum: ['rate', 'amount'] }),
+        target: number(),
+        minimum: nullable(number()),
+        exact: object({ target: string(), minimum: nullable(string()) })
+    }),
+    CategoryRule: object({
+        id: string(),
+        name: string(),
+        category: string({ enum: CATEGORY_IDS }),
+        priority: integer(),
+        payeeContains: nullable(string()),
+        payeePattern: nullable(string({ description: PAYEE_PATTERN })),
+        minAmount: nullable(number()),
+        maxAmount: nullable(number()),
+        type: nullable(string({ enum: ['income', 'expense'] })),
+        enabled: boolean()
+    }),
+    Preferences: object({
+        baseCurrency: currencyCode,
+        watchlist: object({}),
+        budget: object({})
+    }),
+    Account: object({ user: nullable(object({ id: string(), email: string(), name: string() })), preferences: ref('Preferences') })
+};
+
+const accounts = crud('Accounts', 'CashAccount', {
+    schema: ref('CashAccount'),
+    input: object({ name: string(), type: string({ enum: ACCOUNT_TYPES }), currency: currencyCode, balance: amount() }),
+    what: 'Cash account',
+    extraErrors: ['INVALID_CURRENCY', 'INVALID_AMOUNT']
+});
+const portfolios = crud('Portfolios', 'Portfolio', {
+    schema: ref('Portfolio'),
+    input: object({ name: string(), baseCurrency: currencyCode }),
+    what: 'Portfolio',
+    extraErrors: ['INVALID_CURRENCY']
+});
+const transactions = crud('Transactions', 'Transaction', {
+    schema: ref('Transaction'),
+    input: object({ date: dateString, amount: number(), payee: string(), currency: currencyCode, category: string({ enum: CATEGORY_IDS }), memo: string(), account: string() }),
+    what: 'Transaction',
+    extraErrors: ['INVALID_CURRENCY']
+});
+const alerts = crud('Alerts', 'AlertRule', {
+    schema: ref('AlertRule'),
+    input: object({
+        expression: string({ example: 'AAPL price > 200' }),
+        assetType: string({ enum: ASSET_TYPES }),
+        symbol: string(),
+        metric: string({ enum: METRICS }),
+        operator: string(),
+        threshold: number(),
+        cooldownMinutes: integer(),
+        webhookUrl: string(),
+        enabled: boolean()
+    }),
+    what: 'Alert rule'
+});
+
+const holdingInput = object({
+    type: string({ enum: HOLDING_TYPES }),
+    symbol: string(),
+    quantity: number(),
+    purchasePrice: number(),
+    currency: currencyCode,
+    purchaseDate: dateString
+});
+const keyFields = { name: string(), role: string({ enum: ['client', 'admin'] }), rateLimit: integer(), dailyQuota: integer() };
+const goalInput = object({ name: string(), type: string({ enum: ['rate', 'amount'] }), target: number(), minimum: number() }, ['name', 'type', 'target']);
+const ruleInput = object({
+    name: string(),
+    category: string({ enum: CATEGORY_IDS }),
+    priority: integer(),
+    payeeContains: string(),
+    payeePattern: string({ description: PAYEE_PATTERN, maxLength: 100 }),
+    minAmount: number(),
+    maxAmount: number(),
+    type: string({ enum: ['income', 'expense'] }),
+    enabled: boolean()
+}, ['category']);
+const budgetEntry = object({ name: string(), amount: amount(), currency: currencyCode, category: string() }, ['amount']);
+const monthParam = pathParam('month', monthString, 'Budget month (YYYY-MM)');
+const reportingCurrency = queryParam('currency', currencyCode, 'Reporting currency, default the saved budget currency');
+
+const CONVERT_PARAMS = [
+    pathParam('from', currencyCode),
+    pathParam('to', currencyCode),
+    pathParam('amount', string({ pattern: '^(\\d+\\.?\\d*|\\.\\d+)$', example: '100' })),
+    queryParam('date', dateString, 'Convert at the rates of a past day'),
+    queryParam('pivot', { ...currencyCode, default: PIVOT_CURRENCY }, 'Currency to cross through')
+];
+const CONVERT_MANY_BODY = object({
+    conversions: array(ref('ConversionInput'), { maxItems: MAX_BULK_CONVERSIONS }),
+    to: currencyCode,
+    date: dateString,
+    pivot: currencyCode
+}, ['conversions']);
+const CONVERT_ERRORS = array(object({ index: integer(), from: currencyCode, to: currencyCode, code: string(), error: string() }));
+const CONVERT_TOTAL = nullable(object({ currency: currencyCode, amount: number(), exact: object({ amount: string() }) }));
+
+// Market data and conversion in v1, the original shapes
+const ECONOMIC_CATALOG = operation('Market data', 'listEconomicIndicators', 'Economic series with their units and frequency', {
+    responses: { 200: json(envelope(array(ref('EconomicIndicator')))) }
+});
+
+const marketV1 = {
+    '/exchange-rates': {
+        get: operation('Market data', 'getExchangeRatesUSD', 'Latest exchange rates for USD', {
+            responses: { 200: json(envelope(ref('Rates'), FRESHNESS)), ...errors('RATE_UNAVAILABLE', ...UPSTREAM) }
+        })
+    },
+    '/exchange-rates/{base}': {
+        get: operation('Market data', 'getExchangeRates', 'Latest exchange rates for a base currency', {
+            params: [pathParam('base', currencyCode, 'Base currency')],
+            responses: { 200: json(envelope(ref('Rates'), FRESHNESS)), ...errors('INVALID_CURRENCY', 'RATE_UNAVAILABLE', ...UPSTREAM) }
+        })
+    },
+    '/stock/{symbol}': {
+        get: operation('Market data', 'getStockQuote', 'Stock quote', {
+            params: [pathParam('symbol', string({ example: 'AAPL' }), 'Ticker such as AAPL or BRK.B')],
+            responses: { 200: json(envelope(ref('Quote'), FRESHNESS)), ...errors('INVALID_SYMBOL', 'UNKNOWN_SYMBOL', ...UPSTREAM) }
+        })
+    },
+    '/stocks': {
+        get: operation('Market data', 'getStockQuotes', 'Quotes for several stocks', {
+            description: 'A symbol that cannot be quoted is listed in `errors` without failing the others.',
+            params: [queryParam('symbols', string({ example: 'AAPL,MSFT,GOOGL' }), 'Comma-separated tickers, at most 25', true)],
+            responses: {
+                200: json(envelope(array(object({ symbol: string(), quote: ref('Quote'), ...FRESHNESS })), {
+                    errors: array(object({ symbol: string(), code: string(), error: string() })),
+                    stale: boolean(),
+                    timestamp: string({ format: 'date-time' })
+                })),
+                ...errors('VALIDATION_ERROR', 'INVALID_SYMBOL', 'UNKNOWN_SYMBOL', ...UPSTREAM)
+            }
+        })
+    },
+    '/stock/{symbol}/history': {
+        get: operation('Market data', 'getStockHistory', 'Historical stock prices', {
+            params: [pathParam('symbol', string({ example: 'AAPL' })), ...HISTORY_QUERY],
+            responses: {
+                200: json(envelope(object({ symbol: string(), interval: string(), from: dateString, to: dateString, points: array(ref('PricePoint')) }), FRESHNESS)),
+                ...errors('INVALID_SYMBOL', 'INVALID_DATE', 'UNKNOWN_SYMBOL', ...UPSTREAM)
+            }
+        })
+    },
+    '/crypto': {
+        get: operation('Market data', 'getDefaultCryptoPrices', 'Prices for the default coins', {
+            responses: { 200: json(envelope(ref('CryptoPrices'), FRESHNESS)), ...errors('UNKNOWN_SYMBOL', ...UPSTREAM) }
+        })
+    },
+    '/crypto/{ids}': {
+        get: operation('Market data', 'getCryptoPrices', 'Cryptocurrency prices in USD', {
+            params: [pathParam('ids', string({ example: 'bitcoin,ethereum' }), 'Comma-separated CoinGecko ids, at most 50')],
+            responses: { 200: json(envelope(ref('CryptoPrices'), FRESHNESS)), ...errors('INVALID_SYMBOL', 'UNKNOWN_SYMBOL', ...UPSTREAM) }
+        })
+    },
+    '/crypto/{id}/history': {
+        get: operation('Market data', 'getCryptoHistory', 'Historical cryptocurrency prices in USD', {
+            params: [pathParam('id', string({ example: 'bitcoin' }), 'CoinGecko id'), ...HISTORY_QUERY],
+            responses: {
+                200: json(envelope(object({ id: string(), interval: string(), from: dateString, to: dateString, points: array(ref('PricePoint')) }), FRESHNESS)),
+                ...errors('INVALID_SYMBOL', 'INVALID_DATE', 'UNKNOWN_SYMBOL', ...UPSTREAM)
+            }
+        })
+    },
+    '/fx/{from}/{to}/history': {
+        get: operation('Market data', 'getFxHistory', 'Historical exchange rates for a currency pair', {
+            params: [pathParam('from', currencyCode), pathParam('to', currencyCode), ...HISTORY_QUERY],
+            responses: {
+                200: json(envelope(object({ from: currencyCode, to: currencyCode, interval: string(), start: dateString, end: dateString, points: array(ref('PricePoint')) }), FRESHNESS)),
+                ...errors('INVALID_CURRENCY', 'INVALID_DATE', 'RATE_UNAVAILABLE', ...UPSTREAM)
+            }
+        })
+    },
+    '/economic': {
+        get: ECONOMIC_CATALOG
+    },
+    '/economic/{indicator}': {
+        get: operation('Market data', 'getEconomicIndicator', 'Latest ten values of an economic indicator', {
+            params: [pathParam('indicator', string({ enum: INDICATORS }))],
+            responses: {
+                200: json(envelope(array(object({ date: dateString, value: string() })), FRESHNESS)),
+                ...errors('UNKNOWN_INDICATOR', ...UPSTREAM)
+            }
+        })
+    },
+    '/convert/{from}/{to}/{amount}': {
+        get: operation('Conversion', 'convert', 'Convert an amount', {
+            description: 'Crossed through the pivot currency when the source table does not quote the target.',
+            params: CONVERT_PARAMS,
+            responses: {
+                200: json(envelope(ref('Conversion'), { stale: boolean(), timestamp: string({ format: 'date-time' }) })),
+                ...errors('INVALID_CURRENCY', 'INVALID_AMOUNT', 'INVALID_DATE', 'RATE_UNAVAILABLE', ...UPSTREAM)
+            }
+        })
+    },
+    '/convert': {
+        post: operation('Conversion', 'convertMany', 'Convert a list of amounts', {
+            description: `At most ${MAX_BULK_CONVERSIONS} conversions. Top-level \`to\` and \`date\` apply to entries that leave them out.`,
+            body: CONVERT_MANY_BODY,
+            responses: {
+                200: json(envelope(array({ allOf: [object({ index: integer() }), ref('Conversion')] }), {
+                    errors: CONVERT_ERRORS,
+                    total: CONVERT_TOTAL,
+                    stale: boolean(),
+                    timestamp: string({ format: 'date-time' })
+                })),
+                ...errors('VALIDATION_ERROR', 'INVALID_CURRENCY', 'INVALID_AMOUNT', 'INVALID_DATE', 'RATE_UNAVAILABLE', ...UPSTREAM)
+            }
+        })
+    }
+};
+
+// Market data and conversion in v2: numbers as numbers, lists as arrays of
+// resources, ranges as start/end and freshness under `meta`
+const marketV2 = {
+    '/exchange-rates': {
+        get: operation('Market data', 'getExchangeRatesUSD', 'Latest exchange rates for USD', {
+            responses: { 200: json(envelope(ref('Rates'), { meta: ref('Meta') })), ...errors('RATE_UNAVAILABLE', ...UPSTREAM) }
+        })
+    },
+    '/exchange-rates/{base}': {
+        get: operation('Market data', 'getExchangeRates', 'Latest exchange rates for a base currency', {
+            params: [pathParam('base', currencyCode, 'Base currency')],
+            responses: { 200: json(envelope(ref('Rates'), { meta: ref('Meta') })), ...errors('INVALID_CURRENCY', 'RATE_UNAVAILABLE', ...UPSTREAM) }
+        })
+    },
+    '/stock/{symbol}': {
+        get: operation('Market data', 'getStockQuote', 'Stock quote', {
+            params: [pathParam('symbol', string({ example: 'AAPL' }), 'Ticker such as AAPL or BRK.B')],
+            responses: { 200: json(envelope(ref('StockQuote'), { meta: ref('Meta') })), ...errors('INVALID_SYMBOL', 'UNKNOWN_SYMBOL', ...UPSTREAM) }
+        })
+    },
+    '/stocks': {
+        get: operation('Market data', 'getStockQuotes', 'Quotes for several stocks', {
+            description: 'A symbol that cannot be quoted is listed in `errors` without failing the others.',
+            params: [queryParam('symbols', string({ example: 'AAPL,MSFT,GOOGL' }), 'Comma-separated tickers, at most 25', true)],
+            responses: {
+                200: json(envelope(array({ allOf: [ref('StockQuote'), object({ stale: boolean(), asOf: string({ format: 'date-time' }) })] }), {
+                    errors: array(object({ symbol: string(), code: string(), error: string() })),
+                    meta: ref('Meta')
+                })),
+                ...errors('VALIDATION_ERROR', 'INVALID_SYMBOL', 'UNKNOWN_SYMBOL', ...UPSTREAM)
+            }
+        })
+    },
+    '/stock/{symbol}/history': {
+        get: operation('Market data', 'getStockHistory', 'Historical stock prices', {
+            params: [pathParam('symbol', string({ example: 'AAPL' })), ...HISTORY_QUERY],
+            responses: {
+                200: json(envelope(object({ symbol: string(), interval: string(), start: dateString, end: dateString, points: array(ref('PricePoint')) }), { meta: ref('Meta') })),
+                ...errors('INVALID_SYMBOL', 'INVALID_DATE', 'UNKNOWN_SYMBOL', ...UPSTREAM)
+            }
+        })
+    },
+    '/crypto': {
+        get: operation('Market data', 'getDefaultCryptoPrices', 'Prices for the default coins', {
+            responses: { 200: json(envelope(array(ref('Coin')), { errors: array(object({ id: string(), code: string(), error: string() })), meta: ref('Meta') })), ...errors('UNKNOWN_SYMBOL', ...UPSTREAM) }
+        })
+    },
+    '/crypto/{ids}': {
+        get: operation('Market data', 'getCryptoPrices', 'Cryptocurrency prices in USD', {
+            description: 'Coins come back in the order asked for; an id the vendor does not know is listed in `errors`.',
+            params: [pathParam('ids', string({ example: 'bitcoin,ethereum' }), 'Comma-separated CoinGecko ids, at most 50')],
+            responses: {
+                200: json(envelope(array(ref('Coin')), { errors: array(object({ id: string(), code: string(), error: string() })), meta: ref('Meta') })),
+                ...errors('INVALID_SYMBOL', 'UNKNOWN_SYMBOL', ...UPSTREAM)
+            }
+        })
+    },
+    '/crypto/{id}/history': {
+        get: operation('Market data', 'getCryptoHistory', 'Historical cryptocurrency prices in USD', {
+            params: [pathParam('id', string({ example: 'bitcoin' }), 'CoinGecko id'), ...HISTORY_QUERY],
+            responses: {
+                200: json(envelope(object({ id: string(), currency: currencyCode, interval: string(), start: dateString, end: dateString, points: array(ref('PricePoint')) }), { meta: ref('Meta') })),
+                ...errors('INVALID_SYMBOL', 'INVALID_DATE', 'UNKNOWN_SYMBOL', ...UPSTREAM)
+            }
+        })
+    },
+    '/fx/{from}/{to}/history': {
+        get: operation('Market data', 'getFxHistory', 'Historical exchange rates for a currency pair', {
+            params: [pathParam('from', currencyCode), pathParam('to', currencyCode), ...HISTORY_QUERY],
+            responses: {
+                200: json(envelope(object({ base: currencyCode, quote: currencyCode, interval: string(), start: dateString, end: dateString, points: array(ref('PricePoint')) }), { meta: ref('Meta') })),
+                ...errors('INVALID_CURRENCY', 'INVALID_DATE', 'RATE_UNAVAILABLE', ...UPSTREAM)
+            }
+        })
+    },
+    '/economic': {
+        get: ECONOMIC_CATALOG
+    },
+    '/economic/{indicator}': {
+        get: operation('Market data', 'getEconomicIndicator', 'Values of an economic indicator, oldest first', {
+            description: `The points between \`from\` and \`to\`, or the \`limit\` most recent; the ${DEFAULT_POINTS} most recent without either.`,
+            params: [
+                pathParam('indicator', string({ enum: INDICATORS })),
+                queryParam('from', dateString, 'First day (YYYY-MM-DD)'),
+                queryParam('to', dateString, 'Last day (YYYY-MM-DD)'),
+                queryParam('limit', integer({ minimum: 1, maximum: MAX_POINTS }), 'Number of most recent points in the range')
+            ],
+            responses: { 200: json(envelope(ref('EconomicSeries'), { meta: ref('Meta') })), ...errors('VALIDATION_ERROR', 'INVALID_DATE', 'UNKNOWN_INDICATOR', ...UPSTREAM) }
+        })
+    },
+    '/convert/{from}/{to}/{amount}': {
+        get: operation('Conversion', 'convert', 'Convert an amount', {
+            description: 'Crossed through the pivot currency when the source table does not quote the target.',
+            params: CONVERT_PARAMS,
+            responses: {
+                200: json(envelope(ref('Conversion'), { meta: ref('Meta') })),
+                ...errors('INVALID_CURRENCY', 'INVALID_AMOUNT', 'INVALID_DATE', 'RATE_UNAVAILABLE', ...UPSTREAM)
+            }
+        })
+    },
+    '/convert': {
+        post: operation('Conversion', 'convertMany', 'Convert a list of amounts', {
+            description: `At most ${MAX_BULK_CONVERSIONS} conversions. Top-level \`to\` and \`date\` apply to entries that leave them out.`,
+            body: CONVERT_MANY_BODY,
+            responses: {
+                200: json(envelope(array({ allOf: [object({ index: integer() }), ref('Conversion')] }), {
+                    errors: CONVERT_ERRORS,
+                    total: CONVERT_TOTAL,
+                    meta: ref('Meta')
+                })),
+                ...errors('VALIDATION_ERROR', 'INVALID_CURRENCY', 'INVALID_AMOUNT', 'INVALID_DATE', 'RATE_UNAVAILABLE', ...UPSTREAM)
+            }
+        })
+    }
+};
+
+// Resources that are the same in every version
+const resources = {
+    '/stream': {
+        get: operation('Streaming', 'stream', 'Live updates over Server-Sent Events', {
+            description: 'Events: ready, stock, crypto, rates, fx and unavailable; stock and crypto events carry the version\'s quote and coin shapes. ' +
+                'EventSource cannot set headers, so pass `api_key` in the query. Unknown symbols are sent once as unavailable and then dropped; ' +
+                'a caller may hold STREAM_MAX_CONNECTIONS streams with STREAM_MAX_SUBSCRIPTIONS distinct subscriptions across them.',
+            params: [
+                queryParam('stocks', string({ example: 'AAPL,MSFT' }), 'Tickers'),
+                queryParam('crypto', string({ example: 'bitcoin,ethereum' }), 'CoinGecko ids'),
+                queryParam('fx', string({ example: 'USD,EUR/GBP' }), 'Rate tables (USD) or pairs (EUR/GBP)')
+            ],
+            responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: string() } } }, ...errors('VALIDATION_ERROR') }
+        })
+    },
+    '/stream/stats': {
+        get: operation('Streaming', 'streamStats', 'Connected clients and subscriptions', { responses: { 200: json(envelope(object({}))) } })
+    },
+
+    '/portfolios': { get: portfolios.list, post: portfolios.create },
+    '/portfolios/{id}': {
+        get: operation('Portfolios', 'getPortfolio', 'Get a portfolio with holdings valued at live prices', {
+            params: [idParam('id', 'Portfolio')],
+            responses: { 200: json(envelope(object({}), { timestamp: string({ format: 'date-time' }) })), ...errors('NOT_FOUND') }
+        }),
+        patch: portfolios.update,
+        delete: portfolios.remove
+    },
+    '/portfolios/{id}/holdings': {
+        get: operation('Portfolios', 'listHoldings', 'List holdings without valuation', {
+            params: [idParam('id', 'Portfolio')],
+            responses: { 200: json(envelope(array(ref('Holding')))), ...errors('NOT_FOUND') }
+        }),
+        post: operation('Portfolios', 'addHolding', 'Add a holding', {
+            params: [idParam('id', 'Portfolio')],
+            body: holdingInput,
+            responses: { 201: json(envelope(ref('Holding')), 'Created'), ...errors('VALIDATION_ERROR', 'INVALID_CURRENCY', 'NOT_FOUND') }
+        })
+    },
+    '/portfolios/{id}/holdings/{holdingId}': {
+        patch: operation('Portfolios', 'updateHolding', 'Update a holding', {
+            params: [idParam('id', 'Portfolio'), idParam('holdingId', 'Holding')],
+            body: holdingInput,
+            responses: { 200: json(envelope(ref('Holding'))), ...errors('VALIDATION_ERROR', 'INVALID_CURRENCY', 'NOT_FOUND') }
+        }),
+        delete: operation('Portfolios', 'deleteHolding', 'Remove a holding', {
+            params: [idParam('id', 'Portfolio'), idParam('holdingId', 'Holding')],
+            responses: { 200: json(envelope()), ...errors('NOT_FOUND') }
+        })
+    },
+
+    '/accounts': { get: accounts.list, post: accounts.create },
+    '/accounts/{id}': { get: accounts.get, patch: accounts.update, delete: accounts.remove },
+    '/networth': {
+        get: operation('Accounts', 'getNetWorth', 'Net worth of cash accounts and holdings', {
+            params: [queryParam('currency', currencyCode, 'Default the saved base currency')],
+            responses: {
+                200: json(envelope(object({
+                    currency: currencyCode,
+                    total: number(),
+                    breakdown: object({ cash: number(), stocks: number(), crypto: number() }),
+                    accounts: array(object({})),
+                    portfolios: array(object({})),
+                    holdings: array(object({})),
+                    unvalued: object({ accounts: integer(), holdings: integer() }),
+                    stale: boolean(),
+                    exact: object({ total: string(), cash: string(), stocks: string(), crypto: string() })
+                }))),
+                ...errors('INVALID_CURRENCY')
+            }
+        })
+    },
+
+    '/transactions': {
+        get: operation('Transactions', 'listTransactions', 'List transactions, newest first', {
+            params: [
+                queryParam('from', dateString),
+                queryParam('to', dateString),
+                queryParam('month', monthString),
+                queryParam('account', string()),
+                queryParam('category', string({ enum: CATEGORY_IDS })),
+                queryParam('type', string({ enum: ['income', 'expense'] })),
+                queryParam('min', number(), 'Smallest absolute amount'),
+                queryParam('max', number(), 'Largest absolute amount'),
+                queryParam('q', string(), 'Payee or memo search')
+            ],
+            responses: { 200: json(envelope(array(ref('Transaction')), { count: integer() })), ...errors('VALIDATION_ERROR', 'INVALID_DATE', 'INVALID_AMOUNT') }
+        }),
+        post: transactions.create
+    },
+    '/transactions/presets': {
+        get: operation('Transactions', 'listImportPresets', 'CSV column-mapping presets', { responses: { 200: json(envelope(array(object({ id: string() })))) } })
+    },
+    '/transactions/import': {
+        post: operation('Transactions', 'importTransactions', 'Import a bank statement', {
+            description: 'Send JSON, or the file itself as a text body with the options in the query string.',
+            body: object({
+                content: string(),
+                format: string({ enum: ['csv', 'ofx', 'qfx'] }),
+                preset: string(),
+                mapping: object({}),
+                account: string(),
+                currency: currencyCode,
+                dryRun: boolean()
+            }, ['content']),
+            responses: { 200: json(envelope(object({})), 'Dry run'), 201: json(envelope(object({ importedCount: integer() })), 'Imported'), ...errors('VALIDATION_ERROR') }
+        })
+    },
+    '/transactions/{id}': { get: transactions.get, patch: transactions.update, delete: transactions.remove },
+
+    '/budget/summary': {
+        get: operation('Budget', 'getBudgetSummary', 'Budget for a month from the ledger', {
+            params: [queryParam('month', monthString, 'Default this month'), reportingCurrency],
+            responses: { 200: json(envelope(ref('BudgetSummary'))), ...errors('INVALID_DATE', 'INVALID_CURRENCY', ...UPSTREAM) }
+        })
+    },
+    '/budget/calculate': {
+        post: operation('Budget', 'calculateBudget', 'Budget for typed-in figures', {
+            body: object({
+                income: { oneOf: [amount(), array(budgetEntry)], description: 'An amount or a list of income sources' },
+                expenses: array(budgetEntry),
+                currency: currencyCode
+            }),
+            responses: { 200: json(envelope(ref('BudgetSummary'))), ...errors('VALIDATION_ERROR', 'INVALID_CURRENCY', 'INVALID_AMOUNT', 'RATE_UNAVAILABLE', ...UPSTREAM) }
+        })
+    },
+    '/budget/trends': {
+        get: operation('Budget', 'getBudgetTrends', 'Income, spending and savings per month', {
+            params: [queryParam('from', monthString, 'Default five months before to'), queryParam('to', monthString, 'Default this month'), reportingCurrency],
+            responses: { 200: json(envelope(object({}))), ...errors('INVALID_DATE', 'INVALID_CURRENCY', ...UPSTREAM) }
+        })
+    },
+    '/budget/plans': {
+        get: operation('Budget', 'listPlans', 'Saved monthly budgets, newest first', { responses: { 200: json(envelope(array(ref('Plan')))) } })
+    },
+    '/budget/plans/{month}': {
+        get: operation('Budget', 'getPlan', "Get a month's budget", {
+            params: [monthParam],
+            responses: { 200: json(envelope(ref('Plan'))), ...errors('INVALID_DATE', 'NOT_FOUND') }
+        }),
+        put: operation('Budget', 'savePlan', "Create or replace a month's budget", {
+            params: [monthParam],
+            body: object({ income: number(), targets: object({}, [], { additionalProperties: number() }), rollover: boolean(), currency: currencyCode }, ['targets']),
+            responses: { 200: json(envelope(ref('Plan'))), ...errors('VALIDATION_ERROR', 'INVALID_DATE', 'INVALID_CURRENCY') }
+        }),
+        delete: operation('Budget', 'deletePlan', "Delete a month's budget", {
+            params: [monthParam],
+            responses: { 200: json(envelope()), ...errors('INVALID_DATE', 'NOT_FOUND') }
+        })
+    },
+    '/budget/plans/{month}/report': {
+        get: operation('Budget', 'getPlanReport', 'Budget vs actual for a saved month', {
+            params: [monthParam],
+            responses: { 200: json(envelope(object({}))), ...errors('INVALID_DATE', 'NOT_FOUND', ...UPSTREAM) }
+        })
+    },
+    '/budget/goals': {
+        get: operation('Budget', 'listGoals', 'Savings goals', { responses: { 200: json(envelope(array(ref('Goal')))) } }),
+        post: operation('Budget', 'createGoal', 'Add a savings goal', {
+            body: goalInput,
+            responses: { 201: json(envelope(ref('Goal')), 'Created'), ...errors('VALIDATION_ERROR') }
+        })
+    },
+    '/budget/goals/{id}': {
+        put: operation('Budget', 'updateGoal', 'Replace a savings goal', {
+            params: [idParam('id', 'Goal')],
+            body: goalInput,
+            responses: { 200: json(envelope(ref('Goal'))), ...errors('VALIDATION_ERROR', 'NOT_FOUND') }
+        }),
+        delete: operation('Budget', 'deleteGoal', 'Delete a savings goal', {
+            params: [idParam('id', 'Goal')],
+            responses: { 200: json(envelope()), ...errors('NOT_FOUND') }
+        })
+    },
+
+    '/categories': {
+        get: operation('Categories', 'listCategories', 'Category taxonomy', { responses: { 200: json(envelope(array(object({ id: string(), label: string() })))) } })
+    },
+    '/categories/rules': {
+        get: operation('Categories', 'listCategoryRules', 'Category rules in evaluation order', { responses: { 200: json(envelope(array(ref('CategoryRule')))) } }),
+        post: operation('Categories', 'createCategoryRule', 'Add a category rule and re-categorize the ledger', {
+            body: ruleInput,
+            responses: { 201: json(envelope(ref('CategoryRule'), { reclassified: integer() }), 'Created'), ...errors('VALIDATION_ERROR') }
+        })
+    },
+    '/categories/rules/preview': {
+        post: operation('Categories', 'previewCategoryRules', 'Transactions a rule change would re-categorize', {
+            body: object({ rule: ruleInput, remove: string(), rules: array(ruleInput) }),
+            responses: { 200: json(envelope(object({ changes: array(object({})), count: integer() }))), ...errors('VALIDATION_ERROR', 'NOT_FOUND') }
+        })
+    },
+    '/categories/rules/{id}': {
+        put: operation('Categories', 'updateCategoryRule', 'Replace a category rule', {
+            params: [idParam('id', 'Rule')],
+            body: ruleInput,
+            responses: { 200: json(envelope(ref('CategoryRule'), { reclassified: integer() })), ...errors('VALIDATION_ERROR', 'NOT_FOUND') }
+        }),
+        delete: operation('Categories', 'deleteCategoryRule', 'Delete a category rule', {
+            params: [idParam('id', 'Rule')],
+            responses: { 200: json(envelope(null, { reclassified: integer() })), ...errors('NOT_FOUND') }
+        })
+    },
+
+    '/alerts': { get: alerts.list, post: alerts.create },
+    '/alerts/check': {
+        post: operation('Alerts', 'checkAlerts', 'Evaluate the user\'s enabled rules now', { responses: { 200: json(envelope(array(object({})))) } })
+    },
+    '/alerts/{id}': { get: alerts.get, patch: alerts.update, delete: alerts.remove },
+    '/notifications': {
+        get: operation('Alerts', 'listNotifications', 'The user\'s notification feed, newest first', {
+            params: [queryParam('unread', boolean({ default: false }), 'Unread only'), queryParam('limit', integer({ minimum: 1, maximum: 500, default: 50 }))],
+            responses: { 200: json(envelope(array(ref('Notification')), { unread: integer() })), ...errors('VALIDATION_ERROR') }
+        })
+    },
+    '/notifications/read-all': {
+        post: operation('Alerts', 'markAllNotificationsRead', 'Mark every notification read', { responses: { 200: json(envelope(null, { updated: integer() })) } })
+    },
+    '/notifications/{id}/read': {
+        post: operation('Alerts', 'markNotificationRead', 'Mark a notification read', {
+            params: [idParam('id', 'Notification')],
+            responses: { 200: json(envelope(ref('Notification'))), ...errors('NOT_FOUND') }
+        })
+    },
+    '/notifications/{id}': {
+        delete: operation('Alerts', 'deleteNotification', 'Delete a notification', {
+            params: [idParam('id', 'Notification')],
+            responses: { 200: json(envelope()), ...errors('NOT_FOUND') }
+        })
+    },
+
+    '/account': {
+        get: operation('Account', 'getAccount', 'The signed-in user and the preferences in effect', { responses: { 200: json(envelope(ref('Account'))) } })
+    },
+    '/account/register': {
+        post: operation('Account', 'register', 'Create a dashboard account and sign in', {
+            body: object({ email: string({ format: 'email' }), password: string({ minLength: 8 }), name: string() }, ['email', 'password']),
+            responses: { 201: json(envelope(ref('Account')), 'Created'), ...errors('VALIDATION_ERROR', 'CONFLICT') }
+        })
+    },
+    '/account/login': {
+        post: operation('Account', 'login', 'Sign in', {
+            body: object({ email: string({ format: 'email' }), password: string() }, ['email', 'password']),
+            responses: { 200: json(envelope(ref('Account'))), ...errors('INVALID_CREDENTIALS', 'RATE_LIMITED') }
+        })
+    },
+    '/account/logout': {
+        post: operation('Account', 'logout', 'Sign out', { responses: { 200: json(envelope(ref('Account'))) } })
+    },
+    '/account/preferences': {
+        get: operation('Account', 'getPreferences', 'Saved preferences', { responses: { 200: json(envelope(ref('Preferences'))), ...errors('UNAUTHENTICATED') } }),
+        patch: operation('Account', 'updatePreferences', 'Change saved preferences; only the fields sent are replaced', {
+            body: ref('Preferences'),
+            responses: { 200: json(envelope(ref('Preferences'))), ...errors('VALIDATION_ERROR', 'INVALID_CURRENCY', 'UNAUTHENTICATED') }
+        })
+    },
+
+    '/admin/keys': {
+        get: operation('Admin', 'listApiKeys', 'List API keys', { responses: { 200: json(envelope(array(ref('ApiKey')))), ...errors('FORBIDDEN') } }),
+        post: operation('Admin', 'createApiKey', 'Issue an API key; the response is the only time it is shown', {
+            body: object(keyFields, ['name']),
+            responses: { 201: json(envelope({ allOf: [ref('ApiKey'), object({ key: string() })] }), 'Created'), ...errors('VALIDATION_ERROR', 'FORBIDDEN') }
+        })
+    },
+    '/admin/keys/{id}': {
+        patch: operation('Admin', 'updateApiKey', "Change an API key's name, role or limits", {
+            params: [idParam('id', 'API key')],
+            body: object(keyFields),
+            responses: { 200: json(envelope(ref('ApiKey'))), ...errors('VALIDATION_ERROR', 'FORBIDDEN', 'NOT_FOUND') }
+        }),
+        delete: operation('Admin', 'revokeApiKey', 'Revoke an API key', {
+            params: [idParam('id', 'API key')],
+            responses: { 200: json(envelope(ref('ApiKey'))), ...errors('FORBIDDEN', 'NOT_FOUND') }
+        })
+    },
+    '/admin/usage': {
+        get: operation('Admin', 'getApiUsage', 'Requests per key and day', {
+            params: [queryParam('days', integer({ minimum: 1, maximum: 90, default: 7 }))],
+            responses: { 200: json(envelope(array(object({})), { days: integer() })), ...errors('VALIDATION_ERROR', 'FORBIDDEN') }
+        })
+    }
+};
+
+// A version's operations under its prefix. Older versions are marked
+// deprecated, grouped under their own tag and get the version as an
+// operationId prefix so ids stay unique.
+function mount(apiVersion, pathItems) {
+    const deprecated = apiVersion !== CURRENT_VERSION;
+    return Object.fromEntries(Object.entries(pathItems).map(([path, item]) => [
+        `/api/${apiVersion}${path}`,
+        deprecated
+            ? Object.fromEntries(Object.entries(item).map(([method, op]) => [method, {
+                ...op,
+                tags: [`${apiVersion} (deprecated)`],
+                operationId: `${apiVersion}${op.operationId[0].toUpperCase()}${op.operationId.slice(1)}`,
+                deprecated: true
+            }]))
+            : item
+    ]));
+}
+
+const paths = {
+    '/health': {
+        get: operation('System', 'health', 'Server health', {
+            responses: { 200: json(object({ status: string(), timestamp: string({ format: 'date-time' }), server: string(), cache: string() })) }
+        })
+    },
+    ...mount(CURRENT_VERSION, { ...marketV2, ...resources }),
+    ...mount('v1', { ...marketV1, ...resources })
+};
+
+// Every /api operation needs an API key or a dashboard session
+const SECURED = [{ bearerAuth: [] }, { apiKeyHeader: [] }, { apiKeyQuery: [] }, { session: [] }];
+
+function secure(pathItems) {
+    return Object.fromEntries(Object.entries(pathItems).map(([path, item]) => [
+        path,
+        path.startsWith('/api/')
+            ? Object.fromEntries(Object.entries(item).map(([method, op]) => [method, { ...op, security: SECURED, responses: { ...op.responses, ...errors('UNAUTHENTICATED', 'INVALID_API_KEY', 'RATE_LIMITED') } }]))
+            : item
+    ]));
+}
+
+const spec = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Finance Dashboard API',
+        version,
+        description: 'Market data, currency conversion, portfolios, budgets and alerts. ' +
+            'Every response is JSON; failures answer `{ success: false, error, code, details? }` with the status that belongs to `code`. ' +
+            `The current version is /api/${CURRENT_VERSION}. /api/v1 and the unversioned /api paths keep the original market data shapes ` +
+            'and answer with Deprecation and Sunset headers.'
+    },
+    servers: [{ url: '/' }],
+    tags: ['System', 'Market data', 'Conversion', 'Streaming', 'Portfolios', 'Accounts', 'Transactions', 'Budget', 'Categories', 'Alerts', 'Account', 'Admin']
+        .map(name => ({ name }))
+        .concat({ name: 'v1 (deprecated)', description: 'The original market data shapes, also served at the unversioned /api paths' }),
+    paths: secure(paths),
+    components: {
+        schemas,
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer' },
+            apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+            session: { type: 'apiKey', in: 'cookie', name: 'fd_session' }
+        }
+    }
+};
+
+module.exports = {
+    spec
+};
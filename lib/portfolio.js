@@ -0,0 +1,221 @@
+const { collection, ownedBy } = require('./store');
+const { makeAPIRequest } = require('./market-data');
+const rules = require('./validation');
+const money = require('./money');
+const { findRate } = require('./conversion');
+
+// Portfolios belong to their owner (see store.ownedBy)
+const portfolios = collection('portfolios');
+const holdings = collection('holdings');
+
+const HOLDING_TYPES = ['stock', 'crypto'];
+
+// Holding fields by type. Stock tickers are upper case, CoinGecko ids lower
+// case, and both go into vendor URLs, so only those characters are accepted.
+function holdingSchema(type) {
+    return {
+        symbol: type === 'crypto' ? rules.coinId() : rules.stockSymbol(),
+        quantity: rules.decimal({ min: 0, code: 'INVALID_AMOUNT' }),
+        purchasePrice: rules.decimal({ min: 0, code: 'INVALID_AMOUNT' }),
+        currency: rules.currency({ default: 'USD' }),
+        purchaseDate: rules.date({ default: () => new Date().toISOString().slice(0, 10) })
+    };
+}
+
+// Validate holding fields. Returns { holding } with normalized values or { error, code }.
+function validateHolding(input) {
+    if (!HOLDING_TYPES.includes(input.type)) {
+        return { error: `Holding type must be one of: ${HOLDING_TYPES.join(', ')}` };
+    }
+
+    const { values, details } = rules.check(holdingSchema(input.type), input);
+    if (details.length > 0) {
+        return { error: details[0].message, code: details[0].code };
+    }
+    if (money.compare(values.quantity, 0) <= 0) {
+        return { error: 'quantity must be a positive number', code: 'INVALID_AMOUNT' };
+    }
+    if (money.compare(values.purchasePrice, 0) <= 0) {
+        return { error: 'purchasePrice must be a positive number', code: 'INVALID_AMOUNT' };
+    }
+
+    return {
+        holding: {
+            type: input.type,
+            symbol: values.symbol,
+            quantity: values.quantity,
+            purchasePrice: values.purchasePrice,
+            currency: values.currency,
+            purchaseDate: values.purchaseDate
+        }
+    };
+}
+
+// Latest USD price for a holding, sharing cache entries with the quote routes.
+// Returns { price, stale, asOf }; stale prices are last-known-good values
+// served while the vendor is failing.
+async function fetchPrice(holding) {
+    if (holding.type === 'stock') {
+        const result = await makeAPIRequest('stocks', 'quote', [holding.symbol], `stock_${holding.symbol}`);
+        if (!result.success) throw new Error(result.error);
+        if (!result.data) throw new Error(`Stock symbol '${holding.symbol}' not found`);
+        return { price: parseFloat(result.data.price), stale: result.stale, asOf: result.asOf };
+    }
+
+    const result = await makeAPIRequest('crypto', 'prices', [holding.symbol], `crypto_${holding.symbol}`);
+    if (!result.success) throw new Error(result.error);
+    if (!result.data?.[holding.symbol]) throw new Error(`Cryptocurrency '${holding.symbol}' not found`);
+    return { price: result.data[holding.symbol].usd, stale: result.stale, asOf: result.asOf };
+}
+
+// Rate to convert one unit of `from` into `to`, as { rate, stale }
+async function fetchRate(from, to) {
+    const found = await findRate(from, to);
+    return { rate: found.rate, stale: found.rates.some(rate => rate.stale) };
+}
+
+// Market value, cost basis and P&L in `currency`: numbers for arithmetic
+// and, under `exact`, the same amounts as exact strings
+function valuation(marketValue, costBasis, currency) {
+    const pnl = money.subtract(marketValue, costBasis);
+    return {
+        marketValue: money.toNumber(marketValue),
+        costBasis: money.toNumber(costBasis),
+        unrealizedPnL: money.toNumber(pnl),
+        unrealizedPnLPercent: money.isZero(costBasis) ? 0 : money.percent(pnl, costBasis),
+        exact: {
+            marketValue: money.moneyString(marketValue, currency),
+            costBasis: money.moneyString(costBasis, currency),
+            unrealizedPnL: money.moneyString(pnl, currency)
+        }
+    };
+}
+
+// A holding as the API returns it: quantity and purchase price as numbers
+// for arithmetic and as the exact strings under `exact`. Holdings saved
+// before these were stored as strings still hold numbers.
+function publicHolding(record) {
+    if (!record) return null;
+    const quantity = money.toString(money.decimal(record.quantity));
+    const purchasePrice = money.toString(money.decimal(record.purchasePrice));
+    return {
+        ...record,
+        quantity: money.toNumber(quantity),
+        purchasePrice: money.toNumber(purchasePrice),
+        exact: { quantity, purchasePrice }
+    };
+}
+
+// Value every holding at live prices in the portfolio's base currency.
+// Market prices are quoted in USD; cost basis is converted from the purchase
+// currency at today's rate, so P&L includes currency moves. Each holding's
+// values are rounded to the base currency's minor units and the totals are
+// their exact sums.
+async function valuePortfolio(portfolio) {
+    const base = portfolio.baseCurrency;
+    const valued = await Promise.all(listHoldings(portfolio.id).map(async holding => {
+        const { quantity, purchasePrice } = holding.exact;
+        try {
+            const [quote, usdRate, costRate] = await Promise.all([
+                fetchPrice(holding),
+                fetchRate('USD', base),
+                fetchRate(holding.currency, base)
+            ]);
+            const marketValue = money.roundMoney(money.multiply(money.multiply(quantity, quote.price), usdRate.rate), base);
+            const costBasis = money.roundMoney(money.multiply(money.multiply(quantity, purchasePrice), costRate.rate), base);
+            const values = valuation(marketValue, costBasis, base);
+            return {
+                ...holding,
+                price: quote.price,
+                priceAsOf: quote.asOf,
+                stale: Boolean(quote.stale || usdRate.stale || costRate.stale),
+                ...values,
+                exact: { ...holding.exact, ...values.exact }
+            };
+        } catch (error) {
+            return { ...holding, error: error.message };
+        }
+    }));
+
+    const priced = valued.filter(holding => !holding.error);
+    const marketValue = money.sum(priced.map(holding => holding.exact.marketValue));
+    const costBasis = money.sum(priced.map(holding => holding.exact.costBasis));
+
+    valued.forEach(holding => {
+        if (!holding.error) {
+            holding.allocationPercent = money.isZero(marketValue) ? 0 : money.percent(holding.exact.marketValue, marketValue);
+        }
+    });
+
+    return {
+        ...portfolio,
+        holdings: valued,
+        totals: {
+            ...valuation(marketValue, costBasis, base),
+            unpricedHoldings: valued.length - priced.length,
+            staleHoldings: priced.filter(holding => holding.stale).length
+        }
+    };
+}
+
+function listPortfolios(owner = null) {
+    return portfolios.all(ownedBy(owner));
+}
+
+function getPortfolio(id, owner = null) {
+    const portfolio = portfolios.get(id);
+    return portfolio && ownedBy(owner)(portfolio) ? portfolio : null;
+}
+
+function createPortfolio({ name, baseCurrency = 'USD' }, owner = null) {
+    return portfolios.insert({ name, baseCurrency: baseCurrency.toUpperCase(), userId: owner || null });
+}
+
+function updatePortfolio(id, changes, owner = null) {
+    return getPortfolio(id, owner) ? portfolios.update(id, changes) : null;
+}
+
+function deletePortfolio(id, owner = null) {
+    if (!getPortfolio(id, owner)) return false;
+    holdings.removeWhere(holding => holding.portfolioId === id);
+    return portfolios.remove(id);
+}
+
+// Holdings belong to whoever owns their portfolio
+function listHoldings(portfolioId) {
+    return holdings.all(holding => holding.portfolioId === portfolioId).map(publicHolding);
+}
+
+function getHolding(portfolioId, holdingId, owner = null) {
+    const holding = holdings.get(holdingId);
+    if (!holding || holding.portfolioId !== portfolioId || !getPortfolio(portfolioId, owner)) return null;
+    return publicHolding(holding);
+}
+
+function addHolding(portfolioId, holding) {
+    return publicHolding(holdings.insert({ portfolioId, ...holding }));
+}
+
+function updateHolding(holdingId, changes) {
+    return publicHolding(holdings.update(holdingId, changes));
+}
+
+function removeHolding(holdingId) {
+    return holdings.remove(holdingId);
+}
+
+module.exports = {
+    HOLDING_TYPES,
+    validateHolding,
+    valuePortfolio,
+    listPortfolios,
+    getPortfolio,
+    createPortfolio,
+    updatePortfolio,
+    deletePortfolio,
+    listHoldings,
+    getHolding,
+    addHolding,
+    updateHolding,
+    removeHolding
+};
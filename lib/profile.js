@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const { configDir, DEFAULT_CRYPTO_IDS } = require('./cli-backend');
+const { DEFAULT_PREFERENCES } = require('./users');
+const { isMonth, validateBudget } = require('./budget');
+const { isCurrency } = require('./currencies');
+const rules = require('./validation');
+
+// The CLI's local profile: named watchlists, default currencies, favorite
+// conversion pairs, the coins to follow and budgets saved from the budget
+// calculator, by month. It lives in profile.json beside the CLI config
+// (FINANCE_PROFILE for another file) and stays on this machine in direct and
+// client mode alike.
+const PROFILE_VERSION = 1;
+
+const MAX_LIST_ITEMS = 50;
+
+const DEFAULT_PROFILE = {
+    version: PROFILE_VERSION,
+    watchlists: { default: DEFAULT_PREFERENCES.watchlist },
+    defaultWatchlist: 'default',
+    crypto: DEFAULT_CRYPTO_IDS,
+    currencies: { base: DEFAULT_PREFERENCES.baseCurrency, budget: DEFAULT_PREFERENCES.budget.currency },
+    pairs: ['EUR/USD', 'GBP/USD', 'USD/JPY'],
+    budgets: {}
+};
+
+const WATCHLIST_NAME = /^[\w-]{1,40}$/;
+
+function profilePath() {
+    return process.env.FINANCE_PROFILE || path.join(configDir(), 'profile.json');
+}
+
+// A currency pair such as EUR/USD, as a rule for validation.list
+function currencyPair(raw, field) {
+    const codes = String(raw).trim().toUpperCase().split('/');
+    return codes.length === 2 && codes.every(isCurrency)
+        ? { value: codes.join('/') }
+        : { code: 'INVALID_CURRENCY', message: `${field} must list currency pairs like EUR/USD, got '${raw}'` };
+}
+
+// An array checked item by item with a validation rule; repeats are dropped.
+// Lists that feed a vendor request (`required`) need at least one entry.
+function checkList(value, name, rule, { required = false } = {}) {
+    if (!Array.isArray(value)) return { error: `${name} must be an array` };
+    const items = [];
+    for (const raw of value) {
+        const result = rule(raw, name);
+        if (result.code) return { error: result.message };
+        if (!items.includes(result.value)) items.push(result.value);
+    }
+    if (required && items.length === 0) return { error: `${name} needs at least one entry` };
+    if (items.length > MAX_LIST_ITEMS) return { error: `${name} can hold at most ${MAX_LIST_ITEMS} entries` };
+    return { value: items };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validate a whole profile; missing sections get their defaults. Returns
+// { profile } or { error }.
+function validateProfile(input) {
+    if (!isObject(input)) return { error: 'A profile must be a JSON object' };
+    if (input.version !== undefined && !(input.version >= 1 && input.version <= PROFILE_VERSION)) {
+        return { error: `Unsupported profile version '${input.version}'; this CLI reads version ${PROFILE_VERSION}` };
+    }
+    const fields = { ...DEFAULT_PROFILE, ...input };
+
+    if (!isObject(fields.watchlists) || Object.keys(fields.watchlists).length === 0) {
+        return { error: 'watchlists must be an object with at least one named list' };
+    }
+    const watchlists = {};
+    for (const [name, symbols] of Object.entries(fields.watchlists)) {
+        if (!WATCHLIST_NAME.test(name)) {
+            return { error: `Watchlist name '${name}' may only use letters, digits, - and _ (at most 40)` };
+        }
+        const list = checkList(symbols, `watchlists.${name}`, rules.stockSymbol());
+        if (list.error) return list;
+        watchlists[name] = list.value;
+    }
+    if (!watchlists[fields.defaultWatchlist]) {
+        return { error: `defaultWatchlist '${fields.defaultWatchlist}' is not one of the watchlists` };
+    }
+
+    const crypto = checkList(fields.crypto, 'crypto', rules.coinId(), { required: true });
+    if (crypto.error) return crypto;
+    const pairs = checkList(fields.pairs, 'pairs', currencyPair, { required: true });
+    if (pairs.error) return pairs;
+
+    if (!isObject(fields.currencies)) return { error: 'currencies must be an object' };
+    const currencies = {};
+    for (const key of Object.keys(DEFAULT_PROFILE.currencies)) {
+        const result = rules.currency({ default: DEFAULT_PROFILE.currencies[key] })(fields.currencies[key], `currencies.${key}`);
+        if (result.code) return { error: result.message };
+        currencies[key] = result.value;
+    }
+
+    if (!isObject(fields.budgets)) return { error: 'budgets must be an object keyed by month (YYYY-MM)' };
+    const budgets = {};
+    for (const [month, saved] of Object.entries(fields.budgets)) {
+        if (!isMonth(month)) return { error: `Saved budget '${month}' must be keyed by month (YYYY-MM)` };
+        const checked = checkBudget(saved, `budgets.${month}`);
+        if (checked.error) return checked;
+        budgets[month] = checked.budget;
+    }
+
+    return {
+        profile: {
+            version: PROFILE_VERSION,
+            watchlists,
+            defaultWatchlist: fields.defaultWatchlist,
+            crypto: crypto.value,
+            currencies,
+            pairs: pairs.value,
+            budgets
+        }
+    };
+}
+
+// Saved budgets keep the figures as typed, the same body as POST
+// /api/budget/calculate, so they are converted at the rates of the day they
+// are looked at again
+function checkBudget(input, name) {
+    if (!isObject(input)) return { error: `${name} must be an object` };
+    const { income, expenses, currency, error } = validateBudget(input);
+    if (error) return { error: `${name}: ${error}` };
+    return { budget: { currency, income, expenses, savedAt: input.savedAt || new Date().toISOString() } };
+}
+
+// The saved profile, or the defaults before anything was saved
+function loadProfile(file = profilePath()) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return validateProfile({}).profile;
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+    const { profile, error } = validateProfile(parsed);
+    if (error) throw new Error(`${file}: ${error}`);
+    return profile;
+}
+
+// Validate and write a whole profile: { profile } or { error }. Written to a
+// temp file and renamed, like lib/store.js.
+function saveProfile(input, file = profilePath()) {
+    const { profile, error } = validateProfile(input);
+    if (error) return { error };
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, `${JSON.stringify(profile, null, 2)}\n`);
+    fs.renameSync(temp, file);
+    return { profile };
+}
+
+// Replace the profile with an exported one, or with `merge` add its
+// watchlists and budgets to the current ones and take its other settings
+function importProfile(input, { merge = false } = {}) {
+    if (!isObject(input)) return { error: 'A profile must be a JSON object' };
+    if (!merge) return saveProfile(input);
+
+    const current = loadProfile();
+    return saveProfile({
+        ...current,
+        ...input,
+        watchlists: { ...current.watchlists, ...(isObject(input.watchlists) ? input.watchlists : {}) },
+        budgets: { ...current.budgets, ...(isObject(input.budgets) ? input.budgets : {}) }
+    });
+}
+
+const splitList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Settings `profile set` and `profile unset` know, as
+// { describe, set(profile, value) => changes, unset(profile) => changes }.
+// watchlist.<name> and budget.<month> are matched by prefix.
+const SETTINGS = {
+    'base-currency': {
+        describe: 'Currency conversions and net worth start from',
+        set: (profile, value) => ({ currencies: { ...profile.currencies, base: value } }),
+        unset: profile => ({ currencies: { ...profile.currencies, base: DEFAULT_PROFILE.currencies.base } })
+    },
+    'budget-currency': {
+        describe: 'Currency budgets are reported in',
+        set: (profile, value) => ({ currencies: { ...profile.currencies, budget: value } }),
+        unset: profile => ({ currencies: { ...profile.currencies, budget: DEFAULT_PROFILE.currencies.budget } })
+    },
+    crypto: {
+        describe: 'Coins to follow, comma separated CoinGecko ids',
+        set: (profile, value) => ({ crypto: splitList(value) }),
+        unset: () => ({ crypto: DEFAULT_PROFILE.crypto })
+    },
+    pairs: {
+        describe: 'Favorite conversion pairs, comma separated, e.g. EUR/USD,USD/JPY',
+        set: (profile, value) => ({ pairs: splitList(value) }),
+        unset: () => ({ pairs: DEFAULT_PROFILE.pairs })
+    },
+    'default-watchlist': {
+        describe: 'Watchlist used when none is named',
+        set: (profile, value) => ({ defaultWatchlist: value }),
+        unset: () => ({ defaultWatchlist: 'default' })
+    },
+    'watchlist.<name>': {
+        describe: 'A named watchlist, comma separated stock symbols',
+        set: (profile, value, name) => ({ watchlists: { ...profile.watchlists, [name]: splitList(value) } }),
+        unset: (profile, name) => {
+            if (!profile.watchlists[name]) return { error: `No watchlist named '${name}'` };
+            if (name === profile.defaultWatchlist) {
+                return { error: `'${name}' is the default watchlist; set default-watchlist to another one first` };
+            }
+            const { [name]: removed, ...watchlists } = profile.watchlists;
+            return { watchlists };
+        }
+    },
+    'budget.<month>': {
+        describe: 'A saved budget (unset only; save budgets from the budget calculator or budget --save)',
+        unset: (profile, month) => {
+            if (!profile.budgets[month]) return { error: `No budget saved for '${month}'` };
+            const { [month]: removed, ...budgets } = profile.budgets;
+            return { budgets };
+        }
+    }
+};
+
+// [setting, argument] for a setting name, e.g. 'watchlist.tech' -> ['watchlist.<name>', 'tech']
+function findSetting(key) {
+    if (SETTINGS[key] && !key.includes('<')) return [SETTINGS[key], undefined];
+    const [prefix, ...rest] = String(key).split('.');
+    const setting = Object.entries(SETTINGS).find(([name]) => name.startsWith(`${prefix}.<`));
+    return setting && rest.length > 0 ? [setting[1], rest.join('.')] : [null];
+}
+
+function unknownSetting(key) {
+    return { error: `Unknown setting '${key}'. Use one of: ${Object.keys(SETTINGS).join(', ')}` };
+}
+
+// Change one setting: { profile } or { error }
+function setSetting(key, value) {
+    const [setting, argument] = findSetting(key);
+    if (!setting) return unknownSetting(key);
+    if (!setting.set) return { error: `'${key}' cannot be set directly` };
+    const profile = loadProfile();
+    return saveProfile({ ...profile, ...setting.set(profile, value, argument) });
+}
+
+// Reset a setting to its default, or remove a watchlist or saved budget
+function unsetSetting(key) {
+    const [setting, argument] = findSetting(key);
+    if (!setting) return unknownSetting(key);
+    const profile = loadProfile();
+    const changes = setting.unset(profile, argument);
+    if (changes.error) return changes;
+    return saveProfile({ ...profile, ...changes });
+}
+
+function saveBudget(month, input) {
+    if (!isMonth(month)) return { error: `Invalid month '${month}'. Use YYYY-MM` };
+    const checked = checkBudget({ ...input, savedAt: undefined }, 'budget');
+    if (checked.error) return checked;
+    const profile = loadProfile();
+    const result = saveProfile({ ...profile, budgets: { ...profile.budgets, [month]: checked.budget } });
+    return result.error ? result : { budget: checked.budget };
+}
+
+// The symbols of a watchlist, the default one without a name; null if unknown
+function watchlist(profile, name = profile.defaultWatchlist) {
+    return profile.watchlists[name] || null;
+}
+
+module.exports = {
+    PROFILE_VERSION,
+    DEFAULT_PROFILE,
+    SETTINGS,
+    profilePath,
+    currencyPair,
+    validateProfile,
+    loadProfile,
+    saveProfile,
+    importProfile,
+    setSetting,
+    unsetSetting,
+    saveBudget,
+    watchlist
+};
@@ -0,0 +1,21 @@
+const { fetchJSON, ProviderError } = require('./http');
+
+const ALPHA_VANTAGE_API_KEY = process.env.ALPHA_VANTAGE_API_KEY || 'demo';
+
+// Alpha Vantage answers throttled or premium-only calls with HTTP 200 and a
+// "Note"/"Information" message instead of data, so those are treated as failures
+async function query(params) {
+    const search = new URLSearchParams({ ...params, apikey: ALPHA_VANTAGE_API_KEY });
+    const data = await fetchJSON(`https://www.alphavantage.co/query?${search}`);
+
+    if (data['Note'] || data['Information']) {
+        throw new ProviderError(data['Note'] || data['Information'], 429);
+    }
+    if (data['Error Message']) {
+        throw new ProviderError(data['Error Message'], 400);
+    }
+
+    return data;
+}
+
+module.exports = { query };
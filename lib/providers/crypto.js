@@ -0,0 +1,66 @@
+const { fetchJSON } = require('./http');
+const { barsFromSamples, resample } = require('../timeseries');
+
+const COINGECKO_API_KEY = process.env.COINGECKO_API_KEY || '';
+
+// Crypto providers resolve to the CoinGecko simple/price shape:
+// { [id]: { usd, usd_24h_change, usd_market_cap, last_updated_at } }
+// and history to ascending OHLC points (see lib/timeseries.js)
+
+function unixSeconds(dateString, endOfDay = false) {
+    return Math.floor(Date.parse(`${dateString}T${endOfDay ? '23:59:59' : '00:00:00'}Z`) / 1000);
+}
+
+function coinGeckoHeaders() {
+    return COINGECKO_API_KEY ? { 'x-cg-demo-api-key': COINGECKO_API_KEY } : {};
+}
+
+module.exports = {
+    coingecko: {
+        enabled: () => true,
+        async prices(ids) {
+            const data = await fetchJSON(
+                `https://api.coingecko.com/api/v3/simple/price?ids=${ids}&vs_currencies=usd&include_24hr_change=true&include_market_cap=true&include_last_updated_at=true`,
+                { headers: coinGeckoHeaders() }
+            );
+            if (!data || Object.keys(data).length === 0) return null;
+            return data;
+        },
+
+        async history(id, interval, from, to) {
+            const data = await fetchJSON(
+                `https://api.coingecko.com/api/v3/coins/${id}/market_chart/range?vs_currency=usd` +
+                `&from=${unixSeconds(from)}&to=${unixSeconds(to, true)}`,
+                { headers: coinGeckoHeaders() }
+            );
+            if (!data.prices || data.prices.length === 0) return null;
+            const volumes = new Map((data.total_volumes || []).map(([time, volume]) => [time, volume]));
+            const samples = data.prices.map(([time, price]) => ({ time, price, volume: volumes.get(time) }));
+            return resample(barsFromSamples(samples, interval), interval);
+        }
+    },
+
+    coincap: {
+        enabled: () => true,
+        async prices(ids) {
+            const data = await fetchJSON(`https://api.coincap.io/v2/assets?ids=${ids}`);
+            if (!data.data || data.data.length === 0) return null;
+            return Object.fromEntries(data.data.map(asset => [asset.id, {
+                usd: parseFloat(asset.priceUsd),
+                usd_24h_change: parseFloat(asset.changePercent24Hr),
+                usd_market_cap: parseFloat(asset.marketCapUsd),
+                last_updated_at: data.timestamp ? Math.floor(data.timestamp / 1000) : null
+            }]));
+        },
+
+        async history(id, interval, from, to) {
+            const data = await fetchJSON(
+                `https://api.coincap.io/v2/assets/${id}/history?interval=${interval === 'intraday' ? 'h1' : 'd1'}` +
+                `&start=${unixSeconds(from) * 1000}&end=${unixSeconds(to, true) * 1000}`
+            );
+            if (!data.data || data.data.length === 0) return null;
+            const samples = data.data.map(row => ({ time: row.time, price: parseFloat(row.priceUsd), volume: null }));
+            return resample(barsFromSamples(samples, interval), interval);
+        }
+    }
+};
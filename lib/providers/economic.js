@@ -0,0 +1,42 @@
+const { fetchJSON } = require('./http');
+const alphaVantage = require('./alphavantage');
+const { SERIES, alphaVantageQuery } = require('../economic');
+
+const FRED_API_KEY = process.env.FRED_API_KEY || '';
+
+// Economic providers take a series id from lib/economic.js (and the API
+// version asking) and resolve to { name, interval, unit, data: [{ date, value }] },
+// newest data point first
+
+module.exports = {
+    alphavantage: {
+        enabled: () => true,
+        async series(id, version) {
+            const data = await alphaVantage.query(alphaVantageQuery(id, version));
+            if (!Array.isArray(data.data)) return null;
+            return { name: data.name, interval: data.interval, unit: data.unit, data: data.data };
+        }
+    },
+
+    fred: {
+        enabled: () => Boolean(FRED_API_KEY),
+        async series(id) {
+            const seriesId = SERIES[id].fred;
+
+            const base = 'https://api.stlouisfed.org/fred';
+            const [info, observations] = await Promise.all([
+                fetchJSON(`${base}/series?series_id=${seriesId}&api_key=${FRED_API_KEY}&file_type=json`),
+                fetchJSON(`${base}/series/observations?series_id=${seriesId}&api_key=${FRED_API_KEY}&file_type=json&sort_order=desc`)
+            ]);
+            const meta = info.seriess?.[0] || {};
+            return {
+                name: meta.title || seriesId,
+                interval: (meta.frequency || '').toLowerCase(),
+                unit: meta.units || '',
+                data: observations.observations
+                    .filter(point => point.value !== '.')
+                    .map(point => ({ date: point.date, value: point.value }))
+            };
+        }
+    }
+};
@@ -0,0 +1,103 @@
+const { fetchJSON, ProviderError } = require('./http');
+const alphaVantage = require('./alphavantage');
+const { daysAgo, point, sortPoints, resample } = require('../timeseries');
+
+const EXCHANGE_API_KEY = process.env.EXCHANGE_API_KEY || '';
+
+// FX providers resolve latest rates, and the rates on a past date
+// (historical), to { base, date, rates }; `date` is the day the rates were
+// fixed, which for weekends and holidays is the last working day before.
+// Pair history resolves to ascending OHLC points (see lib/timeseries.js).
+
+const ALPHA_VANTAGE_SERIES = {
+    daily: { function: 'FX_DAILY', key: 'Time Series FX (Daily)' },
+    weekly: { function: 'FX_WEEKLY', key: 'Time Series FX (Weekly)' },
+    monthly: { function: 'FX_MONTHLY', key: 'Time Series FX (Monthly)' }
+};
+
+module.exports = {
+    'exchangerate-api': {
+        enabled: () => Boolean(EXCHANGE_API_KEY),
+        async latest(base) {
+            const data = await fetchJSON(`https://v6.exchangerate-api.com/v6/${EXCHANGE_API_KEY}/latest/${base}`);
+            if (data.result !== 'success') {
+                if (data['error-type'] === 'unsupported-code') return null;
+                throw new ProviderError(data['error-type'] || 'Exchange rate lookup failed');
+            }
+            return {
+                base: data.base_code,
+                date: new Date(data.time_last_update_unix * 1000).toISOString().slice(0, 10),
+                rates: data.conversion_rates
+            };
+        },
+
+        // Historical tables need a paid plan; other plans fail over to Frankfurter
+        async historical(base, date) {
+            const [year, month, day] = date.split('-').map(Number);
+            const data = await fetchJSON(`https://v6.exchangerate-api.com/v6/${EXCHANGE_API_KEY}/history/${base}/${year}/${month}/${day}`);
+            if (data.result !== 'success') {
+                if (['unsupported-code', 'no-data-available'].includes(data['error-type'])) return null;
+                throw new ProviderError(data['error-type'] || 'Historical exchange rate lookup failed');
+            }
+            return { base: data.base_code, date, rates: data.conversion_rates };
+        }
+    },
+
+    'exchangerate-api-free': {
+        enabled: () => true,
+        async latest(base) {
+            const data = await fetchJSON(`https://api.exchangerate-api.com/v4/latest/${base}`);
+            if (!data.rates) return null;
+            return { base: data.base, date: data.date, rates: data.rates };
+        }
+    },
+
+    frankfurter: {
+        enabled: () => true,
+        async latest(base) {
+            const data = await fetchJSON(`https://api.frankfurter.app/latest?from=${base}`);
+            if (!data.rates) return null;
+            // Frankfurter omits the base currency from its rate table
+            return { base: data.base, date: data.date, rates: { [data.base]: 1, ...data.rates } };
+        },
+
+        // ECB reference rates from 1999 on
+        async historical(base, date) {
+            const data = await fetchJSON(`https://api.frankfurter.app/${date}?from=${base}`);
+            if (!data.rates) return null;
+            return { base: data.base, date: data.date, rates: { [data.base]: 1, ...data.rates } };
+        },
+
+        // Frankfurter only publishes daily reference rates, so weekly and
+        // monthly bars are built from them
+        async history(from, to, interval, start, end) {
+            if (interval === 'intraday') return null;
+            const data = await fetchJSON(`https://api.frankfurter.app/${start}..${end}?from=${from}&to=${to}`);
+            if (!data.rates) return null;
+            const points = sortPoints(Object.entries(data.rates)
+                .filter(([, rates]) => rates[to] != null)
+                .map(([date, rates]) => point(date, null, null, null, rates[to], null)));
+            return resample(points, interval);
+        }
+    },
+
+    alphavantage: {
+        enabled: () => true,
+        async history(from, to, interval, start) {
+            const series = ALPHA_VANTAGE_SERIES[interval];
+            // FX_INTRADAY is a premium endpoint
+            if (!series) return null;
+            const params = { function: series.function, from_symbol: from, to_symbol: to };
+            if (interval === 'daily' && start < daysAgo(140)) {
+                params.outputsize = 'full';
+            }
+
+            const data = await alphaVantage.query(params);
+            const rows = data[series.key];
+            if (!rows) return null;
+            return sortPoints(Object.entries(rows).map(([date, row]) => point(
+                date, row['1. open'], row['2. high'], row['3. low'], row['4. close'], null
+            )));
+        }
+    }
+};
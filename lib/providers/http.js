@@ -0,0 +1,27 @@
+const axios = require('axios');
+
+// Raised by providers when a vendor errors, throttles or returns an unusable payload
+class ProviderError extends Error {
+    constructor(message, status = 502) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+    }
+}
+
+async function fetchJSON(url, options = {}) {
+    try {
+        const response = await axios.get(url, { timeout: 10000, ...options });
+        return response.data;
+    } catch (error) {
+        // No answer at all is 504 for a timeout and 503 when the vendor could
+        // not be reached, so callers can tell both from a bad answer
+        const timedOut = ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code);
+        throw new ProviderError(
+            error.response?.data?.message || error.message || 'API request failed',
+            error.response ? error.response.status : timedOut ? 504 : 503
+        );
+    }
+}
+
+module.exports = { ProviderError, fetchJSON };
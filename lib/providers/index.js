@@ -0,0 +1,68 @@
+const { ProviderError } = require('./http');
+const { throttle } = require('./throttle');
+
+const registry = {
+    fx: require('./fx'),
+    stocks: require('./stocks'),
+    crypto: require('./crypto'),
+    economic: require('./economic')
+};
+
+// Provider order per data type, overridable with a comma-separated env var
+const PROVIDER_ORDER = {
+    fx: process.env.FX_PROVIDERS || 'exchangerate-api,exchangerate-api-free,frankfurter,alphavantage',
+    stocks: process.env.STOCK_PROVIDERS || 'alphavantage,finnhub,twelvedata',
+    crypto: process.env.CRYPTO_PROVIDERS || 'coingecko,coincap',
+    economic: process.env.ECONOMIC_PROVIDERS || 'alphavantage,fred'
+};
+
+// Enabled providers for a data type, in fallback order
+function getProviders(type) {
+    return PROVIDER_ORDER[type]
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => registry[type][name] && registry[type][name].enabled())
+        .map(name => ({ name, provider: registry[type][name] }));
+}
+
+// Try each provider in turn until one answers. Resolves to { data, provider },
+// with data null when every provider that answered reported "not found".
+async function fetchFromProviders(type, method, args) {
+    const candidates = getProviders(type).filter(({ provider }) => typeof provider[method] === 'function');
+    if (candidates.length === 0) {
+        throw new ProviderError(`No ${type} providers configured`, 503);
+    }
+
+    const failures = [];
+    let notFound = false;
+
+    for (const { name, provider } of candidates) {
+        try {
+            await throttle(name);
+            const data = await provider[method](...args);
+            if (data) {
+                return { data, provider: name };
+            }
+            notFound = true;
+        } catch (error) {
+            if (error.status === 404) {
+                notFound = true;
+                continue;
+            }
+            console.error(`Provider ${name} failed for ${type}.${method}:`, error.message);
+            failures.push({ name, error });
+        }
+    }
+
+    if (notFound) {
+        return { data: null, provider: null };
+    }
+
+    const last = failures[failures.length - 1].error;
+    throw new ProviderError(
+        failures.map(({ name, error }) => `${name}: ${error.message}`).join('; '),
+        last.status
+    );
+}
+
+module.exports = { getProviders, fetchFromProviders };
@@ -0,0 +1,115 @@
+const { fetchJSON, ProviderError } = require('./http');
+const alphaVantage = require('./alphavantage');
+const { daysAgo, point, sortPoints } = require('../timeseries');
+
+const FINNHUB_API_KEY = process.env.FINNHUB_API_KEY || '';
+const TWELVE_DATA_API_KEY = process.env.TWELVE_DATA_API_KEY || '';
+
+// Stock providers resolve quotes to the Alpha Vantage GLOBAL_QUOTE field set:
+// { symbol, price, change, changePercent, volume, lastUpdate }
+// and history to ascending OHLC points (see lib/timeseries.js)
+
+const ALPHA_VANTAGE_SERIES = {
+    intraday: { function: 'TIME_SERIES_INTRADAY', key: 'Time Series (60min)', interval: '60min' },
+    daily: { function: 'TIME_SERIES_DAILY', key: 'Time Series (Daily)' },
+    weekly: { function: 'TIME_SERIES_WEEKLY', key: 'Weekly Time Series' },
+    monthly: { function: 'TIME_SERIES_MONTHLY', key: 'Monthly Time Series' }
+};
+
+const TWELVE_DATA_INTERVALS = {
+    intraday: '1h',
+    daily: '1day',
+    weekly: '1week',
+    monthly: '1month'
+};
+
+function formatQuote(symbol, price, change, changePercent, volume, lastUpdate) {
+    return {
+        symbol,
+        price: Number(price).toFixed(4),
+        change: Number(change).toFixed(4),
+        changePercent: `${Number(changePercent).toFixed(4)}%`,
+        volume: volume != null ? String(volume) : null,
+        lastUpdate
+    };
+}
+
+module.exports = {
+    alphavantage: {
+        enabled: () => true,
+        async quote(symbol) {
+            const data = await alphaVantage.query({ function: 'GLOBAL_QUOTE', symbol });
+            const quote = data['Global Quote'];
+            if (!quote || Object.keys(quote).length === 0) return null;
+            return {
+                symbol: quote['01. symbol'],
+                price: quote['05. price'],
+                change: quote['09. change'],
+                changePercent: quote['10. change percent'],
+                volume: quote['06. volume'],
+                lastUpdate: quote['07. latest trading day']
+            };
+        },
+
+        async history(symbol, interval, from) {
+            const series = ALPHA_VANTAGE_SERIES[interval];
+            const params = { function: series.function, symbol };
+            if (series.interval) {
+                params.interval = series.interval;
+            }
+            // The compact daily series only covers the last 100 trading days
+            if (interval === 'daily' && from < daysAgo(140)) {
+                params.outputsize = 'full';
+            }
+
+            const data = await alphaVantage.query(params);
+            const rows = data[series.key];
+            if (!rows) return null;
+            return sortPoints(Object.entries(rows).map(([date, row]) => point(
+                date.slice(0, 16), row['1. open'], row['2. high'], row['3. low'], row['4. close'], row['5. volume']
+            )));
+        }
+    },
+
+    finnhub: {
+        enabled: () => Boolean(FINNHUB_API_KEY),
+        async quote(symbol) {
+            const data = await fetchJSON(`https://finnhub.io/api/v1/quote?symbol=${encodeURIComponent(symbol)}&token=${FINNHUB_API_KEY}`);
+            // Unknown symbols come back as an all-zero quote
+            if (!data || !data.t) return null;
+            return formatQuote(
+                symbol, data.c, data.d, data.dp, null,
+                new Date(data.t * 1000).toISOString().slice(0, 10)
+            );
+        }
+    },
+
+    twelvedata: {
+        enabled: () => Boolean(TWELVE_DATA_API_KEY),
+        async quote(symbol) {
+            const data = await fetchJSON(`https://api.twelvedata.com/quote?symbol=${encodeURIComponent(symbol)}&apikey=${TWELVE_DATA_API_KEY}`);
+            if (data.status === 'error') {
+                if (data.code === 404) return null;
+                throw new ProviderError(data.message, data.code === 429 ? 429 : 502);
+            }
+            return formatQuote(
+                data.symbol, data.close, data.change, data.percent_change, data.volume,
+                data.datetime.slice(0, 10)
+            );
+        },
+
+        async history(symbol, interval, from, to) {
+            const data = await fetchJSON(
+                `https://api.twelvedata.com/time_series?symbol=${encodeURIComponent(symbol)}&interval=${TWELVE_DATA_INTERVALS[interval]}` +
+                `&start_date=${from}&end_date=${to}&outputsize=5000&apikey=${TWELVE_DATA_API_KEY}`
+            );
+            if (data.status === 'error') {
+                if (data.code === 404) return null;
+                throw new ProviderError(data.message, data.code === 429 ? 429 : 502);
+            }
+            return sortPoints(data.values.map(row => point(
+                row.datetime.slice(0, 16), row.open, row.high, row.low, row.close, row.volume
+            )));
+        }
+    }
+};
@@ -0,0 +1,53 @@
+const { ProviderError } = require('./http');
+
+// Per-vendor request budgets in calls per minute, matching the free tiers.
+// Override with <VENDOR>_RATE_LIMIT, e.g. ALPHAVANTAGE_RATE_LIMIT=75 for a
+// premium key; 0 turns throttling off for that vendor.
+const DEFAULT_LIMITS = {
+    alphavantage: 5,
+    finnhub: 60,
+    twelvedata: 8,
+    coingecko: 30,
+    coincap: 200,
+    fred: 120,
+    'exchangerate-api': 60,
+    'exchangerate-api-free': 60,
+    frankfurter: 120
+};
+
+const WINDOW_MS = 60 * 1000;
+
+// A call that would have to queue longer than this fails with a 429 instead,
+// so the failover can move on to the next provider
+const MAX_WAIT_MS = parseInt(process.env.THROTTLE_MAX_WAIT_MS) || 10 * 1000;
+
+// Start times of recent and already-scheduled calls per vendor, ascending
+const calls = {};
+
+function limitFor(vendor) {
+    const override = process.env[`${vendor.toUpperCase().replace(/-/g, '_')}_RATE_LIMIT`];
+    return override !== undefined ? parseInt(override) || 0 : DEFAULT_LIMITS[vendor] || 0;
+}
+
+// Wait for a slot in the vendor's budget before calling it
+async function throttle(vendor) {
+    const limit = limitFor(vendor);
+    if (!limit) return;
+
+    const now = Date.now();
+    const recent = (calls[vendor] || []).filter(time => time > now - WINDOW_MS);
+    const start = recent.length >= limit ? recent[recent.length - limit] + WINDOW_MS : now;
+
+    if (start - now > MAX_WAIT_MS) {
+        calls[vendor] = recent;
+        throw new ProviderError(`${vendor} rate limit of ${limit} requests per minute reached`, 429);
+    }
+
+    recent.push(start);
+    calls[vendor] = recent;
+    if (start > now) {
+        await new Promise(resolve => setTimeout(resolve, start - now));
+    }
+}
+
+module.exports = { throttle };
@@ -0,0 +1,48 @@
+// Fixed-window request counters for API clients. Each bucket (an API key or
+// an IP address) may make `limit` requests per window; the counts are kept
+// in process, so every server instance enforces its own share.
+const WINDOW_SECONDS = 60;
+
+const buckets = new Map();
+
+// Count one request against a bucket. Returns { allowed, limit, remaining, reset },
+// reset being the seconds until the window starts over.
+function hit(bucket, limit, windowSeconds = WINDOW_SECONDS) {
+    const now = Date.now();
+    let entry = buckets.get(bucket);
+    if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowSeconds * 1000 };
+        buckets.set(bucket, entry);
+    }
+
+    const allowed = entry.count < limit;
+    if (allowed) entry.count++;
+
+    return {
+        allowed,
+        limit,
+        remaining: Math.max(limit - entry.count, 0),
+        reset: Math.ceil((entry.resetAt - now) / 1000)
+    };
+}
+
+// Standard RateLimit headers (IETF draft) for a hit() result
+function setHeaders(res, result, windowSeconds = WINDOW_SECONDS) {
+    res.set({
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.reset),
+        'RateLimit-Policy': `${result.limit};w=${windowSeconds}`
+    });
+}
+
+// Drop windows that have ended so idle clients do not pile up
+const sweeper = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((entry, bucket) => {
+        if (entry.resetAt <= now) buckets.delete(bucket);
+    });
+}, WINDOW_SECONDS * 1000);
+sweeper.unref();
+
+module.exports = { WINDOW_SECONDS, hit, setHeaders };
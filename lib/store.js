@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local JSON file store. Each collection is an array of records kept in
+// DATA_DIR/<name>.json; records get an id and created/updated timestamps.
+// Several server instances may share one DATA_DIR (Web01 and Web02 behind
+// HAProxy): reads pick up the file again whenever another process replaced
+// it, and every write takes DATA_DIR/<name>.json.lock, reloads the file and
+// only then changes and saves it, so no instance overwrites another's records.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// A lock older than this is left over from a crashed process
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 5;
+
+// name -> { records, stamp } with the file's identity when it was read
+const loaded = {};
+
+function filePath(name) {
+    return path.join(DATA_DIR, `${name}.json`);
+}
+
+// Files are replaced by rename, so a new inode (or mtime/size) means new content
+function stampOf(name) {
+    try {
+        const stat = fs.statSync(filePath(name));
+        return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return null;
+    }
+}
+
+function load(name) {
+    const stamp = stampOf(name);
+    if (!loaded[name] || loaded[name].stamp !== stamp) {
+        let records = [];
+        if (stamp !== null) {
+            try {
+                records = JSON.parse(fs.readFileSync(filePath(name), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        loaded[name] = { records, stamp };
+    }
+    return loaded[name].records;
+}
+
+// Write to a temp file and rename so a crash never leaves a half-written collection
+function save(name, records) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const target = filePath(name);
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(records, null, 2));
+    fs.renameSync(temp, target);
+    loaded[name] = { records, stamp: stampOf(name) };
+}
+
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Run `change(records)` on the collection as it is on disk, holding its lock
+// file, then save it. The store is synchronous, so the wait is too; writes
+// are short and a lock is only contended by another instance.
+function withLock(name, change) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const lock = `${filePath(name)}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    let fd = null;
+    while (fd === null) {
+        try {
+            fd = fs.openSync(lock, 'wx');
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            try {
+                if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) fs.unlinkSync(lock);
+            } catch (statError) {
+                if (statError.code !== 'ENOENT') throw statError;
+            }
+            if (Date.now() > deadline) throw new Error(`Timed out waiting for the ${name} store lock`);
+            sleep(LOCK_RETRY_MS);
+        }
+    }
+    try {
+        const records = load(name).slice();
+        const { result, changed = true, replace } = change(records);
+        if (changed) save(name, replace || records);
+        return result;
+    } finally {
+        fs.closeSync(fd);
+        fs.unlinkSync(lock);
+    }
+}
+
+function collection(name) {
+    return {
+        all(predicate = () => true) {
+            return load(name).filter(predicate);
+        },
+
+        get(id) {
+            return load(name).find(record => record.id === id) || null;
+        },
+
+        insert(fields) {
+            return withLock(name, records => {
+                const now = new Date().toISOString();
+                const record = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+                records.push(record);
+                return { result: record };
+            });
+        },
+
+        // Insert unless a record matching `predicate` is already stored (checked
+        // under the lock); null when one is
+        insertUnless(predicate, fields) {
+            return withLock(name, records => {
+                if (records.some(predicate)) return { result: null, changed: false };
+                const now = new Date().toISOString();
+                const record = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+                records.push(record);
+                return { result: record };
+            });
+        },
+
+        // `changes` is an object, or a function of the current record returning
+        // one, for updates that build on the stored values
+        update(id, changes) {
+            return withLock(name, records => {
+                const index = records.findIndex(item => item.id === id);
+                if (index === -1) return { result: null, changed: false };
+                const current = records[index];
+                const fields = typeof changes === 'function' ? changes(current) : changes;
+                records[index] = { ...current, ...fields, id, updatedAt: new Date().toISOString() };
+                return { result: records[index] };
+            });
+        },
+
+        remove(id) {
+            return withLock(name, records => {
+                const index = records.findIndex(record => record.id === id);
+                if (index === -1) return { result: false, changed: false };
+                records.splice(index, 1);
+                return { result: true };
+            });
+        },
+
+        removeWhere(predicate) {
+            return withLock(name, records => {
+                const kept = records.filter(record => !predicate(record));
+                const removed = records.length - kept.length;
+                return { result: removed, changed: removed > 0, replace: kept };
+            });
+        }
+    };
+}
+
+// Saved data belongs to a user (`owner`, a user id, kept as the record's
+// userId) or, with no owner, to anonymous use of the dashboard and the CLI
+function ownedBy(owner) {
+    return record => (record.userId || null) === (owner || null);
+}
+
+module.exports = { collection, ownedBy, DATA_DIR };
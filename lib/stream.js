@@ -0,0 +1,235 @@
+const { makeAPIRequest } = require('./market-data');
+const { isCurrency } = require('./currencies');
+
+// Server-Sent Events hub. Each client subscribes to stock symbols, crypto ids
+// and FX bases ("USD", every rate) or pairs ("EUR/GBP"). A single shared
+// poller fetches the union of all subscriptions and fans out what changed,
+// so the number of open tabs does not multiply upstream API calls. Symbols
+// the vendor does not know are reported once and dropped from the poll.
+const POLL_INTERVAL_MS = (parseInt(process.env.STREAM_INTERVAL) || 60) * 1000;
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_SUBSCRIPTIONS = 50;
+
+// Per caller (a user, an API key, or else a session or IP address): open
+// streams, and distinct symbols, coins and FX codes across them
+const MAX_CALLER_CONNECTIONS = parseInt(process.env.STREAM_MAX_CONNECTIONS) || 5;
+const MAX_CALLER_SUBSCRIPTIONS = parseInt(process.env.STREAM_MAX_SUBSCRIPTIONS) || 100;
+
+const clients = new Set();
+let pollTimer = null;
+let heartbeatTimer = null;
+let polling = null;
+
+// Last payload broadcast per key, so unchanged values are not re-sent
+let lastSent = {};
+
+function splitList(value) {
+    return [...new Set(String(value || '').split(',').map(item => item.trim()).filter(Boolean))];
+}
+
+// Subscriptions from ?stocks=AAPL,MSFT&crypto=bitcoin&fx=USD,EUR/GBP.
+// Returns { subscriptions } or { error, code }.
+function parseSubscriptions(query) {
+    const subscriptions = {
+        stocks: splitList(query.stocks).map(symbol => symbol.toUpperCase()),
+        crypto: splitList(query.crypto).map(id => id.toLowerCase()),
+        fx: splitList(query.fx).map(code => code.toUpperCase())
+    };
+
+    const invalidFx = subscriptions.fx.find(code => code.split('/').length > 2 || !code.split('/').every(isCurrency));
+    if (invalidFx) {
+        return { error: `Invalid fx subscription '${invalidFx}'. Use a base (USD) or a pair (EUR/GBP)`, code: 'INVALID_CURRENCY' };
+    }
+    const tooMany = Object.entries(subscriptions).find(([, items]) => items.length > MAX_SUBSCRIPTIONS);
+    if (tooMany) {
+        return { error: `Too many ${tooMany[0]} subscriptions (max ${MAX_SUBSCRIPTIONS})` };
+    }
+    if (Object.values(subscriptions).every(items => items.length === 0)) {
+        return { error: 'Subscribe to at least one of: stocks, crypto, fx' };
+    }
+
+    return { subscriptions };
+}
+
+function send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(client.format(event, data))}\n\n`);
+}
+
+// Freshness of a value, so clients can flag last-known-good data served
+// during a vendor outage
+function delay(result) {
+    return { stale: result.stale, asOf: result.asOf };
+}
+
+// Fetch the latest values for a set of subscriptions. Returns a list of
+// { key, event, data }; keys tie an update to the subscriptions that want it.
+async function fetchUpdates({ stocks, crypto, fx }) {
+    const updates = [];
+
+    const quotes = stocks.map(async symbol => {
+        const result = await makeAPIRequest('stocks', 'quote', [symbol], `stock_${symbol}`);
+        if (result.success && result.data) {
+            updates.push({ key: `stock:${symbol}`, event: 'stock', data: { ...result.data, ...delay(result) } });
+        } else {
+            updates.push({ key: `stock:${symbol}`, event: 'unavailable', missing: result.success, data: { type: 'stock', id: symbol, error: result.error || 'Not found' } });
+        }
+    });
+
+    // One request for every coin, keyed the same way as /api/crypto
+    const coins = crypto.length === 0 ? null : (async () => {
+        const ids = crypto.join(',');
+        const result = await makeAPIRequest('crypto', 'prices', [ids], `crypto_${ids}`);
+        crypto.forEach(id => {
+            const coin = result.success && result.data?.[id];
+            updates.push(coin
+                ? { key: `crypto:${id}`, event: 'crypto', data: { id, ...coin, ...delay(result) } }
+                : { key: `crypto:${id}`, event: 'unavailable', missing: result.success, data: { type: 'crypto', id, error: result.error || 'Not found' } });
+        });
+    })();
+
+    // One request per base currency covers every pair quoted against it
+    const bases = [...new Set(fx.map(code => code.split('/')[0]))];
+    const rates = bases.map(async base => {
+        const result = await makeAPIRequest('fx', 'latest', [base], `exchange_${base}`);
+        const codes = fx.filter(code => code.split('/')[0] === base);
+        if (!result.success || !result.data) {
+            codes.forEach(code => {
+                updates.push({ key: `fx:${code}`, event: 'unavailable', data: { type: 'fx', id: code, error: result.error || 'Not found' } });
+            });
+            return;
+        }
+        const { date, rates: all } = result.data;
+        codes.forEach(code => {
+            const [, quote] = code.split('/');
+            if (!quote) {
+                updates.push({ key: `fx:${base}`, event: 'rates', data: { base, date, rates: all, ...delay(result) } });
+            } else if (all[quote]) {
+                updates.push({ key: `fx:${code}`, event: 'fx', data: { pair: code, from: base, to: quote, rate: all[quote], date, ...delay(result) } });
+            } else {
+                updates.push({ key: `fx:${code}`, event: 'unavailable', missing: true, data: { type: 'fx', id: code, error: `No ${base}/${quote} rate` } });
+            }
+        });
+    });
+
+    await Promise.all([...quotes, coins, ...rates].filter(Boolean));
+    return updates;
+}
+
+function subscribedTo(client, key) {
+    const [type, id] = key.split(/:(.*)/);
+    const list = { stock: client.subscriptions.stocks, crypto: client.subscriptions.crypto, fx: client.subscriptions.fx }[type];
+    return list.includes(id);
+}
+
+const SUBSCRIPTION_KINDS = { stock: 'stocks', crypto: 'crypto', fx: 'fx' };
+
+// Unsubscribe every client from what the vendor answered "not found" for;
+// the answer is cached, so asking again each poll would not change it
+function dropMissing(updates) {
+    updates.filter(update => update.missing).forEach(update => {
+        const [type, id] = update.key.split(/:(.*)/);
+        const kind = SUBSCRIPTION_KINDS[type];
+        clients.forEach(client => {
+            client.subscriptions[kind] = client.subscriptions[kind].filter(item => item !== id);
+        });
+    });
+}
+
+// One poll for everyone: fetch the union of all subscriptions and broadcast changes
+function poll() {
+    if (polling) return polling;
+
+    const union = { stocks: new Set(), crypto: new Set(), fx: new Set() };
+    clients.forEach(client => {
+        Object.keys(union).forEach(kind => client.subscriptions[kind].forEach(item => union[kind].add(item)));
+    });
+
+    polling = fetchUpdates({
+        stocks: [...union.stocks],
+        crypto: [...union.crypto],
+        fx: [...union.fx]
+    }).then(updates => {
+        updates.forEach(update => {
+            const payload = JSON.stringify(update.data);
+            if (lastSent[update.key] === payload) return;
+            lastSent[update.key] = payload;
+            clients.forEach(client => {
+                if (subscribedTo(client, update.key)) send(client, update.event, update.data);
+            });
+        });
+        dropMissing(updates);
+    }).catch(error => {
+        console.error('Stream poll failed:', error.message);
+    }).finally(() => {
+        polling = null;
+    });
+    return polling;
+}
+
+function start() {
+    if (pollTimer) return;
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    heartbeatTimer = setInterval(() => {
+        clients.forEach(client => client.res.write(': ping\n\n'));
+    }, HEARTBEAT_MS);
+}
+
+function stop() {
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    pollTimer = null;
+    heartbeatTimer = null;
+    lastSent = {};
+}
+
+function subscriptionKeys(subscriptions) {
+    return Object.entries(subscriptions).flatMap(([kind, items]) => items.map(item => `${kind}:${item}`));
+}
+
+// Why `caller` may not open another stream for `subscriptions`, or null
+function callerLimitProblem(caller, subscriptions) {
+    const open = [...clients].filter(client => client.caller === caller);
+    if (open.length >= MAX_CALLER_CONNECTIONS) {
+        return `At most ${MAX_CALLER_CONNECTIONS} open streams per client`;
+    }
+    const keys = new Set([...open.flatMap(client => subscriptionKeys(client.subscriptions)), ...subscriptionKeys(subscriptions)]);
+    if (keys.size > MAX_CALLER_SUBSCRIPTIONS) {
+        return `At most ${MAX_CALLER_SUBSCRIPTIONS} symbols, coins and FX codes across a client's streams`;
+    }
+    return null;
+}
+
+// Register an SSE response for `caller`. The client gets the current values
+// straight away, then changes from the shared poller. `format(event, data)`
+// shapes each event for the client's API version. Returns a function that
+// unregisters it.
+function addClient(res, subscriptions, format = (event, data) => data, caller = null) {
+    const client = { res, subscriptions, format, caller };
+    clients.add(client);
+    start();
+
+    send(client, 'ready', { subscriptions, interval: POLL_INTERVAL_MS / 1000 });
+    fetchUpdates(subscriptions).then(updates => {
+        if (!clients.has(client)) return;
+        updates.forEach(update => {
+            // Only seed keys nobody has been sent yet; overwriting would hide
+            // this newer value from clients that still hold an older one
+            if (!(update.key in lastSent)) lastSent[update.key] = JSON.stringify(update.data);
+            send(client, update.event, update.data);
+        });
+        dropMissing(updates);
+    }).catch(error => {
+        console.error('Stream snapshot failed:', error.message);
+    });
+
+    return () => {
+        clients.delete(client);
+        if (clients.size === 0) stop();
+    };
+}
+
+function streamStats() {
+    return { clients: clients.size, intervalSeconds: POLL_INTERVAL_MS / 1000 };
+}
+
+module.exports = { parseSubscriptions, callerLimitProblem, addClient, streamStats };
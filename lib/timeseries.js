@@ -0,0 +1,144 @@
+// Helpers for the uniform history format: ascending [{ date, open, high, low, close, volume }]
+// Intraday points are hourly and dated 'YYYY-MM-DD HH:MM'.
+
+const INTERVALS = ['intraday', 'daily', 'weekly', 'monthly'];
+
+// How far back a history request reaches when no "from" date is given
+const DEFAULT_LOOKBACK_DAYS = {
+    intraday: 3,
+    daily: 100,
+    weekly: 365,
+    monthly: 365 * 5
+};
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function daysAgo(days) {
+    return toDateString(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+}
+
+function isDateString(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+// Validate interval/from/to query parameters and fill in defaults. Errors
+// carry the API error code: { error, code }.
+function parseHistoryQuery(query) {
+    const interval = (query.interval || 'daily').toLowerCase();
+    if (!INTERVALS.includes(interval)) {
+        return { error: `Invalid interval '${query.interval}'. Use one of: ${INTERVALS.join(', ')}`, code: 'VALIDATION_ERROR' };
+    }
+
+    const to = query.to || toDateString(new Date());
+    const from = query.from || daysAgo(DEFAULT_LOOKBACK_DAYS[interval]);
+    if (!isDateString(from) || !isDateString(to)) {
+        return { error: 'Dates must use the YYYY-MM-DD format', code: 'INVALID_DATE' };
+    }
+    if (from > to) {
+        return { error: `'from' (${from}) must not be after 'to' (${to})`, code: 'INVALID_DATE' };
+    }
+
+    return { interval, from, to };
+}
+
+function point(date, open, high, low, close, volume) {
+    const num = (value) => (value == null || value === '' ? null : parseFloat(value));
+    return {
+        date,
+        open: num(open),
+        high: num(high),
+        low: num(low),
+        close: num(close),
+        volume: num(volume)
+    };
+}
+
+function sortPoints(points) {
+    return points.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function filterRange(points, from, to) {
+    return points.filter(p => p.date.slice(0, 10) >= from && p.date.slice(0, 10) <= to);
+}
+
+// Collapse timestamped price samples ({ time, price, volume }) into daily, or
+// for 'intraday' hourly, points. Buckets with a single sample only carry a
+// close; vendor volumes are 24h totals, so the last one is kept.
+function barsFromSamples(samples, interval = 'daily') {
+    const buckets = new Map();
+    samples.forEach(sample => {
+        const iso = new Date(sample.time).toISOString();
+        const date = interval === 'intraday' ? `${iso.slice(0, 10)} ${iso.slice(11, 13)}:00` : iso.slice(0, 10);
+        if (!buckets.has(date)) buckets.set(date, []);
+        buckets.get(date).push(sample);
+    });
+
+    return [...buckets.entries()].map(([date, bucketSamples]) => {
+        const prices = bucketSamples.map(s => s.price);
+        const last = bucketSamples[bucketSamples.length - 1];
+        const multiple = bucketSamples.length > 1;
+        return point(
+            date,
+            multiple ? prices[0] : null,
+            multiple ? Math.max(...prices) : null,
+            multiple ? Math.min(...prices) : null,
+            last.price,
+            last.volume
+        );
+    });
+}
+
+// Bucket key for a date: the Friday ending its week, or its month
+function bucketKey(dateString, interval) {
+    if (interval === 'monthly') {
+        return dateString.slice(0, 7);
+    }
+    const date = new Date(`${dateString.slice(0, 10)}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + ((5 - date.getUTCDay() + 7) % 7));
+    return toDateString(date);
+}
+
+// Aggregate ascending daily points into weekly or monthly bars. Each bar is
+// dated by its last trading day, matching the vendors' own weekly/monthly series.
+function resample(points, interval) {
+    if (interval === 'daily' || interval === 'intraday') {
+        return points;
+    }
+
+    const buckets = new Map();
+    points.forEach(p => {
+        const key = bucketKey(p.date, interval);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(p);
+    });
+
+    return [...buckets.values()].map(bucket => {
+        const first = bucket[0];
+        const last = bucket[bucket.length - 1];
+        const highs = bucket.map(p => p.high ?? p.close);
+        const lows = bucket.map(p => p.low ?? p.close);
+        const volumes = bucket.map(p => p.volume).filter(v => v != null);
+        return {
+            date: last.date,
+            open: first.open ?? first.close,
+            high: Math.max(...highs),
+            low: Math.min(...lows),
+            close: last.close,
+            volume: volumes.length > 0 ? volumes.reduce((sum, v) => sum + v, 0) : null
+        };
+    });
+}
+
+module.exports = {
+    INTERVALS,
+    toDateString,
+    daysAgo,
+    parseHistoryQuery,
+    point,
+    sortPoints,
+    filterRange,
+    barsFromSamples,
+    resample
+};
@@ -0,0 +1,436 @@
+const readline = require('readline');
+const { daysAgo, toDateString } = require('./timeseries');
+const { DEFAULT_PROFILE } = require('./profile');
+
+// Full-screen terminal dashboard behind `finance-dashboard watch`: watchlist,
+// crypto, FX and budget panes that refresh on an interval, drawn with plain
+// ANSI escape codes. Data comes from a CLI backend (lib/cli-backend.js), so
+// it works the same in direct and client mode.
+
+// The CLI passes the lists and currency from the user's profile
+const DEFAULTS = {
+    symbols: DEFAULT_PROFILE.watchlists.default,
+    ids: DEFAULT_PROFILE.crypto,
+    pairs: DEFAULT_PROFILE.pairs,
+    currency: DEFAULT_PROFILE.currencies.budget,
+    interval: 60,
+    days: 30
+};
+
+// Sparkline levels and box drawing, lowest first; --ascii for terminals
+// without Unicode fonts
+const THEMES = {
+    unicode: {
+        levels: '▁▂▃▄▅▆▇█', block: '█', more: '…', marker: '›',
+        border: { h: '─', v: '│', tl: '┌', tr: '┐', bl: '└', br: '┘' },
+        keys: '←/→ Tab pane  ↑/↓ row  1-4 jump  r refresh  q quit'
+    },
+    ascii: {
+        levels: '_.-~^', block: '#', more: '~', marker: '>',
+        border: { h: '-', v: '|', tl: '+', tr: '+', bl: '+', br: '+' },
+        keys: 'h/l Tab pane  j/k row  1-4 jump  r refresh  q quit'
+    }
+};
+
+const STYLES = { bold: 1, dim: 2, red: 31, green: 32, yellow: 33, cyan: 36 };
+
+// Cells are cut and padded while still plain text, then styled
+function paint(theme, text, ...styles) {
+    const codes = styles.filter(Boolean).map(name => STYLES[name]);
+    return theme.color && codes.length > 0 ? `\x1b[${codes.join(';')}m${text}\x1b[0m` : text;
+}
+
+function fit(text, width, align = 'left', more = '…') {
+    const chars = [...String(text)];
+    if (chars.length > width) {
+        return width > 1 ? `${chars.slice(0, width - 1).join('')}${more}` : chars.slice(0, width).join('');
+    }
+    const pad = ' '.repeat(width - chars.length);
+    return align === 'right' ? `${pad}${chars.join('')}` : `${chars.join('')}${pad}`;
+}
+
+// The last `width` values scaled between their low and high
+function sparkline(values, width, levels = THEMES.unicode.levels) {
+    const points = values.filter(Number.isFinite).slice(-width);
+    if (points.length < 2) return '';
+    const low = Math.min(...points);
+    const high = Math.max(...points);
+    const top = levels.length - 1;
+    return points.map(value => levels[high === low ? Math.floor(top / 2) : Math.round((value - low) / (high - low) * top)]).join('');
+}
+
+const trend = value => (value > 0 ? 'green' : value < 0 ? 'red' : null);
+
+function number(value, digits = 2) {
+    if (!Number.isFinite(value)) return '-';
+    const fraction = value !== 0 && Math.abs(value) < 1 ? Math.max(digits, 4) : digits;
+    return value.toLocaleString('en-US', { minimumFractionDigits: fraction, maximumFractionDigits: fraction });
+}
+
+const signed = (value, digits) => (Number.isFinite(value) && value > 0 ? `+${number(value, digits)}` : number(value, digits));
+
+const percent = value => (Number.isFinite(value) ? `${value > 0 ? '+' : ''}${value.toFixed(2)}%` : '-');
+
+const compact = value => (Number.isFinite(value)
+    ? new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 2 }).format(value)
+    : '-');
+
+function formatMoney(amount, currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Closing prices from a settled history request; none when it failed
+function closes(settled) {
+    if (settled.status !== 'fulfilled' || !settled.value) return [];
+    return settled.value.points.map(point => point.close).filter(Number.isFinite);
+}
+
+function rangeText(values, days, digits) {
+    return values.length > 0 ? `${days}d low ${number(Math.min(...values), digits)} high ${number(Math.max(...values), digits)}` : 'no history';
+}
+
+function failedRow(name, message) {
+    return {
+        cells: [{ text: name, width: 10, style: 'bold' }],
+        note: message,
+        noteStyle: 'red',
+        detail: `${name}: ${message}`
+    };
+}
+
+const reason = settled => (settled.status === 'rejected' ? settled.reason.message : 'Not found');
+
+// Pane loaders: (backend, options) => { rows, message? }
+
+async function watchlistPane(backend, { symbols, range, days }) {
+    const rows = await Promise.all(symbols.map(async symbol => {
+        const [quote, history] = await Promise.allSettled([backend.quote(symbol), backend.stockHistory(symbol, range)]);
+        if (quote.status === 'rejected' || !quote.value) return failedRow(symbol, reason(quote));
+
+        const { price, change, changePercent, volume, updatedAt } = quote.value;
+        const spark = closes(history);
+        return {
+            cells: [
+                { text: symbol, width: 6, style: 'bold' },
+                { text: number(price), width: 10, align: 'right' },
+                { text: percent(changePercent), width: 8, align: 'right', style: trend(changePercent) }
+            ],
+            spark,
+            detail: `${symbol} ${number(price)} ${signed(change)} (${percent(changePercent)})  volume ${compact(volume)}  ${rangeText(spark, days)}  updated ${updatedAt || '-'}`
+        };
+    }));
+    return { rows };
+}
+
+async function cryptoPane(backend, { ids, range, days }) {
+    const [coins, ...histories] = await Promise.all([
+        backend.cryptoPrices(ids),
+        ...ids.map(id => Promise.allSettled([backend.cryptoHistory(id, range)]).then(([settled]) => settled))
+    ]);
+    const rows = ids.map((id, index) => {
+        const coin = coins.find(c => c.id === id);
+        if (!coin) return failedRow(capitalize(id), `Cryptocurrency '${id}' not found`);
+
+        const spark = closes(histories[index]);
+        return {
+            cells: [
+                { text: capitalize(id), width: 10, style: 'bold' },
+                { text: number(coin.price), width: 12, align: 'right' },
+                { text: percent(coin.change24h), width: 8, align: 'right', style: trend(coin.change24h) }
+            ],
+            spark,
+            detail: `${capitalize(id)} $${number(coin.price)}  24h ${percent(coin.change24h)}  market cap $${compact(coin.marketCap)}  ${rangeText(spark, days)}`
+        };
+    });
+    return { rows };
+}
+
+// The change is against the last close before today
+async function fxPane(backend, { pairs, range, days }) {
+    const today = toDateString(new Date());
+    const rows = await Promise.all(pairs.map(async pair => {
+        const [from, to] = pair.split('/');
+        const [conversion, history] = await Promise.allSettled([backend.convert(1, from, to), backend.fxHistory(from, to, range)]);
+        if (conversion.status === 'rejected') return failedRow(pair, reason(conversion));
+
+        const { rate } = conversion.value;
+        const spark = closes(history);
+        const previous = history.status === 'fulfilled' && history.value
+            ? history.value.points.filter(point => point.date.slice(0, 10) < today && Number.isFinite(point.close)).pop()
+            : null;
+        const change = previous ? (rate - previous.close) / previous.close * 100 : null;
+        return {
+            cells: [
+                { text: pair, width: 8, style: 'bold' },
+                { text: number(rate, 4), width: 11, align: 'right' },
+                { text: percent(change), width: 8, align: 'right', style: trend(change) }
+            ],
+            spark,
+            detail: `1 ${from} = ${number(rate, 4)} ${to}  ${previous ? `previous close ${number(previous.close, 4)} (${previous.date.slice(0, 10)})` : 'no previous close'}  ${rangeText(spark, days, 4)}`
+        };
+    }));
+    return { rows };
+}
+
+// This month's budget from imported transactions, with a bar per category
+async function budgetPane(backend, { currency }) {
+    const month = new Date().toISOString().slice(0, 7);
+    const summary = await backend.monthBudget(month, currency);
+    if (summary.transactionCount === 0) {
+        return { rows: [], message: `No transactions for ${month}. Import a bank statement first.` };
+    }
+
+    const { exact, remaining, savingsRate, categories, goals } = summary;
+    const money = amount => formatMoney(amount, summary.currency);
+    const line = (label, value, style, detail) => ({
+        cells: [{ text: label, width: 14 }, { text: value, width: 13, align: 'right', style }],
+        detail
+    });
+    const counted = `${summary.transactionCount} transaction(s) in ${month}, in ${summary.currency}`;
+    return {
+        title: `${month} ${summary.currency}`,
+        rows: [
+            line('Income', money(exact.income), null, counted),
+            line('Spent', money(exact.totalExpenses), null, counted),
+            line('Left', money(exact.remaining), trend(remaining), counted),
+            line('Savings rate', `${savingsRate.toFixed(1)}%`, null, goals.map(goal => goal.message).join(' · ') || counted),
+            ...categories.map(category => {
+                const share = summary.totalExpenses > 0 ? category.amount / summary.totalExpenses : 0;
+                return {
+                    cells: [{ text: `  ${category.label}`, width: 14, style: 'dim' }, { text: money(category.exact.amount), width: 13, align: 'right' }],
+                    bar: share,
+                    detail: `${category.label}: ${money(category.exact.amount)} in ${category.count} expense(s), ${(share * 100).toFixed(1)}% of spending`
+                };
+            })
+        ]
+    };
+}
+
+const PANES = [
+    { title: 'Watchlist', load: watchlistPane },
+    { title: 'Crypto (USD)', load: cryptoPane },
+    { title: 'FX', load: fxPane },
+    { title: 'Budget', load: budgetPane }
+];
+
+// Drawing. Every function returns lines of exactly the width it was given.
+
+function renderRow(row, width, theme) {
+    let text = '';
+    let used = 0;
+    for (const cell of row.cells) {
+        const cellWidth = Math.min(cell.width, width - used);
+        if (cellWidth <= 0) break;
+        text += paint(theme, fit(cell.text, cellWidth, cell.align, theme.more), cell.style);
+        used += cellWidth;
+        if (used < width) {
+            text += ' ';
+            used++;
+        }
+    }
+
+    const rest = width - used;
+    let tail = '';
+    let style = null;
+    if (rest >= 4 && row.spark && row.spark.length > 1) {
+        tail = sparkline(row.spark, rest, theme.levels);
+        style = trend(row.spark[row.spark.length - 1] - row.spark[Math.max(0, row.spark.length - rest)]);
+    } else if (rest >= 4 && row.bar !== undefined) {
+        tail = theme.block.repeat(Math.round(row.bar * rest));
+        style = 'cyan';
+    } else if (rest >= 4 && row.note) {
+        tail = fit(row.note, rest, 'left', theme.more);
+        style = row.noteStyle;
+    }
+    return `${text}${paint(theme, tail, style)}${' '.repeat(rest - [...tail].length)}`;
+}
+
+function renderPane(pane, index, width, height, focused, selected, theme) {
+    const { h, v, tl, tr, bl, br } = theme.border;
+    const borderStyle = focused ? 'cyan' : 'dim';
+    const inner = width - 4;
+    const contentHeight = height - 2;
+
+    const label = `${index + 1} ${pane.title}${pane.subtitle ? ` · ${pane.subtitle}` : ''}`;
+    const title = ` ${fit(label, width - 6, 'left', theme.more).trimEnd()} `;
+    const top = paint(theme, `${tl}${h}`, borderStyle) + paint(theme, title, focused ? 'bold' : null)
+        + paint(theme, `${h.repeat(Math.max(0, width - 3 - [...title].length))}${tr}`, borderStyle);
+
+    let content;
+    if (pane.error) {
+        content = [paint(theme, fit(pane.error, inner, 'left', theme.more), 'red')];
+    } else if (pane.rows.length === 0) {
+        content = [paint(theme, fit(pane.message || 'Nothing to show', inner, 'left', theme.more), 'dim')];
+    } else {
+        const offset = Math.max(0, selected - contentHeight + 1);
+        content = pane.rows.slice(offset, offset + contentHeight).map((row, i) => {
+            const marker = focused && offset + i === selected ? paint(theme, theme.marker, 'cyan') : ' ';
+            return `${marker} ${renderRow(row, inner - 2, theme)}`;
+        });
+    }
+    while (content.length < contentHeight) content.push(' '.repeat(inner));
+
+    const side = paint(theme, v, borderStyle);
+    return [
+        top,
+        ...content.slice(0, contentHeight).map(line => `${side} ${line} ${side}`),
+        paint(theme, `${bl}${h.repeat(width - 2)}${br}`, borderStyle)
+    ];
+}
+
+// Four panes in a 2x2 grid on wide terminals, stacked otherwise, between a
+// status line and the selected row's details
+function renderScreen(state, columns, rows, theme) {
+    if (columns < 40 || rows < 12) {
+        return [fit('Make the terminal at least 40x12 to show the dashboard', columns, 'left', theme.more)];
+    }
+    const panes = state.panes.map((pane, index) => (height, width) =>
+        renderPane(pane, index, width, height, state.focus === index, state.selected[index], theme));
+    const body = rows - 3;
+    const lines = [];
+
+    if (columns >= 100) {
+        const left = Math.floor(columns / 2);
+        const top = Math.ceil(body / 2);
+        [[0, 1, top], [2, 3, body - top]].forEach(([a, b, height]) => {
+            const right = panes[b](height, columns - left);
+            panes[a](height, left).forEach((line, i) => lines.push(`${line}${right[i]}`));
+        });
+    } else {
+        panes.forEach((pane, index) => {
+            const height = Math.floor(body / 4) + (index < body % 4 ? 1 : 0);
+            lines.push(...pane(height, columns));
+        });
+    }
+
+    const status = state.refreshing ? 'refreshing…'
+        : state.updatedAt ? `updated ${state.updatedAt.toTimeString().slice(0, 8)} · next in ${Math.max(0, Math.ceil((state.nextAt - Date.now()) / 1000))}s` : '';
+    const source = state.server ? `client mode · ${state.server}` : 'direct mode';
+    const heading = `Finance Dashboard · ${source}`;
+    const focused = state.panes[state.focus];
+    const row = focused.rows[state.selected[state.focus]];
+
+    return [
+        paint(theme, fit(heading, columns - status.length - 1, 'left', theme.more), 'bold') + ' ' + paint(theme, status, 'dim'),
+        ...lines,
+        fit(row && !focused.error ? row.detail : '', columns, 'left', theme.more),
+        paint(theme, fit(theme.keys, columns, 'left', theme.more), 'dim')
+    ];
+}
+
+// Run the dashboard until the user quits. Options: symbols, ids, pairs,
+// currency, interval (seconds), days (of sparkline history), ascii, color,
+// input and output (TTY streams).
+function watch(backend, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const { input = process.stdin, output = process.stdout } = options;
+    const theme = { ...THEMES[settings.ascii ? 'ascii' : 'unicode'], color: Boolean(settings.color) };
+    const loadOptions = { ...settings, range: { interval: 'daily', from: daysAgo(settings.days) } };
+
+    const state = {
+        server: backend.mode === 'server' ? backend.server : null,
+        panes: PANES.map(pane => ({ title: pane.title, rows: [], message: 'Loading…' })),
+        focus: 0,
+        selected: PANES.map(() => 0),
+        refreshing: false,
+        updatedAt: null,
+        nextAt: 0
+    };
+
+    return new Promise(resolve => {
+        let stopped = false;
+        let refreshTimer = null;
+        let clockTimer = null;
+
+        let loading = null;
+
+        // Provider failures logged in direct mode would draw over the screen;
+        // the panes show those errors instead. Logging comes back once the
+        // last refresh has settled.
+        const consoleMethods = { log: console.log, warn: console.warn, error: console.error };
+
+        const draw = () => {
+            if (stopped) return;
+            const lines = renderScreen(state, output.columns || 80, output.rows || 24, theme);
+            output.write(`\x1b[H${lines.map(line => `${line}\x1b[K`).join('\r\n')}\x1b[J`);
+        };
+
+        // Each pane loads on its own; one failing shows its error and leaves the others
+        const refresh = async () => {
+            if (state.refreshing || stopped) return;
+            state.refreshing = true;
+            state.nextAt = Date.now() + settings.interval * 1000;
+            draw();
+
+            loading = Promise.all(PANES.map(pane => pane.load(backend, loadOptions).catch(error => ({ error: error.message }))));
+            const loaded = await loading;
+            if (stopped) return;
+            loaded.forEach((result, index) => {
+                state.panes[index] = { title: PANES[index].title, subtitle: result.title, rows: result.rows || [], message: result.message, error: result.error };
+                state.selected[index] = Math.max(0, Math.min(state.selected[index], state.panes[index].rows.length - 1));
+            });
+            state.refreshing = false;
+            state.updatedAt = new Date();
+            draw();
+        };
+
+        const moveFocus = step => {
+            state.focus = (state.focus + step + PANES.length) % PANES.length;
+        };
+        const moveRow = step => {
+            const count = state.panes[state.focus].rows.length;
+            state.selected[state.focus] = Math.max(0, Math.min(count - 1, state.selected[state.focus] + step));
+        };
+
+        const stop = () => {
+            if (stopped) return;
+            stopped = true;
+            clearInterval(refreshTimer);
+            clearInterval(clockTimer);
+            input.off('keypress', onKey);
+            output.off('resize', draw);
+            process.off('SIGTERM', stop);
+            if (input.isTTY) input.setRawMode(false);
+            input.pause();
+            output.write('\x1b[?25h\x1b[?1049l');
+            Promise.resolve(loading).then(() => Object.assign(console, consoleMethods));
+            resolve();
+        };
+
+        function onKey(text, key = {}) {
+            if ((key.ctrl && key.name === 'c') || key.name === 'q' || key.name === 'escape') return stop();
+
+            if (key.name === 'tab') moveFocus(key.shift ? -1 : 1);
+            else if (key.name === 'right' || key.name === 'l') moveFocus(1);
+            else if (key.name === 'left' || key.name === 'h') moveFocus(-1);
+            else if (key.name === 'down' || key.name === 'j') moveRow(1);
+            else if (key.name === 'up' || key.name === 'k') moveRow(-1);
+            else if (/^[1-4]$/.test(text)) state.focus = Number(text) - 1;
+            else if (key.name === 'r') refresh();
+            draw();
+        }
+
+        Object.keys(consoleMethods).forEach(method => {
+            console[method] = () => {};
+        });
+        output.write('\x1b[?1049h\x1b[?25l');
+        readline.emitKeypressEvents(input);
+        if (input.isTTY) input.setRawMode(true);
+        input.on('keypress', onKey);
+        input.resume();
+        output.on('resize', draw);
+        process.once('SIGTERM', stop);
+
+        refreshTimer = setInterval(refresh, settings.interval * 1000);
+        clockTimer = setInterval(draw, 1000);
+        refresh();
+    });
+}
+
+module.exports = {
+    DEFAULTS,
+    sparkline,
+    watch
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { collection } = require('./store');
+const { isCurrency } = require('./currencies');
+const money = require('./money');
+const rules = require('./validation');
+
+// Dashboard user accounts. Passwords are hashed with scrypt and a per-user
+// salt. Each user keeps the dashboard's preferences; anonymous visitors get
+// DEFAULT_PREFERENCES.
+const users = collection('users');
+
+const AMOUNT = rules.decimal({ min: 0 });
+const EXPENSE_AMOUNT = rules.decimal({ min: 0, default: '0' });
+const INCOME = rules.decimal({ min: 0, optional: true });
+
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+const DEFAULT_PREFERENCES = {
+    watchlist: ['AAPL', 'GOOGL', 'MSFT'],
+    baseCurrency: 'USD',
+    converter: { from: 'USD', to: 'EUR', amount: 100 },
+    crypto: ['bitcoin', 'ethereum', 'cardano', 'polkadot', 'chainlink'],
+    budget: { income: null, incomeCurrency: 'USD', currency: 'USD', expenses: [] }
+};
+
+const MAX_LIST_ITEMS = 50;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// User records without the password hash and preferences
+function publicUser(record) {
+    const { passwordHash: _passwordHash, preferences: _preferences, ...rest } = record;
+    return rest;
+}
+
+function findByEmail(email) {
+    const normalized = normalizeEmail(email);
+    return users.all(user => user.email === normalized)[0] || null;
+}
+
+function getUser(id) {
+    const record = users.get(id);
+    return record ? publicUser(record) : null;
+}
+
+// Validate registration fields. Returns { fields } or { error }.
+function validateRegistration(input) {
+    const email = normalizeEmail(input.email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return { error: 'A valid email address is required' };
+    }
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+        return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    if (findByEmail(email)) {
+        return { error: `An account for ${email} already exists`, code: 'CONFLICT' };
+    }
+    return { fields: { email, password: input.password, name: String(input.name || '').trim() || null } };
+}
+
+// The new user, or null when another instance registered the email first
+function createUser({ email, password, name }) {
+    const record = users.insertUnless(user => user.email === email, { email, name, passwordHash: hashPassword(password), preferences: {} });
+    return record ? publicUser(record) : null;
+}
+
+// The user for a correct email and password, or null
+function authenticateUser(email, password) {
+    const record = findByEmail(email);
+    if (!record || typeof password !== 'string' || !verifyPassword(password, record.passwordHash)) return null;
+    return publicUser(record);
+}
+
+// A user's stored preferences over the defaults; the defaults for null
+function preferencesFor(user) {
+    const record = user ? users.get(user.id) : null;
+    return { ...DEFAULT_PREFERENCES, ...(record ? record.preferences : {}) };
+}
+
+function uniqueList(value, name, transform) {
+    if (!Array.isArray(value)) return { error: `${name} must be an array` };
+    const items = [...new Set(value.map(item => transform(String(item).trim())).filter(Boolean))];
+    if (items.length > MAX_LIST_ITEMS) return { error: `${name} can hold at most ${MAX_LIST_ITEMS} entries` };
+    return { value: items };
+}
+
+function currencyCode(value, name) {
+    const code = String(value || '').trim().toUpperCase();
+    return isCurrency(code) ? { value: code } : { error: `${name} '${value}' is not an ISO 4217 currency code`, code: 'INVALID_CURRENCY' };
+}
+
+// Validate a partial preferences update. Returns { changes } or { error }.
+function validatePreferences(input) {
+    const changes = {};
+
+    if (input.watchlist !== undefined) {
+        const parsed = uniqueList(input.watchlist, 'watchlist', symbol => symbol.toUpperCase());
+        if (parsed.error) return parsed;
+        changes.watchlist = parsed.value;
+    }
+    if (input.crypto !== undefined) {
+        const parsed = uniqueList(input.crypto, 'crypto', id => id.toLowerCase());
+        if (parsed.error) return parsed;
+        changes.crypto = parsed.value;
+    }
+    if (input.baseCurrency !== undefined) {
+        const parsed = currencyCode(input.baseCurrency, 'baseCurrency');
+        if (parsed.error) return parsed;
+        changes.baseCurrency = parsed.value;
+    }
+    if (input.converter !== undefined) {
+        const converter = input.converter || {};
+        const from = currencyCode(converter.from, 'converter.from');
+        if (from.error) return from;
+        const to = currencyCode(converter.to, 'converter.to');
+        if (to.error) return to;
+        const amount = AMOUNT(converter.amount, 'converter.amount');
+        if (amount.code) return { error: 'converter.amount must be zero or a positive number' };
+        changes.converter = { from: from.value, to: to.value, amount: money.toNumber(amount.value) };
+    }
+    if (input.budget !== undefined) {
+        const budget = input.budget || {};
+        const income = INCOME(budget.income, 'budget.income');
+        if (income.code) return { error: 'budget.income must be zero or a positive number' };
+        const incomeAmount = income.value !== undefined ? money.toNumber(income.value) : null;
+        if (!Array.isArray(budget.expenses)) return { error: 'budget.expenses must be an array' };
+        // The reporting currency, and the currency of entries that do not name one
+        const currency = currencyCode(budget.currency || 'USD', 'budget.currency');
+        if (currency.error) return currency;
+        const incomeCurrency = currencyCode(budget.incomeCurrency || currency.value, 'budget.incomeCurrency');
+        if (incomeCurrency.error) return incomeCurrency;
+
+        const expenses = [];
+        for (const expense of budget.expenses.slice(0, 100)) {
+            if (!expense || typeof expense !== 'object' || Array.isArray(expense)) {
+                return { error: 'budget.expenses entries must be objects' };
+            }
+            const amount = EXPENSE_AMOUNT(expense.amount, 'budget.expenses[].amount');
+            if (amount.code) return { error: 'budget.expenses[].amount must be zero or a positive number' };
+            const code = currencyCode(expense.currency || currency.value, 'budget.expenses[].currency');
+            if (code.error) return code;
+            expenses.push({
+                name: String(expense.name || '').trim(),
+                amount: money.toNumber(amount.value),
+                currency: code.value,
+                category: expense.category || null
+            });
+        }
+        changes.budget = { income: incomeAmount, incomeCurrency: incomeCurrency.value, currency: currency.value, expenses };
+    }
+
+    return { changes };
+}
+
+function updatePreferences(id, changes) {
+    const record = users.update(id, user => ({ preferences: { ...user.preferences, ...changes } }));
+    return record ? preferencesFor(record) : null;
+}
+
+module.exports = {
+    DEFAULT_PREFERENCES,
+    getUser,
+    validateRegistration,
+    createUser,
+    authenticateUser,
+    preferencesFor,
+    validatePreferences,
+    updatePreferences
+};
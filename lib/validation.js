@@ -0,0 +1,207 @@
+const { ApiError } = require('./errors');
+const { isCurrency } = require('./currencies');
+const money = require('./money');
+
+// Schema validation for route params and query strings. A schema maps each
+// field to a rule built by the factories below:
+//
+//   validate({
+//       params: { from: currency(), amount: number({ min: 0, code: 'INVALID_AMOUNT' }) },
+//       query: { limit: integer({ min: 1, max: 500, default: 50 }) }
+//   })
+//
+// The middleware replaces the fields with their normalized values (upper-case
+// currency codes, numbers, defaults) or answers with the error contract from
+// lib/errors.js, listing every bad field in `details`. Fields missing from
+// the schema are passed through untouched.
+
+// Wrap a check with the handling of missing values. Options: optional,
+// default (a value or a function returning one).
+function rule(check, { optional = false, default: fallback } = {}) {
+    return (raw, field) => {
+        if (Array.isArray(raw)) {
+            return { code: 'VALIDATION_ERROR', message: `${field} must be given once` };
+        }
+        if (raw === undefined || raw === null || raw === '') {
+            if (fallback !== undefined) {
+                return { value: typeof fallback === 'function' ? fallback() : fallback };
+            }
+            if (optional) return { value: undefined };
+            return { code: 'VALIDATION_ERROR', message: `${field} is required` };
+        }
+        return check(String(raw).trim(), field);
+    };
+}
+
+function currency(options) {
+    return rule((raw, field) => {
+        const code = raw.toUpperCase();
+        return isCurrency(code)
+            ? { value: code }
+            : { code: 'INVALID_CURRENCY', message: `${field} '${raw}' is not an ISO 4217 currency code` };
+    }, options);
+}
+
+// Exchange tickers such as AAPL, BRK.B or RDS-A
+function stockSymbol(options) {
+    return rule((raw, field) => {
+        const symbol = raw.toUpperCase();
+        return /^[A-Z0-9][A-Z0-9.-]{0,11}$/.test(symbol)
+            ? { value: symbol }
+            : { code: 'INVALID_SYMBOL', message: `${field} '${raw}' is not a valid stock symbol` };
+    }, options);
+}
+
+// CoinGecko ids such as bitcoin or usd-coin
+function coinId(options) {
+    return rule((raw, field) => {
+        const id = raw.toLowerCase();
+        return /^[a-z0-9][a-z0-9-]{0,63}$/.test(id)
+            ? { value: id }
+            : { code: 'INVALID_SYMBOL', message: `${field} '${raw}' is not a valid coin id` };
+    }, options);
+}
+
+// Comma-separated list, de-duplicated, each entry checked by `item`
+function list(item, { max = 50, ...options } = {}) {
+    return rule((raw, field) => {
+        const values = [];
+        for (const entry of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+            const result = item(entry, field);
+            if (result.code) return result;
+            if (!values.includes(result.value)) values.push(result.value);
+        }
+        if (values.length === 0) return { code: 'VALIDATION_ERROR', message: `${field} needs at least one entry` };
+        if (values.length > max) return { code: 'VALIDATION_ERROR', message: `${field} can list at most ${max} entries` };
+        return { value: values };
+    }, options);
+}
+
+// Plain decimal numbers only, so "12abc" or "1e400" are refused rather than
+// half-parsed. Options: min, max, code (the error code to use).
+function number({ min, max, code = 'VALIDATION_ERROR', integer = false, ...options } = {}) {
+    return rule((raw, field) => {
+        const pattern = integer ? /^-?\d+$/ : /^-?(\d+\.?\d*|\.\d+)$/;
+        const value = Number(raw);
+        if (!pattern.test(raw) || !Number.isFinite(value)) {
+            return { code, message: `${field} must be ${integer ? 'a whole number' : 'a number'}, got '${raw}'` };
+        }
+        if (min !== undefined && value < min) return { code, message: `${field} must be at least ${min}` };
+        if (max !== undefined && value > max) return { code, message: `${field} must be at most ${max}` };
+        return { value };
+    }, options);
+}
+
+function integer(options = {}) {
+    return number({ ...options, integer: true });
+}
+
+// Like number(), but the value stays the exact decimal string for lib/money
+// ("0.10" is kept, not turned into 0.1). Options: min, code.
+function decimal({ min, code = 'VALIDATION_ERROR', ...options } = {}) {
+    return rule((raw, field) => {
+        if (!/^-?(\d+\.?\d*|\.\d+)$/.test(raw)) {
+            return { code, message: `${field} must be a number, got '${raw}'` };
+        }
+        if (min !== undefined && money.compare(raw, min) < 0) return { code, message: `${field} must be at least ${min}` };
+        return { value: money.toString(money.decimal(raw)) };
+    }, options);
+}
+
+function validDate(value) {
+    return !isNaN(Date.parse(`${value}T00:00:00Z`)) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+// YYYY-MM-DD
+function date(options) {
+    return rule((raw, field) => (/^\d{4}-\d{2}-\d{2}$/.test(raw) && validDate(raw)
+        ? { value: raw }
+        : { code: 'INVALID_DATE', message: `${field} must be a date in YYYY-MM-DD format, got '${raw}'` }), options);
+}
+
+// YYYY-MM
+function month(options) {
+    return rule((raw, field) => (/^\d{4}-\d{2}$/.test(raw) && validDate(`${raw}-01`)
+        ? { value: raw }
+        : { code: 'INVALID_DATE', message: `${field} must be a month in YYYY-MM format, got '${raw}'` }), options);
+}
+
+// One of a fixed set of values, matched case-insensitively. Options: code.
+function oneOf(values, { code = 'VALIDATION_ERROR', ...options } = {}) {
+    return rule((raw, field) => {
+        const match = values.find(value => value.toLowerCase() === raw.toLowerCase());
+        return match !== undefined
+            ? { value: match }
+            : { code, message: `${field} must be one of: ${values.join(', ')}` };
+    }, options);
+}
+
+function boolean(options) {
+    return rule((raw, field) => {
+        if (['true', '1', 'yes'].includes(raw.toLowerCase())) return { value: true };
+        if (['false', '0', 'no'].includes(raw.toLowerCase())) return { value: false };
+        return { code: 'VALIDATION_ERROR', message: `${field} must be true or false` };
+    }, options);
+}
+
+function text({ max = 200, ...options } = {}) {
+    return rule((raw, field) => (raw.length <= max
+        ? { value: raw }
+        : { code: 'VALIDATION_ERROR', message: `${field} must be at most ${max} characters` }), options);
+}
+
+// Check values against a schema part. Returns { values, details }.
+function check(schema, input) {
+    const values = {};
+    const details = [];
+    Object.entries(schema).forEach(([field, fieldRule]) => {
+        const result = fieldRule(input[field], field);
+        if (result.code) {
+            details.push({ field, code: result.code, message: result.message });
+        } else if (result.value !== undefined) {
+            values[field] = result.value;
+        }
+    });
+    return { values, details };
+}
+
+// The ApiError for a list of field problems: their shared code, or
+// VALIDATION_ERROR when they differ
+function validationError(details) {
+    const codes = [...new Set(details.map(detail => detail.code))];
+    return new ApiError(codes.length === 1 ? codes[0] : 'VALIDATION_ERROR', details.map(detail => detail.message).join('; '), details);
+}
+
+// Middleware validating req.params and req.query against a schema
+function validate({ params = {}, query = {} }) {
+    return (req, res, next) => {
+        const checkedParams = check(params, req.params);
+        const checkedQuery = check(query, req.query);
+        const details = [...checkedParams.details, ...checkedQuery.details];
+        if (details.length > 0) {
+            return next(validationError(details));
+        }
+
+        Object.assign(req.params, checkedParams.values);
+        req.query = { ...req.query, ...checkedQuery.values };
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    check,
+    validationError,
+    currency,
+    stockSymbol,
+    coinId,
+    list,
+    number,
+    integer,
+    decimal,
+    date,
+    month,
+    oneOf,
+    boolean,
+    text
+};
@@ -0,0 +1,378 @@
+// Canvas price charts for the Stock Tracker and Crypto widgets.
+// Points use the server history format: ascending { date, open, high, low, close, volume }.
+// Series charts for the Economic Indicators widget overlay one or two
+// { date, value } series on a shared time axis, each with its own scale.
+
+const CHART_COLORS = {
+    up: '#00ff88',
+    down: '#ff4444',
+    line: '#0066ff',
+    average: '#f39c12',
+    grid: '#333',
+    text: '#999',
+    crosshair: '#666',
+    tooltipBackground: 'rgba(0, 0, 0, 0.85)',
+    tooltipText: '#e0e0e0',
+    series: ['#0066ff', '#f39c12']
+};
+
+const CHART_PADDING = { top: 10, right: 64, bottom: 22, left: 8 };
+
+// Simple moving average of closes; null until enough points are available
+function movingAverage(points, period) {
+    let sum = 0;
+    return points.map((point, index) => {
+        sum += point.close;
+        if (index >= period) {
+            sum -= points[index - period].close;
+        }
+        return index >= period - 1 ? sum / period : null;
+    });
+}
+
+// Render (or re-render) a chart into a canvas. Options:
+//   type: 'line' or 'candlestick'
+//   movingAverage: period of the overlay, 0 to hide it
+//   formatValue: formats prices for the axis and tooltip
+function renderPriceChart(canvas, points, options = {}) {
+    canvas._chart = {
+        points,
+        options: { type: 'line', movingAverage: 0, formatValue: value => value.toFixed(2), ...options },
+        average: options.movingAverage ? movingAverage(points, options.movingAverage) : [],
+        hoverIndex: null
+    };
+
+    if (!canvas._chartListening) {
+        canvas.addEventListener('mousemove', event => {
+            const chart = canvas._chart;
+            if (!chart || chart.points.length === 0) return;
+            const rect = canvas.getBoundingClientRect();
+            const plotWidth = rect.width - CHART_PADDING.left - CHART_PADDING.right;
+            const index = Math.floor((event.clientX - rect.left - CHART_PADDING.left) / (plotWidth / chart.points.length));
+            const hoverIndex = Math.min(Math.max(index, 0), chart.points.length - 1);
+            if (hoverIndex !== chart.hoverIndex) {
+                chart.hoverIndex = hoverIndex;
+                drawPriceChart(canvas);
+            }
+        });
+        canvas.addEventListener('mouseleave', () => {
+            if (canvas._chart) {
+                canvas._chart.hoverIndex = null;
+                drawPriceChart(canvas);
+            }
+        });
+        canvas._chartListening = true;
+    }
+
+    drawPriceChart(canvas);
+}
+
+function drawPriceChart(canvas) {
+    const { points, options, average, hoverIndex } = canvas._chart;
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px Segoe UI, Tahoma, sans-serif';
+
+    if (points.length === 0) {
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.textAlign = 'center';
+        ctx.fillText('No history available for this range', width / 2, height / 2);
+        return;
+    }
+
+    // Close-only series (e.g. some crypto and FX vendors) cannot be drawn as candles
+    const candles = options.type === 'candlestick' && points.every(p => p.open != null);
+    const values = points.flatMap(p => (candles ? [p.high, p.low] : [p.close]))
+        .concat(average.filter(v => v != null));
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+
+    const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+    const step = plotWidth / points.length;
+    const x = index => CHART_PADDING.left + (index + 0.5) * step;
+    const y = value => CHART_PADDING.top + ((max - value) / (max - min)) * plotHeight;
+
+    // Horizontal grid with price labels
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i <= 4; i++) {
+        const value = max - ((max - min) * i) / 4;
+        ctx.strokeStyle = CHART_COLORS.grid;
+        ctx.beginPath();
+        ctx.moveTo(CHART_PADDING.left, y(value));
+        ctx.lineTo(width - CHART_PADDING.right, y(value));
+        ctx.stroke();
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.fillText(options.formatValue(value), width - CHART_PADDING.right + 4, y(value));
+    }
+
+    // Date labels at the start, middle and end
+    ctx.textBaseline = 'bottom';
+    [0, Math.floor((points.length - 1) / 2), points.length - 1].forEach((index, i) => {
+        ctx.textAlign = ['left', 'center', 'right'][i];
+        ctx.fillText(points[index].date, Math.min(Math.max(x(index), CHART_PADDING.left), width - CHART_PADDING.right), height);
+    });
+
+    if (candles) {
+        const bodyWidth = Math.max(1, step * 0.6);
+        points.forEach((p, index) => {
+            const color = p.close >= p.open ? CHART_COLORS.up : CHART_COLORS.down;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(x(index), y(p.high));
+            ctx.lineTo(x(index), y(p.low));
+            ctx.stroke();
+            const top = y(Math.max(p.open, p.close));
+            const bodyHeight = Math.max(1, Math.abs(y(p.open) - y(p.close)));
+            ctx.fillRect(x(index) - bodyWidth / 2, top, bodyWidth, bodyHeight);
+        });
+    } else {
+        const rising = points[points.length - 1].close >= points[0].close;
+        ctx.strokeStyle = rising ? CHART_COLORS.up : CHART_COLORS.down;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((p, index) => {
+            if (index === 0) ctx.moveTo(x(index), y(p.close));
+            else ctx.lineTo(x(index), y(p.close));
+        });
+        ctx.stroke();
+        ctx.lineWidth = 1;
+    }
+
+    if (average.some(v => v != null)) {
+        ctx.strokeStyle = CHART_COLORS.average;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        let started = false;
+        average.forEach((value, index) => {
+            if (value == null) return;
+            if (!started) ctx.moveTo(x(index), y(value));
+            else ctx.lineTo(x(index), y(value));
+            started = true;
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    if (hoverIndex != null) {
+        drawChartTooltip(ctx, points[hoverIndex], average[hoverIndex], x(hoverIndex), options, width);
+    }
+}
+
+function drawChartTooltip(ctx, point, averageValue, xPos, options, width) {
+    ctx.strokeStyle = CHART_COLORS.crosshair;
+    ctx.beginPath();
+    ctx.moveTo(xPos, CHART_PADDING.top);
+    ctx.lineTo(xPos, ctx.canvas.clientHeight - CHART_PADDING.bottom);
+    ctx.stroke();
+
+    const lines = [point.date];
+    if (point.open != null) {
+        lines.push(`O ${options.formatValue(point.open)}  H ${options.formatValue(point.high)}`);
+        lines.push(`L ${options.formatValue(point.low)}  C ${options.formatValue(point.close)}`);
+    } else {
+        lines.push(`Close ${options.formatValue(point.close)}`);
+    }
+    if (averageValue != null) {
+        lines.push(`MA(${options.movingAverage}) ${options.formatValue(averageValue)}`);
+    }
+
+    const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+    const boxHeight = lines.length * 15 + 8;
+    const boxX = xPos + boxWidth + 12 > width - CHART_PADDING.right ? xPos - boxWidth - 8 : xPos + 8;
+
+    ctx.fillStyle = CHART_COLORS.tooltipBackground;
+    ctx.fillRect(boxX, CHART_PADDING.top, boxWidth, boxHeight);
+    ctx.fillStyle = CHART_COLORS.tooltipText;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, i) => ctx.fillText(line, boxX + 6, CHART_PADDING.top + 4 + i * 15));
+}
+
+// Render (or re-render) one or two series into a canvas. Each series is
+// { label, points: ascending [{ date, value }], formatValue }; the first is
+// scaled on the right axis, the second on the left.
+function renderSeriesChart(canvas, series) {
+    canvas._series = { series, hoverDate: null };
+
+    if (!canvas._seriesListening) {
+        canvas.addEventListener('mousemove', event => {
+            const chart = canvas._series;
+            const dates = seriesDates(chart.series);
+            if (dates.length === 0) return;
+            const rect = canvas.getBoundingClientRect();
+            const { left, right } = seriesPadding(chart.series);
+            const time = seriesTimeRange(dates);
+            const ratio = (event.clientX - rect.left - left) / (rect.width - left - right);
+            const target = time.start + Math.min(Math.max(ratio, 0), 1) * (time.end - time.start);
+            const hoverDate = dates.reduce((best, date) =>
+                (Math.abs(Date.parse(date) - target) < Math.abs(Date.parse(best) - target) ? date : best));
+            if (hoverDate !== chart.hoverDate) {
+                chart.hoverDate = hoverDate;
+                drawSeriesChart(canvas);
+            }
+        });
+        canvas.addEventListener('mouseleave', () => {
+            if (canvas._series) {
+                canvas._series.hoverDate = null;
+                drawSeriesChart(canvas);
+            }
+        });
+        canvas._seriesListening = true;
+    }
+
+    drawSeriesChart(canvas);
+}
+
+function seriesDates(series) {
+    return [...new Set(series.flatMap(s => s.points.map(point => point.date)))].sort();
+}
+
+function seriesPadding(series) {
+    return { ...CHART_PADDING, top: 24, left: series.length > 1 ? CHART_PADDING.right : CHART_PADDING.left };
+}
+
+function seriesTimeRange(dates) {
+    const start = Date.parse(dates[0]);
+    const end = Date.parse(dates[dates.length - 1]);
+    return { start, end: end > start ? end : start + 1 };
+}
+
+// The last value of a series on or before a date
+function valueAt(points, date) {
+    let value = null;
+    points.forEach(point => {
+        if (point.date <= date && point.value != null) value = point.value;
+    });
+    return value;
+}
+
+function drawSeriesChart(canvas) {
+    const { series, hoverDate } = canvas._series;
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px Segoe UI, Tahoma, sans-serif';
+
+    const dates = seriesDates(series);
+    if (dates.length === 0) {
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.textAlign = 'center';
+        ctx.fillText('No data available for this range', width / 2, height / 2);
+        return;
+    }
+
+    const padding = seriesPadding(series);
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const time = seriesTimeRange(dates);
+    const x = date => padding.left + ((Date.parse(date) - time.start) / (time.end - time.start)) * plotWidth;
+
+    // One scale per series, labelled with its range on its own side
+    const scales = series.map(s => {
+        const values = s.points.map(point => point.value).filter(value => value != null);
+        const low = values.length > 0 ? Math.min(...values) : 0;
+        const high = values.length > 0 ? Math.max(...values) : 0;
+        const min = low === high ? low - 1 : low;
+        const max = low === high ? high + 1 : high;
+        return { low, high, empty: values.length === 0, y: value => padding.top + ((max - value) / (max - min)) * plotHeight };
+    });
+
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i <= 4; i++) {
+        const yPos = padding.top + (plotHeight * i) / 4;
+        ctx.strokeStyle = CHART_COLORS.grid;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, yPos);
+        ctx.lineTo(width - padding.right, yPos);
+        ctx.stroke();
+    }
+    series.forEach((s, index) => {
+        const scale = scales[index];
+        if (scale.empty) return;
+        ctx.fillStyle = CHART_COLORS.series[index];
+        ctx.textAlign = index === 0 ? 'left' : 'right';
+        const xPos = index === 0 ? width - padding.right + 4 : padding.left - 4;
+        [scale.high, scale.low].forEach(value => ctx.fillText(s.formatValue(value), xPos, scale.y(value)));
+    });
+
+    // Date labels at the start, middle and end
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.textBaseline = 'bottom';
+    [dates[0], dates[Math.floor((dates.length - 1) / 2)], dates[dates.length - 1]].forEach((date, i) => {
+        ctx.textAlign = ['left', 'center', 'right'][i];
+        ctx.fillText(date, Math.min(Math.max(x(date), padding.left), width - padding.right), height);
+    });
+
+    // Lines and a legend across the top
+    let legendX = padding.left;
+    series.forEach((s, index) => {
+        ctx.strokeStyle = CHART_COLORS.series[index];
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let started = false;
+        s.points.forEach(point => {
+            if (point.value == null) return;
+            if (!started) ctx.moveTo(x(point.date), scales[index].y(point.value));
+            else ctx.lineTo(x(point.date), scales[index].y(point.value));
+            started = true;
+        });
+        ctx.stroke();
+        ctx.lineWidth = 1;
+
+        ctx.fillStyle = CHART_COLORS.series[index];
+        // A lone point (e.g. one annual value in a short range) has no line to draw
+        const drawn = s.points.filter(point => point.value != null);
+        if (drawn.length === 1) {
+            ctx.fillRect(x(drawn[0].date) - 2, scales[index].y(drawn[0].value) - 2, 4, 4);
+        }
+        ctx.fillRect(legendX, 8, 10, 3);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(s.label, legendX + 14, 10);
+        legendX += ctx.measureText(s.label).width + 32;
+    });
+
+    if (hoverDate != null) {
+        const xPos = x(hoverDate);
+        ctx.strokeStyle = CHART_COLORS.crosshair;
+        ctx.beginPath();
+        ctx.moveTo(xPos, padding.top);
+        ctx.lineTo(xPos, height - padding.bottom);
+        ctx.stroke();
+
+        const lines = [hoverDate, ...series.map(s => {
+            const value = valueAt(s.points, hoverDate);
+            return `${s.label}: ${value == null ? 'n/a' : s.formatValue(value)}`;
+        })];
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        const boxHeight = lines.length * 15 + 8;
+        const boxX = xPos + boxWidth + 12 > width - padding.right ? xPos - boxWidth - 8 : xPos + 8;
+
+        ctx.fillStyle = CHART_COLORS.tooltipBackground;
+        ctx.fillRect(boxX, padding.top, boxWidth, boxHeight);
+        ctx.fillStyle = CHART_COLORS.tooltipText;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => ctx.fillText(line, boxX + 6, padding.top + 4 + i * 15));
+    }
+}
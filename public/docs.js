@@ -0,0 +1,195 @@
+// API explorer: lists the operations in /api/docs/openapi.json and sends
+// requests to them. Requests carry the page's session cookie, or the API key
+// typed in at the top (kept for this browser tab only).
+let spec = null;
+let currentOperation = null;
+
+const elements = {
+    version: document.getElementById('api-version'),
+    description: document.getElementById('api-description'),
+    apiKey: document.getElementById('api-key'),
+    list: document.getElementById('operation-list'),
+    operation: document.getElementById('operation')
+};
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function resolve(schema) {
+    if (schema && schema.$ref) {
+        return resolve(spec.components.schemas[schema.$ref.split('/').pop()]);
+    }
+    return schema || {};
+}
+
+// A placeholder value for a schema, used to pre-fill request bodies
+function sample(schema) {
+    const resolved = resolve(schema);
+    if (resolved.example !== undefined) return resolved.example;
+    if (resolved.oneOf) return sample(resolved.oneOf[0]);
+    if (resolved.allOf) return Object.assign({}, ...resolved.allOf.map(sample));
+    if (resolved.enum) return resolved.enum[0];
+    switch (resolved.type) {
+        case 'object':
+            return Object.fromEntries(Object.entries(resolved.properties || {}).map(([name, property]) => [name, sample(property)]));
+        case 'array':
+            return [sample(resolved.items)];
+        case 'number':
+        case 'integer':
+            return 0;
+        case 'boolean':
+            return false;
+        default:
+            return '';
+    }
+}
+
+function operations() {
+    return Object.entries(spec.paths).flatMap(([path, item]) =>
+        METHODS.filter(method => item[method]).map(method => ({ path, method, ...item[method] })));
+}
+
+function renderList() {
+    const all = operations();
+    elements.list.innerHTML = spec.tags.map(tag => {
+        const tagged = all.filter(op => op.tags.includes(tag.name));
+        return `
+            <h2>${escapeHTML(tag.name)}</h2>
+            ${tagged.map(op => `
+                <button data-id="${op.operationId}" title="${escapeHTML(op.summary)}"${op.deprecated ? ' class="deprecated"' : ''}>
+                    <span class="method method-${op.method}">${op.method.toUpperCase()}</span>
+                    <span>${escapeHTML(op.path)}</span>
+                </button>
+            `).join('')}
+        `;
+    }).join('');
+
+    elements.list.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', () => {
+            location.hash = button.dataset.id;
+        });
+    });
+}
+
+function renderOperation(operationId) {
+    currentOperation = operations().find(op => op.operationId === operationId);
+    elements.list.querySelectorAll('button').forEach(button => {
+        button.classList.toggle('active', button.dataset.id === operationId);
+    });
+    if (!currentOperation) return;
+
+    const op = currentOperation;
+    const params = op.parameters || [];
+    const body = op.requestBody ? op.requestBody.content['application/json'].schema : null;
+
+    elements.operation.innerHTML = `
+        <h2><span class="method method-${op.method}">${op.method.toUpperCase()}</span> ${escapeHTML(op.path)}</h2>
+        <p>${escapeHTML(op.summary)}</p>
+        ${op.deprecated ? '<p class="response-status failed">Deprecated: use the same path under the current version</p>' : ''}
+        ${op.description ? `<p><small>${escapeHTML(op.description)}</small></p>` : ''}
+
+        ${params.length > 0 ? `
+            <h3>Parameters</h3>
+            <table>
+                ${params.map(param => `
+                    <tr>
+                        <td><code>${escapeHTML(param.name)}</code>${param.required ? ' *' : ''}<br><small>${param.in}</small></td>
+                        <td><input data-param="${escapeHTML(param.name)}" data-in="${param.in}"
+                            placeholder="${escapeHTML(param.schema.example !== undefined ? param.schema.example : (param.schema.default !== undefined ? param.schema.default : ''))}"></td>
+                        <td><small>${escapeHTML(param.description || '')}${param.schema.enum ? `<br>One of: ${escapeHTML(param.schema.enum.join(', '))}` : ''}</small></td>
+                    </tr>
+                `).join('')}
+            </table>
+        ` : ''}
+
+        ${body ? `
+            <h3>Request body</h3>
+            <textarea id="request-body" spellcheck="false">${escapeHTML(JSON.stringify(sample(body), null, 2))}</textarea>
+        ` : ''}
+
+        <button id="send-request" class="send-btn">Try it</button>
+        <div id="response"></div>
+
+        <h3>Responses</h3>
+        <table>
+            ${Object.entries(op.responses).map(([status, response]) => `
+                <tr><td><code>${status}</code></td><td>${escapeHTML(response.description)}</td></tr>
+            `).join('')}
+        </table>
+    `;
+
+    document.getElementById('send-request').addEventListener('click', sendRequest);
+}
+
+async function sendRequest() {
+    const op = currentOperation;
+    const output = document.getElementById('response');
+    let path = op.path;
+    const query = new URLSearchParams();
+
+    for (const input of elements.operation.querySelectorAll('[data-param]')) {
+        const value = input.value.trim();
+        if (input.dataset.in === 'path') {
+            if (!value) {
+                output.innerHTML = `<p class="response-status failed">${escapeHTML(input.dataset.param)} is required</p>`;
+                return;
+            }
+            path = path.replace(`{${input.dataset.param}}`, encodeURIComponent(value));
+        } else if (value) {
+            query.set(input.dataset.param, value);
+        }
+    }
+
+    const options = { method: op.method.toUpperCase(), headers: { Accept: 'application/json' } };
+    const apiKey = elements.apiKey.value.trim();
+    if (apiKey) options.headers.Authorization = `Bearer ${apiKey}`;
+    const bodyInput = document.getElementById('request-body');
+    if (bodyInput) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = bodyInput.value;
+    }
+
+    const url = `${path}${query.toString() ? `?${query}` : ''}`;
+    output.innerHTML = `<p>Requesting ${escapeHTML(url)}...</p>`;
+    try {
+        const response = await fetch(url, options);
+        const text = await response.text();
+        let shown = text;
+        try {
+            shown = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {
+            // Not JSON (an event stream, for one); show it as it came
+        }
+        output.innerHTML = `
+            <h3>Response <span class="response-status ${response.ok ? 'ok' : 'failed'}">${response.status} ${escapeHTML(response.statusText)}</span></h3>
+            <p><small>${escapeHTML(options.method)} ${escapeHTML(url)}</small></p>
+            <pre>${escapeHTML(shown)}</pre>
+        `;
+    } catch (error) {
+        output.innerHTML = `<p class="response-status failed">Request failed: ${escapeHTML(error.message)}</p>`;
+    }
+}
+
+async function init() {
+    elements.apiKey.value = sessionStorage.getItem('apiKey') || '';
+    elements.apiKey.addEventListener('change', () => sessionStorage.setItem('apiKey', elements.apiKey.value.trim()));
+
+    try {
+        const response = await fetch('/api/docs/openapi.json');
+        spec = await response.json();
+    } catch (error) {
+        elements.operation.innerHTML = `<p class="response-status failed">Could not load the API description: ${escapeHTML(error.message)}</p>`;
+        return;
+    }
+
+    elements.version.textContent = `v${spec.info.version}`;
+    elements.description.textContent = spec.info.description;
+    renderList();
+    window.addEventListener('hashchange', () => renderOperation(location.hash.slice(1)));
+    if (location.hash) renderOperation(location.hash.slice(1));
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -4,6 +4,48 @@ let cryptoData = {};
 let exchangeRates = {};
 let isLoading = false;
 
+// Price charts: expanded panels keyed by 'stock:AAPL' / 'crypto:bitcoin',
+// and fetched history keyed by '<chart key>:<range>'
+const CHART_RANGES = {
+    '1D': { interval: 'intraday', days: 4 },
+    '1W': { interval: 'daily', days: 7 },
+    '1M': { interval: 'daily', days: 30 },
+    '1Y': { interval: 'weekly', days: 365 }
+};
+let expandedCharts = {};
+let historyCache = {};
+
+// Portfolio: the selected portfolio id survives reloads via localStorage
+let portfolios = [];
+let currentPortfolioId = localStorage.getItem('portfolioId');
+
+// Signed-in user and their preferences. Anonymous visitors start from the
+// server's defaults; these are only used if the account cannot be loaded.
+const DEFAULT_STOCKS = ['AAPL', 'GOOGL', 'MSFT'];
+let cryptoIds = ['bitcoin', 'ethereum', 'cardano', 'polkadot', 'chainlink'];
+let currentUser = null;
+let pendingPreferences = {};
+let preferencesTimer = null;
+
+// Live updates over Server-Sent Events; polling takes over while disconnected
+let stream = null;
+let streamConnected = false;
+let streamTimer = null;
+
+// Currencies offered by the budget and account pickers
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY'];
+
+// Economic indicators: the server's catalog, and the series shown with an
+// optional second one overlaid; the choice survives reloads via localStorage
+const ECONOMIC_RANGES = { '1Y': 1, '5Y': 5, '10Y': 10, 'Max': null };
+let economicCatalog = [];
+let economicRange = localStorage.getItem('economicRange') || '5Y';
+
+// Budget categories, savings goals and the last calculated budget
+let categories = [];
+let savingsGoals = [];
+let lastBudget = null;
+
 // DOM elements
 const elements = {
     serverStatus: document.getElementById('server-status'),
@@ -24,20 +66,104 @@ const elements = {
     stockList: document.getElementById('stock-list'),
     
     // Crypto tracker
+    cryptoIdInput: document.getElementById('crypto-id'),
+    addCryptoBtn: document.getElementById('add-crypto'),
     cryptoFilter: document.getElementById('crypto-filter'),
     cryptoList: document.getElementById('crypto-list'),
     
+    // Account
+    accountToggle: document.getElementById('account-toggle'),
+    accountLabel: document.getElementById('account-label'),
+    accountPanel: document.getElementById('account-panel'),
+    accountSignedOut: document.getElementById('account-signed-out'),
+    accountSignedIn: document.getElementById('account-signed-in'),
+    accountEmail: document.getElementById('account-email'),
+    accountPassword: document.getElementById('account-password'),
+    accountUser: document.getElementById('account-user'),
+    loginBtn: document.getElementById('login-btn'),
+    registerBtn: document.getElementById('register-btn'),
+    logoutBtn: document.getElementById('logout-btn'),
+    
+    // Alerts and notifications
+    alertExpression: document.getElementById('alert-expression'),
+    alertCooldown: document.getElementById('alert-cooldown'),
+    addAlertBtn: document.getElementById('add-alert'),
+    checkAlertsBtn: document.getElementById('check-alerts'),
+    alertList: document.getElementById('alert-list'),
+    notificationsToggle: document.getElementById('notifications-toggle'),
+    notificationCount: document.getElementById('notification-count'),
+    notificationPanel: document.getElementById('notification-panel'),
+    notificationList: document.getElementById('notification-list'),
+    markAllReadBtn: document.getElementById('mark-all-read'),
+    
+    // Portfolio
+    portfolioSelect: document.getElementById('portfolio-select'),
+    newPortfolioBtn: document.getElementById('new-portfolio'),
+    holdingType: document.getElementById('holding-type'),
+    holdingSymbol: document.getElementById('holding-symbol'),
+    holdingQuantity: document.getElementById('holding-quantity'),
+    holdingPrice: document.getElementById('holding-price'),
+    holdingCurrency: document.getElementById('holding-currency'),
+    holdingDate: document.getElementById('holding-date'),
+    addHoldingBtn: document.getElementById('add-holding'),
+    portfolioSummary: document.getElementById('portfolio-summary'),
+    holdingList: document.getElementById('holding-list'),
+    
+    // Net worth and cash accounts
+    netWorthCurrency: document.getElementById('networth-currency'),
+    cashAccountName: document.getElementById('cash-account-name'),
+    cashAccountType: document.getElementById('cash-account-type'),
+    cashAccountCurrency: document.getElementById('cash-account-currency'),
+    cashAccountBalance: document.getElementById('cash-account-balance'),
+    addCashAccountBtn: document.getElementById('add-cash-account'),
+    netWorthSummary: document.getElementById('networth-summary'),
+    cashAccountList: document.getElementById('cash-account-list'),
+    
     // Exchange rates
     baseCurrency: document.getElementById('base-currency'),
     ratesSearch: document.getElementById('rates-search'),
     ratesList: document.getElementById('rates-list'),
     
+    // Economic indicators
+    economicIndicator: document.getElementById('economic-indicator'),
+    economicCompare: document.getElementById('economic-compare'),
+    economicRanges: document.getElementById('economic-ranges'),
+    economicSummary: document.getElementById('economic-summary'),
+    economicChart: document.getElementById('economic-chart'),
+    
     // Budget calculator
+    budgetCurrency: document.getElementById('budget-currency'),
+    budgetMonth: document.getElementById('budget-month'),
+    loadTransactionsBtn: document.getElementById('load-transactions'),
+    importPreset: document.getElementById('import-preset'),
+    importFile: document.getElementById('import-file'),
+    importStatementBtn: document.getElementById('import-statement'),
+    importResult: document.getElementById('import-result'),
     monthlyIncome: document.getElementById('monthly-income'),
+    incomeCurrency: document.getElementById('income-currency'),
     expenseList: document.getElementById('expense-list'),
     addExpenseBtn: document.getElementById('add-expense'),
     calculateBudgetBtn: document.getElementById('calculate-budget'),
     budgetResult: document.getElementById('budget-result'),
+    budgetRollover: document.getElementById('budget-rollover'),
+    saveBudgetBtn: document.getElementById('save-budget'),
+    budgetReportBtn: document.getElementById('budget-report'),
+    budgetTrendsBtn: document.getElementById('budget-trends'),
+    goalList: document.getElementById('goal-list'),
+    goalName: document.getElementById('goal-name'),
+    goalType: document.getElementById('goal-type'),
+    goalTarget: document.getElementById('goal-target'),
+    goalMinimum: document.getElementById('goal-minimum'),
+    addGoalBtn: document.getElementById('add-goal'),
+    
+    // "Data delayed" badges
+    converterDelayed: document.getElementById('converter-delayed'),
+    stocksDelayed: document.getElementById('stocks-delayed'),
+    cryptoDelayed: document.getElementById('crypto-delayed'),
+    portfolioDelayed: document.getElementById('portfolio-delayed'),
+    netWorthDelayed: document.getElementById('networth-delayed'),
+    ratesDelayed: document.getElementById('rates-delayed'),
+    economicDelayed: document.getElementById('economic-delayed'),
     
     // Modal and loading
     errorModal: document.getElementById('error-modal'),
@@ -69,7 +195,36 @@ function showError(message) {
     }
 }
 
-function formatCurrency(amount, currency = 'USD') {
+// Show or hide a widget's "data delayed" badge. The server marks data as
+// stale when it is serving the last known value because the vendor failed.
+function setDelayed(badge, stale, asOf) {
+    if (!badge) return;
+    badge.hidden = !stale;
+    badge.title = stale && asOf ? `Live data unavailable, showing values as of ${new Date(asOf).toLocaleString()}` : '';
+}
+
+// Copy a response's freshness fields (its `meta`) onto a value it returned
+function withFreshness(value, meta) {
+    return { ...value, stale: Boolean(meta.stale), asOf: meta.asOf };
+}
+
+function oldestAsOf(timestamps) {
+    return timestamps.filter(Boolean).sort()[0];
+}
+
+// Stored, user-supplied text (names, symbols, messages) goes through this
+// before it is put into innerHTML
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+function formatCurrency(amount, currency) {
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
         currency: currency
@@ -85,27 +240,32 @@ function formatPercentage(value) {
     return `${num >= 0 ? '+' : ''}${num.toFixed(2)}%`;
 }
 
-// API request function with error handling
-async function makeRequest(url) {
+// API calls go through the shared client (client/finance-client.js), which
+// sends the session cookie the page was loaded with
+const api = FinanceClient.createClient();
+
+// Wait for a client call; an expired session is reported as such
+async function apiCall(call) {
     try {
-        const response = await fetch(url);
-        const data = await response.json();
-        
-        if (!data.success) {
-            throw new Error(data.error || 'API request failed');
-        }
-        
-        return data;
+        return await call;
     } catch (error) {
         console.error('API request failed:', error);
+        // The session cookie comes with the page, so a reload gets a new one
+        if (error.status === 401 && error.headers && error.headers.get('WWW-Authenticate')) {
+            throw new Error('Your dashboard session has expired. Reload the page to continue.');
+        }
         throw error;
     }
 }
 
+function makeRequest(url, method = 'GET', body) {
+    return apiCall(api.request(method, url, { body }));
+}
+
 // Server health check
 async function checkServerHealth() {
     try {
-        const data = await makeRequest('/health');
+        const data = await apiCall(api.health());
         if (elements.serverStatus) {
             elements.serverStatus.textContent = `Server: ${data.server || 'Online'} ✓`;
             elements.serverStatus.style.backgroundColor = 'rgba(46, 204, 113, 0.2)';
@@ -122,11 +282,12 @@ async function checkServerHealth() {
 
 // Currency conversion functionality
 async function convertCurrency() {
-    const amount = parseFloat(elements.amountInput.value);
+    // Sent as typed so the server can convert the exact amount
+    const amount = elements.amountInput.value.trim();
     const from = elements.fromCurrency.value;
     const to = elements.toCurrency.value;
     
-    if (!amount || amount <= 0) {
+    if (!/^\d*\.?\d+$/.test(amount) || !(Number(amount) > 0)) {
         showError('Please enter a valid amount');
         return;
     }
@@ -144,16 +305,18 @@ async function convertCurrency() {
     
     try {
         showLoading();
-        const data = await makeRequest(`/api/convert/${from}/${to}/${amount}`);
+        const data = await apiCall(api.convert(from, to, amount));
         
         elements.conversionResult.innerHTML = `
             <div class="conversion-display">
-                <strong>${formatCurrency(amount, from)} = ${formatCurrency(data.data.result, to)}</strong>
-                <p>Exchange Rate: 1 ${from} = ${data.data.rate.toFixed(4)} ${to}</p>
-                <small>Last updated: ${new Date(data.timestamp).toLocaleTimeString()}</small>
+                <strong>${formatCurrency(data.data.exact.amount, from)} = ${formatCurrency(data.data.exact.result, to)}</strong>
+                <p>Exchange Rate: 1 ${from} = ${data.data.rate.toFixed(4)} ${to}${data.data.method === 'cross' ? ` (via ${data.data.pivot})` : ''}</p>
+                <small>Rates as of ${data.data.rates[0].date} · Last updated: ${new Date(data.meta.timestamp).toLocaleTimeString()}</small>
             </div>
         `;
         elements.conversionResult.classList.add('show');
+        setDelayed(elements.converterDelayed, data.meta.stale, data.meta.asOf);
+        savePreferences({ converter: { from, to, amount: Number(amount) } });
         
     } catch (error) {
         showError(`Currency conversion failed: ${error.message}`);
@@ -178,11 +341,13 @@ async function addStock() {
     
     try {
         showLoading();
-        const data = await makeRequest(`/api/stock/${symbol}`);
+        const data = await apiCall(api.stock(symbol));
         
-        stockData.push(data.data);
+        stockData.push(withFreshness(data.data, data.meta));
         elements.stockSymbolInput.value = '';
         displayStocks();
+        scheduleStreamConnect();
+        savePreferences({ watchlist: stockData.map(stock => stock.symbol) });
         
     } catch (error) {
         showError(`Failed to add stock: ${error.message}`);
@@ -191,14 +356,32 @@ async function addStock() {
     }
 }
 
+// Quotes for several symbols in one request, keyed by symbol. Symbols that
+// fail are logged and left out.
+async function loadStockQuotes(symbols) {
+    const data = await apiCall(api.stocks(symbols));
+    data.errors.forEach(({ symbol, error }) => console.warn(`Failed to load ${symbol}:`, error));
+    
+    const quotes = {};
+    data.data.forEach(quote => {
+        quotes[quote.symbol] = quote;
+    });
+    return quotes;
+}
+
 function removeStock(symbol) {
     stockData = stockData.filter(stock => stock.symbol !== symbol);
     displayStocks();
+    scheduleStreamConnect();
+    savePreferences({ watchlist: stockData.map(stock => stock.symbol) });
 }
 
 function displayStocks() {
     if (!elements.stockList) return;
     
+    const delayed = stockData.filter(stock => stock.stale);
+    setDelayed(elements.stocksDelayed, delayed.length > 0, oldestAsOf(delayed.map(stock => stock.asOf)));
+    
     let filteredStocks = [...stockData];
     
     // Apply search filter
@@ -230,15 +413,15 @@ function displayStocks() {
     }
     
     elements.stockList.innerHTML = filteredStocks.map(stock => {
-        const change = parseFloat(stock.change);
+        const change = stock.change || 0;
         const changeClass = change >= 0 ? 'positive' : 'negative';
-        const changePercent = stock.changePercent ? stock.changePercent.replace('%', '') : '0';
+        const changePercent = (stock.changePercent || 0).toFixed(2);
         
         return `
             <div class="stock-item">
                 <div class="item-info">
                     <div class="item-symbol">${stock.symbol}</div>
-                    <div class="item-price">${formatCurrency(parseFloat(stock.price))}</div>
+                    <div class="item-price">${formatCurrency(stock.price, 'USD')}</div>
                 </div>
                 <div class="item-stats">
                     <div class="item-change ${changeClass}">
@@ -246,19 +429,25 @@ function displayStocks() {
                     </div>
                     <div class="item-volume">Vol: ${formatNumber(stock.volume)}</div>
                 </div>
+                <button class="toggle-chart btn btn-secondary" onclick="toggleChart('stock:${stock.symbol}')" title="Price chart">
+                    <i class="fas fa-chart-line"></i>
+                </button>
                 <button class="remove-stock btn btn-danger" onclick="removeStock('${stock.symbol}')">
                     <i class="fas fa-times"></i>
                 </button>
+                ${chartPanelHTML(`stock:${stock.symbol}`)}
             </div>
         `;
     }).join('');
+
+    renderExpandedCharts('stock');
 }
 
 // Cryptocurrency functionality
 async function loadCryptocurrencyData() {
     try {
-        const data = await makeRequest('/api/crypto');
-        cryptoData = data.data;
+        const data = await apiCall(api.crypto(cryptoIds));
+        cryptoData = Object.fromEntries(data.data.map(coin => [coin.id, withFreshness(coin, data.meta)]));
         displayCryptocurrencies();
     } catch (error) {
         if (elements.cryptoList) {
@@ -267,16 +456,61 @@ async function loadCryptocurrencyData() {
     }
 }
 
+async function addCrypto() {
+    const id = elements.cryptoIdInput.value.trim().toLowerCase();
+    
+    if (!id) {
+        showError('Please enter a CoinGecko coin id');
+        return;
+    }
+    
+    if (cryptoIds.includes(id)) {
+        showError('Coin already in the list');
+        return;
+    }
+    
+    try {
+        showLoading();
+        const data = await apiCall(api.crypto([id]));
+        const coin = data.data.find(item => item.id === id);
+        if (!coin) {
+            throw new Error(`Cryptocurrency '${id}' not found`);
+        }
+        
+        cryptoIds.push(id);
+        cryptoData[id] = withFreshness(coin, data.meta);
+        elements.cryptoIdInput.value = '';
+        displayCryptocurrencies();
+        scheduleStreamConnect();
+        savePreferences({ crypto: cryptoIds });
+    } catch (error) {
+        showError(`Failed to add coin: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+function removeCrypto(id) {
+    cryptoIds = cryptoIds.filter(item => item !== id);
+    delete cryptoData[id];
+    displayCryptocurrencies();
+    scheduleStreamConnect();
+    savePreferences({ crypto: cryptoIds });
+}
+
 function displayCryptocurrencies() {
     if (!elements.cryptoList || !cryptoData) return;
     
+    const delayed = Object.values(cryptoData).filter(coin => coin.stale);
+    setDelayed(elements.cryptoDelayed, delayed.length > 0, oldestAsOf(delayed.map(coin => coin.asOf)));
+    
     const filter = elements.cryptoFilter.value;
     let cryptoArray = Object.entries(cryptoData).map(([id, data]) => ({
         id,
         name: id.charAt(0).toUpperCase() + id.slice(1),
-        price: data.usd,
-        change: data.usd_24h_change || 0,
-        marketCap: data.usd_market_cap || 0
+        price: data.price,
+        change: data.change24h || 0,
+        marketCap: data.marketCap || 0
     }));
     
     // Apply filters
@@ -299,7 +533,7 @@ function displayCryptocurrencies() {
             <div class="crypto-item">
                 <div class="item-info">
                     <div class="item-symbol">${crypto.name}</div>
-                    <div class="item-price">${formatCurrency(crypto.price)}</div>
+                    <div class="item-price">${formatCurrency(crypto.price, 'USD')}</div>
                 </div>
                 <div class="item-stats">
                     <div class="item-change ${changeClass}">
@@ -309,189 +543,1372 @@ function displayCryptocurrencies() {
                         Market Cap: ${formatCurrency(crypto.marketCap, 'USD')}
                     </div>
                 </div>
+                <button class="toggle-chart btn btn-secondary" onclick="toggleChart('crypto:${crypto.id}')" title="Price chart">
+                    <i class="fas fa-chart-line"></i>
+                </button>
+                <button class="remove-crypto btn btn-danger" onclick="removeCrypto('${crypto.id}')">
+                    <i class="fas fa-times"></i>
+                </button>
+                ${chartPanelHTML(`crypto:${crypto.id}`)}
             </div>
         `;
     }).join('');
+
+    renderExpandedCharts('crypto');
 }
 
-// Exchange rates functionality
-async function loadExchangeRates() {
+// Price chart functionality
+function chartPanelHTML(key) {
+    const chart = expandedCharts[key];
+    if (!chart) return '';
+
+    return `
+        <div class="item-chart" data-chart="${key}">
+            <div class="chart-controls">
+                <div class="chart-ranges">
+                    ${Object.keys(CHART_RANGES).map(range => `
+                        <button class="chart-toggle ${chart.range === range ? 'active' : ''}"
+                            onclick="setChartOption('${key}', 'range', '${range}')">${range}</button>
+                    `).join('')}
+                </div>
+                <select class="chart-type" onchange="setChartOption('${key}', 'type', this.value)">
+                    <option value="line" ${chart.type === 'line' ? 'selected' : ''}>Line</option>
+                    <option value="candlestick" ${chart.type === 'candlestick' ? 'selected' : ''}>Candles</option>
+                </select>
+                <select class="chart-average" onchange="setChartOption('${key}', 'movingAverage', parseInt(this.value))">
+                    <option value="0" ${chart.movingAverage === 0 ? 'selected' : ''}>No MA</option>
+                    <option value="5" ${chart.movingAverage === 5 ? 'selected' : ''}>MA 5</option>
+                    <option value="20" ${chart.movingAverage === 20 ? 'selected' : ''}>MA 20</option>
+                </select>
+            </div>
+            <canvas class="price-chart"></canvas>
+        </div>
+    `;
+}
+
+function toggleChart(key) {
+    if (expandedCharts[key]) {
+        delete expandedCharts[key];
+    } else {
+        expandedCharts[key] = { range: '1M', type: 'line', movingAverage: 0 };
+    }
+    redrawChartList(key);
+}
+
+function setChartOption(key, option, value) {
+    if (!expandedCharts[key]) return;
+    expandedCharts[key][option] = value;
+    redrawChartList(key);
+}
+
+function redrawChartList(key) {
+    if (key.startsWith('stock:')) {
+        displayStocks();
+    } else {
+        displayCryptocurrencies();
+    }
+}
+
+function renderExpandedCharts(kind) {
+    Object.keys(expandedCharts)
+        .filter(key => key.startsWith(`${kind}:`))
+        .forEach(loadChart);
+}
+
+async function fetchChartHistory(key, range) {
+    const cacheKey = `${key}:${range}`;
+    if (historyCache[cacheKey]) {
+        return historyCache[cacheKey];
+    }
+
+    const [kind, id] = key.split(':');
+    const { interval, days } = CHART_RANGES[range];
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const data = await apiCall(kind === 'stock'
+        ? api.stockHistory(id, { interval, from })
+        : api.cryptoHistory(id, { interval, from }));
+
+    let points = data.data.points;
+    if (range === '1D' && points.length > 0) {
+        // Intraday requests reach back over weekends; keep the last 24 hours of data
+        const parse = date => new Date(`${date.replace(' ', 'T')}Z`).getTime();
+        const end = parse(points[points.length - 1].date);
+        points = points.filter(point => end - parse(point.date) <= 24 * 60 * 60 * 1000);
+    }
+
+    historyCache[cacheKey] = points;
+    return points;
+}
+
+async function loadChart(key) {
+    const chart = expandedCharts[key];
+    const panel = document.querySelector(`[data-chart="${key}"]`);
+    if (!chart || !panel) return;
+
+    const canvas = panel.querySelector('canvas');
     try {
-        const baseCurrency = elements.baseCurrency.value;
-        const data = await makeRequest(`/api/exchange-rates/${baseCurrency}`);
-        exchangeRates = data.data.rates;
-        displayExchangeRates();
+        const points = await fetchChartHistory(key, chart.range);
+        renderPriceChart(canvas, points, {
+            type: chart.type,
+            movingAverage: chart.movingAverage,
+            formatValue: value => formatCurrency(value, 'USD')
+        });
     } catch (error) {
-        if (elements.ratesList) {
-            elements.ratesList.innerHTML = `<div class="error-message">Failed to load exchange rates: ${error.message}</div>`;
+        panel.querySelector('canvas').replaceWith(Object.assign(document.createElement('div'), {
+            className: 'error-message',
+            textContent: `Failed to load price history: ${error.message}`
+        }));
+    }
+}
+
+// Portfolio functionality
+async function loadPortfolios() {
+    try {
+        const data = await makeRequest('/api/v2/portfolios');
+        portfolios = data.data;
+        
+        if (!portfolios.some(p => p.id === currentPortfolioId)) {
+            currentPortfolioId = portfolios.length > 0 ? portfolios[0].id : null;
         }
+        
+        elements.portfolioSelect.innerHTML = portfolios.map(p => `
+            <option value="${p.id}" ${p.id === currentPortfolioId ? 'selected' : ''}>${escapeHTML(p.name)} (${escapeHTML(p.baseCurrency)})</option>
+        `).join('');
+        
+        await loadPortfolio();
+    } catch (error) {
+        elements.holdingList.innerHTML = `<div class="error-message">Failed to load portfolios: ${escapeHTML(error.message)}</div>`;
     }
 }
 
-function displayExchangeRates() {
-    if (!elements.ratesList || !exchangeRates) return;
-    
-    const searchTerm = elements.ratesSearch.value.toLowerCase();
-    const filteredRates = Object.entries(exchangeRates).filter(([currency]) =>
-        currency.toLowerCase().includes(searchTerm)
-    );
-    
-    // Sort by currency code
-    filteredRates.sort(([a], [b]) => a.localeCompare(b));
+async function createPortfolio(name) {
+    const baseCurrency = elements.holdingCurrency.value;
+    const data = await makeRequest('/api/v2/portfolios', 'POST', { name, baseCurrency });
+    currentPortfolioId = data.data.id;
+    localStorage.setItem('portfolioId', currentPortfolioId);
+    await loadPortfolios();
+}
+
+async function newPortfolio() {
+    const name = prompt('Portfolio name:');
+    if (!name || !name.trim()) return;
     
-    elements.ratesList.innerHTML = filteredRates.map(([currency, rate]) => `
-        <div class="rate-item">
-            <div class="item-info">
-                <div class="item-symbol">${currency}</div>
-                <div class="item-price">${rate.toFixed(4)}</div>
-            </div>
-        </div>
-    `).join('');
+    try {
+        await createPortfolio(name.trim());
+    } catch (error) {
+        showError(`Failed to create portfolio: ${error.message}`);
+    }
 }
 
-// Budget calculator functionality
-function addExpense() {
-    const expenseItem = document.createElement('div');
-    expenseItem.className = 'expense-item';
-    expenseItem.innerHTML = `
-        <input type="text" placeholder="Expense name" class="expense-name">
-        <input type="number" placeholder="Amount" class="expense-amount" min="0" step="0.01">
-        <button class="remove-expense btn btn-danger" onclick="this.parentElement.remove()">
-            <i class="fas fa-times"></i>
-        </button>
-    `;
-    elements.expenseList.appendChild(expenseItem);
+function selectPortfolio() {
+    currentPortfolioId = elements.portfolioSelect.value;
+    localStorage.setItem('portfolioId', currentPortfolioId);
+    loadPortfolio();
 }
 
-function calculateBudget() {
-    const income = parseFloat(elements.monthlyIncome.value) || 0;
-    const expenseItems = elements.expenseList.querySelectorAll('.expense-item');
+async function loadPortfolio() {
+    if (!currentPortfolioId) {
+        elements.portfolioSummary.innerHTML = '';
+        elements.holdingList.innerHTML = '<div class="loading">No holdings yet. Add one to start a portfolio!</div>';
+        return;
+    }
     
-    let totalExpenses = 0;
-    const expenses = [];
+    try {
+        const data = await makeRequest(`/api/v2/portfolios/${currentPortfolioId}`);
+        displayPortfolio(data.data);
+    } catch (error) {
+        elements.holdingList.innerHTML = `<div class="error-message">Failed to value portfolio: ${escapeHTML(error.message)}</div>`;
+    }
+}
+
+function displayPortfolio(portfolio) {
+    const base = portfolio.baseCurrency;
+    const { totals } = portfolio;
+    const pnlClass = totals.unrealizedPnL >= 0 ? 'positive' : 'negative';
+    const delayed = portfolio.holdings.filter(holding => holding.stale);
+    setDelayed(elements.portfolioDelayed, delayed.length > 0, oldestAsOf(delayed.map(holding => holding.priceAsOf)));
     
-    expenseItems.forEach(item => {
-        const name = item.querySelector('.expense-name').value.trim();
-        const amount = parseFloat(item.querySelector('.expense-amount').value) || 0;
-        
-        if (name && amount > 0) {
-            expenses.push({ name, amount });
-            totalExpenses += amount;
-        }
-    });
+    elements.portfolioSummary.innerHTML = `
+        <div class="budget-item">
+            <div class="budget-item-label">Market Value</div>
+            <div class="budget-item-value">${formatCurrency(totals.exact.marketValue, base)}</div>
+        </div>
+        <div class="budget-item">
+            <div class="budget-item-label">Cost Basis</div>
+            <div class="budget-item-value">${formatCurrency(totals.exact.costBasis, base)}</div>
+        </div>
+        <div class="budget-item">
+            <div class="budget-item-label">Unrealized P&amp;L</div>
+            <div class="budget-item-value ${pnlClass}">
+                ${formatCurrency(totals.exact.unrealizedPnL, base)} (${formatPercentage(totals.unrealizedPnLPercent)})
+            </div>
+        </div>
+    `;
     
-    const remaining = income - totalExpenses;
-    const savingsRate = income > 0 ? (remaining / income) * 100 : 0;
+    if (portfolio.holdings.length === 0) {
+        elements.holdingList.innerHTML = '<div class="loading">No holdings yet. Add one to get started!</div>';
+        return;
+    }
     
-    elements.budgetResult.innerHTML = `
-        <div class="budget-summary">
-            <div class="budget-item">
-                <div class="budget-item-label">Monthly Income</div>
-                <div class="budget-item-value">${formatCurrency(income)}</div>
-            </div>
-            <div class="budget-item">
-                <div class="budget-item-label">Total Expenses</div>
-                <div class="budget-item-value">${formatCurrency(totalExpenses)}</div>
-            </div>
-            <div class="budget-item">
-                <div class="budget-item-label">Remaining</div>
-                <div class="budget-item-value ${remaining >= 0 ? 'positive' : 'negative'}">
-                    ${formatCurrency(remaining)}
-                </div>
-            </div>
-            <div class="budget-item">
-                <div class="budget-item-label">Savings Rate</div>
-                <div class="budget-item-value ${savingsRate >= 20 ? 'positive' : savingsRate >= 10 ? '' : 'negative'}">
-                    ${savingsRate.toFixed(1)}%
+    elements.holdingList.innerHTML = portfolio.holdings.map(holding => {
+        if (holding.error) {
+            return `
+                <div class="holding-item">
+                    <div class="item-info">
+                        <div class="item-symbol">${escapeHTML(holding.symbol)}</div>
+                        <div class="error-message">${escapeHTML(holding.error)}</div>
+                    </div>
+                    <button class="remove-holding btn btn-danger" onclick="removeHolding('${holding.id}')">
+                        <i class="fas fa-times"></i>
+                    </button>
                 </div>
-            </div>
-        </div>
+            `;
+        }
         
-        ${expenses.length > 0 ? `
-            <div class="expense-breakdown">
-                <h4>Expense Breakdown</h4>
-                ${expenses.map(expense => `
-                    <div style="display: flex; justify-content: space-between; margin: 0.5rem 0;">
-                        <span>${expense.name}</span>
-                        <span>${formatCurrency(expense.amount)}</span>
+        const changeClass = holding.unrealizedPnL >= 0 ? 'positive' : 'negative';
+        return `
+            <div class="holding-item">
+                <div class="item-info">
+                    <div class="item-symbol">${escapeHTML(holding.symbol)}</div>
+                    <div class="item-volume">
+                        ${escapeHTML(holding.exact.quantity)} @ ${formatCurrency(holding.exact.purchasePrice, holding.currency)}
+                        · ${holding.allocationPercent.toFixed(1)}% of portfolio
                     </div>
-                `).join('')}
+                </div>
+                <div class="item-stats">
+                    <div class="item-price">${formatCurrency(holding.exact.marketValue, base)}</div>
+                    <div class="item-change ${changeClass}">
+                        ${formatCurrency(holding.exact.unrealizedPnL, base)} (${formatPercentage(holding.unrealizedPnLPercent)})
+                    </div>
+                </div>
+                <button class="remove-holding btn btn-danger" onclick="removeHolding('${holding.id}')">
+                    <i class="fas fa-times"></i>
+                </button>
             </div>
-        ` : ''}
-        
-        <div class="budget-advice">
-            ${remaining < 0 ? 
-                '<p style="color: #e74c3c;"><strong>⚠️ Warning:</strong> Your expenses exceed your income!</p>' :
-                savingsRate >= 20 ?
-                    '<p style="color: #27ae60;"><strong>✅ Great job!</strong> You\'re saving 20% or more of your income.</p>' :
-                    savingsRate >= 10 ?
-                        '<p style="color: #f39c12;"><strong>💡 Good start!</strong> Try to increase your savings rate to 20%.</p>' :
-                        '<p style="color: #e74c3c;"><strong>📈 Room for improvement!</strong> Aim to save at least 10% of your income.</p>'
-            }
-        </div>
-    `;
-    
-    elements.budgetResult.classList.add('show');
+        `;
+    }).join('');
 }
 
-// Refresh all data
-async function refreshAllData() {
-    if (isLoading) return;
+async function addHolding() {
+    const holding = {
+        type: elements.holdingType.value,
+        symbol: elements.holdingSymbol.value.trim(),
+        // Sent as typed so the server keeps them exact
+        quantity: elements.holdingQuantity.value.trim(),
+        purchasePrice: elements.holdingPrice.value.trim(),
+        currency: elements.holdingCurrency.value,
+        purchaseDate: elements.holdingDate.value || undefined
+    };
+    
+    if (!holding.symbol) {
+        showError('Please enter a symbol or coin id');
+        return;
+    }
+    
+    if (!(Number(holding.quantity) > 0) || !(Number(holding.purchasePrice) > 0)) {
+        showError('Please enter a valid quantity and purchase price');
+        return;
+    }
     
     try {
         showLoading();
-        
-        // Refresh all widgets
-        await Promise.allSettled([
-            checkServerHealth(),
-            loadCryptocurrencyData(),
-            loadExchangeRates()
-        ]);
-        
-        // Refresh stock data if any stocks are tracked
-        if (stockData.length > 0) {
-            const stockPromises = stockData.map(async (stock, index) => {
-                try {
-                    const data = await makeRequest(`/api/stock/${stock.symbol}`);
-                    stockData[index] = data.data;
-                } catch (error) {
-                    console.error(`Failed to refresh ${stock.symbol}:`, error);
-                }
-            });
-            
-            await Promise.allSettled(stockPromises);
-            displayStocks();
+        if (!currentPortfolioId) {
+            await createPortfolio('My Portfolio');
         }
+        await makeRequest(`/api/v2/portfolios/${currentPortfolioId}/holdings`, 'POST', holding);
         
+        elements.holdingSymbol.value = '';
+        elements.holdingQuantity.value = '';
+        elements.holdingPrice.value = '';
+        await loadPortfolio();
     } catch (error) {
-        showError(`Failed to refresh data: ${error.message}`);
+        showError(`Failed to add holding: ${error.message}`);
     } finally {
         hideLoading();
     }
 }
 
-// Event listeners
-document.addEventListener('DOMContentLoaded', function() {
-    // Check if all elements exist
-    const missingElements = Object.entries(elements).filter(([key, element]) => !element);
-    if (missingElements.length > 0) {
-        console.warn('Missing elements:', missingElements.map(([key]) => key));
+async function removeHolding(holdingId) {
+    try {
+        await makeRequest(`/api/v2/portfolios/${currentPortfolioId}/holdings/${holdingId}`, 'DELETE');
+        await loadPortfolio();
+    } catch (error) {
+        showError(`Failed to remove holding: ${error.message}`);
     }
-    
-    // Currency converter
-    if (elements.convertBtn) {
-        elements.convertBtn.addEventListener('click', convertCurrency);
+}
+
+// Net worth: cash accounts plus every portfolio, in one currency
+async function loadNetWorth() {
+    try {
+        const data = await makeRequest(`/api/v2/networth?currency=${elements.netWorthCurrency.value}`);
+        displayNetWorth(data.data);
+    } catch (error) {
+        elements.cashAccountList.innerHTML = `<div class="error-message">Failed to load net worth: ${escapeHTML(error.message)}</div>`;
     }
+}
+
+function displayNetWorth(worth) {
+    const { currency, exact } = worth;
+    setDelayed(elements.netWorthDelayed, worth.stale);
     
-    // Stock tracker
-    if (elements.addStockBtn) {
-        elements.addStockBtn.addEventListener('click', addStock);
+    elements.netWorthSummary.innerHTML = `
+        <div class="budget-item">
+            <div class="budget-item-label">Net Worth</div>
+            <div class="budget-item-value ${worth.total >= 0 ? 'positive' : 'negative'}">${formatCurrency(exact.total, currency)}</div>
+        </div>
+        <div class="budget-item">
+            <div class="budget-item-label">Cash</div>
+            <div class="budget-item-value">${formatCurrency(exact.cash, currency)}</div>
+        </div>
+        <div class="budget-item">
+            <div class="budget-item-label">Stocks</div>
+            <div class="budget-item-value">${formatCurrency(exact.stocks, currency)}</div>
+        </div>
+        <div class="budget-item">
+            <div class="budget-item-label">Crypto</div>
+            <div class="budget-item-value">${formatCurrency(exact.crypto, currency)}</div>
+        </div>
+    `;
+    
+    if (worth.accounts.length === 0) {
+        elements.cashAccountList.innerHTML = '<div class="loading">No cash accounts yet. Add one above; portfolio holdings are included automatically.</div>';
+        return;
     }
     
-    if (elements.stockSymbolInput) {
-        elements.stockSymbolInput.addEventListener('keypress', function(e) {
-            if (e.key === 'Enter') {
-                addStock();
+    elements.cashAccountList.innerHTML = worth.accounts.map(account => `
+        <div class="holding-item">
+            <div class="item-info">
+                <div class="item-symbol">${escapeHTML(account.name)}</div>
+                <div class="item-volume">${escapeHTML(account.type)} · ${formatCurrency(account.exact.balance, account.currency)}</div>
+            </div>
+            <div class="item-stats">
+                ${account.error
+                    ? `<div class="error-message">${escapeHTML(account.error)}</div>`
+                    : `<div class="item-price">${formatCurrency(account.exact.value, currency)}</div>`}
+            </div>
+            <button class="remove-holding btn btn-danger" onclick="removeCashAccount('${account.id}')">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+async function addCashAccount() {
+    const name = elements.cashAccountName.value.trim();
+    const balance = elements.cashAccountBalance.value.trim();
+    
+    if (!name || balance === '' || isNaN(Number(balance))) {
+        showError('Please enter an account name and balance');
+        return;
+    }
+    
+    try {
+        await makeRequest('/api/v2/accounts', 'POST', {
+            name,
+            type: elements.cashAccountType.value,
+            currency: elements.cashAccountCurrency.value,
+            balance
+        });
+        elements.cashAccountName.value = '';
+        elements.cashAccountBalance.value = '';
+        await loadNetWorth();
+    } catch (error) {
+        showError(`Failed to add account: ${error.message}`);
+    }
+}
+
+async function removeCashAccount(id) {
+    try {
+        await makeRequest(`/api/v2/accounts/${id}`, 'DELETE');
+        await loadNetWorth();
+    } catch (error) {
+        showError(`Failed to remove account: ${error.message}`);
+    }
+}
+
+// Exchange rates functionality
+async function loadExchangeRates() {
+    try {
+        const baseCurrency = elements.baseCurrency.value;
+        const data = await apiCall(api.exchangeRates(baseCurrency));
+        exchangeRates = data.data.rates;
+        setDelayed(elements.ratesDelayed, data.meta.stale, data.meta.asOf);
+        displayExchangeRates();
+    } catch (error) {
+        if (elements.ratesList) {
+            elements.ratesList.innerHTML = `<div class="error-message">Failed to load exchange rates: ${error.message}</div>`;
+        }
+    }
+}
+
+function displayExchangeRates() {
+    if (!elements.ratesList || !exchangeRates) return;
+    
+    const searchTerm = elements.ratesSearch.value.toLowerCase();
+    const filteredRates = Object.entries(exchangeRates).filter(([currency]) =>
+        currency.toLowerCase().includes(searchTerm)
+    );
+    
+    // Sort by currency code
+    filteredRates.sort(([a], [b]) => a.localeCompare(b));
+    
+    elements.ratesList.innerHTML = filteredRates.map(([currency, rate]) => `
+        <div class="rate-item">
+            <div class="item-info">
+                <div class="item-symbol">${currency}</div>
+                <div class="item-price">${rate.toFixed(4)}</div>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Economic indicators functionality
+async function loadEconomicCatalog() {
+    try {
+        const data = await apiCall(api.economicCatalog());
+        economicCatalog = data.data;
+        const selected = localStorage.getItem('economicIndicator') || 'CPI';
+        const compared = localStorage.getItem('economicCompare') || '';
+        elements.economicIndicator.innerHTML = economicOptionsHTML(selected);
+        elements.economicCompare.innerHTML = `<option value="">Compare with...</option>${economicOptionsHTML(compared)}`;
+        displayEconomicRanges();
+        loadEconomicData();
+    } catch (error) {
+        elements.economicSummary.innerHTML = `<div class="error-message">Failed to load economic indicators: ${escapeHTML(error.message)}</div>`;
+    }
+}
+
+// Options grouped by category, e.g. Prices: CPI, Inflation
+function economicOptionsHTML(selected) {
+    const categories = [...new Set(economicCatalog.map(series => series.category))];
+    return categories.map(category => `
+        <optgroup label="${category}">
+            ${economicCatalog.filter(series => series.category === category).map(series => `
+                <option value="${series.id}" ${series.id === selected ? 'selected' : ''}>${series.name}</option>
+            `).join('')}
+        </optgroup>
+    `).join('');
+}
+
+function displayEconomicRanges() {
+    elements.economicRanges.innerHTML = Object.keys(ECONOMIC_RANGES).map(range => `
+        <button class="chart-toggle ${economicRange === range ? 'active' : ''}"
+            onclick="setEconomicRange('${range}')">${range}</button>
+    `).join('');
+}
+
+function setEconomicRange(range) {
+    economicRange = range;
+    localStorage.setItem('economicRange', range);
+    displayEconomicRanges();
+    loadEconomicData();
+}
+
+// A range is the last N years of points; Max asks for as many as the API returns
+function economicQuery(range) {
+    const years = ECONOMIC_RANGES[range];
+    if (years === null) {
+        return { limit: 1000 };
+    }
+    const from = new Date();
+    from.setFullYear(from.getFullYear() - years);
+    return { from: from.toISOString().slice(0, 10) };
+}
+
+async function loadEconomicData() {
+    const indicators = [elements.economicIndicator.value, elements.economicCompare.value]
+        .filter((id, index, ids) => id && ids.indexOf(id) === index);
+    if (indicators.length === 0) return;
+    localStorage.setItem('economicIndicator', elements.economicIndicator.value);
+    localStorage.setItem('economicCompare', elements.economicCompare.value);
+
+    try {
+        const query = economicQuery(economicRange);
+        const responses = await Promise.all(indicators.map(id => apiCall(api.economic(id, query))));
+        setDelayed(elements.economicDelayed, responses.some(data => data.meta.stale),
+            oldestAsOf(responses.map(data => data.meta.asOf)));
+        displayEconomicData(responses.map(data => data.data));
+    } catch (error) {
+        elements.economicSummary.innerHTML = `<div class="error-message">Failed to load economic data: ${escapeHTML(error.message)}</div>`;
+        renderSeriesChart(elements.economicChart, []);
+    }
+}
+
+function formatIndicatorValue(value, unit) {
+    if (unit === 'percent') {
+        return `${value.toFixed(2)}%`;
+    }
+    return new Intl.NumberFormat('en-US', { maximumFractionDigits: 1 }).format(value);
+}
+
+function displayEconomicData(seriesList) {
+    elements.economicSummary.innerHTML = seriesList.map(series => {
+        const points = series.points.filter(point => point.value != null);
+        const latest = points[points.length - 1];
+        const previous = points[points.length - 2];
+        if (!latest) {
+            return `
+                <div class="budget-item">
+                    <div class="budget-item-label">${series.name}</div>
+                    <div class="budget-item-value">n/a</div>
+                </div>
+            `;
+        }
+        let changeText = '';
+        if (previous) {
+            const change = latest.value - previous.value;
+            // Rates change by percentage points
+            const amount = series.unit === 'percent' ? `${change.toFixed(2)} pts` : formatIndicatorValue(change, series.unit);
+            changeText = ` · ${change >= 0 ? '+' : ''}${amount} vs ${previous.date}`;
+        }
+        return `
+            <div class="budget-item" title="${series.unit}, ${series.interval}">
+                <div class="budget-item-label">${series.name}</div>
+                <div class="budget-item-value">${formatIndicatorValue(latest.value, series.unit)}</div>
+                <div class="economic-summary-date">${latest.date}${changeText}</div>
+            </div>
+        `;
+    }).join('');
+
+    renderSeriesChart(elements.economicChart, seriesList.map(series => ({
+        label: series.name,
+        points: series.points,
+        formatValue: value => formatIndicatorValue(value, series.unit)
+    })));
+}
+
+// Price alerts
+async function loadAlerts() {
+    try {
+        const data = await makeRequest('/api/v2/alerts');
+        displayAlerts(data.data);
+    } catch (error) {
+        elements.alertList.innerHTML = `<div class="error-message">Failed to load alerts: ${escapeHTML(error.message)}</div>`;
+    }
+}
+
+function displayAlerts(alerts) {
+    if (alerts.length === 0) {
+        elements.alertList.innerHTML = '<div class="loading">No alerts yet. Add one above.</div>';
+        return;
+    }
+    
+    elements.alertList.innerHTML = alerts.map(alert => `
+        <div class="holding-item alert-item ${alert.enabled ? '' : 'disabled'} ${alert.active ? 'active' : ''}">
+            <div class="item-info">
+                <div class="item-symbol">${escapeHTML(alert.name)}</div>
+                <div class="item-volume">
+                    ${alert.lastError ? `<span class="error-message">${escapeHTML(alert.lastError)}</span>` :
+                        alert.lastValue != null ? `Last value ${alert.lastValue.toFixed(alert.metric === 'price' ? 4 : 2)}${alert.metric === 'price' ? '' : '%'}` : 'Not checked yet'}
+                    · cooldown ${alert.cooldownMinutes} min
+                    ${alert.lastTriggeredAt ? `· last fired ${new Date(alert.lastTriggeredAt).toLocaleString()}` : ''}
+                </div>
+            </div>
+            <button class="btn btn-secondary" onclick="toggleAlert('${alert.id}', ${!alert.enabled})">
+                ${alert.enabled ? 'Pause' : 'Resume'}
+            </button>
+            <button class="btn btn-danger" onclick="removeAlert('${alert.id}')">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+async function addAlert() {
+    const expression = elements.alertExpression.value.trim();
+    if (!expression) {
+        showError('Please describe the alert, e.g. "AAPL price > 200"');
+        return;
+    }
+    
+    try {
+        await makeRequest('/api/v2/alerts', 'POST', {
+            expression,
+            ...(elements.alertCooldown.value ? { cooldownMinutes: elements.alertCooldown.value } : {})
+        });
+        elements.alertExpression.value = '';
+        elements.alertCooldown.value = '';
+        await loadAlerts();
+    } catch (error) {
+        showError(`Failed to add alert: ${error.message}`);
+    }
+}
+
+async function toggleAlert(id, enabled) {
+    try {
+        await makeRequest(`/api/v2/alerts/${id}`, 'PATCH', { enabled });
+        await loadAlerts();
+    } catch (error) {
+        showError(`Failed to update alert: ${error.message}`);
+    }
+}
+
+async function removeAlert(id) {
+    try {
+        await makeRequest(`/api/v2/alerts/${id}`, 'DELETE');
+        await loadAlerts();
+    } catch (error) {
+        showError(`Failed to remove alert: ${error.message}`);
+    }
+}
+
+async function checkAlertsNow() {
+    try {
+        showLoading();
+        await makeRequest('/api/v2/alerts/check', 'POST', {});
+        await Promise.all([loadAlerts(), loadNotifications()]);
+    } catch (error) {
+        showError(`Failed to check alerts: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Notification feed
+async function loadNotifications() {
+    try {
+        const data = await makeRequest('/api/v2/notifications?limit=20');
+        elements.notificationCount.textContent = data.unread;
+        elements.notificationCount.classList.toggle('show', data.unread > 0);
+        elements.notificationList.innerHTML = data.data.length === 0
+            ? '<div class="notification-item">No notifications</div>'
+            : data.data.map(notification => `
+                <div class="notification-item ${notification.read ? '' : 'unread'}" onclick="markNotificationRead('${notification.id}')">
+                    <div><strong>${escapeHTML(notification.title)}</strong></div>
+                    <div>${escapeHTML(notification.message)}</div>
+                    <div class="notification-time">${new Date(notification.createdAt).toLocaleString()}</div>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.warn('Failed to load notifications:', error);
+    }
+}
+
+async function markNotificationRead(id) {
+    try {
+        await makeRequest(`/api/v2/notifications/${id}/read`, 'POST', {});
+        await loadNotifications();
+    } catch (error) {
+        console.warn('Failed to mark notification read:', error);
+    }
+}
+
+async function markAllNotificationsRead() {
+    try {
+        await makeRequest('/api/v2/notifications/read-all', 'POST', {});
+        await loadNotifications();
+    } catch (error) {
+        showError(`Failed to update notifications: ${error.message}`);
+    }
+}
+
+function toggleNotifications(event) {
+    event.stopPropagation();
+    elements.notificationPanel.classList.toggle('show');
+}
+
+// Budget calculator functionality
+function categoryOptionsHTML() {
+    return `<option value="">Auto category</option>` + categories.map(category => `
+        <option value="${category.id}">${category.label}</option>
+    `).join('');
+}
+
+async function loadCategories() {
+    try {
+        const data = await makeRequest('/api/v2/categories');
+        categories = data.data.filter(category => category.id !== 'income');
+        elements.expenseList.querySelectorAll('.expense-category').forEach(select => {
+            const selected = select.value || select.dataset.category || '';
+            select.innerHTML = categoryOptionsHTML();
+            select.value = selected;
+        });
+    } catch (error) {
+        console.warn('Failed to load categories:', error);
+    }
+}
+
+function currencyOptionsHTML() {
+    return CURRENCIES.map(currency => `<option value="${currency}">${currency}</option>`).join('');
+}
+
+// New rows start in the reporting currency
+function createExpenseRow(name = '', amount = '', category = '', currency = elements.budgetCurrency.value) {
+    const expenseItem = document.createElement('div');
+    expenseItem.className = 'expense-item';
+    expenseItem.innerHTML = `
+        <input type="text" placeholder="Expense name" class="expense-name">
+        <input type="number" placeholder="Amount" class="expense-amount" min="0" step="0.01">
+        <select class="expense-currency">${currencyOptionsHTML()}</select>
+        <select class="expense-category">${categoryOptionsHTML()}</select>
+        <button class="remove-expense btn btn-danger" onclick="this.parentElement.remove()">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    expenseItem.querySelector('.expense-name').value = name;
+    expenseItem.querySelector('.expense-amount').value = amount;
+    selectValue(expenseItem.querySelector('.expense-currency'), currency);
+    // Kept for loadCategories in case the options are not there yet
+    expenseItem.querySelector('.expense-category').dataset.category = category || '';
+    expenseItem.querySelector('.expense-category').value = category || '';
+    elements.expenseList.appendChild(expenseItem);
+}
+
+function addExpense() {
+    createExpenseRow();
+}
+
+// Fill the calculator with a month of ledger transactions
+async function loadBudgetFromTransactions() {
+    const month = elements.budgetMonth.value;
+    if (!month) {
+        showError('Please choose a month');
+        return;
+    }
+    
+    try {
+        showLoading();
+        const data = await makeRequest(`/api/v2/budget/summary?month=${month}&currency=${elements.budgetCurrency.value}`);
+        const budget = data.data;
+        
+        if (budget.transactionCount === 0) {
+            showError(`No transactions found for ${month}. Import a bank statement first.`);
+            return;
+        }
+        
+        // Income is filled in as its converted total; expenses as they were spent
+        elements.monthlyIncome.value = budget.exact.income;
+        elements.incomeCurrency.value = budget.currency;
+        elements.expenseList.innerHTML = '';
+        budget.expenses.forEach(expense => {
+            const { amount, currency } = expense.original || expense;
+            createExpenseRow(expense.name, amount, expense.category, currency);
+        });
+        calculateBudget();
+        
+    } catch (error) {
+        showError(`Failed to load transactions: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+async function loadImportPresets() {
+    try {
+        const data = await makeRequest('/api/v2/transactions/presets');
+        elements.importPreset.innerHTML = data.data.map(preset => `
+            <option value="${preset.id}">${preset.label}</option>
+        `).join('');
+    } catch (error) {
+        console.warn('Failed to load import presets:', error);
+    }
+}
+
+async function importStatement() {
+    const file = elements.importFile.files[0];
+    if (!file) {
+        showError('Please choose a CSV, OFX or QFX file');
+        return;
+    }
+    
+    try {
+        showLoading();
+        const content = await file.text();
+        const data = await makeRequest(`/api/v2/transactions/import?preset=${elements.importPreset.value}`, 'POST', content);
+        const result = data.data;
+        
+        elements.importResult.innerHTML = `
+            <strong>${file.name}:</strong> imported ${result.importedCount} transaction(s),
+            skipped ${result.duplicates} duplicate(s)
+            ${result.errors.length > 0 ? `, ${result.errors.length} row(s) could not be read (first: line ${result.errors[0].line}, ${result.errors[0].error})` : ''}
+        `;
+        elements.importResult.classList.add('show');
+        elements.importFile.value = '';
+        
+    } catch (error) {
+        showError(`Import failed: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Totals and categories are worked out by the server so the web and CLI
+// budgets use the same rules
+// Expense rows with a name and an amount. Amounts stay as typed so the
+// server adds them up exactly.
+function readExpenses() {
+    const expenses = [];
+    elements.expenseList.querySelectorAll('.expense-item').forEach(item => {
+        const name = item.querySelector('.expense-name').value.trim();
+        const amount = item.querySelector('.expense-amount').value.trim();
+        const currency = item.querySelector('.expense-currency')?.value || elements.budgetCurrency.value;
+        const category = item.querySelector('.expense-category')?.value;
+        
+        if (name && Number(amount) > 0) {
+            expenses.push({ name, amount, currency, ...(category ? { category } : {}) });
+        }
+    });
+    return expenses;
+}
+
+// Entries in other currencies are converted by the server into the
+// reporting currency
+async function calculateBudget() {
+    const income = elements.monthlyIncome.value.trim() || '0';
+    const incomeCurrency = elements.incomeCurrency.value;
+    const currency = elements.budgetCurrency.value;
+    const expenses = readExpenses();
+    
+    let budget;
+    try {
+        const data = await makeRequest('/api/v2/budget/calculate', 'POST', {
+            income: [{ amount: income, currency: incomeCurrency }],
+            expenses,
+            currency
+        });
+        budget = data.data;
+    } catch (error) {
+        showError(`Failed to calculate budget: ${error.message}`);
+        return;
+    }
+    
+    lastBudget = budget;
+    savePreferences({ budget: { income, incomeCurrency, currency, expenses } });
+    const { remaining, savingsRate } = budget;
+    
+    elements.budgetResult.innerHTML = `
+        <div class="budget-summary">
+            <div class="budget-item">
+                <div class="budget-item-label">Monthly Income</div>
+                <div class="budget-item-value">${formatCurrency(budget.exact.income, budget.currency)}</div>
+            </div>
+            <div class="budget-item">
+                <div class="budget-item-label">Total Expenses</div>
+                <div class="budget-item-value">${formatCurrency(budget.exact.totalExpenses, budget.currency)}</div>
+            </div>
+            <div class="budget-item">
+                <div class="budget-item-label">Remaining</div>
+                <div class="budget-item-value ${remaining >= 0 ? 'positive' : 'negative'}">
+                    ${formatCurrency(budget.exact.remaining, budget.currency)}
+                </div>
+            </div>
+            <div class="budget-item">
+                <div class="budget-item-label">Savings Rate</div>
+                <div class="budget-item-value ${goalStatusClass(budget.goals)}">
+                    ${savingsRate.toFixed(1)}%
+                </div>
+            </div>
+        </div>
+        
+        ${budget.categories.length > 0 ? `
+            <div class="expense-breakdown">
+                <h4>Expense Breakdown</h4>
+                ${budget.categories.map(category => `
+                    <div class="category-total">
+                        <span>${category.label}</span>
+                        <span>${formatCurrency(category.exact.amount, budget.currency)}</span>
+                    </div>
+                    ${budget.expenses.filter(expense => expense.category === category.category).map(expense => `
+                        <div class="category-expense">
+                            <span>${expense.name}</span>
+                            <span>
+                                ${formatCurrency(expense.amount, budget.currency)}
+                                ${expense.original ? `<small>(${formatCurrency(expense.original.amount, expense.original.currency)})</small>` : ''}
+                            </span>
+                        </div>
+                    `).join('')}
+                `).join('')}
+            </div>
+        ` : ''}
+        
+        ${budgetAdviceHTML(remaining, budget.goals)}
+    `;
+    
+    elements.budgetResult.classList.add('show');
+}
+
+// Savings goals and month budgets
+const GOAL_COLORS = { met: '#27ae60', progress: '#f39c12', behind: '#e74c3c' };
+const GOAL_ICONS = { met: '✅', progress: '💡', behind: '📈' };
+
+// Colour for the savings rate: green when every goal is met, red when any is behind
+function goalStatusClass(goals) {
+    if (goals.every(goal => goal.status === 'met')) return 'positive';
+    return goals.some(goal => goal.status === 'behind') ? 'negative' : '';
+}
+
+function budgetAdviceHTML(remaining, goals) {
+    return `
+        <div class="budget-advice">
+            ${remaining < 0 ? '<p style="color: #e74c3c;"><strong>⚠️ Warning:</strong> Your expenses exceed your income!</p>' : ''}
+            ${goals.map(goal => `
+                <p style="color: ${GOAL_COLORS[goal.status]};">${GOAL_ICONS[goal.status]} ${escapeHTML(goal.message)}</p>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Amount goals are in the reporting currency
+function formatGoalValue(goal, value) {
+    return goal.type === 'rate' ? `${value}%` : formatCurrency(value, elements.budgetCurrency.value);
+}
+
+async function loadGoals() {
+    try {
+        const data = await makeRequest('/api/v2/budget/goals');
+        savingsGoals = data.data;
+        displayGoals();
+    } catch (error) {
+        console.warn('Failed to load savings goals:', error);
+    }
+}
+
+function displayGoals() {
+    elements.goalList.innerHTML = savingsGoals.map(goal => `
+        <div class="goal-item">
+            <span>
+                <strong>${escapeHTML(goal.name)}</strong>:
+                ${formatGoalValue(goal, goal.target)}${goal.type === 'amount' ? ' / month' : ''}
+                ${goal.minimum != null ? `(minimum ${formatGoalValue(goal, goal.minimum)})` : ''}
+                ${goal.builtIn ? '<em>(default)</em>' : ''}
+            </span>
+            ${goal.builtIn ? '' : `
+                <button class="btn btn-danger" onclick="removeGoal('${goal.id}')">
+                    <i class="fas fa-times"></i>
+                </button>
+            `}
+        </div>
+    `).join('');
+}
+
+async function addGoal() {
+    try {
+        await makeRequest('/api/v2/budget/goals', 'POST', {
+            name: elements.goalName.value.trim(),
+            type: elements.goalType.value,
+            target: elements.goalTarget.value,
+            minimum: elements.goalMinimum.value
+        });
+        elements.goalName.value = '';
+        elements.goalTarget.value = '';
+        elements.goalMinimum.value = '';
+        await loadGoals();
+    } catch (error) {
+        showError(`Failed to add goal: ${error.message}`);
+    }
+}
+
+async function removeGoal(id) {
+    try {
+        await makeRequest(`/api/v2/budget/goals/${id}`, 'DELETE');
+        await loadGoals();
+    } catch (error) {
+        showError(`Failed to remove goal: ${error.message}`);
+    }
+}
+
+// Save the calculated category totals as the selected month's targets
+async function saveBudgetPlan() {
+    const month = elements.budgetMonth.value;
+    if (!month) {
+        showError('Please choose a month');
+        return;
+    }
+    if (!lastBudget || lastBudget.categories.length === 0) {
+        showError('Calculate a budget with at least one expense first');
+        return;
+    }
+    
+    const targets = {};
+    lastBudget.categories.forEach(category => {
+        targets[category.category] = category.amount;
+    });
+    
+    try {
+        await makeRequest(`/api/v2/budget/plans/${month}`, 'PUT', {
+            income: lastBudget.income,
+            targets,
+            rollover: elements.budgetRollover.checked,
+            currency: lastBudget.currency
+        });
+        await showBudgetReport();
+    } catch (error) {
+        showError(`Failed to save budget: ${error.message}`);
+    }
+}
+
+async function showBudgetReport() {
+    const month = elements.budgetMonth.value;
+    if (!month) {
+        showError('Please choose a month');
+        return;
+    }
+    
+    try {
+        const data = await makeRequest(`/api/v2/budget/plans/${month}/report`);
+        const report = data.data;
+        const varianceClass = value => (value >= 0 ? 'positive' : 'negative');
+        const format = value => format(value, report.currency);
+        
+        elements.budgetResult.innerHTML = `
+            <h4>Budget vs Actual: ${month}${report.rollover ? ' (with rollover)' : ''}</h4>
+            <div class="variance-row header">
+                <span>Category</span><span>Budget</span><span>Rollover</span><span>Actual</span><span>Left</span>
+            </div>
+            ${report.categories.map(category => `
+                <div class="variance-row">
+                    <span>${category.label}${category.budgeted ? '' : ' <em>(unbudgeted)</em>'}</span>
+                    <span>${format(category.target)}</span>
+                    <span>${format(category.rollover)}</span>
+                    <span>${format(category.actual)}</span>
+                    <span class="${varianceClass(category.variance)}">${format(category.variance)}</span>
+                </div>
+            `).join('')}
+            <div class="variance-row">
+                <strong>Total</strong>
+                <span>${format(report.totals.target)}</span>
+                <span>${format(report.totals.rollover)}</span>
+                <span>${format(report.totals.actual)}</span>
+                <span class="${varianceClass(report.totals.variance)}">${format(report.totals.variance)}</span>
+            </div>
+            <p>
+                Income: ${format(report.income.actual)}
+                ${report.income.expected != null ? ` of ${format(report.income.expected)} expected` : ''}
+                &middot; Savings rate: ${report.savingsRate.toFixed(1)}%
+            </p>
+            ${budgetAdviceHTML(report.income.actual - report.totals.actual, report.goals)}
+        `;
+        elements.budgetResult.classList.add('show');
+    } catch (error) {
+        showError(`Failed to load budget report: ${error.message}`);
+    }
+}
+
+// Income, spending and savings for the six months up to the selected one
+async function showBudgetTrends() {
+    const to = elements.budgetMonth.value || new Date().toISOString().slice(0, 7);
+    try {
+        const data = await makeRequest(`/api/v2/budget/trends?to=${to}&currency=${elements.budgetCurrency.value}`);
+        const trends = data.data;
+        const format = value => format(value, trends.currency);
+        
+        elements.budgetResult.innerHTML = `
+            <h4>Trends: ${trends.from} to ${trends.to}</h4>
+            <div class="trend-row header">
+                <span>Month</span><span>Income</span><span>Spent</span><span>Budget</span><span>Saved</span>
+            </div>
+            ${trends.months.map(month => `
+                <div class="trend-row">
+                    <span>${month.month}</span>
+                    <span>${format(month.income)}</span>
+                    <span>${format(month.expenses)}</span>
+                    <span>${month.budgeted != null ? format(month.budgeted) : '-'}</span>
+                    <span class="${month.net >= 0 ? 'positive' : 'negative'}">${month.savingsRate.toFixed(1)}%</span>
+                </div>
+            `).join('')}
+            ${trends.averages.length > 0 ? `
+                <div class="expense-breakdown">
+                    <h4>Average Monthly Spending</h4>
+                    ${trends.averages.map(category => `
+                        <div class="category-total">
+                            <span>${category.label}</span>
+                            <span>${format(category.average)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+        elements.budgetResult.classList.add('show');
+    } catch (error) {
+        showError(`Failed to load trends: ${error.message}`);
+    }
+}
+
+// Accounts and saved preferences
+async function loadAccount() {
+    try {
+        const data = await makeRequest('/api/v2/account');
+        setAccount(data.data.user);
+        applyPreferences(data.data.preferences);
+    } catch (error) {
+        console.warn('Failed to load account:', error);
+        applyPreferences({ watchlist: DEFAULT_STOCKS });
+    }
+}
+
+function setAccount(user) {
+    currentUser = user;
+    if (!elements.accountToggle) return;
+    elements.accountLabel.textContent = user ? (user.name || user.email) : 'Sign in';
+    elements.accountUser.textContent = user ? user.email : '';
+    elements.accountSignedOut.hidden = Boolean(user);
+    elements.accountSignedIn.hidden = !user;
+}
+
+// Select a value, adding it to the options if the list does not have it
+function selectValue(select, value) {
+    if (!select || !value) return;
+    if (![...select.options].some(option => option.value === value)) {
+        select.add(new Option(value, value));
+    }
+    select.value = value;
+}
+
+// Put the dashboard in the state saved in a user's preferences
+function applyPreferences(preferences) {
+    const { watchlist = DEFAULT_STOCKS, baseCurrency, converter, crypto, budget } = preferences;
+    
+    selectValue(elements.baseCurrency, baseCurrency);
+    selectValue(elements.netWorthCurrency, baseCurrency);
+    if (converter) {
+        selectValue(elements.fromCurrency, converter.from);
+        selectValue(elements.toCurrency, converter.to);
+        elements.amountInput.value = converter.amount;
+    }
+    if (crypto) {
+        cryptoIds = [...crypto];
+    }
+    if (budget) {
+        selectValue(elements.budgetCurrency, budget.currency);
+        selectValue(elements.incomeCurrency, budget.incomeCurrency || budget.currency);
+    }
+    if (budget && budget.expenses.length > 0) {
+        elements.monthlyIncome.value = budget.income ?? '';
+        elements.expenseList.innerHTML = '';
+        budget.expenses.forEach(expense => createExpenseRow(expense.name, expense.amount, expense.category || '', expense.currency));
+    }
+    
+    cryptoData = {};
+    loadCryptocurrencyData();
+    loadExchangeRates();
+    loadNetWorth();
+    loadWatchlist(watchlist);
+}
+
+// The dashboard's current state in preferences form
+function currentPreferences() {
+    return {
+        watchlist: stockData.map(stock => stock.symbol),
+        baseCurrency: elements.baseCurrency.value,
+        converter: {
+            from: elements.fromCurrency.value,
+            to: elements.toCurrency.value,
+            amount: parseFloat(elements.amountInput.value) || 0
+        },
+        crypto: cryptoIds,
+        budget: {
+            income: parseFloat(elements.monthlyIncome.value) || null,
+            incomeCurrency: elements.incomeCurrency.value,
+            currency: elements.budgetCurrency.value,
+            expenses: readExpenses()
+        }
+    };
+}
+
+async function loadWatchlist(symbols) {
+    stockData = [];
+    try {
+        if (symbols.length > 0) {
+            const quotes = await loadStockQuotes(symbols);
+            stockData = symbols.filter(symbol => quotes[symbol]).map(symbol => quotes[symbol]);
+        }
+    } catch (error) {
+        console.warn('Failed to load watchlist:', error);
+    }
+    displayStocks();
+    scheduleStreamConnect();
+}
+
+// Save preference changes for the signed-in user. Changes in quick
+// succession go out as one request.
+function savePreferences(changes) {
+    if (!currentUser) return;
+    Object.assign(pendingPreferences, changes);
+    clearTimeout(preferencesTimer);
+    preferencesTimer = setTimeout(flushPreferences, 1000);
+}
+
+async function flushPreferences() {
+    clearTimeout(preferencesTimer);
+    const body = pendingPreferences;
+    pendingPreferences = {};
+    if (Object.keys(body).length === 0) return;
+    try {
+        await makeRequest('/api/v2/account/preferences', 'PATCH', body);
+    } catch (error) {
+        console.warn('Failed to save preferences:', error);
+    }
+}
+
+// mode is 'login' or 'register'. A new account starts from the dashboard as
+// it is; signing in restores the account's saved state.
+async function signIn(mode) {
+    const email = elements.accountEmail.value.trim();
+    const password = elements.accountPassword.value;
+    
+    if (!email || !password) {
+        showError('Please enter your email and password');
+        return;
+    }
+    
+    try {
+        showLoading();
+        const data = await makeRequest(`/api/v2/account/${mode}`, 'POST', { email, password });
+        elements.accountPassword.value = '';
+        elements.accountPanel.classList.remove('show');
+        setAccount(data.data.user);
+        
+        if (mode === 'register') {
+            savePreferences(currentPreferences());
+        } else {
+            applyPreferences(data.data.preferences);
+        }
+    } catch (error) {
+        showError(`${mode === 'register' ? 'Registration' : 'Sign in'} failed: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+async function signOut() {
+    try {
+        await flushPreferences();
+        const data = await makeRequest('/api/v2/account/logout', 'POST');
+        elements.accountPanel.classList.remove('show');
+        setAccount(null);
+        applyPreferences(data.data.preferences);
+    } catch (error) {
+        showError(`Sign out failed: ${error.message}`);
+    }
+}
+
+function toggleAccount(event) {
+    event.stopPropagation();
+    elements.accountPanel.classList.toggle('show');
+}
+
+// Live updates
+function streamURL() {
+    const params = new URLSearchParams({
+        crypto: cryptoIds.join(','),
+        fx: elements.baseCurrency ? elements.baseCurrency.value : 'USD'
+    });
+    if (stockData.length > 0) {
+        params.set('stocks', stockData.map(stock => stock.symbol).join(','));
+    }
+    return `/api/v2/stream?${params}`;
+}
+
+// Subscriptions live in the stream URL, so a change reconnects. Changes in
+// quick succession share one reconnect.
+function scheduleStreamConnect() {
+    clearTimeout(streamTimer);
+    streamTimer = setTimeout(connectStream, 500);
+}
+
+function connectStream() {
+    if (!window.EventSource) return;
+    if (stream) stream.close();
+    
+    stream = new EventSource(streamURL());
+    
+    stream.onopen = () => {
+        streamConnected = true;
+    };
+    
+    // The browser retries on its own; if it gives up, try again in a minute
+    stream.onerror = () => {
+        streamConnected = false;
+        if (stream.readyState === EventSource.CLOSED) {
+            clearTimeout(streamTimer);
+            streamTimer = setTimeout(connectStream, 60 * 1000);
+        }
+    };
+    
+    stream.addEventListener('stock', event => {
+        const quote = JSON.parse(event.data);
+        const index = stockData.findIndex(stock => stock.symbol === quote.symbol);
+        if (index !== -1) {
+            stockData[index] = quote;
+            displayStocks();
+        }
+    });
+    
+    stream.addEventListener('crypto', event => {
+        const { id, ...coin } = JSON.parse(event.data);
+        if (!cryptoIds.includes(id)) return;
+        cryptoData[id] = coin;
+        displayCryptocurrencies();
+    });
+    
+    stream.addEventListener('rates', event => {
+        const data = JSON.parse(event.data);
+        if (data.base === elements.baseCurrency.value) {
+            exchangeRates = data.rates;
+            setDelayed(elements.ratesDelayed, data.stale, data.asOf);
+            displayExchangeRates();
+        }
+    });
+}
+
+// Refresh all data
+async function refreshAllData() {
+    if (isLoading) return;
+    
+    try {
+        showLoading();
+        historyCache = {};
+        
+        // Refresh all widgets
+        await Promise.allSettled([
+            checkServerHealth(),
+            loadCryptocurrencyData(),
+            loadExchangeRates(),
+            loadPortfolio(),
+            loadNetWorth(),
+            loadEconomicData()
+        ]);
+        
+        // Refresh stock data if any stocks are tracked
+        if (stockData.length > 0) {
+            try {
+                const quotes = await loadStockQuotes(stockData.map(stock => stock.symbol));
+                stockData = stockData.map(stock => quotes[stock.symbol] || stock);
+            } catch (error) {
+                console.error('Failed to refresh stocks:', error);
+            }
+            displayStocks();
+        }
+        
+    } catch (error) {
+        showError(`Failed to refresh data: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', function() {
+    // Check if all elements exist
+    const missingElements = Object.entries(elements).filter(([key, element]) => !element);
+    if (missingElements.length > 0) {
+        console.warn('Missing elements:', missingElements.map(([key]) => key));
+    }
+    
+    // Currency converter
+    if (elements.convertBtn) {
+        elements.convertBtn.addEventListener('click', convertCurrency);
+    }
+    
+    // Stock tracker
+    if (elements.addStockBtn) {
+        elements.addStockBtn.addEventListener('click', addStock);
+    }
+    
+    if (elements.stockSymbolInput) {
+        elements.stockSymbolInput.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                addStock();
             }
         });
     }
@@ -504,21 +1921,130 @@ document.addEventListener('DOMContentLoaded', function() {
         elements.stockSort.addEventListener('change', displayStocks);
     }
     
+    // Crypto list
+    if (elements.addCryptoBtn) {
+        elements.addCryptoBtn.addEventListener('click', addCrypto);
+    }
+    
+    if (elements.cryptoIdInput) {
+        elements.cryptoIdInput.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                addCrypto();
+            }
+        });
+    }
+    
     // Crypto filter
     if (elements.cryptoFilter) {
         elements.cryptoFilter.addEventListener('change', displayCryptocurrencies);
     }
     
+    // Alerts and notifications
+    if (elements.addAlertBtn) {
+        elements.addAlertBtn.addEventListener('click', addAlert);
+    }
+    
+    if (elements.alertExpression) {
+        elements.alertExpression.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                addAlert();
+            }
+        });
+    }
+    
+    if (elements.checkAlertsBtn) {
+        elements.checkAlertsBtn.addEventListener('click', checkAlertsNow);
+    }
+    
+    if (elements.notificationsToggle) {
+        elements.notificationsToggle.addEventListener('click', toggleNotifications);
+        elements.notificationPanel.addEventListener('click', event => event.stopPropagation());
+        document.addEventListener('click', () => elements.notificationPanel.classList.remove('show'));
+    }
+    
+    if (elements.markAllReadBtn) {
+        elements.markAllReadBtn.addEventListener('click', markAllNotificationsRead);
+    }
+    
+    // Account
+    if (elements.accountToggle) {
+        elements.accountToggle.addEventListener('click', toggleAccount);
+        elements.accountPanel.addEventListener('click', event => event.stopPropagation());
+        document.addEventListener('click', () => elements.accountPanel.classList.remove('show'));
+    }
+    
+    if (elements.loginBtn) {
+        elements.loginBtn.addEventListener('click', () => signIn('login'));
+    }
+    
+    if (elements.registerBtn) {
+        elements.registerBtn.addEventListener('click', () => signIn('register'));
+    }
+    
+    if (elements.accountPassword) {
+        elements.accountPassword.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                signIn('login');
+            }
+        });
+    }
+    
+    if (elements.logoutBtn) {
+        elements.logoutBtn.addEventListener('click', signOut);
+    }
+    
+    // Portfolio
+    if (elements.portfolioSelect) {
+        elements.portfolioSelect.addEventListener('change', selectPortfolio);
+    }
+    
+    if (elements.newPortfolioBtn) {
+        elements.newPortfolioBtn.addEventListener('click', newPortfolio);
+    }
+    
+    if (elements.addHoldingBtn) {
+        elements.addHoldingBtn.addEventListener('click', addHolding);
+    }
+    
+    // Net worth
+    if (elements.netWorthCurrency) {
+        elements.netWorthCurrency.addEventListener('change', loadNetWorth);
+    }
+    
+    if (elements.addCashAccountBtn) {
+        elements.addCashAccountBtn.addEventListener('click', addCashAccount);
+    }
+    
     // Exchange rates
     if (elements.baseCurrency) {
         elements.baseCurrency.addEventListener('change', loadExchangeRates);
+        elements.baseCurrency.addEventListener('change', scheduleStreamConnect);
+        elements.baseCurrency.addEventListener('change', () => savePreferences({ baseCurrency: elements.baseCurrency.value }));
     }
     
     if (elements.ratesSearch) {
         elements.ratesSearch.addEventListener('input', displayExchangeRates);
     }
     
+    // Economic indicators
+    if (elements.economicIndicator) {
+        elements.economicIndicator.addEventListener('change', loadEconomicData);
+        elements.economicCompare.addEventListener('change', loadEconomicData);
+    }
+    
     // Budget calculator
+    if (elements.budgetMonth) {
+        elements.budgetMonth.value = new Date().toISOString().slice(0, 7);
+    }
+    
+    if (elements.loadTransactionsBtn) {
+        elements.loadTransactionsBtn.addEventListener('click', loadBudgetFromTransactions);
+    }
+    
+    if (elements.importStatementBtn) {
+        elements.importStatementBtn.addEventListener('click', importStatement);
+    }
+    
     if (elements.addExpenseBtn) {
         elements.addExpenseBtn.addEventListener('click', addExpense);
     }
@@ -527,6 +2053,30 @@ document.addEventListener('DOMContentLoaded', function() {
         elements.calculateBudgetBtn.addEventListener('click', calculateBudget);
     }
     
+    // A new reporting currency re-runs the last calculation in it
+    if (elements.budgetCurrency) {
+        elements.budgetCurrency.addEventListener('change', () => {
+            displayGoals();
+            if (lastBudget) calculateBudget();
+        });
+    }
+    
+    if (elements.saveBudgetBtn) {
+        elements.saveBudgetBtn.addEventListener('click', saveBudgetPlan);
+    }
+    
+    if (elements.budgetReportBtn) {
+        elements.budgetReportBtn.addEventListener('click', showBudgetReport);
+    }
+    
+    if (elements.budgetTrendsBtn) {
+        elements.budgetTrendsBtn.addEventListener('click', showBudgetTrends);
+    }
+    
+    if (elements.addGoalBtn) {
+        elements.addGoalBtn.addEventListener('click', addGoal);
+    }
+    
     // Refresh all button
     if (elements.refreshAllBtn) {
         elements.refreshAllBtn.addEventListener('click', refreshAllData);
@@ -548,27 +2098,34 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
-    // Initial data load
+    // Initial data load; the account's preferences decide the watchlist,
+    // coins and currencies
     checkServerHealth();
-    loadCryptocurrencyData();
-    loadExchangeRates();
-    
-    // Load default stocks
-    const defaultStocks = ['AAPL', 'GOOGL', 'MSFT'];
-    defaultStocks.forEach(async (symbol) => {
-        try {
-            const data = await makeRequest(`/api/stock/${symbol}`);
-            stockData.push(data.data);
-            displayStocks();
-        } catch (error) {
-            console.warn(`Failed to load default stock ${symbol}:`, error);
-        }
-    });
+    loadAccount();
+    loadPortfolios();
+    loadImportPresets();
+    loadEconomicCatalog();
+    loadCategories();
+    loadGoals();
+    loadAlerts();
+    loadNotifications();
 });
 
-// Auto-refresh data every 5 minutes
+// Auto-refresh every 5 minutes. While the live stream is connected it keeps
+// quotes, crypto and rates current, so only the rest is polled.
 setInterval(() => {
-    if (!isLoading) {
+    if (isLoading) return;
+    if (streamConnected) {
+        checkServerHealth();
+        loadPortfolio();
+        loadNetWorth();
+    } else {
         refreshAllData();
     }
-}, 5 * 60 * 1000);
\ No newline at end of file
+}, 5 * 60 * 1000);
+
+// Alerts are checked on the server; poll the feed for new notifications
+setInterval(() => {
+    loadNotifications();
+    loadAlerts();
+}, 60 * 1000);
\ No newline at end of file
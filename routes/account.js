@@ -0,0 +1,73 @@
+const express = require('express');
+const users = require('../lib/users');
+const rateLimit = require('../lib/rate-limit');
+const { signIn, signOut, requireUser } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// Sign-in attempts allowed per IP and email in each window
+const LOGIN_ATTEMPTS = 10;
+const LOGIN_WINDOW_SECONDS = 15 * 60;
+
+// The signed-in user (or null) and the preferences the dashboard should use
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            user: req.user,
+            preferences: users.preferencesFor(req.user)
+        }
+    });
+});
+
+router.post('/register', (req, res) => {
+    const { fields, error, code } = users.validateRegistration(req.body || {});
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+
+    const user = users.createUser(fields);
+    if (!user) {
+        return sendError(res, 'CONFLICT', `An account for ${fields.email} already exists`);
+    }
+    signIn(req, res, user);
+    res.status(201).json({ success: true, data: { user, preferences: users.preferencesFor(user) } });
+});
+
+router.post('/login', (req, res) => {
+    const { email, password } = req.body || {};
+    const attempts = rateLimit.hit(`login:${req.ip}:${String(email).toLowerCase()}`, LOGIN_ATTEMPTS, LOGIN_WINDOW_SECONDS);
+    if (!attempts.allowed) {
+        res.set('Retry-After', String(attempts.reset));
+        return sendError(res, 'RATE_LIMITED', 'Too many sign-in attempts. Try again later');
+    }
+
+    const user = users.authenticateUser(email, password);
+    if (!user) {
+        return sendError(res, 'INVALID_CREDENTIALS', 'Invalid email or password');
+    }
+
+    signIn(req, res, user);
+    res.json({ success: true, data: { user, preferences: users.preferencesFor(user) } });
+});
+
+router.post('/logout', (req, res) => {
+    signOut(req, res);
+    res.json({ success: true, data: { user: null, preferences: users.preferencesFor(null) } });
+});
+
+router.get('/preferences', requireUser, (req, res) => {
+    res.json({ success: true, data: users.preferencesFor(req.user) });
+});
+
+// Partial update: only the fields sent are replaced
+router.patch('/preferences', requireUser, (req, res) => {
+    const { changes, error, code } = users.validatePreferences(req.body || {});
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+    res.json({ success: true, data: users.updatePreferences(req.user.id, changes) });
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const accounts = require('../lib/accounts');
+const { sendError } = require('../lib/errors');
+const { ownerOf } = require('../lib/auth');
+
+const router = express.Router();
+
+function notFound(res, id) {
+    sendError(res, 'NOT_FOUND', `Account '${id}' not found`);
+}
+
+// List cash accounts
+router.get('/', (req, res) => {
+    res.json({ success: true, data: accounts.listAccounts(ownerOf(req)) });
+});
+
+// Add an account: { name, type, currency, balance }
+router.post('/', (req, res) => {
+    const { account, error, code } = accounts.validateAccount(req.body);
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+    res.status(201).json({ success: true, data: accounts.createAccount(account, ownerOf(req)) });
+});
+
+router.get('/:id', (req, res) => {
+    const found = accounts.getAccount(req.params.id, ownerOf(req));
+    if (!found) {
+        return notFound(res, req.params.id);
+    }
+    res.json({ success: true, data: found });
+});
+
+// Rename an account or change its type, currency or balance
+router.patch('/:id', (req, res) => {
+    const found = accounts.getAccount(req.params.id, ownerOf(req));
+    if (!found) {
+        return notFound(res, req.params.id);
+    }
+
+    const { account, error, code } = accounts.validateAccount(req.body, found);
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+    res.json({ success: true, data: accounts.updateAccount(found.id, account, ownerOf(req)) });
+});
+
+router.delete('/:id', (req, res) => {
+    if (!accounts.deleteAccount(req.params.id, ownerOf(req))) {
+        return notFound(res, req.params.id);
+    }
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const apiKeys = require('../lib/api-keys');
+const { requireAdmin } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+const { validate, integer } = require('../lib/validation');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+function keyNotFound(res, id) {
+    return sendError(res, 'NOT_FOUND', `API key '${id}' not found`);
+}
+
+router.get('/keys', (req, res) => {
+    res.json({ success: true, data: apiKeys.listKeys() });
+});
+
+// The response is the only time the key itself is shown
+router.post('/keys', (req, res) => {
+    const { fields, error } = apiKeys.validateKey(req.body || {});
+    if (error) {
+        return sendError(res, 'VALIDATION_ERROR', error);
+    }
+    const { key, record } = apiKeys.createKey(fields);
+    res.status(201).json({ success: true, data: { ...record, key } });
+});
+
+router.patch('/keys/:id', (req, res) => {
+    if (!apiKeys.getKey(req.params.id)) return keyNotFound(res, req.params.id);
+
+    const { fields, error } = apiKeys.validateKey(req.body || {}, true);
+    if (error) {
+        return sendError(res, 'VALIDATION_ERROR', error);
+    }
+    res.json({ success: true, data: apiKeys.updateKey(req.params.id, fields) });
+});
+
+router.delete('/keys/:id', (req, res) => {
+    const revoked = apiKeys.revokeKey(req.params.id);
+    if (!revoked) return keyNotFound(res, req.params.id);
+    res.json({ success: true, data: revoked });
+});
+
+// Requests and rate-limited requests per key and day. ?days=N (default 7, max 90)
+router.get('/usage', validate({ query: { days: integer({ min: 1, max: 90, default: 7 }) } }), (req, res) => {
+    const { days } = req.query;
+    res.json({ success: true, days, data: apiKeys.usageReport(days) });
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const alerts = require('../lib/alerts');
+const { sendError } = require('../lib/errors');
+const { ownerOf } = require('../lib/auth');
+
+const router = express.Router();
+
+function notFound(res, id) {
+    sendError(res, 'NOT_FOUND', `Alert '${id}' not found`);
+}
+
+// List alert rules with their last observed value
+router.get('/', (req, res) => {
+    res.json({ success: true, data: alerts.listRules(ownerOf(req)) });
+});
+
+// Create a rule from an expression ("AAPL price > 200") or from fields:
+// { assetType, symbol, metric, operator, threshold, cooldownMinutes, webhookUrl }
+router.post('/', (req, res) => {
+    const { rule, error } = alerts.validateRule(req.body);
+    if (error) {
+        return sendError(res, 'VALIDATION_ERROR', error);
+    }
+    res.status(201).json({ success: true, data: alerts.createRule(rule, ownerOf(req)) });
+});
+
+// Evaluate the user's enabled rules now instead of waiting for the scheduler
+router.post('/check', async (req, res, next) => {
+    try {
+        res.json({ success: true, data: await alerts.checkAlerts(ownerOf(req)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/:id', (req, res) => {
+    const rule = alerts.getRule(req.params.id, ownerOf(req));
+    if (!rule) {
+        return notFound(res, req.params.id);
+    }
+    res.json({ success: true, data: rule });
+});
+
+// Edit a rule, e.g. { enabled: false } or { threshold: 210 }
+router.patch('/:id', (req, res) => {
+    const existing = alerts.getRule(req.params.id, ownerOf(req));
+    if (!existing) {
+        return notFound(res, req.params.id);
+    }
+
+    // A generated name follows the condition; a name set by hand is kept
+    const generated = existing.name === alerts.describe(existing);
+    const name = req.body.name !== undefined ? req.body.name : generated ? '' : existing.name;
+    const { rule, error } = alerts.validateRule({ ...existing, ...req.body, name });
+    if (error) {
+        return sendError(res, 'VALIDATION_ERROR', error);
+    }
+    res.json({ success: true, data: alerts.updateRule(existing.id, rule, ownerOf(req)) });
+});
+
+router.delete('/:id', (req, res) => {
+    if (!alerts.deleteRule(req.params.id, ownerOf(req))) {
+        return notFound(res, req.params.id);
+    }
+    res.json({ success: true });
+});
+
+module.exports = router;
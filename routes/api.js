@@ -0,0 +1,53 @@
+const express = require('express');
+const { marketRoutes } = require('./market');
+const portfolioRoutes = require('./portfolios');
+const cashAccountRoutes = require('./accounts');
+const netWorthRoutes = require('./networth');
+const transactionRoutes = require('./transactions');
+const budgetRoutes = require('./budget');
+const categoryRoutes = require('./categories');
+const alertRoutes = require('./alerts');
+const notificationRoutes = require('./notifications');
+const streamRoutes = require('./stream');
+const adminRoutes = require('./admin');
+const accountRoutes = require('./account');
+const { apiVersion } = require('../lib/api-versions');
+
+// Every API route of one version (see lib/api-versions.js). Only the market
+// data routes answer differently per version; the rest are shared.
+function apiRoutes(version) {
+    const router = express.Router();
+    router.use(apiVersion(version));
+
+    // Quotes, crypto, FX, economic data and currency conversion
+    router.use(marketRoutes(version));
+
+    // Live quote, crypto and FX updates over Server-Sent Events
+    router.use('/stream', streamRoutes);
+
+    // Portfolios and holdings, cash accounts, and net worth across them
+    router.use('/portfolios', portfolioRoutes);
+    router.use('/accounts', cashAccountRoutes);
+    router.use('/networth', netWorthRoutes);
+
+    // Transaction ledger and budgets built from it
+    router.use('/transactions', transactionRoutes);
+    router.use('/budget', budgetRoutes);
+    router.use('/categories', categoryRoutes);
+
+    // Price and FX alerts and the notification feed they write to
+    router.use('/alerts', alertRoutes);
+    router.use('/notifications', notificationRoutes);
+
+    // Dashboard accounts and their saved preferences
+    router.use('/account', accountRoutes);
+
+    // API keys and usage, admin keys only
+    router.use('/admin', adminRoutes);
+
+    return router;
+}
+
+module.exports = {
+    apiRoutes
+};
@@ -0,0 +1,152 @@
+const express = require('express');
+const budget = require('../lib/budget');
+const { sendError } = require('../lib/errors');
+const { validate, month, currency } = require('../lib/validation');
+const { preferencesFor } = require('../lib/users');
+const { ownerOf } = require('../lib/auth');
+
+const { summarizeEntries, entriesFromLedger } = budget;
+
+const router = express.Router();
+
+function currentMonth() {
+    return new Date().toISOString().slice(0, 7);
+}
+
+const MONTH_PARAM = { params: { month: month() } };
+
+function planNotFound(res, month) {
+    sendError(res, 'NOT_FOUND', `No budget saved for ${month}`);
+}
+
+function goalNotFound(res, id) {
+    sendError(res, 'NOT_FOUND', `Savings goal '${id}' not found`);
+}
+
+// The currency budgets are reported in: the request's, else the user's saved choice
+function reportingCurrency(req, requested) {
+    return requested || preferencesFor(req.user).budget.currency || budget.BUDGET_CURRENCY;
+}
+
+// Budget for a month computed from ledger transactions, converted into the
+// reporting currency
+router.get('/summary', validate({ query: { month: month({ default: currentMonth }), currency: currency({ optional: true }) } }), async (req, res, next) => {
+    try {
+        const { income, expenses, transactionCount } = entriesFromLedger(req.query.month, ownerOf(req));
+        const summary = await summarizeEntries(income, expenses, reportingCurrency(req, req.query.currency), ownerOf(req));
+        res.json({ success: true, data: { month: req.query.month, transactionCount, ...summary } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Budget for hand-typed figures: { income, expenses: [{ name, amount, currency?, category? }], currency? }.
+// `income` is an amount or a list of { name?, amount, currency? }. Entries in
+// other currencies are converted into `currency`. Amounts may be numbers or
+// decimal strings and are added up exactly.
+router.post('/calculate', async (req, res, next) => {
+    const { income, expenses, currency, error, code } = budget.validateBudget(req.body || {}, reportingCurrency(req));
+    if (error) {
+        return sendError(res, code, error);
+    }
+
+    try {
+        res.json({ success: true, data: await summarizeEntries(income, expenses, currency, ownerOf(req)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Income, spending and savings per month in the reporting currency.
+// Defaults to the last six months.
+const TRENDS_QUERY = { from: month({ optional: true }), to: month({ default: currentMonth }), currency: currency({ optional: true }) };
+
+router.get('/trends', validate({ query: TRENDS_QUERY }), async (req, res, next) => {
+    const { to } = req.query;
+    const from = req.query.from || budget.addMonths(to, -5);
+    if (from > to) {
+        return sendError(res, 'INVALID_DATE', 'from must not be after to');
+    }
+
+    try {
+        res.json({ success: true, data: await budget.trends(from, to, ownerOf(req), reportingCurrency(req, req.query.currency)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Saved monthly budgets, newest first
+router.get('/plans', (req, res) => {
+    res.json({ success: true, data: budget.listPlans(ownerOf(req)) });
+});
+
+router.get('/plans/:month', validate(MONTH_PARAM), (req, res) => {
+    const plan = budget.getPlan(req.params.month, ownerOf(req));
+    if (!plan) {
+        return planNotFound(res, req.params.month);
+    }
+    res.json({ success: true, data: plan });
+});
+
+// Create or replace a month's budget: { income?, targets: { category: amount }, rollover, currency? }
+router.put('/plans/:month', validate(MONTH_PARAM), (req, res) => {
+    const { plan, error, code } = budget.validatePlan({ currency: reportingCurrency(req), ...req.body });
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+    res.json({ success: true, data: budget.savePlan(req.params.month, plan, ownerOf(req)) });
+});
+
+router.delete('/plans/:month', validate(MONTH_PARAM), (req, res) => {
+    if (!budget.deletePlan(req.params.month, ownerOf(req))) {
+        return planNotFound(res, req.params.month);
+    }
+    res.json({ success: true });
+});
+
+// Budget vs actual for a saved month, including rolled-over amounts
+router.get('/plans/:month/report', validate(MONTH_PARAM), async (req, res, next) => {
+    try {
+        const report = await budget.varianceReport(req.params.month, ownerOf(req));
+        if (!report) {
+            return planNotFound(res, req.params.month);
+        }
+        res.json({ success: true, data: report });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Savings goals. Until one is saved a single 20% savings-rate goal applies.
+router.get('/goals', (req, res) => {
+    res.json({ success: true, data: budget.listGoals(ownerOf(req)) });
+});
+
+router.post('/goals', (req, res) => {
+    const { goal, error } = budget.validateGoal(req.body);
+    if (error) {
+        return sendError(res, 'VALIDATION_ERROR', error);
+    }
+    res.status(201).json({ success: true, data: budget.createGoal(goal, ownerOf(req)) });
+});
+
+router.put('/goals/:id', (req, res) => {
+    if (!budget.getGoal(req.params.id, ownerOf(req))) {
+        return goalNotFound(res, req.params.id);
+    }
+
+    const { goal, error } = budget.validateGoal(req.body);
+    if (error) {
+        return sendError(res, 'VALIDATION_ERROR', error);
+    }
+    res.json({ success: true, data: budget.updateGoal(req.params.id, goal, ownerOf(req)) });
+});
+
+router.delete('/goals/:id', (req, res) => {
+    if (!budget.deleteGoal(req.params.id, ownerOf(req))) {
+        return goalNotFound(res, req.params.id);
+    }
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const categories = require('../lib/categories');
+const ledger = require('../lib/ledger');
+const { sendError } = require('../lib/errors');
+const { ownerOf } = require('../lib/auth');
+
+const router = express.Router();
+
+function ruleNotFound(res, id) {
+    sendError(res, 'NOT_FOUND', `Rule '${id}' not found`);
+}
+
+// Category taxonomy
+router.get('/', (req, res) => {
+    res.json({ success: true, data: categories.TAXONOMY });
+});
+
+// User-defined rules in the order they are evaluated
+router.get('/rules', (req, res) => {
+    res.json({ success: true, data: categories.listRules(ownerOf(req)) });
+});
+
+// Dry run: which transactions would change category under a proposed change.
+// Body: { rule } to add a rule (or replace the one with the same id),
+// { remove: id } to drop one, or { rules } for a complete replacement set.
+router.post('/rules/preview', (req, res) => {
+    let ruleSet = categories.listRules(ownerOf(req));
+
+    if (Array.isArray(req.body.rules)) {
+        ruleSet = [];
+        for (const input of req.body.rules) {
+            const { rule, error } = categories.validateRule(input);
+            if (error) {
+                return sendError(res, 'VALIDATION_ERROR', error);
+            }
+            ruleSet.push({ ...rule, id: input.id });
+        }
+    } else if (req.body.rule) {
+        const { rule, error } = categories.validateRule(req.body.rule);
+        if (error) {
+            return sendError(res, 'VALIDATION_ERROR', error);
+        }
+        const id = req.body.rule.id;
+        const existing = id ? categories.getRule(id, ownerOf(req)) : null;
+        ruleSet = ruleSet.filter(r => r.id !== id)
+            .concat({ ...rule, id, createdAt: existing ? existing.createdAt : new Date().toISOString() });
+    } else if (req.body.remove) {
+        ruleSet = ruleSet.filter(r => r.id !== req.body.remove);
+    } else {
+        return sendError(res, 'VALIDATION_ERROR', 'Provide a rule, rules or remove to preview');
+    }
+
+    const changes = ledger.previewCategoryRules(ruleSet, ownerOf(req));
+    res.json({ success: true, data: { changes, count: changes.length } });
+});
+
+// Saving a rule change re-categorizes the ledger straight away
+router.post('/rules', (req, res) => {
+    const { rule, error } = categories.validateRule(req.body);
+    if (error) {
+        return sendError(res, 'VALIDATION_ERROR', error);
+    }
+
+    const created = categories.createRule(rule, ownerOf(req));
+    res.status(201).json({ success: true, data: created, reclassified: ledger.applyCategoryRules(ownerOf(req)) });
+});
+
+router.put('/rules/:id', (req, res) => {
+    if (!categories.getRule(req.params.id, ownerOf(req))) {
+        return ruleNotFound(res, req.params.id);
+    }
+
+    const { rule, error } = categories.validateRule(req.body);
+    if (error) {
+        return sendError(res, 'VALIDATION_ERROR', error);
+    }
+
+    const updated = categories.updateRule(req.params.id, rule, ownerOf(req));
+    res.json({ success: true, data: updated, reclassified: ledger.applyCategoryRules(ownerOf(req)) });
+});
+
+router.delete('/rules/:id', (req, res) => {
+    if (!categories.deleteRule(req.params.id, ownerOf(req))) {
+        return ruleNotFound(res, req.params.id);
+    }
+    res.json({ success: true, reclassified: ledger.applyCategoryRules(ownerOf(req)) });
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const path = require('path');
+const { spec } = require('../lib/openapi');
+
+const router = express.Router();
+
+// The API explorer page; "Try it" calls go out with the session cookie the
+// page is served with, or with an API key typed into the page
+router.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'docs.html'));
+});
+
+// OpenAPI 3 description of the API
+router.get('/openapi.json', (req, res) => {
+    res.json(spec);
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const express = require('express');
+const { makeAPIRequest } = require('../lib/market-data');
+const { INTERVALS, parseHistoryQuery, filterRange } = require('../lib/timeseries');
+const { ApiError, sendError } = require('../lib/errors');
+const { validate, currency, stockSymbol, coinId, list, integer, decimal, date, oneOf } = require('../lib/validation');
+const conversion = require('../lib/conversion');
+const economic = require('../lib/economic');
+const { presenter } = require('../lib/api-versions');
+
+// Market data and currency conversion routes for one API version. Every
+// version fetches the same data; lib/api-versions.js shapes the responses.
+
+// Answer a failed provider-chain result with its upstream error code
+function sendUpstreamError(res, result) {
+    sendError(res, result.code || 'UPSTREAM_ERROR', result.error);
+}
+
+// interval/from/to for the history routes; parseHistoryQuery fills in the defaults
+const HISTORY_QUERY = {
+    interval: oneOf(INTERVALS, { optional: true }),
+    from: date({ optional: true }),
+    to: date({ optional: true })
+};
+
+function historyRange(query) {
+    const range = parseHistoryQuery(query);
+    if (range.error) {
+        throw new ApiError(range.code, range.error);
+    }
+    return range;
+}
+
+// Quotes for several stocks: /stocks?symbols=AAPL,MSFT,GOOGL
+// Each symbol goes through the same cache entry as /stock/:symbol; a bad
+// symbol is reported in `errors` without failing the others.
+const MAX_BATCH_SYMBOLS = 25;
+
+const DEFAULT_CRYPTO_IDS = ['bitcoin', 'ethereum', 'cardano', 'polkadot', 'chainlink'];
+
+// Currency conversion: /convert/EUR/JPY/120?date=2024-03-15&pivot=USD.
+// Without a date the latest rates are used. See lib/conversion.js for how a
+// rate is found; `rates` lists the table rates it came from.
+const CONVERT_PARAMS = {
+    from: currency(),
+    to: currency(),
+    amount: decimal({ min: 0, code: 'INVALID_AMOUNT' })
+};
+
+const CONVERT_QUERY = {
+    date: date({ optional: true }),
+    pivot: currency({ default: conversion.PIVOT_CURRENCY })
+};
+
+// Range of an economic series in v2: the points between from and to, or the
+// `limit` newest (10 without either)
+const ECONOMIC_QUERY = {
+    from: date({ optional: true }),
+    to: date({ optional: true }),
+    limit: integer({ min: 1, max: economic.MAX_POINTS, optional: true })
+};
+
+function marketRoutes(version) {
+    const router = express.Router();
+    const present = presenter(version);
+
+    // Get currency exchange rates
+    router.get('/exchange-rates/:base?', validate({ params: { base: currency({ default: 'USD' }) } }), async (req, res, next) => {
+        const baseCurrency = req.params.base;
+        const cacheKey = `exchange_${baseCurrency}`;
+
+        try {
+            const result = await makeAPIRequest('fx', 'latest', [baseCurrency], cacheKey);
+
+            if (result.success && result.data) {
+                res.json(present.rates(result));
+            } else if (result.success) {
+                sendError(res, 'RATE_UNAVAILABLE', `Base currency '${baseCurrency}' not supported`);
+            } else {
+                sendUpstreamError(res, result);
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Get stock data
+    router.get('/stock/:symbol', validate({ params: { symbol: stockSymbol() } }), async (req, res, next) => {
+        const { symbol } = req.params;
+        const cacheKey = `stock_${symbol}`;
+
+        try {
+            const result = await makeAPIRequest('stocks', 'quote', [symbol], cacheKey);
+
+            if (result.success) {
+                if (result.data) {
+                    res.json(present.quote(result));
+                } else {
+                    sendError(res, 'UNKNOWN_SYMBOL', `Stock symbol '${symbol}' not found`);
+                }
+            } else {
+                sendUpstreamError(res, result);
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/stocks', validate({ query: { symbols: list(stockSymbol(), { max: MAX_BATCH_SYMBOLS }) } }), async (req, res, next) => {
+        const { symbols } = req.query;
+
+        try {
+            const results = await Promise.all(symbols.map(symbol =>
+                makeAPIRequest('stocks', 'quote', [symbol], `stock_${symbol}`).then(result => ({ symbol, result }))
+            ));
+
+            const found = [];
+            const errors = [];
+            results.forEach(({ symbol, result }) => {
+                if (result.success && result.data) {
+                    found.push({ symbol, result });
+                } else if (result.success) {
+                    errors.push({ symbol, code: 'UNKNOWN_SYMBOL', error: `Stock symbol '${symbol}' not found` });
+                } else {
+                    errors.push({ symbol, code: result.code, error: result.error });
+                }
+            });
+
+            if (found.length === 0) {
+                const code = errors.every(e => e.code === 'UNKNOWN_SYMBOL') ? 'UNKNOWN_SYMBOL' : errors.find(e => e.code !== 'UNKNOWN_SYMBOL').code;
+                return sendError(res, code, 'No quotes available for the requested symbols',
+                    errors.map(e => ({ field: 'symbols', symbol: e.symbol, code: e.code, message: e.error })));
+            }
+
+            res.json(present.quotes(found, errors));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Get historical stock prices
+    router.get('/stock/:symbol/history', validate({ params: { symbol: stockSymbol() }, query: HISTORY_QUERY }), async (req, res, next) => {
+        const { symbol } = req.params;
+
+        try {
+            const { interval, from, to } = historyRange(req.query);
+            const cacheKey = `stock_history_${symbol}_${interval}_${from}_${to}`;
+            const result = await makeAPIRequest('stocks', 'history', [symbol, interval, from, to], cacheKey);
+
+            if (result.success && result.data) {
+                res.json(present.stockHistory({ symbol, interval, from, to }, filterRange(result.data, from, to), result));
+            } else if (result.success) {
+                sendError(res, 'UNKNOWN_SYMBOL', `No price history found for stock symbol '${symbol}'`);
+            } else {
+                sendUpstreamError(res, result);
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Get cryptocurrency data
+    router.get('/crypto/:ids?', validate({ params: { ids: list(coinId(), { max: 50, default: DEFAULT_CRYPTO_IDS }) } }), async (req, res, next) => {
+        const cryptoIds = req.params.ids.join(',');
+        const cacheKey = `crypto_${cryptoIds}`;
+
+        try {
+            const result = await makeAPIRequest('crypto', 'prices', [cryptoIds], cacheKey);
+
+            if (result.success && result.data) {
+                res.json(present.crypto(result, req.params.ids));
+            } else if (result.success) {
+                sendError(res, 'UNKNOWN_SYMBOL', `No cryptocurrency data found for '${cryptoIds}'`);
+            } else {
+                sendUpstreamError(res, result);
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Get historical cryptocurrency prices (USD)
+    router.get('/crypto/:id/history', validate({ params: { id: coinId() }, query: HISTORY_QUERY }), async (req, res, next) => {
+        const { id } = req.params;
+
+        try {
+            const { interval, from, to } = historyRange(req.query);
+            const cacheKey = `crypto_history_${id}_${interval}_${from}_${to}`;
+            const result = await makeAPIRequest('crypto', 'history', [id, interval, from, to], cacheKey);
+
+            if (result.success && result.data) {
+                res.json(present.cryptoHistory({ id, interval, from, to }, filterRange(result.data, from, to), result));
+            } else if (result.success) {
+                sendError(res, 'UNKNOWN_SYMBOL', `No price history found for cryptocurrency '${id}'`);
+            } else {
+                sendUpstreamError(res, result);
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Get historical exchange rates for a currency pair
+    router.get('/fx/:from/:to/history', validate({ params: { from: currency(), to: currency() }, query: HISTORY_QUERY }), async (req, res, next) => {
+        const { from, to } = req.params;
+
+        try {
+            const range = historyRange(req.query);
+            const { interval } = range;
+            const cacheKey = `fx_history_${from}_${to}_${interval}_${range.from}_${range.to}`;
+            const result = await makeAPIRequest('fx', 'history', [from, to, interval, range.from, range.to], cacheKey);
+
+            if (result.success && result.data) {
+                res.json(present.fxHistory({ from, to, interval, start: range.from, end: range.to },
+                    filterRange(result.data, range.from, range.to), result));
+            } else if (result.success) {
+                sendError(res, 'RATE_UNAVAILABLE', `No exchange rate history found for ${from}/${to}`);
+            } else {
+                sendUpstreamError(res, result);
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // The economic series /economic/:indicator serves, with units and frequency
+    router.get('/economic', (req, res) => {
+        res.json({ success: true, data: economic.catalog() });
+    });
+
+    // Get economic indicators
+    const indicatorQuery = version === 'v1' ? {} : ECONOMIC_QUERY;
+    router.get('/economic/:indicator', validate({ params: { indicator: oneOf(economic.INDICATORS, { code: 'UNKNOWN_INDICATOR' }) }, query: indicatorQuery }), async (req, res, next) => {
+        const series = economic.findSeries(req.params.indicator);
+        // v1 has no range parameters; it always answers the ten newest points
+        const { from, to, limit } = version === 'v1' ? {} : req.query;
+        if (from && to && from > to) {
+            return sendError(res, 'INVALID_DATE', `'from' (${from}) must not be after 'to' (${to})`);
+        }
+
+        try {
+            // v1 queries Alpha Vantage as it always has, so its data is cached apart
+            const cacheKey = version === 'v1' ? `economic_v1_${series.id}` : `economic_${series.id}`;
+            const result = await makeAPIRequest('economic', 'series', [series.id, version], cacheKey);
+
+            if (result.success && result.data) {
+                res.json(present.economic(result, { series, points: economic.selectPoints(result.data.data, { from, to, limit }) }));
+            } else if (result.success) {
+                sendError(res, 'UNKNOWN_INDICATOR', `Economic indicator '${req.params.indicator}' not found`);
+            } else {
+                sendUpstreamError(res, result);
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/convert/:from/:to/:amount', validate({ params: CONVERT_PARAMS, query: CONVERT_QUERY }), async (req, res, next) => {
+        try {
+            const data = await conversion.convert({ ...req.params, date: req.query.date, pivot: req.query.pivot });
+            res.json(present.conversion(data));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Convert a list of amounts in one call:
+    // { to?, date?, pivot?, conversions: [{ from, to?, amount, date? }] }.
+    // An entry that cannot be converted is reported in `errors` without failing
+    // the others; `total` sums the results when they share one currency.
+    router.post('/convert', async (req, res, next) => {
+        try {
+            const { items, pivot } = conversion.validateBulk(req.body || {});
+            const batch = await conversion.convertMany(items, pivot);
+
+            if (batch.data.length === 0) {
+                const codes = [...new Set(batch.errors.map(e => e.code))];
+                return sendError(res, codes.length === 1 ? codes[0] : 'RATE_UNAVAILABLE', 'None of the amounts could be converted',
+                    batch.errors.map(e => ({ field: `conversions[${e.index}]`, code: e.code, message: e.error })));
+            }
+
+            res.json(present.conversions(batch));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    MAX_BATCH_SYMBOLS,
+    DEFAULT_CRYPTO_IDS,
+    marketRoutes
+};
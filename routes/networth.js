@@ -0,0 +1,25 @@
+const express = require('express');
+const { netWorth } = require('../lib/networth');
+const { preferencesFor } = require('../lib/users');
+const { ownerOf } = require('../lib/auth');
+const { validate, currency } = require('../lib/validation');
+
+const router = express.Router();
+
+// Net worth of the user's cash accounts and portfolio holdings in one currency,
+// by default the user's base currency
+router.get('/', validate({ query: { currency: currency({ optional: true }) } }), async (req, res, next) => {
+    try {
+        const data = await netWorth(req.query.currency || preferencesFor(req.user).baseCurrency, ownerOf(req));
+        res.json({
+            success: true,
+            data,
+            stale: data.stale,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
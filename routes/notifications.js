@@ -0,0 +1,43 @@
+const express = require('express');
+const notifications = require('../lib/notifications');
+const { sendError } = require('../lib/errors');
+const { ownerOf } = require('../lib/auth');
+const { validate, integer, boolean } = require('../lib/validation');
+
+const router = express.Router();
+
+// The user's notification feed, newest first. ?unread=true for unread only, ?limit=N (default 50)
+const LIST_QUERY = {
+    unread: boolean({ default: false }),
+    limit: integer({ min: 1, max: 500, default: 50 })
+};
+
+router.get('/', validate({ query: LIST_QUERY }), (req, res) => {
+    const { unread, limit } = req.query;
+    res.json({
+        success: true,
+        data: notifications.listNotifications({ unread, limit }, ownerOf(req)),
+        unread: notifications.unreadCount(ownerOf(req))
+    });
+});
+
+router.post('/read-all', (req, res) => {
+    res.json({ success: true, updated: notifications.markAllRead(ownerOf(req)) });
+});
+
+router.post('/:id/read', (req, res) => {
+    const updated = notifications.markRead(req.params.id, ownerOf(req));
+    if (!updated) {
+        return sendError(res, 'NOT_FOUND', `Notification '${req.params.id}' not found`);
+    }
+    res.json({ success: true, data: updated });
+});
+
+router.delete('/:id', (req, res) => {
+    if (!notifications.deleteNotification(req.params.id, ownerOf(req))) {
+        return sendError(res, 'NOT_FOUND', `Notification '${req.params.id}' not found`);
+    }
+    res.json({ success: true });
+});
+
+module.exports = router;
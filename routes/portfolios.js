@@ -0,0 +1,125 @@
+const express = require('express');
+const portfolio = require('../lib/portfolio');
+const { currency } = require('../lib/validation');
+const { sendError } = require('../lib/errors');
+const { ownerOf } = require('../lib/auth');
+
+const router = express.Router();
+
+function validatePortfolioFields(body, existing = {}) {
+    const name = body.name !== undefined ? String(body.name).trim() : existing.name;
+    const baseCurrency = currency({ default: existing.baseCurrency || 'USD' })(body.baseCurrency, 'baseCurrency');
+
+    if (!name) {
+        return { error: 'Portfolio name is required' };
+    }
+    if (baseCurrency.code) {
+        return { error: baseCurrency.message, code: baseCurrency.code };
+    }
+    return { fields: { name, baseCurrency: baseCurrency.value } };
+}
+
+function notFound(res, id) {
+    sendError(res, 'NOT_FOUND', `Portfolio '${id}' not found`);
+}
+
+// List portfolios
+router.get('/', (req, res) => {
+    res.json({ success: true, data: portfolio.listPortfolios(ownerOf(req)) });
+});
+
+// Create a portfolio
+router.post('/', (req, res) => {
+    const { fields, error, code } = validatePortfolioFields(req.body);
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+    res.status(201).json({ success: true, data: portfolio.createPortfolio(fields, ownerOf(req)) });
+});
+
+// Get a portfolio with holdings valued at live prices
+router.get('/:id', async (req, res, next) => {
+    const found = portfolio.getPortfolio(req.params.id, ownerOf(req));
+    if (!found) {
+        return notFound(res, req.params.id);
+    }
+
+    try {
+        res.json({
+            success: true,
+            data: await portfolio.valuePortfolio(found),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Rename a portfolio or change its base currency
+router.patch('/:id', (req, res) => {
+    const found = portfolio.getPortfolio(req.params.id, ownerOf(req));
+    if (!found) {
+        return notFound(res, req.params.id);
+    }
+
+    const { fields, error, code } = validatePortfolioFields(req.body, found);
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+    res.json({ success: true, data: portfolio.updatePortfolio(found.id, fields, ownerOf(req)) });
+});
+
+// Delete a portfolio and its holdings
+router.delete('/:id', (req, res) => {
+    if (!portfolio.deletePortfolio(req.params.id, ownerOf(req))) {
+        return notFound(res, req.params.id);
+    }
+    res.json({ success: true });
+});
+
+// List raw holdings, without live valuation
+router.get('/:id/holdings', (req, res) => {
+    if (!portfolio.getPortfolio(req.params.id, ownerOf(req))) {
+        return notFound(res, req.params.id);
+    }
+    res.json({ success: true, data: portfolio.listHoldings(req.params.id) });
+});
+
+// Add a holding
+router.post('/:id/holdings', (req, res) => {
+    if (!portfolio.getPortfolio(req.params.id, ownerOf(req))) {
+        return notFound(res, req.params.id);
+    }
+
+    const { holding, error, code } = portfolio.validateHolding(req.body);
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+    res.status(201).json({ success: true, data: portfolio.addHolding(req.params.id, holding) });
+});
+
+// Update a holding
+router.patch('/:id/holdings/:holdingId', (req, res) => {
+    const existing = portfolio.getHolding(req.params.id, req.params.holdingId, ownerOf(req));
+    if (!existing) {
+        return sendError(res, 'NOT_FOUND', `Holding '${req.params.holdingId}' not found`);
+    }
+
+    // Unchanged fields keep their exact values
+    const { holding, error, code } = portfolio.validateHolding({ ...existing, ...existing.exact, ...req.body });
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+    res.json({ success: true, data: portfolio.updateHolding(existing.id, holding) });
+});
+
+// Remove a holding
+router.delete('/:id/holdings/:holdingId', (req, res) => {
+    if (!portfolio.getHolding(req.params.id, req.params.holdingId, ownerOf(req))) {
+        return sendError(res, 'NOT_FOUND', `Holding '${req.params.holdingId}' not found`);
+    }
+    portfolio.removeHolding(req.params.holdingId);
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const { parseSubscriptions, callerLimitProblem, addClient, streamStats } = require('../lib/stream');
+const { sendError } = require('../lib/errors');
+const { validate, list, stockSymbol, coinId } = require('../lib/validation');
+const { presenter } = require('../lib/api-versions');
+
+const router = express.Router();
+
+// Server-Sent Events: ?stocks=AAPL,MSFT&crypto=bitcoin,ethereum&fx=USD,EUR/GBP
+// Events: ready, stock, crypto, rates (a whole base), fx (a pair) and unavailable.
+const SUBSCRIPTION_QUERY = {
+    stocks: list(stockSymbol(), { max: 50, optional: true }),
+    crypto: list(coinId(), { max: 50, optional: true })
+};
+
+router.get('/', validate({ query: SUBSCRIPTION_QUERY }), (req, res) => {
+    const { subscriptions, error, code } = parseSubscriptions(req.query);
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+    const caller = req.user ? `user:${req.user.id}` : `${req.client.type}:${req.client.id}`;
+    const limit = callerLimitProblem(caller, subscriptions);
+    if (limit) {
+        return sendError(res, 'RATE_LIMITED', limit);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    // Ask the browser to wait 10s before reconnecting after a drop
+    res.write('retry: 10000\n\n');
+
+    const remove = addClient(res, subscriptions, presenter(req.apiVersion).streamEvent, caller);
+    req.on('close', remove);
+});
+
+router.get('/stats', (req, res) => {
+    res.json({ success: true, data: streamStats() });
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const ledger = require('../lib/ledger');
+const { sendError } = require('../lib/errors');
+const { ownerOf } = require('../lib/auth');
+const { validate, date, month, number, oneOf, text } = require('../lib/validation');
+
+const router = express.Router();
+
+// Raw statement uploads (curl --data-binary @statement.csv -H 'Content-Type: text/csv')
+const statementBody = express.text({
+    type: ['text/*', 'application/x-ofx', 'application/vnd.intu.qfx', 'application/octet-stream'],
+    limit: '5mb'
+});
+
+function notFound(res, id) {
+    sendError(res, 'NOT_FOUND', `Transaction '${id}' not found`);
+}
+
+// List transactions, newest first. Filters: from, to, month, account, category,
+// type (income/expense), min/max (absolute amount) and q (payee/memo search)
+const LIST_QUERY = {
+    from: date({ optional: true }),
+    to: date({ optional: true }),
+    month: month({ optional: true }),
+    account: text({ optional: true }),
+    category: text({ optional: true }),
+    type: oneOf(['income', 'expense'], { optional: true }),
+    min: number({ min: 0, optional: true, code: 'INVALID_AMOUNT' }),
+    max: number({ min: 0, optional: true, code: 'INVALID_AMOUNT' }),
+    q: text({ optional: true })
+};
+
+router.get('/', validate({ query: LIST_QUERY }), (req, res) => {
+    const data = ledger.listTransactions(req.query, ownerOf(req));
+    res.json({ success: true, data, count: data.length });
+});
+
+// CSV column-mapping presets
+router.get('/presets', (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(ledger.PRESETS).map(([id, preset]) => ({ id, ...preset }))
+    });
+});
+
+// Import a bank statement. Either send the file as the raw body with options
+// in the query string, or JSON { content, format, preset, mapping, account, currency, dryRun }.
+router.post('/import', statementBody, (req, res) => {
+    const raw = typeof req.body === 'string';
+    const options = raw ? { ...req.query, dryRun: req.query.dryRun === 'true' } : req.body;
+    const content = raw ? req.body : req.body.content;
+
+    if (!content || typeof content !== 'string') {
+        return sendError(res, 'VALIDATION_ERROR', 'No statement content provided');
+    }
+
+    const result = ledger.importTransactions(content, options, ownerOf(req));
+    if (result.error) {
+        return sendError(res, result.code || 'VALIDATION_ERROR', result.error);
+    }
+
+    res.status(options.dryRun ? 200 : 201).json({
+        success: true,
+        data: {
+            ...result,
+            importedCount: result.imported.length
+        }
+    });
+});
+
+// Add a transaction by hand
+router.post('/', (req, res) => {
+    const { transaction, error, code } = ledger.validateTransaction(req.body);
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+    res.status(201).json({ success: true, data: ledger.addTransaction(transaction, 'manual', ownerOf(req)) });
+});
+
+router.get('/:id', (req, res) => {
+    const transaction = ledger.getTransaction(req.params.id, ownerOf(req));
+    if (!transaction) {
+        return notFound(res, req.params.id);
+    }
+    res.json({ success: true, data: transaction });
+});
+
+// Edit a transaction
+router.patch('/:id', (req, res) => {
+    const existing = ledger.getTransaction(req.params.id, ownerOf(req));
+    if (!existing) {
+        return notFound(res, req.params.id);
+    }
+
+    // Only an explicit category in the body pins or releases the category
+    const { transaction, error, code } = ledger.validateTransaction({ ...existing, ...req.body, category: req.body.category });
+    if (error) {
+        return sendError(res, code || 'VALIDATION_ERROR', error);
+    }
+    res.json({ success: true, data: ledger.updateTransaction(existing.id, transaction, ownerOf(req)) });
+});
+
+router.delete('/:id', (req, res) => {
+    if (!ledger.deleteTransaction(req.params.id, ownerOf(req))) {
+        return notFound(res, req.params.id);
+    }
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+// Checks lib/openapi.js against the routes the app registers: every /api
+// route (and /health) must be described, the unversioned aliases under their
+// /api/v1 path, every described path must exist,
+// and the description itself must hold together (unique operation ids,
+// declared path parameters, resolvable $refs, a success response per
+// operation). Exits 1 listing the problems. Run with `npm run check:openapi`;
+// `npm test` runs it too (test/openapi.test.js).
+process.env.ALERT_CHECK_INTERVAL = '0';
+
+const app = require('../server');
+const { spec } = require('../lib/openapi');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Routes documented elsewhere: the explorer and the spec itself
+const UNDOCUMENTED = ['/api/docs'];
+
+// The path a router is mounted at, from the regexp Express compiled for it
+function mountPath(layer) {
+    return layer.regexp.source
+        .replace(/^\^/, '')
+        .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+        .replace(/\\\//g, '/');
+}
+
+// Express path to OpenAPI paths: ':id' becomes '{id}' and an optional
+// parameter (':base?') gives the path with and without it
+function openApiPaths(expressPath) {
+    const optional = expressPath.match(/\/:(\w+)\?/);
+    if (optional) {
+        return [
+            ...openApiPaths(expressPath.replace(optional[0], '')),
+            ...openApiPaths(expressPath.replace(optional[0], `/:${optional[1]}`))
+        ];
+    }
+    return [expressPath.replace(/:(\w+)/g, '{$1}')];
+}
+
+// [{ method, path }] for every route in a router stack
+function registeredRoutes(stack, prefix = '') {
+    return stack.flatMap(layer => {
+        if (layer.route) {
+            const fullPath = `${prefix}${layer.route.path === '/' && prefix ? '' : layer.route.path}`;
+            return Object.keys(layer.route.methods)
+                .filter(method => METHODS.includes(method))
+                .flatMap(method => openApiPaths(fullPath).map(path => ({ method, path })));
+        }
+        if (layer.handle && Array.isArray(layer.handle.stack)) {
+            return registeredRoutes(layer.handle.stack, `${prefix}${mountPath(layer)}`);
+        }
+        return [];
+    });
+}
+
+// The unversioned /api paths are aliases of v1 and described there
+function described(path) {
+    return /^\/api\/(?!v\d+\/)/.test(path) ? path.replace(/^\/api\//, '/api/v1/') : path;
+}
+
+function documented(path) {
+    return (path === '/health' || path.startsWith('/api/')) && !UNDOCUMENTED.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+}
+
+function checkRoutes(problems) {
+    const routes = registeredRoutes(app._router.stack).filter(route => documented(route.path));
+    const registered = new Set(routes.map(route => `${route.method} ${described(route.path)}`));
+
+    routes.forEach(({ method, path }) => {
+        const item = spec.paths[described(path)];
+        if (!item || !item[method]) {
+            problems.push(`${method.toUpperCase()} ${path} is served but not described`);
+        }
+    });
+    Object.entries(spec.paths).forEach(([path, item]) => {
+        METHODS.filter(method => item[method]).forEach(method => {
+            if (!registered.has(`${method} ${path}`)) {
+                problems.push(`${method.toUpperCase()} ${path} is described but not served`);
+            }
+        });
+    });
+    return routes.length;
+}
+
+// Every $ref in `value` as [location, ref]
+function refs(value, location) {
+    if (!value || typeof value !== 'object') return [];
+    return Object.entries(value).flatMap(([key, child]) => (key === '$ref'
+        ? [[location, child]]
+        : refs(child, `${location}.${key}`)));
+}
+
+function checkStructure(problems) {
+    if (!/^3\.\d+\.\d+$/.test(spec.openapi)) problems.push(`openapi version '${spec.openapi}' is not 3.x`);
+    if (!spec.info || !spec.info.title || !spec.info.version) problems.push('info needs a title and a version');
+
+    const tags = new Set((spec.tags || []).map(tag => tag.name));
+    const operationIds = new Set();
+
+    Object.entries(spec.paths).forEach(([path, item]) => {
+        const pathParams = (path.match(/\{(\w+)\}/g) || []).map(name => name.slice(1, -1));
+
+        METHODS.filter(method => item[method]).forEach(method => {
+            const op = item[method];
+            const where = `${method.toUpperCase()} ${path}`;
+
+            if (!op.operationId) {
+                problems.push(`${where} has no operationId`);
+            } else if (operationIds.has(op.operationId)) {
+                problems.push(`${where} repeats operationId '${op.operationId}'`);
+            }
+            operationIds.add(op.operationId);
+
+            (op.tags || []).filter(tag => !tags.has(tag)).forEach(tag => problems.push(`${where} uses undeclared tag '${tag}'`));
+
+            const declared = (op.parameters || []).filter(param => param.in === 'path');
+            pathParams.filter(name => !declared.some(param => param.name === name))
+                .forEach(name => problems.push(`${where} does not declare path parameter '${name}'`));
+            declared.filter(param => !pathParams.includes(param.name) || param.required !== true)
+                .forEach(param => problems.push(`${where} path parameter '${param.name}' is not in the path or not required`));
+
+            const statuses = Object.keys(op.responses || {});
+            if (!statuses.some(status => /^2\d\d$/.test(status))) problems.push(`${where} has no success response`);
+            statuses.filter(status => !/^[1-5]\d\d$/.test(status)).forEach(status => problems.push(`${where} has invalid status '${status}'`));
+        });
+    });
+
+    refs(spec, 'spec').forEach(([location, ref]) => {
+        const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), spec);
+        if (!ref.startsWith('#/') || target === undefined) problems.push(`${location} refers to missing ${ref}`);
+    });
+
+    return operationIds.size;
+}
+
+const problems = [];
+const routeCount = checkRoutes(problems);
+const operationCount = checkStructure(problems);
+
+if (problems.length > 0) {
+    console.error(`❌ OpenAPI description is out of date (${problems.length} problem${problems.length === 1 ? '' : 's'}):`);
+    problems.forEach(problem => console.error(`  - ${problem}`));
+    process.exit(1);
+}
+console.log(`✅ OpenAPI description matches the app: ${routeCount} routes, ${operationCount} operations`);
+process.exit(0);
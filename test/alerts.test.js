@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store and the email outbox live in a directory of this test's own
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+process.env.ALERT_OUTBOX_DIR = path.join(process.env.DATA_DIR, 'outbox');
+const alerts = require('../lib/alerts');
+const notifications = require('../lib/notifications');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('rule names and symbols may not contain line breaks', () => {
+    assert.match(alerts.validateRule({ expression: 'AAPL price > 200', name: 'AAPL\r\nBcc: someone@example.com' }).error, /control characters/);
+    assert.match(alerts.validateRule({ assetType: 'stock', symbol: 'AAPL\nBcc:x', metric: 'price', operator: '>', threshold: 1 }).error, /control characters/);
+    assert.strictEqual(alerts.validateRule({ expression: 'AAPL price > 200', name: ' Apple ' }).rule.name, 'Apple');
+});
+
+test('email headers stay on one line', async t => {
+    process.env.ALERT_EMAIL_TO = 'me@example.com\r\nCc: someone@example.com';
+    t.after(() => delete process.env.ALERT_EMAIL_TO);
+
+    const sent = await notifications.notify({ title: 'Alert: x\r\nBcc: someone@example.com', message: 'body', source: 'test' });
+    assert.strictEqual(sent.deliveries.email, 'sent');
+
+    const [file] = fs.readdirSync(notifications.OUTBOX_DIR);
+    const headers = fs.readFileSync(path.join(notifications.OUTBOX_DIR, file), 'utf8').split('\r\n\r\n')[0].split('\r\n');
+    assert.deepStrictEqual(headers.map(line => line.split(':')[0]), ['To', 'From', 'Subject', 'Date', 'Content-Type']);
+});
+
+test('users only see and change their own alert rules', () => {
+    const { rule } = alerts.validateRule({ expression: 'AAPL price > 200' });
+    const mine = alerts.createRule(rule, 'user-a');
+
+    assert.deepStrictEqual(alerts.listRules('user-a').map(r => r.id), [mine.id]);
+    assert.deepStrictEqual(alerts.listRules('user-b'), []);
+    assert.deepStrictEqual(alerts.listRules(), []);
+    assert.strictEqual(alerts.getRule(mine.id, 'user-b'), null);
+    assert.strictEqual(alerts.updateRule(mine.id, { ...rule, threshold: 1 }, 'user-b'), null);
+    assert.strictEqual(alerts.deleteRule(mine.id, 'user-b'), false);
+    assert.strictEqual(alerts.getRule(mine.id, 'user-a').threshold, 200);
+    assert.strictEqual(alerts.deleteRule(mine.id, 'user-a'), true);
+});
+
+test('notifications go to the feed of the rule owner', async () => {
+    const sent = await notifications.notify({ title: 'Alert: mine', message: 'body', source: 'test', owner: 'user-a' });
+
+    assert.deepStrictEqual(notifications.listNotifications({}, 'user-a').map(n => n.id), [sent.id]);
+    assert.deepStrictEqual(notifications.listNotifications({}, 'user-b'), []);
+    assert.strictEqual(notifications.markRead(sent.id, 'user-b'), null);
+    assert.strictEqual(notifications.markAllRead('user-b'), 0);
+    assert.strictEqual(notifications.deleteNotification(sent.id, 'user-b'), false);
+    assert.strictEqual(notifications.unreadCount('user-a'), 1);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const budget = require('../lib/budget');
+
+test('goal amounts are strict decimals kept as exact strings', () => {
+    assert.match(budget.validateGoal({ name: 'Trip', type: 'amount', target: '12abc' }).error, /target must be a number/);
+    assert.match(budget.validateGoal({ name: 'Trip', type: 'amount', target: 500, minimum: '1e2' }).error, /minimum must be a number/);
+    assert.deepStrictEqual(budget.validateGoal({ name: 'Trip', type: 'amount', target: '500.50', minimum: 100 }).goal,
+        { name: 'Trip', type: 'amount', target: '500.50', minimum: '100' });
+});
+
+test('budget targets and income are strict decimals kept as exact strings', () => {
+    assert.match(budget.validatePlan({ targets: { groceries: '12abc' } }).error, /Target for groceries/);
+    assert.match(budget.validatePlan({ targets: { groceries: 400 }, income: '3000x' }).error, /income must be/);
+
+    const { plan } = budget.validatePlan({ targets: { groceries: '400.10' }, income: '' });
+    assert.deepStrictEqual(plan.targets, { groceries: '400.10' });
+    assert.strictEqual(plan.income, null);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cache = require('../lib/cache');
+const { createRedisClient } = require('../lib/cache/redis');
+const { MemoryRedisClient } = require('../lib/cache/redis-stand-in');
+
+// Both backends have to behave the same behind cache.read/write
+const backends = {
+    memory: () => cache.createMemoryStore(),
+    redis: () => cache.createRedisStore(new MemoryRedisClient(), 'test:')
+};
+
+for (const [name, createStore] of Object.entries(backends)) {
+    test(`${name} store keeps values until deleted`, async () => {
+        const store = createStore();
+        assert.strictEqual(store.name, name);
+        assert.strictEqual(await store.get('missing'), undefined);
+
+        await store.set('quote', { price: 101.5 }, 60);
+        assert.deepStrictEqual(await store.get('quote'), { price: 101.5 });
+
+        await store.del('quote');
+        assert.strictEqual(await store.get('quote'), undefined);
+    });
+
+    test(`${name} store entries are fresh, then stale, then last-known-good`, async t => {
+        cache.setStore(createStore());
+        t.after(() => cache.setStore(null));
+        const start = Date.now();
+        t.mock.method(Date, 'now', () => start);
+
+        await cache.write('stocks', 'stock_AAPL', { price: 190 });
+        const fresh = await cache.read('stocks', 'stock_AAPL');
+        assert.deepStrictEqual(fresh.value, { price: 190 });
+        assert.strictEqual(fresh.fresh, true);
+        assert.strictEqual(fresh.servable, true);
+
+        Date.now.mock.mockImplementation(() => start + (cache.ttlFor('stocks') + 1) * 1000);
+        const stale = await cache.read('stocks', 'stock_AAPL');
+        assert.strictEqual(stale.fresh, false);
+        assert.strictEqual(stale.servable, true);
+
+        Date.now.mock.mockImplementation(() => start + (cache.ttlFor('stocks') + cache.staleFor('stocks') + 1) * 1000);
+        const kept = await cache.read('stocks', 'stock_AAPL');
+        assert.strictEqual(kept.servable, false);
+        assert.deepStrictEqual(kept.value, { price: 190 });
+    });
+}
+
+test('CACHE_TTL_<TYPE> and CACHE_STALE_<TYPE> override the defaults', t => {
+    process.env.CACHE_TTL_FX = '5';
+    process.env.CACHE_STALE_FX = 'soon';
+    t.after(() => {
+        delete process.env.CACHE_TTL_FX;
+        delete process.env.CACHE_STALE_FX;
+    });
+
+    assert.strictEqual(cache.ttlFor('fx'), 5);
+    assert.strictEqual(cache.staleFor('fx'), 3600);
+    assert.strictEqual(cache.ttlFor('unknown'), 300);
+});
+
+test('redis store prefixes keys and sets an expiry', async () => {
+    const client = new MemoryRedisClient();
+    const store = cache.createRedisStore(client, 'app:');
+
+    await store.set('rates_USD', { EUR: 0.9 }, 0.2);
+    assert.deepStrictEqual([...client.entries.keys()], ['app:rates_USD']);
+    assert.ok(client.entries.get('app:rates_USD').expiresAt <= Date.now() + 1000);
+});
+
+test('stand-in client expires entries', async () => {
+    const client = new MemoryRedisClient();
+    await client.set('short', 'value', { PX: 1 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(await client.get('short'), null);
+    assert.strictEqual(await client.del('short'), 0);
+});
+
+test('redis errors are treated as cache misses', async t => {
+    t.mock.method(console, 'error', () => {});
+    const failing = {
+        get: async () => { throw new Error('connection refused'); },
+        set: async () => { throw new Error('connection refused'); },
+        del: async () => { throw new Error('connection refused'); }
+    };
+    const store = cache.createRedisStore(failing, 'test:');
+
+    assert.strictEqual(await store.get('quote'), undefined);
+    await store.set('quote', { price: 1 }, 60);
+    await store.del('quote');
+    assert.strictEqual(console.error.mock.callCount(), 3);
+});
+
+test('REDIS_URL=memory:// uses the stand-in client', () => {
+    assert.ok(createRedisClient('memory://') instanceof MemoryRedisClient);
+});
+
+test('the redis package is installed for CACHE_BACKEND=redis', () => {
+    assert.strictEqual(typeof require('redis').createClient, 'function');
+});
+
+test('with the redis server down, reads are misses instead of waiting', async t => {
+    t.mock.method(console, 'error', () => {});
+    const client = createRedisClient('redis://127.0.0.1:6399');
+    t.after(() => client.disconnect().catch(() => {}));
+    const store = cache.createRedisStore(client, 'test:');
+
+    const started = Date.now();
+    assert.strictEqual(await store.get('quote'), undefined);
+    await store.set('quote', { price: 1 }, 60);
+    assert.ok(Date.now() - started < 2000);
+});
+
+test('a redis command that never answers times out as a miss', async t => {
+    t.mock.method(console, 'error', () => {});
+    const hanging = { get: () => new Promise(() => {}) };
+    const store = cache.createRedisStore(hanging, 'test:');
+
+    const started = Date.now();
+    assert.strictEqual(await store.get('quote'), undefined);
+    assert.ok(Date.now() - started < 2000);
+});
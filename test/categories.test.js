@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const categories = require('../lib/categories');
+
+function ruleFor(payeePattern) {
+    const { rule, error } = categories.validateRule({ category: 'transport', payeePattern });
+    assert.ifError(error);
+    return { ...rule, id: 'rule' };
+}
+
+test('payeePattern globs match the whole payee, ignoring case', () => {
+    const rule = ruleFor('uber *trip?');
+    assert.strictEqual(categories.categorize({ payee: 'UBER  TRIP1', amount: 12 }, [rule]).ruleId, 'rule');
+    assert.strictEqual(categories.categorize({ payee: 'UBER TRIP', amount: 12 }, [rule]).ruleId, null);
+    assert.strictEqual(categories.categorize({ payee: 'MY UBER TRIP1', amount: 12 }, [rule]).ruleId, null);
+});
+
+test('payeePattern characters are literal apart from * and ?', () => {
+    const rule = ruleFor('amazon.com*');
+    assert.strictEqual(categories.categorize({ payee: 'AMAZON.COM MKTP', amount: 1 }, [rule]).ruleId, 'rule');
+    assert.strictEqual(categories.categorize({ payee: 'AMAZONXCOM MKTP', amount: 1 }, [rule]).ruleId, null);
+});
+
+test('regular expressions in payeePattern are refused', () => {
+    for (const payeePattern of ['(a+)+$', '^UBER', 'UBER|LYFT', 'TRIP\\d+', '[A-Z]{3}']) {
+        const { error } = categories.validateRule({ category: 'transport', payeePattern });
+        assert.match(error, /not a regular expression/, payeePattern);
+    }
+});
+
+test('many wildcards against a long payee stay fast', () => {
+    const rule = ruleFor(`${'*a'.repeat(20)}*b`);
+    const started = Date.now();
+    assert.strictEqual(categories.categorize({ payee: 'a'.repeat(10000), amount: 1 }, [rule]).ruleId, null);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('long payeePatterns are refused', () => {
+    const { error } = categories.validateRule({ category: 'transport', payeePattern: 'x'.repeat(101) });
+    assert.match(error, /at most 100 characters/);
+});
+
+test('minAmount and maxAmount must be plain decimals', () => {
+    assert.match(categories.validateRule({ category: 'transport', minAmount: '12abc' }).error, /minAmount must be zero or a positive number/);
+    assert.match(categories.validateRule({ category: 'transport', maxAmount: '-5' }).error, /maxAmount must be/);
+
+    const { rule } = categories.validateRule({ category: 'transport', minAmount: '10.50', maxAmount: 20 });
+    assert.strictEqual(categories.categorize({ payee: 'Taxi', amount: '-10.50' }, [{ ...rule, id: 'rule' }]).ruleId, 'rule');
+    assert.strictEqual(categories.categorize({ payee: 'Taxi', amount: 20.01 }, [{ ...rule, id: 'rule' }]).ruleId, null);
+});
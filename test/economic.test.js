@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const economic = require('../lib/economic');
+
+test('v1 asks Alpha Vantage for the function only, v2 for the catalog interval', () => {
+    assert.deepStrictEqual(economic.alphaVantageQuery('REAL_GDP', 'v1'), { function: 'REAL_GDP' });
+    assert.deepStrictEqual(economic.alphaVantageQuery('REAL_GDP', 'v2'), { function: 'REAL_GDP', interval: 'quarterly' });
+    assert.deepStrictEqual(economic.alphaVantageQuery('REAL_GDP'), { function: 'REAL_GDP', interval: 'quarterly' });
+});
+
+test('the original indicator names resolve to catalog series', () => {
+    assert.strictEqual(economic.findSeries('gdp').id, 'REAL_GDP');
+    assert.strictEqual(economic.findSeries('TREASURY_YIELD').id, 'TREASURY_YIELD_10Y');
+    assert.strictEqual(economic.findSeries('NOPE'), null);
+});
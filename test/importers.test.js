@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCSV, PRESETS } = require('../lib/importers/csv');
+const { parseOFX } = require('../lib/importers/ofx');
+
+test('CSV rows with impossible dates or unknown currencies are reported, not imported', () => {
+    const text = [
+        'Started Date,Description,Amount,Currency',
+        '2025-02-28,Coffee,-3.50,eur',
+        '2025-02-30,Rent,-900,EUR',
+        '2025-03-01,Lunch,-12,EURO'
+    ].join('\n');
+    const { transactions, errors } = parseCSV(text, PRESETS.revolut);
+
+    assert.deepStrictEqual(transactions.map(t => [t.date, t.currency]), [['2025-02-28', 'EUR']]);
+    assert.deepStrictEqual(errors.map(e => e.line), [3, 4]);
+    assert.match(errors[0].error, /Invalid date '2025-02-30'/);
+    assert.match(errors[1].error, /'EURO' is not an ISO 4217 currency code/);
+});
+
+test('OFX transactions with impossible dates or an unknown CURDEF are reported', () => {
+    const statement = (curdef, posted) => `<OFX><CURDEF>${curdef}<STMTTRN><DTPOSTED>${posted}<TRNAMT>-5.00<NAME>Shop</STMTTRN></OFX>`;
+
+    assert.strictEqual(parseOFX(statement('USD', '20250131')).transactions[0].date, '2025-01-31');
+    const badDate = parseOFX(statement('USD', '20251399'));
+    assert.strictEqual(badDate.transactions.length, 0);
+    assert.match(badDate.errors[0].error, /invalid posted date '20251399'/);
+
+    const badCurrency = parseOFX(statement('EURO', '20250131'));
+    assert.strictEqual(badCurrency.transactions.length, 0);
+    assert.match(badCurrency.errors[0].error, /'EURO' is not an ISO 4217 currency code/);
+});
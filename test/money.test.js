@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const money = require('../lib/money');
+
+test('exponents in strings are limited, so huge ones fail fast', () => {
+    const started = Date.now();
+    assert.strictEqual(money.isNumeric('1e30000000'), false);
+    assert.strictEqual(money.isNumeric('1e-30000000'), false);
+    assert.ok(Date.now() - started < 100);
+
+    assert.strictEqual(money.toString(money.decimal('1.5e3')), '1500');
+    assert.strictEqual(money.toString(money.decimal('1e-8')), '0.00000001');
+});
+
+test('numbers keep their full range', () => {
+    assert.strictEqual(money.toNumber(money.decimal(1e300)), 1e300);
+    assert.strictEqual(money.toNumber(money.decimal(1e-300)), 1e-300);
+});
+
+test('account balances and budget figures refuse exponent notation', () => {
+    const { validateAccount } = require('../lib/accounts');
+    const { validateBudget } = require('../lib/budget');
+
+    assert.strictEqual(validateAccount({ name: 'Bank', balance: '1e30000000' }).code, 'INVALID_AMOUNT');
+    assert.strictEqual(validateAccount({ name: 'Bank', balance: -12.5 }).account.balance, '-12.50');
+    assert.strictEqual(validateBudget({ income: '1e9' }).code, 'INVALID_AMOUNT');
+    assert.strictEqual(validateBudget({ income: '4200', expenses: [{ name: 'Rent', amount: '12abc' }] }).code, 'VALIDATION_ERROR');
+});
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// scripts/check-openapi.js loads the whole app, so it runs in a process of its own
+test('the OpenAPI description matches the registered routes', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'check-openapi.js')], {
+        encoding: 'utf8',
+        timeout: 60000
+    });
+    assert.strictEqual(result.status, 0, result.stderr || result.stdout);
+    assert.match(result.stdout, /OpenAPI description matches the app/);
+});
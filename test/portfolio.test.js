@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-'));
+const portfolio = require('../lib/portfolio');
+const { collection } = require('../lib/store');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('holding quantities and prices are stored exactly', () => {
+    const { holding } = portfolio.validateHolding({ type: 'crypto', symbol: 'bitcoin', quantity: '0.000012345678901234567', purchasePrice: '64000.10' });
+    assert.strictEqual(holding.quantity, '0.000012345678901234567');
+    assert.strictEqual(holding.purchasePrice, '64000.10');
+
+    const { id } = portfolio.createPortfolio({ name: 'Coins' });
+    const added = portfolio.addHolding(id, holding);
+    assert.strictEqual(collection('holdings').get(added.id).quantity, '0.000012345678901234567');
+    assert.strictEqual(added.quantity, 0.000012345678901234567);
+    assert.deepStrictEqual(added.exact, { quantity: '0.000012345678901234567', purchasePrice: '64000.10' });
+    assert.deepStrictEqual(portfolio.getHolding(id, added.id).exact, added.exact);
+});
+
+test('holdings saved as numbers are still read', () => {
+    const { id } = portfolio.createPortfolio({ name: 'Old' });
+    collection('holdings').insert({ portfolioId: id, type: 'stock', symbol: 'AAPL', quantity: 1e-7, purchasePrice: 150, currency: 'USD', purchaseDate: '2024-01-02' });
+    const [holding] = portfolio.listHoldings(id);
+    assert.deepStrictEqual(holding.exact, { quantity: '0.0000001', purchasePrice: '150' });
+    assert.strictEqual(holding.quantity, 1e-7);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const profile = require('../lib/profile');
+
+test('crypto and pairs need at least one entry', () => {
+    assert.match(profile.validateProfile({ crypto: [] }).error, /crypto needs at least one entry/);
+    assert.match(profile.validateProfile({ pairs: [] }).error, /pairs needs at least one entry/);
+    assert.deepStrictEqual(profile.validateProfile({ crypto: ['bitcoin', 'bitcoin'] }).profile.crypto, ['bitcoin']);
+});
+
+test('profile set refuses an empty list and keeps the saved one', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-'));
+    process.env.FINANCE_PROFILE = path.join(dir, 'profile.json');
+    t.after(() => {
+        delete process.env.FINANCE_PROFILE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    assert.ifError(profile.setSetting('crypto', 'bitcoin,ethereum').error);
+    assert.match(profile.setSetting('crypto', '').error, /at least one entry/);
+    assert.match(profile.setSetting('pairs', ' , ').error, /at least one entry/);
+    assert.deepStrictEqual(profile.loadProfile().crypto, ['bitcoin', 'ethereum']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const providers = require('../lib/providers');
+
+// Vendor stand-in, in place before lib/market-data picks it up: AAPL exists, nothing else does
+const vendorCalls = [];
+test.mock.method(providers, 'fetchFromProviders', async (type, method, args) => {
+    vendorCalls.push(args[0]);
+    return { data: args[0] === 'AAPL' ? { symbol: 'AAPL', price: 190 } : null, provider: 'test' };
+});
+const { makeAPIRequest } = require('../lib/market-data');
+const stream = require('../lib/stream');
+
+function fakeResponse() {
+    return { written: [], write(chunk) { this.written.push(chunk); } };
+}
+
+function subscriptions(stocks) {
+    return { stocks, crypto: [], fx: [] };
+}
+
+test('"not found" answers are cached', async () => {
+    vendorCalls.length = 0;
+    assert.strictEqual((await makeAPIRequest('stocks', 'quote', ['NOPE1'], 'stock_NOPE1')).data, null);
+    const again = await makeAPIRequest('stocks', 'quote', ['NOPE1'], 'stock_NOPE1');
+    assert.strictEqual(again.data, null);
+    assert.strictEqual(again.cached, true);
+    assert.deepStrictEqual(vendorCalls, ['NOPE1']);
+});
+
+test('unknown symbols are reported once and dropped from the poll', async () => {
+    const res = fakeResponse();
+    const subscribed = subscriptions(['AAPL', 'NOPE2']);
+    const remove = stream.addClient(res, subscribed, undefined, 'key:a');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    remove();
+
+    assert.deepStrictEqual(subscribed.stocks, ['AAPL']);
+    assert.ok(res.written.some(chunk => chunk.startsWith('event: unavailable') && chunk.includes('NOPE2')));
+});
+
+test('streams and symbols are limited per caller', () => {
+    const removers = [];
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual(stream.callerLimitProblem('key:b', subscriptions([`S${i}`])), null);
+        removers.push(stream.addClient(fakeResponse(), subscriptions([`S${i}`]), undefined, 'key:b'));
+    }
+    assert.match(stream.callerLimitProblem('key:b', subscriptions(['AAPL'])), /At most 5 open streams/);
+    assert.strictEqual(stream.callerLimitProblem('key:c', subscriptions(['AAPL'])), null);
+
+    const many = Array.from({ length: 101 }, (item, i) => `T${i}`);
+    assert.match(stream.callerLimitProblem('key:c', subscriptions(many)), /At most 100 symbols/);
+    removers.forEach(remove => remove());
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+const users = require('../lib/users');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('budget expenses must be objects', () => {
+    for (const entry of [null, 'Rent', 12, ['Rent']]) {
+        const result = users.validatePreferences({ budget: { expenses: [entry] } });
+        assert.match(result.error, /entries must be objects/);
+    }
+});
+
+test('preference amounts are strict decimals', () => {
+    assert.match(users.validatePreferences({ converter: { from: 'USD', to: 'EUR', amount: '12abc' } }).error, /converter.amount/);
+    assert.match(users.validatePreferences({ budget: { income: '4200x', expenses: [] } }).error, /budget.income/);
+    assert.match(users.validatePreferences({ budget: { expenses: [{ name: 'Rent', amount: '1e3' }] } }).error, /amount/);
+
+    const { changes } = users.validatePreferences({
+        converter: { from: 'usd', to: 'eur', amount: '250.75' },
+        budget: { income: '', expenses: [{ name: 'Rent', amount: '1200.50' }, { name: 'Gym' }] }
+    });
+    assert.strictEqual(changes.converter.amount, 250.75);
+    assert.strictEqual(changes.budget.income, null);
+    assert.deepStrictEqual(changes.budget.expenses.map(expense => expense.amount), [1200.5, 0]);
+});